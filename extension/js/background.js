@@ -6,10 +6,36 @@
  */
 
 import SettingsManager from './modules/settingsManager.js';
+import ErrorStore from './modules/errorStore.js';
+import SourceMapper from './modules/sourceMapper.js';
+import SourceMapStore from './modules/sourceMapStore.js';
+import ScreenshotCapturer from './modules/screenshotCapturer.js';
+import ErrorStreamHub from './modules/errorStreamHub.js';
+import { SourceMapConsumer } from 'source-map';
+
+// The source-map library parses mappings with WebAssembly, which it cannot
+// locate by itself outside Node
+SourceMapConsumer.initialize({
+  'lib/mappings.wasm': chrome.runtime.getURL('assets/wasm/mappings.wasm')
+});
 
 // Initialize the settings manager
 const settingsManager = new SettingsManager();
 
+// Persistent error history, survives service worker restarts
+const errorStore = new ErrorStore();
+
+// Maps stack traces for all tabs, so parsed source maps are shared between
+// them and the work stays off the pages' main threads
+const sourceMapper = new SourceMapper();
+sourceMapper.setLocalSourceMaps(new SourceMapStore());
+
+// Crops tab captures to the elements errors are attributed to
+const screenshotCapturer = new ScreenshotCapturer();
+
+// Relays each tab's error events to the popups and panels showing that tab
+const errorStreamHub = new ErrorStreamHub();
+
 // Store error counts per tab
 const errorCounts = new Map();
 // Store new error counts (since last panel open) per tab
@@ -17,15 +43,64 @@ const newErrorCounts = new Map();
 // Store whether the panel is open for each tab
 const isPanelOpen = new Map();
 
+// Resolves once the settings are loaded
+let settingsReady = null;
+let isSettingsReady = false;
+
 // Initialize the extension
-async function init() {
-  await settingsManager.init();
+function init() {
+  settingsReady = settingsManager.init().then(() => {
+    sourceMapper.init(settingsManager.getSettings());
+    isSettingsReady = true;
+  });
   
-  // Set up listeners
-  chrome.runtime.onMessage.addListener(handleMessage);
-  chrome.tabs.onUpdated.addListener(handleTabUpdated);
+  // Events that wake the service worker are only delivered to listeners
+  // registered synchronously at startup, so none of these can wait for the
+  // settings; they wait for them once called instead
+  chrome.runtime.onConnect.addListener(port => errorStreamHub.handleConnect(port));
+  chrome.runtime.onMessage.addListener(handleMessageWhenReady);
+  chrome.tabs.onUpdated.addListener(whenSettingsReady(handleTabUpdated));
   chrome.tabs.onRemoved.addListener(handleTabRemoved);
-  chrome.action.onClicked.addListener(handleActionClicked);
+  chrome.action.onClicked.addListener(whenSettingsReady(handleActionClicked));
+  
+  // Drop history beyond the retention limits
+  errorStore.prune().catch(error => {
+    console.error('Error pruning error history:', error);
+  });
+}
+
+/**
+ * Wrap an event listener so that it runs once the settings are loaded
+ * @param {Function} listener - The listener
+ * @returns {Function} - The wrapped listener
+ */
+function whenSettingsReady(listener) {
+  return (...args) => {
+    settingsReady.then(() => listener(...args));
+  };
+}
+
+/**
+ * Handle a message once the settings are loaded, keeping the channel open
+ * until then
+ * @param {Object} message - The message
+ * @param {Object} sender - The sender information
+ * @param {Function} sendResponse - Function to send a response
+ * @returns {boolean} - Whether the response will be sent asynchronously
+ */
+function handleMessageWhenReady(message, sender, sendResponse) {
+  if (isSettingsReady) {
+    return handleMessage(message, sender, sendResponse);
+  }
+  
+  settingsReady.then(() => {
+    // Close the channel kept open for messages that have no answer
+    if (!handleMessage(message, sender, sendResponse)) {
+      sendResponse();
+    }
+  });
+  
+  return true; // Will respond asynchronously
 }
 
 /**
@@ -44,6 +119,8 @@ function handleMessage(message, sender, sendResponse) {
     case 'updateSettings':
       settingsManager.updateSettings(message.settings)
         .then(() => {
+          sourceMapper.init(settingsManager.getSettings());
+          
           // Notify all tabs about the settings update
           chrome.tabs.query({}, (tabs) => {
             tabs.forEach(tab => {
@@ -65,6 +142,8 @@ function handleMessage(message, sender, sendResponse) {
     case 'resetSettings':
       settingsManager.resetSettings()
         .then(() => {
+          sourceMapper.init(settingsManager.getSettings());
+          
           // Notify all tabs about the settings reset
           chrome.tabs.query({}, (tabs) => {
             tabs.forEach(tab => {
@@ -100,10 +179,95 @@ function handleMessage(message, sender, sendResponse) {
         
         // Update the badge
         updateBadge(tabId);
+        
+        // Keep the error in the tab's history
+        if (message.error) {
+          errorStore.addError(tabId, sender.tab.url, message.error).catch(error => {
+            console.error('Error storing error:', error);
+          });
+        }
+      }
+      sendResponse({ success: true });
+      break;
+      
+    case 'errorUpdated':
+      // A stored error changed without occurring again, so it is not counted
+      if (sender.tab && message.error) {
+        errorStore.addError(sender.tab.id, sender.tab.url, message.error).catch(error => {
+          console.error('Error storing error:', error);
+        });
       }
       sendResponse({ success: true });
       break;
       
+    case 'saveReplay':
+      if (sender.tab && message.replay) {
+        errorStore.addReplay(sender.tab.id, sender.tab.url, message.replay)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => {
+            console.error('Error storing session replay:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No replay provided' });
+      break;
+      
+    case 'captureElements':
+      if (sender.tab && Array.isArray(message.rects) && message.viewport) {
+        screenshotCapturer.captureElements(sender.tab, message.rects, message.viewport)
+          .then(screenshots => sendResponse({ success: true, screenshots }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No element rects provided' });
+      break;
+      
+    case 'symbolicateError':
+      if (message.stack) {
+        symbolicateError(message.stack)
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => {
+            console.error('Error mapping stack trace:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No stack provided' });
+      break;
+      
+    case 'sourceMapsChanged':
+      // Maps were uploaded or deleted in the settings page
+      sourceMapper.clearCache();
+      sendResponse({ success: true });
+      break;
+      
+    case 'clearErrorHistory':
+      if (message.navigationId) {
+        errorStore.clearNavigation(message.navigationId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => {
+            console.error('Error clearing error history:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No navigation ID provided' });
+      break;
+      
+    case 'getErrorHistory':
+      if (message.tabId !== undefined) {
+        getErrorHistory(message.tabId, message.navigationId)
+          .then(history => sendResponse({ success: true, ...history }))
+          .catch(error => {
+            console.error('Error loading error history:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No tab ID provided' });
+      break;
+      
     case 'clearErrors':
       if (sender.tab) {
         const tabId = sender.tab.id;
@@ -172,6 +336,50 @@ function handleMessage(message, sender, sendResponse) {
       sendResponse({ success: true });
       break;
       
+    case 'clearTabErrors':
+      if (message.tabId !== undefined) {
+        errorCounts.set(message.tabId, 0);
+        newErrorCounts.set(message.tabId, 0);
+        updateBadge(message.tabId);
+        
+        chrome.tabs.sendMessage(message.tabId, { action: 'clearErrors' })
+          .catch(() => {
+            // Ignore errors (tab might not have content script)
+          });
+      }
+      sendResponse({ success: true });
+      break;
+      
+    case 'selectInspectTarget':
+      if (message.tabId !== undefined && message.elementId) {
+        chrome.tabs.sendMessage(message.tabId, { 
+          action: 'selectInspectTarget', 
+          elementId: message.elementId 
+        }, { frameId: message.frameId || 0 })
+          .then(response => sendResponse(response || { success: false }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // Will respond asynchronously
+      }
+      sendResponse({ success: false, error: 'No element ID provided' });
+      break;
+      
+    case 'highlightFrame':
+    case 'unhighlightFrame':
+      // A cross-origin frame cannot reach its own frame element, so its
+      // parent frame outlines it
+      if (sender.tab && typeof message.parentFrameId === 'number') {
+        chrome.tabs.sendMessage(sender.tab.id, {
+          action: message.action === 'highlightFrame' ? 'highlightFrameElement' : 'unhighlightFrameElement',
+          childFrameId: sender.frameId,
+          error: message.error,
+          errorId: message.errorId
+        }, { frameId: message.parentFrameId }).catch(() => {
+          // Ignore errors (the parent frame might not have the content script)
+        });
+      }
+      sendResponse({ success: true });
+      break;
+      
     case 'getErrorCounts':
       if (sender.tab) {
         const tabId = sender.tab.id;
@@ -210,8 +418,13 @@ function handleTabUpdated(tabId, changeInfo, tab) {
   }
   
   // If the tab was reloaded or navigated, reset the panel open state
+  // and start a new entry in the tab's error history
   if (changeInfo.status === 'loading') {
     isPanelOpen.set(tabId, false);
+    
+    errorStore.startNavigation(tabId, changeInfo.url || tab.url).catch(error => {
+      console.error('Error recording navigation:', error);
+    });
   }
 }
 
@@ -224,6 +437,7 @@ function handleTabRemoved(tabId) {
   errorCounts.delete(tabId);
   newErrorCounts.delete(tabId);
   isPanelOpen.delete(tabId);
+  errorStore.forgetTab(tabId);
 }
 
 /**
@@ -239,6 +453,39 @@ function handleActionClicked(tab) {
   updateBadge(tab.id);
 }
 
+/**
+ * Map a stack trace to the original source
+ * @param {string} stack - The stack trace
+ * @returns {Promise<Object>} - The parsed and mapped stack fields of the error
+ */
+async function symbolicateError(stack) {
+  const processedError = await sourceMapper.processError({ stack });
+  
+  return {
+    stack: processedError.stack,
+    originalStack: processedError.originalStack,
+    frames: processedError.frames,
+    mappedFrames: processedError.mappedFrames,
+    mappedFilename: processedError.mappedFilename,
+    mappedLineno: processedError.mappedLineno,
+    mappedColno: processedError.mappedColno
+  };
+}
+
+/**
+ * Get the error history of a tab
+ * @param {number} tabId - The tab ID
+ * @param {string} [navigationId] - The navigation to get errors for. Defaults
+ *   to all navigations of the tab.
+ * @returns {Promise<Object>} - The tab's navigations and stored errors
+ */
+async function getErrorHistory(tabId, navigationId) {
+  const navigations = await errorStore.getNavigations(tabId);
+  const errors = await errorStore.getErrors({ tabId, navigationId });
+  
+  return { navigations, errors };
+}
+
 /**
  * Update the badge for a tab
  * @param {number} tabId - The tab ID
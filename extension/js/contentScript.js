@@ -6,21 +6,62 @@
  */
 
 import ErrorCapturer from "./modules/errorCapturer.js";
-import SourceMapper from "./modules/sourceMapper.js";
 import ElementIdentifier from "./modules/elementIdentifier.js";
 import Highlighter from "./modules/highlighter.js";
 import SettingsManager from "./modules/settingsManager.js";
-import { getDomainFromUrl, areSimilarErrors } from "./modules/utils.js";
+import PageBridge from "./modules/pageBridge.js";
+import BreadcrumbRecorder from "./modules/breadcrumbRecorder.js";
+import DomRecorder from "./modules/domRecorder.js";
+import { MessageType } from "./modules/bridgeProtocol.js";
+import {
+    EventBatcher,
+    PAGE_PORT_NAME,
+    StreamEvent,
+    StreamMessage,
+} from "./modules/errorStream.js";
+import { getDomainFromUrl, generateUniqueId } from "./modules/utils.js";
+import { serializeError } from "./modules/errorSerializer.js";
+import { getFingerprint } from "./modules/fingerprint.js";
+import { parseStack } from "./modules/stackParser.js";
+import { getFrameInfo, findFrameElement } from "./modules/frameInfo.js";
 
 // Initialize modules
 const settingsManager = new SettingsManager();
 const errorCapturer = new ErrorCapturer();
-const sourceMapper = new SourceMapper();
 const elementIdentifier = new ElementIdentifier();
 const highlighter = new Highlighter();
-
-// Store captured errors
-let capturedErrors = [];
+const pageBridge = new PageBridge();
+const breadcrumbRecorder = new BreadcrumbRecorder();
+const domRecorder = new DomRecorder();
+
+// Store captured error groups with their live objects, keyed by error ID.
+// Only serialized copies ever leave the content script.
+const capturedErrors = new Map();
+// Map of fingerprint to the ID of the group with that fingerprint
+const errorIdsByFingerprint = new Map();
+
+// The number of breadcrumbs kept with each error
+const MAX_BREADCRUMBS_PER_ERROR = 20;
+
+// Replays hold the whole page, so only the first few error groups get one
+const MAX_REPLAYS_PER_PAGE = 10;
+let replayCount = 0;
+
+// Streams changes to the error groups to open popups and panels, through
+// the background script
+const streamBatcher = new EventBatcher((events) =>
+    postToStream({ type: StreamMessage.EVENTS, events })
+);
+let streamPort = null;
+
+// Outlines of the frame elements holding child frames with errors, keyed by
+// "<child frame ID>:<error ID>"
+const frameHighlights = new Map();
+
+// Screenshots are taken one error at a time, since taking them may scroll the page
+let screenshotQueue = Promise.resolve();
+// Screenshots beyond this many per error add little and slow the page down
+const MAX_SCREENSHOTS_PER_ERROR = 4;
 
 // Initialize the content script
 async function init() {
@@ -46,83 +87,489 @@ async function init() {
         return;
     }
 
+    // Errors and listener registrations are captured by the main-world
+    // script, since hooks installed here would only see this isolated world
+    errorCapturer.setBridge(pageBridge);
+    elementIdentifier.setComponentResolver(pageBridge);
+    pageBridge.on(MessageType.LISTENER, handleListenerAdded);
+    pageBridge.on(MessageType.BREADCRUMB, (breadcrumb) =>
+        breadcrumbRecorder.add(breadcrumb)
+    );
+
     // Initialize modules with settings
     errorCapturer.init(settings);
-    sourceMapper.init(settings);
     highlighter.init(settings);
+    breadcrumbRecorder.setEnabled(settings.captureBreadcrumbs);
+    breadcrumbRecorder.start();
+    setReplayRecording(settings.recordSessionReplay);
 
     // Register error handler
     errorCapturer.registerErrorHandler(handleError);
 
+    // Keep associated elements in step with re-rendered highlights
+    highlighter.registerChangeHandler(handleHighlightChange);
+
     // Set up message listener
     chrome.runtime.onMessage.addListener(handleMessage);
 
+    // Let open viewers know about this page, and reconnect when it comes
+    // back from the back/forward cache
+    connectStream();
+    window.addEventListener("pageshow", (event) => {
+        if (event.persisted && !streamPort) connectStream();
+    });
+
+    // Start receiving from the page now that every handler is in place
+    pageBridge.connect();
+
     console.log("JavaScript Error Visualizer initialized.");
 }
 
 /**
- * Handle a captured error
+ * Handle a captured error. Its elements are highlighted straight away;
+ * source mapping happens in the background script and may take a while, so
+ * the error is only grouped with earlier occurrences once it is mapped.
  * @param {Object} error - The error object
  */
 async function handleError(error) {
     try {
-        // Process the error with source mapping
-        const processedError = await sourceMapper.processError(error);
+        // Keep the page's recent history before anything else changes it
+        const recording = domRecorder.freeze();
+
+        error.frames = error.stack ? parseStack(error.stack) : [];
+        error.id = generateUniqueId();
+        error.frame = getFrameInfo();
+        error.firstSeen = error.timestamp;
+        error.lastSeen = error.timestamp;
+        error.breadcrumbs = breadcrumbRecorder.getBreadcrumbs({
+            before: error.timestamp,
+            limit: MAX_BREADCRUMBS_PER_ERROR,
+        });
+
+        // Highlight the elements found from the unmapped error
+        const elements = elementIdentifier.identifyElements(error);
+        highlightElements(error, elements);
+        capturedErrors.set(error.id, error);
+
+        Object.assign(error, await symbolicateError(error));
+
+        // The errors were cleared while the stack was being mapped
+        if (!capturedErrors.has(error.id)) {
+            removeHighlights(error);
+            return;
+        }
 
-        // Check for duplicate errors
-        const existingErrorIndex = findSimilarError(processedError);
+        // Mapped frames can point at more elements
+        const mappedElements = elementIdentifier.identifyElements(error);
+        const fingerprint = getFingerprint(error);
 
-        if (existingErrorIndex !== -1) {
-            // Increment the count for the existing error
-            capturedErrors[existingErrorIndex].count++;
+        // Check for an existing group of the same error
+        const existingError = capturedErrors.get(
+            errorIdsByFingerprint.get(fingerprint)
+        );
 
-            // Notify the background script
+        if (existingError) {
+            // Record the new occurrence in the existing group, moving its
+            // highlights over
+            capturedErrors.delete(error.id);
+            removeHighlights(error);
+
+            existingError.count++;
+            existingError.lastSeen = error.timestamp;
+            highlightElements(existingError, elements.concat(mappedElements));
+
+            // Notify the background script and open viewers
+            const record = serializeError(existingError);
             chrome.runtime.sendMessage({
                 action: "errorDetected",
-                error: processedError,
+                error: record,
+            });
+            streamBatcher.push({
+                type: StreamEvent.ERROR_UPDATED,
+                error: record,
             });
 
+            outlineFrameInParent(record);
+            captureScreenshots(existingError);
             return;
         }
 
-        // Identify associated DOM elements
-        const elements = elementIdentifier.identifyElements(processedError);
-
-        // Highlight the elements
-        if (elements.length > 0) {
-            processedError.associatedElements = elements.map((element) => {
-                const errorId = highlighter.highlightElement(
-                    element,
-                    processedError
-                );
-                return { element, errorId };
-            });
+        error.fingerprint = fingerprint;
+        error.componentPath = elementIdentifier.getComponentPath(
+            error,
+            elements.concat(mappedElements)
+        );
+        highlightElements(error, mappedElements);
+        errorIdsByFingerprint.set(fingerprint, error.id);
+
+        if (recording && replayCount < MAX_REPLAYS_PER_PAGE) {
+            replayCount++;
+            error.replayId = saveReplay(error, recording);
         }
 
-        // Add the error to the captured errors list
-        capturedErrors.push(processedError);
-
-        // Notify the background script
+        // Notify the background script and open viewers
+        const record = serializeError(error);
         chrome.runtime.sendMessage({
             action: "errorDetected",
-            error: processedError,
+            error: record,
         });
+        streamBatcher.push({ type: StreamEvent.ERROR_ADDED, error: record });
+
+        outlineFrameInParent(record);
+        captureScreenshots(error);
     } catch (e) {
         console.error("Error handling captured error:", e);
     }
 }
 
 /**
- * Find a similar error in the captured errors list
- * @param {Object} error - The error to find
- * @returns {number} - The index of the similar error, or -1 if not found
+ * Map an error's stack trace to the original source in the background script
+ * @param {Object} error - The error object
+ * @returns {Promise<Object>} - The mapped stack fields to add to the error,
+ *   or no fields if the stack cannot be mapped
+ */
+async function symbolicateError(error) {
+    if (!error.stack) return {};
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: "symbolicateError",
+            stack: error.stack,
+        });
+
+        return response && response.success ? response.result : {};
+    } catch (e) {
+        console.error("Error mapping stack trace:", e);
+        return {};
+    }
+}
+
+/**
+ * Open the port that streams error events to the background script
+ */
+function connectStream() {
+    const port = chrome.runtime.connect({ name: PAGE_PORT_NAME });
+    streamPort = port;
+
+    port.onMessage.addListener((message) => {
+        if (message.type === StreamMessage.REQUEST_SNAPSHOT) {
+            // Only groups that have been mapped are shown to viewers
+            streamBatcher.push({
+                type: StreamEvent.SNAPSHOT,
+                errors: Array.from(capturedErrors.values())
+                    .filter((error) => error.fingerprint)
+                    .map(serializeError),
+            });
+            streamBatcher.flush();
+        }
+    });
+
+    // The background script restarted, or the page entered the back/forward
+    // cache
+    port.onDisconnect.addListener(() => {
+        if (streamPort === port) streamPort = null;
+    });
+}
+
+/**
+ * Post a message to the background script over the stream port
+ * @param {Object} message - The message
+ */
+function postToStream(message) {
+    try {
+        if (!streamPort) connectStream();
+        streamPort.postMessage(message);
+    } catch (e) {
+        // The extension was reloaded and this script is orphaned
+        streamPort = null;
+    }
+}
+
+/**
+ * Store the session replay of an error in the background script
+ * @param {Object} error - The error group
+ * @param {Object} recording - The recording frozen when the error happened
+ * @returns {string} - The ID of the replay
  */
-function findSimilarError(error) {
-    return capturedErrors.findIndex((capturedError) =>
-        areSimilarErrors(capturedError, error)
+function saveReplay(error, recording) {
+    const replayId = generateUniqueId();
+
+    chrome.runtime
+        .sendMessage({
+            action: "saveReplay",
+            replay: {
+                ...recording,
+                id: replayId,
+                error: {
+                    type: error.type,
+                    message: error.message,
+                    timestamp: error.timestamp,
+                },
+                highlightedNodeIds: error.associatedElements
+                    .map(({ element }) => domRecorder.getNodeId(element))
+                    .filter(Boolean),
+            },
+        })
+        .catch((e) => {
+            console.error("Error saving session replay:", e);
+        });
+
+    return replayId;
+}
+
+/**
+ * Start or stop recording the page for session replays. Recording starts
+ * once the document is parsed, so the page's initial load is one snapshot
+ * rather than thousands of mutations.
+ * @param {boolean} enabled - Whether the page should be recorded
+ */
+function setReplayRecording(enabled) {
+    if (!enabled) {
+        domRecorder.stop();
+    } else if (document.readyState === "loading") {
+        document.addEventListener(
+            "DOMContentLoaded",
+            () => {
+                if (settingsManager.getSettings().recordSessionReplay) {
+                    domRecorder.start();
+                }
+            },
+            { once: true }
+        );
+    } else {
+        domRecorder.start();
+    }
+}
+
+/**
+ * Take screenshots of the elements of an error group that have none yet,
+ * after the screenshots already queued
+ * @param {Object} error - The error group
+ */
+function captureScreenshots(error) {
+    if (!settingsManager.getSettings().captureScreenshots) return;
+
+    // Tab captures cannot be cropped to elements of a frame, whose position
+    // in the tab is unknown
+    if (window !== window.top) return;
+
+    screenshotQueue = screenshotQueue
+        .then(() => captureElementScreenshots(error))
+        .catch((e) => {
+            console.error("Error capturing element screenshots:", e);
+        });
+}
+
+/**
+ * Take screenshots of an error group's elements and store them with the
+ * error. Elements in view share one capture; the others are scrolled into
+ * view one at a time.
+ * @param {Object} error - The error group
+ * @returns {Promise<void>}
+ */
+async function captureElementScreenshots(error) {
+    // Only the visible tab can be captured
+    if (document.visibilityState !== "visible") return;
+
+    const associations = (error.associatedElements || [])
+        .filter(
+            (association) =>
+                association.screenshot === undefined &&
+                !association.stale &&
+                association.element.isConnected
+        )
+        .slice(0, MAX_SCREENSHOTS_PER_ERROR);
+    if (associations.length === 0) return;
+
+    const inView = associations.filter(({ element }) => isInViewport(element));
+    let captured = await captureAssociations(inView);
+
+    for (const association of associations) {
+        if (!inView.includes(association)) {
+            captured = (await captureScrolledIntoView(association)) || captured;
+        }
+    }
+
+    // Store the screenshots unless the error was cleared in the meantime
+    if (captured && capturedErrors.has(error.id)) {
+        const record = serializeError(error);
+        chrome.runtime.sendMessage({
+            action: "errorUpdated",
+            error: record,
+        });
+        streamBatcher.push({ type: StreamEvent.ERROR_UPDATED, error: record });
+    }
+}
+
+/**
+ * Take one capture of the visible page and crop it to elements
+ * @param {Array<Object>} associations - The elements' associations with the error
+ * @returns {Promise<boolean>} - Whether any screenshot was taken
+ */
+async function captureAssociations(associations) {
+    if (associations.length === 0) return false;
+
+    const response = await chrome.runtime.sendMessage({
+        action: "captureElements",
+        rects: associations.map(({ element }) => {
+            const { top, left, width, height } = element.getBoundingClientRect();
+            return { top, left, width, height };
+        }),
+        viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio,
+        },
+    });
+
+    if (!response || !response.success) return false;
+
+    // Elements that were not visible get null, so they are not tried again
+    response.screenshots.forEach((screenshot, index) => {
+        associations[index].screenshot = screenshot && {
+            ...screenshot,
+            capturedAt: new Date().toISOString(),
+        };
+    });
+
+    return response.screenshots.some(Boolean);
+}
+
+/**
+ * Scroll an element into view, take its screenshot and scroll back
+ * @param {Object} association - The element's association with the error
+ * @returns {Promise<boolean>} - Whether the screenshot was taken
+ */
+async function captureScrolledIntoView(association) {
+    const { scrollX, scrollY } = window;
+
+    association.element.scrollIntoView({
+        behavior: "instant",
+        block: "center",
+        inline: "center",
+    });
+
+    // Give the highlight overlay a frame to follow, and the page one to paint
+    await nextFrame();
+    await nextFrame();
+
+    try {
+        return await captureAssociations([association]);
+    } finally {
+        window.scrollTo({ left: scrollX, top: scrollY, behavior: "instant" });
+    }
+}
+
+/**
+ * Check whether an element is entirely in the viewport
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether the element is in view
+ */
+function isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+
+    return (
+        rect.top >= 0 &&
+        rect.left >= 0 &&
+        rect.bottom <= window.innerHeight &&
+        rect.right <= window.innerWidth
     );
 }
 
+/**
+ * Wait for the next animation frame
+ * @returns {Promise<void>}
+ */
+function nextFrame() {
+    return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Handle a highlight that moved to a re-rendered element or became stale
+ * @param {Object} change - The change reported by the highlighter
+ */
+function handleHighlightChange(change) {
+    capturedErrors.forEach((error) => {
+        const associations = (error.associatedElements || []).filter(
+            ({ element }) => element === change.element
+        );
+
+        associations.forEach((association) => {
+            if (change.type === "replaced") {
+                association.element = change.newElement;
+                association.stale = false;
+            } else if (change.type === "stale") {
+                association.stale = true;
+            }
+        });
+
+        // Groups still being mapped have not been streamed yet
+        if (associations.length === 0 || !error.fingerprint) return;
+
+        if (change.type === "replaced") {
+            streamBatcher.push({
+                type: StreamEvent.ERROR_UPDATED,
+                error: serializeError(error),
+            });
+        } else if (change.type === "stale") {
+            associations.forEach((association) => {
+                streamBatcher.push({
+                    type: StreamEvent.HIGHLIGHT_STALE,
+                    errorId: error.id,
+                    elementId: association.errorId,
+                });
+            });
+        }
+    });
+}
+
+/**
+ * Highlight the elements involved in an error group that are not
+ * highlighted for it yet
+ * @param {Object} error - The error group
+ * @param {Array<Element>} elements - The elements involved in an occurrence
+ */
+function highlightElements(error, elements) {
+    error.associatedElements = error.associatedElements || [];
+
+    const knownElements = new Set(
+        error.associatedElements.map(({ element }) => element)
+    );
+
+    elements
+        .filter((element) => !knownElements.has(element))
+        .forEach((element) => {
+            const errorId = highlighter.highlightElement(element, error);
+            error.associatedElements.push({ element, errorId });
+
+            // Changes to the element may explain the next error on it
+            breadcrumbRecorder.observe(element);
+        });
+}
+
+/**
+ * Remove the highlights of an error group
+ * @param {Object} error - The error group
+ */
+function removeHighlights(error) {
+    (error.associatedElements || []).forEach(({ element, errorId }) => {
+        highlighter.removeHighlight(element, errorId);
+    });
+}
+
+/**
+ * Handle an event listener registration reported by the page
+ * @param {Object} registration - The registration sent over the bridge
+ */
+function handleListenerAdded(registration) {
+    elementIdentifier.recordEventListener({
+        listenerName: registration.listenerName,
+        getElement: () => pageBridge.resolveElement(registration.elementHandle),
+        type: registration.type,
+        stack: registration.stack,
+    });
+}
+
 /**
  * Handle messages from the background script or popup
  * @param {Object} message - The message
@@ -133,7 +580,13 @@ function findSimilarError(error) {
 function handleMessage(message, sender, sendResponse) {
     switch (message.action) {
         case "getErrors":
-            sendResponse({ errors: capturedErrors });
+            sendResponse({
+                errors: Array.from(capturedErrors.values(), serializeError),
+            });
+            break;
+
+        case "getPageInfo":
+            sendResponse({ page: getPageInfo() });
             break;
 
         case "clearErrors":
@@ -162,6 +615,36 @@ function handleMessage(message, sender, sendResponse) {
             }
             break;
 
+        case "connectStream":
+            // A viewer opened after the background script restarted
+            if (streamPort) streamPort.disconnect();
+            connectStream();
+            sendResponse({ success: true });
+            break;
+
+        case "highlightFrameElement":
+            highlightFrameElement(message.childFrameId, message.error);
+            sendResponse({ success: true });
+            break;
+
+        case "unhighlightFrameElement":
+            unhighlightFrameElement(message.childFrameId, message.errorId);
+            sendResponse({ success: true });
+            break;
+
+        case "selectInspectTarget":
+            if (message.elementId) {
+                sendResponse({
+                    success: selectInspectTarget(message.elementId),
+                });
+            } else {
+                sendResponse({
+                    success: false,
+                    error: "No element ID provided",
+                });
+            }
+            break;
+
         case "settingsUpdated":
             if (message.settings) {
                 updateSettings(message.settings);
@@ -183,6 +666,121 @@ function handleMessage(message, sender, sendResponse) {
     return false; // Will not respond asynchronously
 }
 
+/**
+ * Ask the parent frame to outline this frame's element when an error group
+ * in a cross-origin frame has highlighted elements, which the top document
+ * could not show otherwise
+ * @param {Object} error - The serialized error group
+ */
+function outlineFrameInParent(error) {
+    const frame = error.frame;
+    if (!frame || !frame.isCrossOrigin) return;
+    if (error.associatedElements.length === 0) return;
+
+    chrome.runtime
+        .sendMessage({
+            action: "highlightFrame",
+            parentFrameId: frame.parentChain[0].id,
+            error: error,
+        })
+        .catch((e) => {
+            console.error("Error outlining the frame:", e);
+        });
+}
+
+/**
+ * Remove the outline the parent frame drew for an error group
+ * @param {Object} error - The error group
+ */
+function removeFrameOutlineInParent(error) {
+    const frame = error.frame;
+    if (!frame || !frame.isCrossOrigin) return;
+
+    chrome.runtime
+        .sendMessage({
+            action: "unhighlightFrame",
+            parentFrameId: frame.parentChain[0].id,
+            errorId: error.id,
+        })
+        .catch(() => {
+            // Ignore errors (the parent frame may be gone)
+        });
+}
+
+/**
+ * Outline the element of a child frame with an error, and ask this frame's
+ * own parent to do the same, up to the top document
+ * @param {number} childFrameId - The ID of the child frame
+ * @param {Object} error - The child frame's serialized error group
+ */
+function highlightFrameElement(childFrameId, error) {
+    const key = `${childFrameId}:${error.id}`;
+    if (frameHighlights.has(key)) return;
+
+    const element = findFrameElement(childFrameId);
+    const highlightId = element && highlighter.highlightElement(element, error);
+    if (!highlightId) return;
+
+    frameHighlights.set(key, { element, highlightId });
+
+    const frame = getFrameInfo();
+    if (!frame.isTop) {
+        chrome.runtime
+            .sendMessage({
+                action: "highlightFrame",
+                parentFrameId: frame.parentChain[0].id,
+                error: error,
+            })
+            .catch(() => {
+                // Ignore errors (the parent frame may be gone)
+            });
+    }
+}
+
+/**
+ * Remove the outline of a child frame's element for an error group
+ * @param {number} childFrameId - The ID of the child frame
+ * @param {string} errorId - The ID of the child frame's error group
+ */
+function unhighlightFrameElement(childFrameId, errorId) {
+    const key = `${childFrameId}:${errorId}`;
+    const frameHighlight = frameHighlights.get(key);
+    if (!frameHighlight) return;
+
+    highlighter.removeHighlight(frameHighlight.element, frameHighlight.highlightId);
+    frameHighlights.delete(key);
+
+    const frame = getFrameInfo();
+    if (!frame.isTop) {
+        chrome.runtime
+            .sendMessage({
+                action: "unhighlightFrame",
+                parentFrameId: frame.parentChain[0].id,
+                errorId: errorId,
+            })
+            .catch(() => {
+                // Ignore errors (the parent frame may be gone)
+            });
+    }
+}
+
+/**
+ * Describe the page and the browser for exported bug reports
+ * @returns {Object} - The page's `url`, `title`, `userAgent` and `viewport`
+ */
+function getPageInfo() {
+    return {
+        url: window.location.href,
+        title: document.title,
+        userAgent: navigator.userAgent,
+        viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio,
+        },
+    };
+}
+
 /**
  * Clear all errors
  */
@@ -191,7 +789,14 @@ function clearErrors() {
     highlighter.removeAllHighlightsFromPage();
 
     // Clear the errors list
-    capturedErrors = [];
+    capturedErrors.clear();
+    errorIdsByFingerprint.clear();
+
+    // There are no highlighted elements left to watch
+    breadcrumbRecorder.unobserveAll();
+    frameHighlights.clear();
+
+    streamBatcher.push({ type: StreamEvent.ERROR_CLEARED });
 }
 
 /**
@@ -200,25 +805,25 @@ function clearErrors() {
  */
 function clearError(errorId) {
     // Find the error
-    const errorIndex = capturedErrors.findIndex(
-        (error) =>
-            error.associatedElements &&
-            error.associatedElements.some((el) => el.errorId === errorId)
+    const error = Array.from(capturedErrors.values()).find(
+        (capturedError) =>
+            capturedError.associatedElements &&
+            capturedError.associatedElements.some(
+                (el) => el.errorId === errorId
+            )
     );
 
-    if (errorIndex === -1) return;
-
-    const error = capturedErrors[errorIndex];
+    if (!error) return;
 
     // Remove the highlight for this error
-    if (error.associatedElements) {
-        error.associatedElements.forEach(({ element, errorId }) => {
-            highlighter.removeHighlight(element, errorId);
-        });
-    }
+    removeHighlights(error);
 
     // Remove the error from the list
-    capturedErrors.splice(errorIndex, 1);
+    capturedErrors.delete(error.id);
+    errorIdsByFingerprint.delete(error.fingerprint);
+    removeFrameOutlineInParent(error);
+
+    streamBatcher.push({ type: StreamEvent.ERROR_CLEARED, errorId: error.id });
 }
 
 /**
@@ -226,16 +831,29 @@ function clearError(errorId) {
  * @param {string} elementId - The ID of the element to flash
  */
 function flashHighlight(elementId) {
-    // Find all elements with this error ID
-    const elements = document.querySelectorAll(
-        `[data-jev-error-id*="${elementId}"]`
-    );
+    // Find all elements highlighted with this ID
+    const elements = highlighter.getElementsForError(elementId);
 
     elements.forEach((element) => {
         highlighter.flashHighlight(element);
     });
 }
 
+/**
+ * Expose a highlighted element to the DevTools panel, which evaluates
+ * `inspect()` in the content script's world to reveal it in the Elements panel
+ * @param {string} elementId - The highlight ID of the element
+ * @returns {boolean} - Whether the element is still on the page
+ */
+function selectInspectTarget(elementId) {
+    const element = highlighter
+        .getElementsForError(elementId)
+        .find((candidate) => candidate.isConnected);
+
+    window.__JEV_INSPECT_TARGET__ = element || null;
+    return !!element;
+}
+
 /**
  * Update settings
  * @param {Object} settings - The new settings
@@ -254,6 +872,37 @@ function updateSettings(settings) {
     // Update ignored patterns
     errorCapturer.setIgnoredPatterns(settings.ignoredPatterns);
 
+    // Update console.error capturing
+    errorCapturer.setCaptureConsoleErrors(
+        settingsManager.getSettings().captureConsoleErrors
+    );
+
+    // Update network error capturing
+    errorCapturer.setCaptureNetworkErrors(
+        settingsManager.getSettings().captureNetworkErrors
+    );
+
+    // Update CSP violation capturing
+    errorCapturer.setCaptureCspViolations(
+        settingsManager.getSettings().captureCspViolations
+    );
+
+    // Update worker error capturing
+    errorCapturer.setCaptureWorkerErrors(
+        settingsManager.getSettings().captureWorkerErrors
+    );
+
+    // Update session replay recording
+    setReplayRecording(settingsManager.getSettings().recordSessionReplay);
+
+    // Update breadcrumb recording
+    breadcrumbRecorder.setEnabled(
+        settingsManager.getSettings().captureBreadcrumbs
+    );
+    errorCapturer.setCaptureBreadcrumbs(
+        settingsManager.getSettings().captureBreadcrumbs
+    );
+
     // Update highlighter style
     highlighter.updateStyle({
         color: settings.highlightColor,
@@ -261,12 +910,7 @@ function updateSettings(settings) {
         borderWidth: settings.borderWidth,
         useBackground: settings.useBackground,
         backgroundOpacity: settings.backgroundOpacity,
-    });
-
-    // Update source mapper settings
-    sourceMapper.init({
-        sourcemapTimeout: settings.sourcemapTimeout,
-        sourcemapRetries: settings.sourcemapRetries,
+        mode: settings.highlightMode,
     });
 }
 
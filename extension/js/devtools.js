@@ -0,0 +1,8 @@
+/**
+ * DevTools Page Script
+ *
+ * Adds the "JS Errors" panel to the browser's developer tools.
+ */
+
+// Paths are relative to the extension's root
+chrome.devtools.panels.create('JS Errors', 'assets/icons/icon16.png', 'html/panel.html');
@@ -0,0 +1,349 @@
+/**
+ * Main World Script
+ *
+ * Injected into the page's own JavaScript world at document_start, before any
+ * page script runs. Listens for uncaught errors and promise rejections straight
+ * away, and tracks the listeners the page adds to elements from the start, as
+ * those registered while the page is parsed are the ones errors are most often
+ * attributed to. Both are streamed to the content script over the bridge
+ * protocol. The other hooks that change the page's real objects (the
+ * console.error override, the fetch/XMLHttpRequest and Worker wrappers and the
+ * breadcrumb hooks on history and console.warn) and the CSP violation listener
+ * are only installed once the content script's config enables them.
+ * Also answers framework component lookups, since component trees are only
+ * visible from the page's world.
+ *
+ * This script has no access to extension APIs and must not rely on anything
+ * the page can see beyond the bridge events.
+ */
+
+import ErrorCapturer from './modules/errorCapturer.js';
+import ElementIdentifier from './modules/elementIdentifier.js';
+import { BreadcrumbCategory, createBreadcrumb } from './modules/breadcrumbRecorder.js';
+import { getComponentPath, findComponentElements } from './modules/frameworkAdapters.js';
+import {
+  PAGE_EVENT,
+  CONTENT_EVENT,
+  MessageType,
+  encodeMessage,
+  decodeMessage
+} from './modules/bridgeProtocol.js';
+
+// Messages kept while the content script is not listening yet
+const MAX_QUEUED_MESSAGES = 500;
+
+const errorCapturer = new ErrorCapturer();
+const elementIdentifier = new ElementIdentifier();
+
+// Element handles let the content script look up elements we refer to
+const elementHandles = new Map(); // Map of handle to WeakRef(element)
+const handlesByElement = new WeakMap();
+let nextHandle = 1;
+
+let isConnected = false;
+let messageQueue = [];
+
+// Hooks that cannot be removed once installed
+let isBreadcrumbHooksInstalled = false;
+
+// Initialize the page script
+function init() {
+  if (window.__JEV_MAIN_WORLD_LOADED__) return;
+  window.__JEV_MAIN_WORLD_LOADED__ = true;
+
+  // Let pages such as debug.html detect the extension
+  window.__JEV_EXTENSION_LOADED__ = true;
+
+  document.addEventListener(CONTENT_EVENT, handleContentEvent, true);
+
+  // Listening changes nothing on the page, so errors thrown before the
+  // settings are known are kept; the content script decides what to keep
+  errorCapturer.init({
+    globalEnabled: true,
+    captureConsoleErrors: false,
+    captureNetworkErrors: false,
+    captureCspViolations: false,
+    captureWorkerErrors: false,
+    ignoredPatterns: []
+  });
+  errorCapturer.registerErrorHandler(handleError);
+  errorCapturer.registerRequestHandler(handleRequest);
+
+  // The content script's settings load asynchronously, after the page has
+  // started adding listeners
+  elementIdentifier.setupEventListenerTracking(handleListenerAdded);
+
+  // Tell the content script we are here in case it connected first
+  dispatch(MessageType.HELLO);
+}
+
+/**
+ * Handle an error captured in the page
+ * @param {Object} error - The error object
+ */
+function handleError(error) {
+  post(MessageType.ERROR, {
+    type: error.type,
+    message: error.message,
+    filename: error.filename || null,
+    lineno: error.lineno || null,
+    colno: error.colno || null,
+    name: error.error && error.error.name ? String(error.error.name) : null,
+    stack: error.stack || null,
+    timestamp: error.timestamp,
+    network: error.network || null,
+    csp: error.csp || null,
+    worker: error.worker || null,
+    componentStack: error.componentStack || null,
+    targetHandle: error.eventTarget instanceof Element ? getElementHandle(error.eventTarget) : null
+  });
+}
+
+/**
+ * Handle an event listener added to an element by the page
+ * @param {Function|Object} listener - The listener
+ * @param {Element} element - The element the listener was added to
+ * @param {string} type - The event type
+ * @param {Function} captureStack - Returns the stack at the time of registration
+ */
+function handleListenerAdded(listener, element, type, captureStack) {
+  const listenerName = elementIdentifier.getListenerName(listener);
+
+  // Anonymous listeners can never be matched against a stack frame
+  if (!listenerName) return;
+
+  post(MessageType.LISTENER, {
+    listenerName: listenerName,
+    type: String(type),
+    stack: captureStack(),
+    elementHandle: getElementHandle(element)
+  });
+}
+
+/**
+ * Record a completed request as a breadcrumb
+ * @param {Object} request - The request reported by the error capturer
+ */
+function handleRequest(request) {
+  const outcome = request.status ? request.status : 'failed';
+
+  post(MessageType.BREADCRUMB, createBreadcrumb(
+    BreadcrumbCategory.NETWORK,
+    `${request.method} ${request.url} ${outcome}`,
+    {
+      initiatorType: request.initiatorType,
+      method: request.method,
+      url: request.url,
+      status: request.status,
+      duration: Math.round(request.duration)
+    }
+  ));
+}
+
+/**
+ * Wrap history.pushState and history.replaceState to record navigations
+ * made by single-page apps, which fire no event of their own
+ */
+function overrideHistory() {
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+
+    history[method] = function() {
+      const from = location.href;
+      const result = original.apply(this, arguments);
+      const to = location.href;
+
+      if (to !== from) {
+        post(MessageType.BREADCRUMB, createBreadcrumb(
+          BreadcrumbCategory.NAVIGATION,
+          `Navigated to ${to}`,
+          { from, to, trigger: method }
+        ));
+      }
+
+      return result;
+    };
+  });
+}
+
+/**
+ * Wrap console.warn to record warnings as breadcrumbs
+ */
+function overrideConsoleWarn() {
+  const originalConsoleWarn = console.warn;
+
+  console.warn = function(...args) {
+    originalConsoleWarn.apply(console, args);
+
+    const message = args.map(arg => {
+      if (arg instanceof Error) return arg.message;
+      if (typeof arg !== 'object' || arg === null) return String(arg);
+
+      try {
+        return JSON.stringify(arg);
+      } catch (e) {
+        return String(arg);
+      }
+    }).join(' ');
+
+    post(MessageType.BREADCRUMB, createBreadcrumb(
+      BreadcrumbCategory.CONSOLE,
+      `console.warn: ${message}`,
+      { level: 'warn' }
+    ));
+  };
+}
+
+/**
+ * Handle a message from the content script
+ * @param {CustomEvent} event - The bridge event
+ */
+function handleContentEvent(event) {
+  const message = decodeMessage(event.detail);
+  if (!message) return;
+
+  switch (message.type) {
+    case MessageType.CONNECT:
+      isConnected = true;
+      flushQueue();
+      break;
+
+    case MessageType.CONFIG:
+      applyConfig(message.payload);
+      break;
+
+    case MessageType.RESOLVE_ELEMENT:
+      resolveElement(message.payload.handle);
+      break;
+
+    case MessageType.FIND_COMPONENTS:
+      findComponentElements(message.payload.names).forEach(element => {
+        dispatch(MessageType.COMPONENT_ELEMENT, {}, element);
+      });
+      break;
+
+    case MessageType.GET_COMPONENT_PATH: {
+      // The element in question is the target of the event
+      const target = event.composedPath()[0];
+      const path = target instanceof Element ? getComponentPath(target) : [];
+      dispatch(MessageType.COMPONENT_PATH, { path });
+      break;
+    }
+  }
+}
+
+/**
+ * Install the hooks the content script's settings call for. Hooks stay
+ * installed when a setting is switched off; the content script drops what
+ * they capture instead.
+ * @param {Object} config - The capture settings sent by the content script
+ */
+function applyConfig(config) {
+  if (!config.enabled) return;
+
+  if (config.captureConsoleErrors) {
+    errorCapturer.overrideConsoleError();
+  }
+
+  // Requests are recorded as breadcrumbs from the same wrappers
+  if (config.captureNetworkErrors || config.captureBreadcrumbs) {
+    errorCapturer.overrideNetworkRequests();
+  }
+
+  if (config.captureCspViolations) {
+    errorCapturer.listenForCspViolations();
+  }
+
+  if (config.captureWorkerErrors) {
+    errorCapturer.overrideWorkers();
+  }
+
+  if (config.captureBreadcrumbs && !isBreadcrumbHooksInstalled) {
+    isBreadcrumbHooksInstalled = true;
+    overrideHistory();
+    overrideConsoleWarn();
+  }
+}
+
+/**
+ * Answer an element lookup by dispatching an event on the element itself.
+ * The content script receives it synchronously with the element as target.
+ * @param {number} handle - The element handle
+ */
+function resolveElement(handle) {
+  const ref = elementHandles.get(handle);
+  const element = ref ? ref.deref() : null;
+
+  if (!element) {
+    elementHandles.delete(handle);
+    return;
+  }
+
+  if (!element.isConnected) return;
+
+  dispatch(MessageType.ELEMENT, { handle }, element);
+}
+
+/**
+ * Get the handle for an element, creating one if needed
+ * @param {Element} element - The element
+ * @returns {number} - The element handle
+ */
+function getElementHandle(element) {
+  let handle = handlesByElement.get(element);
+
+  if (!handle) {
+    handle = nextHandle++;
+    handlesByElement.set(element, handle);
+    elementHandles.set(handle, new WeakRef(element));
+  }
+
+  return handle;
+}
+
+/**
+ * Send a message to the content script, queueing it until it connects
+ * @param {string} type - One of MessageType
+ * @param {Object} payload - JSON-safe payload
+ */
+function post(type, payload) {
+  if (isConnected) {
+    dispatch(type, payload);
+    return;
+  }
+
+  messageQueue.push({ type, payload });
+  if (messageQueue.length > MAX_QUEUED_MESSAGES) {
+    // Make room by dropping a breadcrumb or listener rather than an error if possible
+    const index = messageQueue.findIndex(message =>
+      message.type === MessageType.BREADCRUMB || message.type === MessageType.LISTENER);
+    messageQueue.splice(Math.max(index, 0), 1);
+  }
+}
+
+/**
+ * Send all queued messages to the content script
+ */
+function flushQueue() {
+  const queued = messageQueue;
+  messageQueue = [];
+
+  queued.forEach(({ type, payload }) => dispatch(type, payload));
+}
+
+/**
+ * Dispatch a bridge event
+ * @param {string} type - One of MessageType
+ * @param {Object} [payload] - JSON-safe payload
+ * @param {EventTarget} [target] - Where to dispatch the event, defaults to window
+ */
+function dispatch(type, payload, target = window) {
+  target.dispatchEvent(new CustomEvent(PAGE_EVENT, {
+    detail: encodeMessage(type, payload),
+    bubbles: true,
+    composed: true
+  }));
+}
+
+// Initialize the page script
+init();
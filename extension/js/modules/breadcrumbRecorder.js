@@ -0,0 +1,325 @@
+/**
+ * BreadcrumbRecorder Module
+ *
+ * Records what the user and the page did before an error: clicks, input
+ * changes, navigations, network requests, console warnings and changes to
+ * highlighted elements. Breadcrumbs are kept in a fixed-size ring buffer, so
+ * recording costs the same however long the page stays open.
+ *
+ * Clicks, input changes and DOM mutations are seen by the content script
+ * itself; history changes, requests and console warnings can only be seen from
+ * the page's world and arrive over the bridge.
+ */
+
+import { getUniqueSelector } from './errorSerializer.js';
+import { truncateString } from './utils.js';
+
+export const BreadcrumbCategory = {
+  CLICK: 'click',
+  INPUT: 'input',
+  NAVIGATION: 'navigation',
+  NETWORK: 'network',
+  CONSOLE: 'console',
+  MUTATION: 'mutation'
+};
+
+// Input values are never recorded, only that they changed
+export const REDACTED_VALUE = '[redacted]';
+
+const DEFAULT_CAPACITY = 100;
+const MAX_MESSAGE_LENGTH = 200;
+
+// A mutation batch can touch a whole subtree; a few breadcrumbs tell the story
+const MAX_MUTATION_BREADCRUMBS_PER_BATCH = 5;
+
+// The extension's own page UI and highlight classes are not page activity
+const OWN_ELEMENT_TAG_NAME = 'JEV-PAGE-UI';
+const OWN_CLASS_PREFIX = 'jev-';
+
+class BreadcrumbRecorder {
+  /**
+   * @param {Object} [options] - Recorder options
+   * @param {number} [options.capacity] - The number of breadcrumbs to keep
+   */
+  constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+    this.capacity = capacity;
+    this.buffer = [];
+    this.head = 0; // Index of the oldest breadcrumb once the buffer is full
+    this.isEnabled = true;
+    this.isListening = false;
+    this.lastUrl = null;
+    this.mutationObserver = null;
+    this.observedElements = new Set();
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleHistoryEvent = this.handleHistoryEvent.bind(this);
+  }
+
+  /**
+   * Start recording clicks, input changes and history navigation
+   */
+  start() {
+    if (this.isListening) return;
+    this.isListening = true;
+    this.lastUrl = window.location.href;
+
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('change', this.handleChange, true);
+    window.addEventListener('popstate', this.handleHistoryEvent);
+    window.addEventListener('hashchange', this.handleHistoryEvent);
+  }
+
+  /**
+   * Stop recording and forget the watched elements
+   */
+  stop() {
+    if (!this.isListening) return;
+    this.isListening = false;
+
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('change', this.handleChange, true);
+    window.removeEventListener('popstate', this.handleHistoryEvent);
+    window.removeEventListener('hashchange', this.handleHistoryEvent);
+    this.unobserveAll();
+  }
+
+  /**
+   * Enable or disable recording. Disabling also drops what was recorded.
+   * @param {boolean} enabled - Whether breadcrumbs should be recorded
+   */
+  setEnabled(enabled) {
+    this.isEnabled = enabled;
+
+    if (!enabled) {
+      this.clear();
+      this.unobserveAll();
+    }
+  }
+
+  /**
+   * Add a breadcrumb, overwriting the oldest one if the buffer is full
+   * @param {Object} breadcrumb - The breadcrumb, see createBreadcrumb
+   */
+  add(breadcrumb) {
+    if (!this.isEnabled || !breadcrumb) return;
+
+    const entry = createBreadcrumb(breadcrumb.category, breadcrumb.message, breadcrumb.data, breadcrumb.timestamp);
+
+    if (entry.category === BreadcrumbCategory.NAVIGATION && entry.data.to) {
+      this.lastUrl = entry.data.to;
+    }
+
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(entry);
+    } else {
+      this.buffer[this.head] = entry;
+      this.head = (this.head + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get the recorded breadcrumbs, oldest first
+   * @param {Object} [options] - Which breadcrumbs to get
+   * @param {string} [options.before] - Only breadcrumbs recorded at or before this time
+   * @param {number} [options.limit] - Only the most recent this many breadcrumbs
+   * @returns {Array<Object>} - The breadcrumbs
+   */
+  getBreadcrumbs({ before = null, limit = this.capacity } = {}) {
+    const ordered = this.buffer.slice(this.head).concat(this.buffer.slice(0, this.head));
+    const cutoff = before ? Date.parse(before) : NaN;
+    const breadcrumbs = isNaN(cutoff)
+      ? ordered
+      : ordered.filter(breadcrumb => Date.parse(breadcrumb.timestamp) <= cutoff);
+
+    return limit > 0 ? breadcrumbs.slice(-limit) : [];
+  }
+
+  /**
+   * Drop all recorded breadcrumbs
+   */
+  clear() {
+    this.buffer = [];
+    this.head = 0;
+  }
+
+  /**
+   * Record changes to an element and its descendants
+   * @param {Element} element - The element, usually a highlighted one
+   */
+  observe(element) {
+    if (!this.isEnabled || this.observedElements.has(element)) return;
+
+    if (!this.mutationObserver) {
+      this.mutationObserver = new MutationObserver(records => this.handleMutations(records));
+    }
+
+    this.observedElements.add(element);
+    this.mutationObserver.observe(element, {
+      childList: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+      subtree: true
+    });
+  }
+
+  /**
+   * Stop recording changes to all elements
+   */
+  unobserveAll() {
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+    }
+
+    this.observedElements.clear();
+  }
+
+  /**
+   * Record a click
+   * @param {MouseEvent} event - The click event
+   */
+  handleClick(event) {
+    const target = event.target;
+    if (!(target instanceof Element) || target.tagName === OWN_ELEMENT_TAG_NAME) return;
+
+    const selector = getUniqueSelector(target);
+    this.add(createBreadcrumb(BreadcrumbCategory.CLICK, `Clicked ${selector}`, { selector }));
+  }
+
+  /**
+   * Record a changed form field, without its value
+   * @param {Event} event - The change event
+   */
+  handleChange(event) {
+    const target = event.target;
+    if (!(target instanceof Element)) return;
+
+    const selector = getUniqueSelector(target);
+    this.add(createBreadcrumb(BreadcrumbCategory.INPUT, `Changed ${selector}`, {
+      selector,
+      inputType: target.type || target.tagName.toLowerCase(),
+      value: REDACTED_VALUE
+    }));
+  }
+
+  /**
+   * Record a navigation through the browser history or the URL fragment
+   * @param {Event} event - The popstate or hashchange event
+   */
+  handleHistoryEvent(event) {
+    const to = window.location.href;
+
+    // Going back to a fragment fires both popstate and hashchange
+    if (to === this.lastUrl) return;
+
+    this.add(createBreadcrumb(BreadcrumbCategory.NAVIGATION, `Navigated to ${to}`, {
+      from: this.lastUrl,
+      to,
+      trigger: event.type
+    }));
+  }
+
+  /**
+   * Record changes to watched elements, one breadcrumb per changed element
+   * @param {Array<MutationRecord>} records - The mutation records
+   */
+  handleMutations(records) {
+    const changes = new Map(); // Map of element to { added, removed, attributes }
+
+    records.forEach(record => {
+      if (isOwnMutation(record)) return;
+
+      const target = record.target instanceof Element ? record.target : record.target.parentElement;
+      if (!target) return;
+
+      if (!changes.has(target)) {
+        changes.set(target, { added: 0, removed: 0, attributes: new Set(), text: false });
+      }
+
+      const change = changes.get(target);
+      if (record.type === 'childList') {
+        change.added += record.addedNodes.length;
+        change.removed += record.removedNodes.length;
+      } else if (record.type === 'attributes') {
+        change.attributes.add(record.attributeName);
+      } else {
+        change.text = true;
+      }
+    });
+
+    Array.from(changes.entries())
+      .slice(0, MAX_MUTATION_BREADCRUMBS_PER_BATCH)
+      .forEach(([element, change]) => {
+        const selector = getUniqueSelector(element);
+        const data = {
+          selector,
+          added: change.added,
+          removed: change.removed,
+          attributes: Array.from(change.attributes),
+          text: change.text
+        };
+
+        this.add(createBreadcrumb(BreadcrumbCategory.MUTATION, `Changed ${selector}: ${describeMutation(data)}`, data));
+      });
+  }
+}
+
+/**
+ * Create a breadcrumb
+ * @param {string} category - One of BreadcrumbCategory
+ * @param {string} message - What happened, for display
+ * @param {Object} [data] - JSON-safe details
+ * @param {string} [timestamp] - When it happened, defaults to now
+ * @returns {Object} - The breadcrumb
+ */
+export function createBreadcrumb(category, message, data = {}, timestamp = new Date().toISOString()) {
+  return {
+    category: String(category),
+    message: truncateString(String(message || ''), MAX_MESSAGE_LENGTH),
+    data: data || {},
+    timestamp: timestamp
+  };
+}
+
+/**
+ * Summarize an element's changes
+ * @param {Object} data - The mutation breadcrumb's data
+ * @returns {string} - The summary
+ */
+function describeMutation({ added, removed, attributes, text }) {
+  const parts = [];
+
+  if (added) parts.push(`${added} ${added === 1 ? 'node' : 'nodes'} added`);
+  if (removed) parts.push(`${removed} ${removed === 1 ? 'node' : 'nodes'} removed`);
+  if (attributes.length > 0) parts.push(`${attributes.join(', ')} changed`);
+  if (text) parts.push('text changed');
+
+  return parts.join(', ');
+}
+
+/**
+ * Check whether a mutation was made by the extension itself
+ * @param {MutationRecord} record - The mutation record
+ * @returns {boolean} - Whether the mutation is the extension's own
+ */
+function isOwnMutation(record) {
+  if (record.type === 'childList') {
+    const nodes = Array.from(record.addedNodes).concat(Array.from(record.removedNodes));
+    return nodes.length > 0 && nodes.every(node => node.nodeName === OWN_ELEMENT_TAG_NAME);
+  }
+
+  // Inline highlights only add and remove the extension's classes
+  if (record.type === 'attributes' && record.attributeName === 'class') {
+    const withoutOwnClasses = value => (value || '')
+      .split(/\s+/)
+      .filter(className => className && !className.startsWith(OWN_CLASS_PREFIX))
+      .join(' ');
+
+    return withoutOwnClasses(record.oldValue) === withoutOwnClasses(record.target.getAttribute('class'));
+  }
+
+  return false;
+}
+
+export default BreadcrumbRecorder;
@@ -0,0 +1,75 @@
+/**
+ * Bridge Protocol Module
+ *
+ * Shared constants and helpers for the protocol spoken between the main-world
+ * page script and the isolated-world content script. Messages travel as JSON
+ * strings in CustomEvent details so they survive the world boundary in every
+ * browser.
+ */
+
+// Bump whenever a message payload changes shape
+export const BRIDGE_VERSION = 1;
+
+// Identifies our messages among other extensions' events
+export const BRIDGE_SOURCE = 'jev-bridge';
+
+// Event dispatched by the main-world script (page -> content script)
+export const PAGE_EVENT = '__jev_bridge_page__';
+
+// Event dispatched by the content script (content script -> page)
+export const CONTENT_EVENT = '__jev_bridge_content__';
+
+export const MessageType = {
+  // Page -> content script
+  HELLO: 'hello',
+  ERROR: 'error',
+  LISTENER: 'listener',
+  ELEMENT: 'element',
+  COMPONENT_ELEMENT: 'componentElement',
+  COMPONENT_PATH: 'componentPath',
+  BREADCRUMB: 'breadcrumb',
+
+  // Content script -> page
+  CONNECT: 'connect',
+  CONFIG: 'config',
+  RESOLVE_ELEMENT: 'resolveElement',
+  FIND_COMPONENTS: 'findComponents',
+  GET_COMPONENT_PATH: 'getComponentPath'
+};
+
+/**
+ * Encode a bridge message
+ * @param {string} type - One of MessageType
+ * @param {Object} [payload] - JSON-safe payload
+ * @returns {string} - The encoded message
+ */
+export function encodeMessage(type, payload = {}) {
+  return JSON.stringify({
+    source: BRIDGE_SOURCE,
+    version: BRIDGE_VERSION,
+    type: type,
+    payload: payload
+  });
+}
+
+/**
+ * Decode a bridge message
+ * @param {*} detail - The CustomEvent detail
+ * @returns {Object|null} - The decoded message, or null if it is not a
+ *   message for this version of the protocol
+ */
+export function decodeMessage(detail) {
+  if (typeof detail !== 'string') return null;
+
+  try {
+    const message = JSON.parse(detail);
+
+    if (!message || message.source !== BRIDGE_SOURCE || message.version !== BRIDGE_VERSION) {
+      return null;
+    }
+
+    return message;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * ConsumerPool Module
+ *
+ * Keeps parsed source map consumers around so each map is only parsed once.
+ * Consumers are evicted least recently used first once there are too many of
+ * them or their maps take up too much memory. Consumers that are in use when
+ * they are evicted are only freed once they are released.
+ */
+
+const DEFAULT_MAX_ENTRIES = 20;
+const DEFAULT_MAX_SIZE = 64 * 1024 * 1024; // Roughly the size of the raw maps
+
+class ConsumerPool {
+  /**
+   * @param {Object} [options] - Pool limits
+   * @param {number} [options.maxEntries] - The maximum number of consumers
+   * @param {number} [options.maxSize] - The maximum total size of the maps
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxSize = DEFAULT_MAX_SIZE } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+    this.entries = new Map(); // Map of URL to entry, least recently used first
+    this.totalSize = 0;
+    this.users = new Map(); // Map of retained entry to the number of its users
+    this.retired = new Set(); // Evicted entries to free once released
+  }
+
+  /**
+   * Get the entry for a URL and mark it as recently used
+   * @param {string} url - The URL of the generated file
+   * @returns {Object|undefined} - The entry, with `consumer`, `size` and any
+   *   other data it was added with
+   */
+  get(url) {
+    const entry = this.entries.get(url);
+
+    if (entry) {
+      this.entries.delete(url);
+      this.entries.set(url, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Add a consumer, evicting old ones if the pool is over its limits
+   * @param {string} url - The URL of the generated file
+   * @param {Object} entry - The entry
+   * @param {Object} entry.consumer - The source map consumer
+   * @param {number} entry.size - The size of the raw source map
+   */
+  set(url, entry) {
+    this.delete(url);
+
+    this.entries.set(url, entry);
+    this.totalSize += entry.size;
+
+    // Always keep the newest entry, even if it is over the limit by itself
+    for (const oldestUrl of this.entries.keys()) {
+      if (this.entries.size <= 1 || (this.entries.size <= this.maxEntries && this.totalSize <= this.maxSize)) {
+        break;
+      }
+
+      this.delete(oldestUrl);
+    }
+  }
+
+  /**
+   * Mark an entry as in use, so that its consumer is not freed if it is
+   * evicted before it is released
+   * @param {Object} entry - The entry
+   */
+  retain(entry) {
+    this.users.set(entry, (this.users.get(entry) || 0) + 1);
+  }
+
+  /**
+   * Mark an entry as no longer used by one of its users, freeing its
+   * consumer if it was evicted in the meantime
+   * @param {Object} entry - The entry
+   */
+  release(entry) {
+    const users = (this.users.get(entry) || 0) - 1;
+
+    if (users > 0) {
+      this.users.set(entry, users);
+      return;
+    }
+
+    this.users.delete(entry);
+
+    if (this.retired.delete(entry)) {
+      destroyConsumer(entry);
+    }
+  }
+
+  /**
+   * Remove a consumer and free its memory, or once it is released if it is
+   * in use
+   * @param {string} url - The URL of the generated file
+   */
+  delete(url) {
+    const entry = this.entries.get(url);
+    if (!entry) return;
+
+    this.entries.delete(url);
+    this.totalSize -= entry.size;
+
+    if (this.users.has(entry)) {
+      this.retired.add(entry);
+    } else {
+      destroyConsumer(entry);
+    }
+  }
+
+  /**
+   * Remove all consumers
+   */
+  clear() {
+    Array.from(this.entries.keys()).forEach(url => this.delete(url));
+  }
+}
+
+/**
+ * Free the memory of an entry's consumer
+ * @param {Object} entry - The entry
+ */
+function destroyConsumer(entry) {
+  // Consumers backed by WebAssembly must be freed explicitly
+  if (entry.consumer && typeof entry.consumer.destroy === 'function') {
+    entry.consumer.destroy();
+  }
+}
+
+export default ConsumerPool;
@@ -0,0 +1,482 @@
+/**
+ * DomRecorder Module
+ *
+ * Records the page for session replay: a full snapshot of the document
+ * followed by incremental mutation, scroll, input and viewport events. Only a
+ * rolling window is kept. A new snapshot is taken whenever the current one is
+ * older than the window, and older recordings are dropped once a newer
+ * snapshot covers the whole window. An error freezes the recording so the
+ * moments before it can be replayed.
+ *
+ * Nothing is recorded that would run in the replay: scripts, event handler
+ * attributes and refresh directives are dropped, and the text typed into form
+ * fields is masked.
+ */
+
+// Bump whenever the shape of a recording changes
+export const RECORDING_VERSION = 1;
+
+// Replays cover at least this much time before an error
+const WINDOW_MS = 30 * 1000;
+
+// Start a new snapshot early on busy pages, so replays stay small
+const MAX_SEGMENT_EVENTS = 5000;
+
+// Scroll positions are recorded at most this often per scrolled element
+const SCROLL_THROTTLE_MS = 100;
+
+// Stands for the window in scroll events
+export const WINDOW_NODE_ID = 0;
+
+// The extension's own page UI is not part of the page
+const OWN_ELEMENT_TAG_NAME = 'JEV-PAGE-UI';
+
+// Elements that would run, show or do something only in a replay
+const SKIPPED_TAG_NAMES = new Set(['SCRIPT', 'NOSCRIPT', OWN_ELEMENT_TAG_NAME]);
+
+// Attributes holding URLs, made absolute so they load in the replay
+const URL_ATTRIBUTES = new Set(['src', 'href', 'poster', 'action']);
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+class DomRecorder {
+  constructor() {
+    this.segments = []; // [{ snapshot, events }], oldest first
+    this.nodeIds = new WeakMap(); // Map of node to ID
+    this.nextNodeId = 1;
+    this.isRecording = false;
+    this.observer = null;
+    this.pendingScrolls = new Set();
+    this.scrollTimeout = null;
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleInput = this.handleInput.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+  }
+
+  /**
+   * Take a snapshot and start recording changes
+   */
+  start() {
+    if (this.isRecording || !document.documentElement) return;
+    this.isRecording = true;
+
+    this.takeSnapshot();
+
+    this.observer = new MutationObserver(records => this.handleMutations(records));
+    this.observer.observe(document, {
+      childList: true,
+      attributes: true,
+      characterData: true,
+      subtree: true
+    });
+
+    document.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    document.addEventListener('input', this.handleInput, true);
+    document.addEventListener('change', this.handleInput, true);
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  /**
+   * Stop recording and drop the recording
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    this.observer.disconnect();
+    this.observer = null;
+    clearTimeout(this.scrollTimeout);
+    this.pendingScrolls.clear();
+
+    document.removeEventListener('scroll', this.handleScroll, { capture: true });
+    document.removeEventListener('input', this.handleInput, true);
+    document.removeEventListener('change', this.handleInput, true);
+    window.removeEventListener('resize', this.handleResize);
+
+    this.segments = [];
+  }
+
+  /**
+   * Copy the recording of the current window, e.g. when an error happens
+   * @returns {Object|null} - The recording, with the `snapshot` to start from
+   *   and the `events` after it, or null if nothing is being recorded
+   */
+  freeze() {
+    if (!this.isRecording || this.segments.length === 0) return null;
+
+    // Flush scrolls that are waiting out the throttle
+    this.recordPendingScrolls();
+
+    const [first] = this.segments;
+
+    return {
+      version: RECORDING_VERSION,
+      url: window.location.href,
+      startedAt: first.snapshot.timestamp,
+      frozenAt: Date.now(),
+      snapshot: first.snapshot,
+      events: this.segments.flatMap(segment => segment.events)
+    };
+  }
+
+  /**
+   * Get the ID an element or other node is recorded under
+   * @param {Node} node - The node
+   * @returns {number|null} - The node ID, or null if the node was not recorded
+   */
+  getNodeId(node) {
+    return this.nodeIds.get(node) || null;
+  }
+
+  /**
+   * Start a new segment with a snapshot of the whole document, and drop
+   * segments the new one makes unnecessary
+   */
+  takeSnapshot() {
+    const timestamp = Date.now();
+
+    this.segments.push({
+      snapshot: {
+        timestamp,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        scroll: { x: window.scrollX, y: window.scrollY },
+        root: this.serializeNode(document.documentElement, new Set(), true)
+      },
+      events: []
+    });
+
+    // Keep the newest segment that starts at or before the window
+    while (this.segments.length > 1 && this.segments[1].snapshot.timestamp <= timestamp - WINDOW_MS) {
+      this.segments.shift();
+    }
+  }
+
+  /**
+   * Add an event to the current segment, starting a new segment first when
+   * the current one is too old or too long
+   * @param {Object} event - The event, without its time
+   */
+  addEvent(event) {
+    let segment = this.segments[this.segments.length - 1];
+
+    if (Date.now() - segment.snapshot.timestamp >= WINDOW_MS || segment.events.length >= MAX_SEGMENT_EVENTS) {
+      this.takeSnapshot();
+      segment = this.segments[this.segments.length - 1];
+    }
+
+    segment.events.push({ t: Date.now(), ...event });
+  }
+
+  /**
+   * Record a batch of mutations as one event with an operation per change
+   * @param {Array<MutationRecord>} records - The mutation records
+   */
+  handleMutations(records) {
+    const operations = [];
+    const serialized = new Set(); // Nodes already sent with this batch
+
+    records.forEach(record => {
+      const targetId = this.getNodeId(record.target);
+      if (!targetId) return;
+
+      if (record.type === 'childList') {
+        record.removedNodes.forEach(node => {
+          const id = this.getNodeId(node);
+          if (id) operations.push({ op: 'remove', id });
+        });
+
+        record.addedNodes.forEach(node => {
+          // Added nodes are recorded as they are now, so nodes that moved
+          // on or were added with an ancestor need no record of their own
+          if (serialized.has(node) || node.parentNode !== record.target || !node.isConnected) return;
+
+          const data = this.serializeNode(node, serialized);
+          if (!data) return;
+
+          operations.push({
+            op: 'add',
+            parentId: targetId,
+            nextId: this.getNextSiblingId(node),
+            node: data
+          });
+        });
+      } else if (record.type === 'attributes') {
+        if (!(record.target instanceof Element)) return;
+
+        const { attributeName } = record;
+        const value = record.target.getAttribute(attributeName);
+        operations.push({
+          op: 'attribute',
+          id: targetId,
+          name: attributeName,
+          value: value === null ? null : sanitizeAttribute(record.target, attributeName, value)
+        });
+      } else if (record.type === 'characterData') {
+        operations.push({ op: 'text', id: targetId, text: getNodeText(record.target) });
+      }
+    });
+
+    if (operations.length > 0) {
+      this.addEvent({ type: 'mutation', operations });
+    }
+  }
+
+  /**
+   * Record scroll positions, at most once per throttle period per element
+   * @param {Event} event - The scroll event
+   */
+  handleScroll(event) {
+    this.pendingScrolls.add(event.target);
+
+    if (!this.scrollTimeout) {
+      this.scrollTimeout = setTimeout(() => this.recordPendingScrolls(), SCROLL_THROTTLE_MS);
+    }
+  }
+
+  /**
+   * Record the positions of elements scrolled since the last recording
+   */
+  recordPendingScrolls() {
+    clearTimeout(this.scrollTimeout);
+    this.scrollTimeout = null;
+
+    this.pendingScrolls.forEach(target => {
+      if (target === document || target === document.documentElement || target === document.scrollingElement) {
+        this.addEvent({ type: 'scroll', id: WINDOW_NODE_ID, x: window.scrollX, y: window.scrollY });
+        return;
+      }
+
+      const id = this.getNodeId(target);
+      if (id) {
+        this.addEvent({ type: 'scroll', id, x: target.scrollLeft, y: target.scrollTop });
+      }
+    });
+
+    this.pendingScrolls.clear();
+  }
+
+  /**
+   * Record the (masked) state of a form field
+   * @param {Event} event - The input or change event
+   */
+  handleInput(event) {
+    const id = this.getNodeId(event.target);
+    if (!id) return;
+
+    const state = getFieldState(event.target);
+    if (state) {
+      this.addEvent({ type: 'input', id, ...state });
+    }
+  }
+
+  /**
+   * Record the new size of the viewport
+   */
+  handleResize() {
+    this.addEvent({ type: 'viewport', width: window.innerWidth, height: window.innerHeight });
+  }
+
+  /**
+   * Serialize a node and its descendants, giving each an ID
+   * @param {Node} node - The node
+   * @param {Set<Node>} serialized - Collects the serialized nodes
+   * @param {boolean} [isSnapshot] - Whether a full snapshot is being taken
+   * @returns {Object|null} - The serialized node, or null if it is not recorded
+   */
+  serializeNode(node, serialized, isSnapshot = false) {
+    let data;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      data = { type: 'text', text: getNodeText(node) };
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      if (isSkippedElement(node)) return null;
+
+      data = serializeElement(node, isSnapshot);
+      data.children = Array.from(node.childNodes)
+        .map(child => this.serializeNode(child, serialized, isSnapshot))
+        .filter(Boolean);
+    } else {
+      // Comments, processing instructions and the like do not show
+      return null;
+    }
+
+    if (!this.nodeIds.has(node)) {
+      this.nodeIds.set(node, this.nextNodeId++);
+    }
+
+    data.id = this.nodeIds.get(node);
+    serialized.add(node);
+
+    return data;
+  }
+
+  /**
+   * Get the ID of the next recorded sibling of a node
+   * @param {Node} node - The node
+   * @returns {number|null} - The sibling's ID, or null to append
+   */
+  getNextSiblingId(node) {
+    for (let sibling = node.nextSibling; sibling; sibling = sibling.nextSibling) {
+      const id = this.getNodeId(sibling);
+      if (id) return id;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Check whether an element is left out of recordings
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether the element is skipped
+ */
+function isSkippedElement(element) {
+  const tagName = element.tagName.toUpperCase();
+
+  // A refresh directive would navigate the replay away
+  return SKIPPED_TAG_NAMES.has(tagName) || (tagName === 'META' && element.hasAttribute('http-equiv'));
+}
+
+/**
+ * Serialize an element without its children
+ * @param {Element} element - The element
+ * @param {boolean} isSnapshot - Whether a full snapshot is being taken
+ * @returns {Object} - The serialized element
+ */
+function serializeElement(element, isSnapshot) {
+  const data = {
+    type: 'element',
+    tagName: element.tagName.toLowerCase(),
+    attributes: {}
+  };
+
+  if (element.namespaceURI === SVG_NAMESPACE) {
+    data.isSvg = true;
+  }
+
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    const sanitized = sanitizeAttribute(element, name, value);
+    if (sanitized !== null) {
+      data.attributes[name] = sanitized;
+    }
+  });
+
+  const state = getFieldState(element);
+  if (state) {
+    data.state = state;
+  }
+
+  // Rules added through the CSS object model never show in the markup
+  if (isSnapshot && data.tagName === 'style' && !element.textContent.trim()) {
+    const cssText = getStyleSheetText(element.sheet);
+    if (cssText) data.cssText = cssText;
+  }
+
+  return data;
+}
+
+/**
+ * Make an attribute safe and self-contained for a replay
+ * @param {Element} element - The element
+ * @param {string} name - The attribute name
+ * @param {string} value - The attribute value
+ * @returns {string|null} - The value to record, or null to drop the attribute
+ */
+function sanitizeAttribute(element, name, value) {
+  const lowerName = name.toLowerCase();
+
+  // Event handlers and sources the replay cannot show
+  if (lowerName.startsWith('on') || lowerName === 'srcset' || lowerName === 'srcdoc') {
+    return null;
+  }
+
+  if (lowerName === 'value' && isMaskedField(element)) {
+    return maskText(value);
+  }
+
+  if (URL_ATTRIBUTES.has(lowerName)) {
+    // Frames would load whole pages into the replay
+    if (element.tagName.toUpperCase() === 'IFRAME') return null;
+
+    try {
+      const url = new URL(value, document.baseURI);
+      return url.protocol === 'javascript:' ? null : url.href;
+    } catch (e) {
+      return value;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Get the text of a text node, masked inside text areas
+ * @param {Node} node - The text node
+ * @returns {string} - The text to record
+ */
+function getNodeText(node) {
+  const parent = node.parentNode;
+
+  return parent && parent.nodeName === 'TEXTAREA' ? maskText(node.textContent) : node.textContent;
+}
+
+/**
+ * Get the current state of a form field, with typed text masked
+ * @param {Element} element - The element
+ * @returns {Object|null} - The field's `value`, `checked` or `selectedIndex`,
+ *   or null if the element is not a form field
+ */
+function getFieldState(element) {
+  const tagName = element.tagName ? element.tagName.toUpperCase() : '';
+
+  if (tagName === 'SELECT') {
+    return { selectedIndex: element.selectedIndex };
+  }
+
+  if (tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) {
+    return { checked: element.checked };
+  }
+
+  if (isMaskedField(element)) {
+    return { value: maskText(element.value) };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an element holds text typed by the user
+ * @param {Element} element - The element
+ * @returns {boolean} - Whether its value is masked
+ */
+function isMaskedField(element) {
+  const tagName = element.tagName ? element.tagName.toUpperCase() : '';
+
+  return tagName === 'TEXTAREA' ||
+    (tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset', 'image'].includes(element.type));
+}
+
+/**
+ * Mask text, keeping its length so the layout stays the same
+ * @param {string} text - The text
+ * @returns {string} - The masked text
+ */
+function maskText(text) {
+  return (text || '').replace(/[^\s]/g, '*');
+}
+
+/**
+ * Get the text of a style sheet's rules
+ * @param {CSSStyleSheet} sheet - The style sheet
+ * @returns {string} - The rules, or an empty string if they cannot be read
+ */
+function getStyleSheetText(sheet) {
+  try {
+    return sheet ? Array.from(sheet.cssRules, rule => rule.cssText).join('\n') : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+export default DomRecorder;
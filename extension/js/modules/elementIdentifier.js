@@ -5,20 +5,70 @@
  * using various heuristics.
  */
 
+import { parseStack, getFrameFunctionNames } from './stackParser.js';
+import { parseComponentStack } from './frameworkAdapters.js';
+
+// Number of component names looked up for one error
+const MAX_COMPONENT_CANDIDATES = 10;
+
+// Registrations tracked per listener; a listener added to more elements than
+// this is no help in telling which of them an error came from
+const MAX_REGISTRATIONS_PER_LISTENER = 50;
+
+// Registrations kept in the registry in total
+const MAX_REGISTRATIONS = 5000;
+
 class ElementIdentifier {
   constructor() {
+    // Map of listener name to the registrations made with it
     this.eventListenerRegistry = new Map();
-    this.setupEventListenerTracking();
+    this.registrationCount = 0;
+    
+    // Looks up framework components, see setComponentResolver
+    this.componentResolver = null;
+  }
+
+  /**
+   * Set the object used to look up framework components. Component trees are
+   * only visible from the page's main world, so from the content script this
+   * is the page bridge.
+   * @param {Object} resolver - The resolver
+   * @param {Function} resolver.findComponentElements - Returns the root elements
+   *   of the first of the given component names found on the page
+   * @param {Function} resolver.getComponentPath - Returns the names of the
+   *   components an element is rendered by, outermost first
+   */
+  setComponentResolver(resolver) {
+    this.componentResolver = resolver;
   }
 
   /**
    * Set up tracking for event listeners to help identify elements
-   * associated with errors
+   * associated with errors. This patches EventTarget in the world it runs
+   * in, so it must run in the page's main world to see the page's listeners.
+   * @param {Function} [onRegister] - Called with (listener, element, type,
+   *   captureStack) for listeners added to an element, up to
+   *   MAX_REGISTRATIONS_PER_LISTENER elements per listener. captureStack
+   *   returns the stack of the registration and may only be called from
+   *   onRegister itself. Defaults to recording the registration in this
+   *   instance's registry.
    */
-  setupEventListenerTracking() {
+  setupEventListenerTracking(onRegister) {
     // Store original addEventListener
     const originalAddEventListener = EventTarget.prototype.addEventListener;
-    const registry = this.eventListenerRegistry;
+    const self = this;
+    const registrationCounts = new WeakMap(); // Map of listener to the number of elements it was added to
+    const callback = onRegister || ((listener, element, type, captureStack) => {
+      const listenerName = self.getListenerName(listener);
+      if (!listenerName) return;
+      
+      self.recordEventListener({
+        listenerName: listenerName,
+        getElement: () => element,
+        type: type,
+        stack: captureStack()
+      });
+    });
     
     // Override addEventListener to track event listeners
     EventTarget.prototype.addEventListener = function(type, listener, options) {
@@ -27,20 +77,15 @@ class ElementIdentifier {
       
       try {
         // Only track if this is a DOM element
-        if (this instanceof Element) {
-          // Get the stack trace to find where the event listener was added
-          const stack = new Error().stack;
+        const isTrackable = (typeof listener === 'function' || (listener && typeof listener === 'object')) &&
+          this instanceof Element;
+        const count = isTrackable ? registrationCounts.get(listener) || 0 : 0;
+        
+        if (isTrackable && count < MAX_REGISTRATIONS_PER_LISTENER) {
+          registrationCounts.set(listener, count + 1);
           
-          // Store in registry
-          if (!registry.has(listener)) {
-            registry.set(listener, []);
-          }
-          
-          registry.get(listener).push({
-            element: this,
-            type: type,
-            stack: stack
-          });
+          // The stack is only captured for registrations that are kept
+          callback(listener, this, type, () => new Error().stack);
         }
       } catch (e) {
         console.error('Error tracking event listener:', e);
@@ -50,6 +95,68 @@ class ElementIdentifier {
     };
   }
 
+  /**
+   * Record an event listener registration
+   * @param {Object} registration - The registration
+   * @param {string} registration.listenerName - The name of the listener function
+   * @param {Function} registration.getElement - Returns the element the listener
+   *   was added to, or null if it is no longer available
+   * @param {string} registration.type - The event type
+   * @param {string} registration.stack - The stack at the time of registration
+   */
+  recordEventListener(registration) {
+    if (!registration || !registration.listenerName) return;
+    
+    if (!this.eventListenerRegistry.has(registration.listenerName)) {
+      this.eventListenerRegistry.set(registration.listenerName, []);
+    }
+    
+    const registrations = this.eventListenerRegistry.get(registration.listenerName);
+    registrations.push(registration);
+    this.registrationCount++;
+    
+    // Keep the most recent registrations, which are the likeliest to still
+    // be on the page
+    if (registrations.length > MAX_REGISTRATIONS_PER_LISTENER) {
+      registrations.shift();
+      this.registrationCount--;
+    }
+    
+    if (this.registrationCount > MAX_REGISTRATIONS) {
+      this.removeOldestRegistration();
+    }
+  }
+
+  /**
+   * Remove a registration of the listener name that was tracked first
+   */
+  removeOldestRegistration() {
+    const [listenerName, registrations] = this.eventListenerRegistry.entries().next().value;
+    
+    registrations.shift();
+    this.registrationCount--;
+    
+    if (registrations.length === 0) {
+      this.eventListenerRegistry.delete(listenerName);
+    }
+  }
+
+  /**
+   * Get the name of an event listener
+   * @param {Function|Object} listener - The listener function or EventListener object
+   * @returns {string} - The listener name, or an empty string if it is anonymous
+   */
+  getListenerName(listener) {
+    const fn = typeof listener === 'function' ? listener : listener && listener.handleEvent;
+    if (typeof fn !== 'function') return '';
+    
+    try {
+      return fn.name || fn.toString().match(/function\s*([^(]*)/)?.[1]?.trim() || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
   /**
    * Identify DOM elements associated with an error
    * @param {Object} error - The error object
@@ -63,6 +170,8 @@ class ElementIdentifier {
     // Try different heuristics to identify elements
     this.findElementsFromEventListeners(error, elements);
     this.findElementsFromEventTarget(error, elements);
+    this.findElementsFromCspViolation(error, elements);
+    this.findElementsFromComponents(error, elements);
     this.findElementsFromStackTrace(error, elements);
     
     return Array.from(elements);
@@ -74,24 +183,21 @@ class ElementIdentifier {
    * @param {Set<Element>} elements - Set to add found elements to
    */
   findElementsFromEventListeners(error, elements) {
-    if (!error.stack) return;
-    
-    // Extract function names from the stack trace
-    const functionNames = this.extractFunctionNamesFromStack(error.stack);
+    const functionNames = this.getFunctionNames(error);
+    if (functionNames.length === 0) return;
     
     // Check if any of these functions are event listeners
-    for (const [listener, registrations] of this.eventListenerRegistry.entries()) {
-      // Try to get the function name
-      const listenerName = listener.name || listener.toString().match(/function\s*([^(]*)/)?.[1]?.trim();
+    for (const functionName of new Set(functionNames)) {
+      const registrations = this.eventListenerRegistry.get(functionName);
+      if (!registrations) continue;
       
-      if (listenerName && functionNames.includes(listenerName)) {
-        // This listener might be related to the error
-        registrations.forEach(reg => {
-          if (reg.element && document.contains(reg.element)) {
-            elements.add(reg.element);
-          }
-        });
-      }
+      // This listener might be related to the error
+      registrations.forEach(reg => {
+        const element = reg.getElement();
+        if (element && document.contains(element)) {
+          elements.add(element);
+        }
+      });
     }
   }
 
@@ -106,6 +212,131 @@ class ElementIdentifier {
     }
   }
 
+  /**
+   * Find the elements that caused a Content Security Policy violation: the
+   * inline script or style that was blocked, or the elements loading the
+   * blocked URL
+   * @param {Object} error - The error object
+   * @param {Set<Element>} elements - Set to add found elements to
+   */
+  findElementsFromCspViolation(error, elements) {
+    if (!error.csp) return;
+    
+    const { effectiveDirective, violatedDirective, blockedURI, sample } = error.csp;
+    const directive = effectiveDirective || violatedDirective || '';
+    
+    if (blockedURI === 'inline') {
+      const kind = directive.startsWith('style') ? 'style' : 'script';
+      
+      if (directive.endsWith('-attr')) {
+        // Inline event handlers and style attributes
+        const attributeNames = kind === 'style' ? ['style'] : getEventHandlerAttributeNames();
+        const trimmedSample = sample ? sample.trim() : '';
+        
+        const selector = attributeNames.map(name => `[${name}]`).join(', ');
+        const candidates = Array.from(document.querySelectorAll(selector));
+        
+        // The sample is the start of the attribute value; without one, only a
+        // single candidate can be attributed
+        const matching = trimmedSample
+          ? candidates.filter(el => attributeNames.some(name =>
+            el.hasAttribute(name) && el.getAttribute(name).trim().startsWith(trimmedSample)
+          ))
+          : candidates.length === 1 ? candidates : [];
+        
+        matching.forEach(el => elements.add(el));
+        return;
+      }
+      
+      const inlineElements = Array.from(document.querySelectorAll(kind === 'style' ? 'style' : 'script:not([src])'));
+      
+      // Without a sample we can only tell which element it was if there is one
+      const matching = sample
+        ? inlineElements.filter(el => el.textContent.trim().startsWith(sample.trim()))
+        : inlineElements.length === 1 ? inlineElements : [];
+      
+      matching.forEach(el => elements.add(el));
+      return;
+    }
+    
+    // "eval", "wasm-eval" and similar are not tied to an element
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(blockedURI || '')) return;
+    
+    const blockedUrl = toAbsoluteUrl(blockedURI);
+    if (!blockedUrl) return;
+    
+    // Blocked URLs of cross-origin redirects are reported as the origin only
+    const isOriginOnly = blockedUrl.pathname === '/' && !/\/\/[^/]+\/./.test(blockedURI);
+    
+    document.querySelectorAll('[src], [href], [data], [poster], [action]').forEach(el => {
+      const urls = ['src', 'href', 'data', 'poster', 'action']
+        .map(name => toAbsoluteUrl(el.getAttribute(name)))
+        .filter(Boolean);
+      
+      const isMatch = urls.some(url => isOriginOnly
+        ? url.origin === blockedUrl.origin
+        : url.href === blockedUrl.href);
+      
+      if (isMatch) {
+        elements.add(el);
+      }
+    });
+  }
+
+  /**
+   * Find the elements rendered by the innermost framework component involved
+   * in the error, taken from a React component stack or the (mapped) stack
+   * @param {Object} error - The error object
+   * @param {Set<Element>} elements - Set to add found elements to
+   */
+  findElementsFromComponents(error, elements) {
+    if (!this.componentResolver) return;
+    
+    const names = this.getComponentNames(error);
+    if (names.length === 0) return;
+    
+    this.componentResolver.findComponentElements(names).forEach(el => {
+      if (document.contains(el)) {
+        elements.add(el);
+      }
+    });
+  }
+
+  /**
+   * Get the path of framework components involved in an error
+   * @param {Object} error - The error object
+   * @param {Array<Element>} elements - The elements identified for the error
+   * @returns {Array<string>} - The component names, outermost first
+   */
+  getComponentPath(error, elements) {
+    // A React component stack is exact, unlike a guess from the elements
+    const componentStack = parseComponentStack(error.componentStack);
+    if (componentStack.length > 0) {
+      return componentStack.reverse();
+    }
+    
+    if (!this.componentResolver || !elements || elements.length === 0) return [];
+    
+    return this.componentResolver.getComponentPath(elements[0]);
+  }
+
+  /**
+   * Get the names of components that may have caused an error, most
+   * specific first
+   * @param {Object} error - The error object
+   * @returns {Array<string>} - The component names
+   */
+  getComponentNames(error) {
+    const names = parseComponentStack(error.componentStack);
+    
+    // Components are named in PascalCase, unlike most other functions
+    this.getFunctionNames(error)
+      .filter(name => /^[A-Z][A-Za-z0-9_$]*$/.test(name))
+      .forEach(name => names.push(name));
+    
+    return Array.from(new Set(names)).slice(0, MAX_COMPONENT_CANDIDATES);
+  }
+
   /**
    * Find elements by analyzing the stack trace for references to DOM elements
    * @param {Object} error - The error object
@@ -193,24 +424,26 @@ class ElementIdentifier {
     }
   }
 
+  /**
+   * Get the function names in an error's stack, both as they ran and as
+   * they are called in the original source
+   * @param {Object} error - The error object
+   * @returns {Array<string>} - Array of function names
+   */
+  getFunctionNames(error) {
+    const frames = (error.frames || parseStack(error.stack))
+      .concat(error.mappedFrames || []);
+    
+    return frames.flatMap(frame => getFrameFunctionNames(frame));
+  }
+
   /**
    * Extract function names from a stack trace
    * @param {string} stack - The stack trace
    * @returns {Array<string>} - Array of function names
    */
   extractFunctionNamesFromStack(stack) {
-    const functionNames = [];
-    const lines = stack.split('\n');
-    
-    for (const line of lines) {
-      // Match "at functionName (" pattern
-      const match = line.match(/at\s+([^\s(]+)\s*\(/);
-      if (match && match[1] !== 'new' && match[1] !== 'async') {
-        functionNames.push(match[1]);
-      }
-    }
-    
-    return functionNames;
+    return parseStack(stack).flatMap(frame => getFrameFunctionNames(frame));
   }
 
   /**
@@ -218,6 +451,42 @@ class ElementIdentifier {
    */
   clearRegistry() {
     this.eventListenerRegistry.clear();
+    this.registrationCount = 0;
+  }
+}
+
+// The inline event handler attributes, such as "onclick", found on first use
+let eventHandlerAttributeNames = null;
+
+/**
+ * Get the names of the inline event handler attributes elements can have
+ * @returns {Array<string>} - The attribute names
+ */
+function getEventHandlerAttributeNames() {
+  if (!eventHandlerAttributeNames) {
+    const names = new Set();
+    for (const name in HTMLElement.prototype) {
+      if (name.startsWith('on')) names.add(name);
+    }
+    eventHandlerAttributeNames = Array.from(names);
+  }
+  
+  return eventHandlerAttributeNames;
+}
+
+/**
+ * Resolve a URL against the document
+ * @param {string} url - The URL
+ * @returns {URL|null} - The absolute URL, or null if it is not a network URL
+ */
+function toAbsoluteUrl(url) {
+  if (!url) return null;
+  
+  try {
+    const absolute = new URL(url, document.baseURI);
+    return /^(https?|wss?):$/.test(absolute.protocol) ? absolute : null;
+  } catch (e) {
+    return null;
   }
 }
 
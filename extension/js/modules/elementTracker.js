@@ -0,0 +1,262 @@
+/**
+ * ElementTracker Module
+ *
+ * Keeps track of highlighted elements across re-renders. Frameworks such as
+ * React and Vue often replace a DOM node with an equivalent new one; the
+ * tracker remembers how to find each element again and reports the
+ * replacement, or reports the element as lost when it is really gone.
+ */
+
+import { getUniqueSelector } from './errorSerializer.js';
+
+// Attributes that tests and tooling use to name elements stably
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy'];
+
+const MAX_TEXT_SIGNATURE_LENGTH = 100;
+
+// Wait for re-renders to settle before looking for replacements
+const CHECK_DELAY_MS = 100;
+
+// How much each matching part of a locator counts towards a match
+const MATCH_SCORES = {
+  testId: 4,
+  id: 3,
+  selector: 2,
+  text: 2,
+  structure: 2
+};
+const MIN_MATCH_SCORE = 4;
+
+class ElementTracker {
+  /**
+   * @param {Object} callbacks - Called when tracked elements change
+   * @param {Function} callbacks.onReplaced - Called with (oldElement, newElement)
+   *   when an element was replaced by an equivalent one
+   * @param {Function} callbacks.onLost - Called with (element) when an element
+   *   is gone and no replacement can be found
+   */
+  constructor({ onReplaced, onLost }) {
+    this.onReplaced = onReplaced;
+    this.onLost = onLost;
+    this.locators = new Map(); // Map of element to { locator, isLost }
+    this.observer = null;
+    this.checkTimeout = null;
+  }
+
+  /**
+   * Start tracking an element
+   * @param {Element} element - The element
+   */
+  track(element) {
+    if (this.locators.has(element)) return;
+
+    this.locators.set(element, { locator: createLocator(element), isLost: false });
+    this.observe();
+  }
+
+  /**
+   * Stop tracking an element
+   * @param {Element} element - The element
+   */
+  untrack(element) {
+    this.locators.delete(element);
+
+    if (this.locators.size === 0) {
+      this.disconnect();
+    }
+  }
+
+  /**
+   * Stop tracking all elements
+   */
+  clear() {
+    this.locators.clear();
+    this.disconnect();
+  }
+
+  /**
+   * Watch the document for changes while there are elements to track
+   */
+  observe() {
+    if (this.observer || !document.documentElement) return;
+
+    this.observer = new MutationObserver(mutations => {
+      if (mutations.some(mutation => mutation.removedNodes.length > 0 || mutation.addedNodes.length > 0)) {
+        this.scheduleCheck();
+      }
+    });
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  /**
+   * Stop watching the document
+   */
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+  }
+
+  /**
+   * Check the tracked elements once the document has stopped changing
+   */
+  scheduleCheck() {
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = setTimeout(() => {
+      this.checkTimeout = null;
+      this.check();
+    }, CHECK_DELAY_MS);
+  }
+
+  /**
+   * Look for replacements of tracked elements that left the document. Lost
+   * elements are checked again on later changes, since a re-render may bring
+   * them back.
+   */
+  check() {
+    const claimed = new Set(Array.from(this.locators.keys()).filter(element => element.isConnected));
+
+    Array.from(this.locators.entries()).forEach(([element, entry]) => {
+      if (element.isConnected) return;
+
+      const replacement = findElement(entry.locator, claimed);
+
+      if (replacement) {
+        claimed.add(replacement);
+        this.locators.delete(element);
+        this.locators.set(replacement, { locator: createLocator(replacement), isLost: false });
+        this.onReplaced(element, replacement);
+      } else if (!entry.isLost) {
+        entry.isLost = true;
+        this.onLost(element);
+      }
+    });
+  }
+}
+
+/**
+ * Create a locator that can find an element, or its replacement, again
+ * @param {Element} element - The element
+ * @returns {Object} - The locator
+ */
+export function createLocator(element) {
+  const testIdAttribute = TEST_ID_ATTRIBUTES.find(name => element.hasAttribute(name));
+
+  return {
+    tagName: element.tagName.toLowerCase(),
+    selector: getUniqueSelector(element),
+    testId: testIdAttribute ? { name: testIdAttribute, value: element.getAttribute(testIdAttribute) } : null,
+    id: element.id || null,
+    text: getTextSignature(element),
+    structure: getStructureSignature(element)
+  };
+}
+
+/**
+ * Find the element that best matches a locator
+ * @param {Object} locator - The locator
+ * @param {Set<Element>} [exclude] - Elements that cannot be the match
+ * @returns {Element|null} - The element, or null if there is no single best match
+ */
+export function findElement(locator, exclude = new Set()) {
+  const candidates = Array.from(document.getElementsByTagName(locator.tagName))
+    .filter(element => !exclude.has(element));
+
+  let bestScore = 0;
+  let bestMatches = [];
+
+  candidates.forEach(element => {
+    const score = getMatchScore(locator, element);
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatches = [element];
+    } else if (score === bestScore) {
+      bestMatches.push(element);
+    }
+  });
+
+  // Several equally good matches, such as identical list items, are ambiguous
+  return bestScore >= MIN_MATCH_SCORE && bestMatches.length === 1 ? bestMatches[0] : null;
+}
+
+/**
+ * Score how well an element matches a locator
+ * @param {Object} locator - The locator
+ * @param {Element} element - The candidate element
+ * @returns {number} - The score
+ */
+function getMatchScore(locator, element) {
+  let score = 0;
+
+  if (locator.testId && element.getAttribute(locator.testId.name) === locator.testId.value) {
+    score += MATCH_SCORES.testId;
+  }
+
+  if (locator.id && element.id === locator.id) {
+    score += MATCH_SCORES.id;
+  }
+
+  if (matchesSelector(element, locator.selector)) {
+    score += MATCH_SCORES.selector;
+  }
+
+  if (locator.text && getTextSignature(element) === locator.text) {
+    score += MATCH_SCORES.text;
+  }
+
+  if (getStructureSignature(element) === locator.structure) {
+    score += MATCH_SCORES.structure;
+  }
+
+  return score;
+}
+
+/**
+ * Check whether an element matches a selector
+ * @param {Element} element - The element
+ * @param {string} selector - The selector
+ * @returns {boolean} - Whether it matches
+ */
+function matchesSelector(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get the normalized start of an element's text
+ * @param {Element} element - The element
+ * @returns {string} - The text signature
+ */
+function getTextSignature(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_SIGNATURE_LENGTH);
+}
+
+/**
+ * Get a signature of an element's classes, children and ancestors
+ * @param {Element} element - The element
+ * @returns {string} - The structure signature
+ */
+function getStructureSignature(element) {
+  const classes = Array.from(element.classList)
+    .filter(className => !className.startsWith('jev-'))
+    .sort()
+    .join('.');
+  const children = Array.from(element.children).map(child => child.tagName.toLowerCase()).join(',');
+
+  const ancestors = [];
+  for (let parent = element.parentElement; parent && ancestors.length < 3; parent = parent.parentElement) {
+    ancestors.push(parent.tagName.toLowerCase());
+  }
+
+  return `${ancestors.reverse().join('>')}>${element.tagName.toLowerCase()}.${classes}[${children}]`;
+}
+
+export default ElementTracker;
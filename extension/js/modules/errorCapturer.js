@@ -5,12 +5,37 @@
  * on the current page.
  */
 
+import { MessageType } from './bridgeProtocol.js';
+import { truncateString } from './utils.js';
+import { isComponentStack } from './frameworkAdapters.js';
+
+// Maximum length of the response body kept for failed requests
+const MAX_RESPONSE_SNIPPET_LENGTH = 500;
+
+// Service workers whose installation is already watched
+const watchedServiceWorkers = new WeakSet();
+
 class ErrorCapturer {
   constructor(settings) {
     this.settings = settings;
     this.errorHandlers = [];
+    this.requestHandlers = [];
     this.isEnabled = true;
     this.ignoredPatterns = [];
+    this.bridge = null;
+    this.isConsoleOverridden = false;
+    this.isNetworkOverridden = false;
+    this.isWorkersOverridden = false;
+    this.isListeningForCspViolations = false;
+  }
+
+  /**
+   * Receive errors from the main-world page script instead of listening in
+   * the current world. Must be called before init.
+   * @param {PageBridge} bridge - The bridge to the page script
+   */
+  setBridge(bridge) {
+    this.bridge = bridge;
   }
 
   /**
@@ -31,6 +56,15 @@ class ErrorCapturer {
    * Set up all error listeners
    */
   setupErrorListeners() {
+    // The page script owns the real listeners when a bridge is attached
+    if (this.bridge) {
+      this.bridge.on(MessageType.ERROR, this.handleBridgeError.bind(this));
+      // A page script that loads after us missed the config
+      this.bridge.on(MessageType.HELLO, () => this.sendBridgeConfig());
+      this.sendBridgeConfig();
+      return;
+    }
+    
     // Uncaught exceptions
     window.addEventListener('error', this.handleRuntimeError.bind(this), true);
     
@@ -41,6 +75,32 @@ class ErrorCapturer {
     if (this.settings && this.settings.captureConsoleErrors) {
       this.overrideConsoleError();
     }
+    
+    // Optionally capture Content Security Policy violations
+    if (this.settings && this.settings.captureCspViolations) {
+      this.listenForCspViolations();
+    }
+    
+    // Optionally capture failed fetch and XMLHttpRequest requests
+    if (this.settings && this.settings.captureNetworkErrors) {
+      this.overrideNetworkRequests();
+    }
+    
+    // Optionally capture errors of the page's workers
+    if (this.settings && this.settings.captureWorkerErrors) {
+      this.overrideWorkers();
+    }
+  }
+
+  /**
+   * Listen for Content Security Policy violations. They are dispatched at the
+   * document or the offending element and bubble up.
+   */
+  listenForCspViolations() {
+    if (this.isListeningForCspViolations) return;
+    this.isListeningForCspViolations = true;
+    
+    document.addEventListener('securitypolicyviolation', this.handleCspViolation.bind(this), true);
   }
 
   /**
@@ -50,6 +110,13 @@ class ErrorCapturer {
   handleRuntimeError(event) {
     if (!this.isEnabled) return;
     
+    // Failed <img>, <script>, <link> etc. loads reach the capture-phase
+    // listener as plain events targeted at the element
+    if (event.target && event.target !== window && event.target.nodeType === Node.ELEMENT_NODE) {
+      this.handleResourceError(event);
+      return;
+    }
+    
     const error = {
       type: 'runtime',
       message: event.message || 'Unknown error',
@@ -69,6 +136,173 @@ class ErrorCapturer {
     this.notifyHandlers(error);
   }
 
+  /**
+   * Handle a resource that failed to load
+   * @param {Event} event - The error event, targeted at the element that failed
+   */
+  handleResourceError(event) {
+    const element = event.target;
+    const tagName = element.tagName.toLowerCase();
+    const url = element.currentSrc || element.src || element.href || element.data || '';
+    
+    const error = {
+      type: 'resource',
+      message: `Failed to load <${tagName}>${url ? ` ${url}` : ''}`,
+      filename: url || null,
+      lineno: null,
+      colno: null,
+      error: null,
+      stack: null,
+      timestamp: new Date().toISOString(),
+      count: 1,
+      eventTarget: element,
+      network: {
+        initiatorType: tagName,
+        method: 'GET',
+        url: url,
+        status: null,
+        statusText: null,
+        duration: null,
+        responseSnippet: null
+      },
+      associatedElements: []
+    };
+    
+    if (this.shouldIgnoreError(error)) return;
+    
+    this.notifyHandlers(error);
+  }
+
+  /**
+   * Handle a Content Security Policy violation
+   * @param {SecurityPolicyViolationEvent} event - The violation event
+   */
+  handleCspViolation(event) {
+    if (!this.isEnabled) return;
+    
+    const directive = event.effectiveDirective || event.violatedDirective;
+    const blocked = event.blockedURI || 'inline';
+    const isReportOnly = event.disposition === 'report';
+    
+    const error = {
+      type: 'csp',
+      message: `Content Security Policy ${isReportOnly ? 'would block' : 'blocked'} ${blocked} (${directive})`,
+      filename: event.sourceFile || null,
+      lineno: event.lineNumber || null,
+      colno: event.columnNumber || null,
+      error: null,
+      stack: null,
+      timestamp: new Date().toISOString(),
+      count: 1,
+      eventTarget: event.target,
+      csp: {
+        violatedDirective: event.violatedDirective || null,
+        effectiveDirective: event.effectiveDirective || null,
+        blockedURI: event.blockedURI || null,
+        sourceFile: event.sourceFile || null,
+        lineNumber: event.lineNumber || null,
+        columnNumber: event.columnNumber || null,
+        disposition: event.disposition || null,
+        sample: event.sample || null
+      },
+      associatedElements: []
+    };
+    
+    if (this.shouldIgnoreError(error)) return;
+    
+    this.notifyHandlers(error);
+  }
+
+  /**
+   * Handle a failed fetch or XMLHttpRequest request
+   * @param {Object} request - Details of the request
+   * @param {string} request.initiatorType - 'fetch' or 'xmlhttprequest'
+   * @param {string} request.method - The HTTP method
+   * @param {string} request.url - The request URL
+   * @param {number} request.status - The response status, or 0 if there was no response
+   * @param {string} [request.statusText] - The response status text
+   * @param {string} [request.failureReason] - Why the request failed without a response
+   * @param {number} request.duration - How long the request took, in milliseconds
+   * @param {string} [request.responseSnippet] - The start of the response body
+   * @param {string} request.stack - The stack at the time the request was made
+   */
+  handleNetworkError(request) {
+    if (!this.isEnabled) return;
+    
+    const outcome = request.status
+      ? `${request.status}${request.statusText ? ` (${request.statusText})` : ''}`
+      : `failed${request.failureReason ? `: ${request.failureReason}` : ''}`;
+    
+    const error = {
+      type: 'network',
+      message: `${request.method} ${request.url} ${outcome}`,
+      filename: null,
+      lineno: null,
+      colno: null,
+      error: null,
+      stack: request.stack || null,
+      timestamp: new Date().toISOString(),
+      count: 1,
+      network: {
+        initiatorType: request.initiatorType,
+        method: request.method,
+        url: request.url,
+        status: request.status || 0,
+        statusText: request.statusText || null,
+        duration: Math.round(request.duration),
+        responseSnippet: request.responseSnippet || null
+      },
+      associatedElements: []
+    };
+    
+    if (this.shouldIgnoreError(error)) return;
+    
+    this.notifyHandlers(error);
+  }
+
+  /**
+   * Handle an error of a dedicated, shared or service worker
+   * @param {Object} failure - Details of the failure
+   * @param {string} failure.kind - 'worker', 'sharedworker' or 'serviceworker'
+   * @param {string} failure.event - What failed: 'error', 'messageerror',
+   *   'register' or 'install'
+   * @param {string} failure.url - The worker's script URL
+   * @param {string} failure.message - The error message
+   * @param {string} [failure.filename] - The script the error was thrown in
+   * @param {number} [failure.lineno] - The line the error was thrown at
+   * @param {number} [failure.colno] - The column the error was thrown at
+   * @param {string} failure.stack - The page's stack where the worker was
+   *   created or last messaged
+   * @param {Element} [failure.element] - The element whose event handler
+   *   created or last messaged the worker
+   */
+  handleWorkerError(failure) {
+    if (!this.isEnabled) return;
+    
+    const error = {
+      type: 'worker',
+      message: failure.message || 'Unknown error',
+      filename: failure.filename || failure.url || null,
+      lineno: failure.lineno || null,
+      colno: failure.colno || null,
+      error: null,
+      stack: failure.stack || null,
+      timestamp: new Date().toISOString(),
+      count: 1,
+      eventTarget: failure.element || null,
+      worker: {
+        kind: failure.kind,
+        event: failure.event,
+        url: failure.url || null
+      },
+      associatedElements: []
+    };
+    
+    if (this.shouldIgnoreError(error)) return;
+    
+    this.notifyHandlers(error);
+  }
+
   /**
    * Handle unhandled promise rejections
    * @param {PromiseRejectionEvent} event - The promise rejection event
@@ -98,10 +332,131 @@ class ErrorCapturer {
     this.notifyHandlers(error);
   }
 
+  /**
+   * Handle an error captured by the main-world page script
+   * @param {Object} record - The serialized error sent over the bridge
+   */
+  handleBridgeError(record) {
+    if (!this.isEnabled || !record) return;
+    
+    // console.error is always wrapped in the page once enabled, so honour
+    // the setting here in case it was switched off since
+    if (record.type === 'console' && !(this.settings && this.settings.captureConsoleErrors)) {
+      return;
+    }
+    
+    // Requests and policy violations are watched from document_start,
+    // before settings are known, so their capture is also switched off here
+    if ((record.type === 'network' || record.type === 'resource') &&
+        !(this.settings && this.settings.captureNetworkErrors)) {
+      return;
+    }
+    
+    if (record.type === 'csp' && !(this.settings && this.settings.captureCspViolations)) {
+      return;
+    }
+    
+    if (record.type === 'worker' && !(this.settings && this.settings.captureWorkerErrors)) {
+      return;
+    }
+    
+    const error = {
+      type: record.type,
+      message: record.message || 'Unknown error',
+      filename: record.filename || null,
+      lineno: record.lineno || null,
+      colno: record.colno || null,
+      // The live error object stays in the page's world
+      error: null,
+      name: record.name || null,
+      stack: record.stack || null,
+      timestamp: record.timestamp || new Date().toISOString(),
+      count: 1,
+      eventTarget: this.bridge.resolveElement(record.targetHandle),
+      network: record.network || null,
+      csp: record.csp || null,
+      worker: record.worker || null,
+      componentStack: record.componentStack || null,
+      associatedElements: []
+    };
+    
+    if (this.shouldIgnoreError(error)) return;
+    
+    this.notifyHandlers(error);
+  }
+
+  /**
+   * Send the capture settings to the page script, which only hooks into the
+   * page for what is enabled
+   */
+  sendBridgeConfig() {
+    if (!this.bridge) return;
+    
+    const settings = this.settings || {};
+    
+    this.bridge.send(MessageType.CONFIG, {
+      enabled: this.isEnabled,
+      captureConsoleErrors: !!settings.captureConsoleErrors,
+      captureNetworkErrors: !!settings.captureNetworkErrors,
+      captureCspViolations: !!settings.captureCspViolations,
+      captureWorkerErrors: !!settings.captureWorkerErrors,
+      captureBreadcrumbs: !!settings.captureBreadcrumbs
+    });
+  }
+
+  /**
+   * Enable or disable capturing of console.error calls
+   * @param {boolean} enabled - Whether console.error calls should be captured
+   */
+  setCaptureConsoleErrors(enabled) {
+    this.settings = { ...this.settings, captureConsoleErrors: enabled };
+    this.sendBridgeConfig();
+  }
+
+  /**
+   * Enable or disable capturing of failed requests and resource loads
+   * @param {boolean} enabled - Whether network errors should be captured
+   */
+  setCaptureNetworkErrors(enabled) {
+    this.settings = { ...this.settings, captureNetworkErrors: enabled };
+    this.sendBridgeConfig();
+  }
+
+  /**
+   * Enable or disable capturing of Content Security Policy violations
+   * @param {boolean} enabled - Whether violations should be captured
+   */
+  setCaptureCspViolations(enabled) {
+    this.settings = { ...this.settings, captureCspViolations: enabled };
+    this.sendBridgeConfig();
+  }
+
+  /**
+   * Enable or disable the page hooks that record breadcrumbs: navigations,
+   * console warnings and, through the request handlers, requests
+   * @param {boolean} enabled - Whether breadcrumbs are recorded
+   */
+  setCaptureBreadcrumbs(enabled) {
+    this.settings = { ...this.settings, captureBreadcrumbs: enabled };
+    this.sendBridgeConfig();
+  }
+
+  /**
+   * Enable or disable capturing of worker errors
+   * @param {boolean} enabled - Whether worker errors should be captured
+   */
+  setCaptureWorkerErrors(enabled) {
+    this.settings = { ...this.settings, captureWorkerErrors: enabled };
+    this.sendBridgeConfig();
+  }
+
   /**
    * Override console.error to capture errors logged through it
    */
   overrideConsoleError() {
+    if (this.isConsoleOverridden) return;
+    this.isConsoleOverridden = true;
+    
     const originalConsoleError = console.error;
     const self = this;
     
@@ -135,6 +490,7 @@ class ErrorCapturer {
         stack: args[0] instanceof Error ? args[0].stack : (new Error()).stack,
         timestamp: new Date().toISOString(),
         count: 1,
+        componentStack: findComponentStack(args),
         associatedElements: []
       };
       
@@ -144,6 +500,348 @@ class ErrorCapturer {
     };
   }
 
+  /**
+   * Wrap fetch and XMLHttpRequest to capture failed requests
+   */
+  overrideNetworkRequests() {
+    if (this.isNetworkOverridden) return;
+    this.isNetworkOverridden = true;
+    
+    this.overrideFetch();
+    this.overrideXMLHttpRequest();
+  }
+
+  /**
+   * Wrap fetch to capture requests that fail or return a non-2xx status
+   */
+  overrideFetch() {
+    if (typeof window.fetch !== 'function') return;
+    
+    const originalFetch = window.fetch;
+    const self = this;
+    
+    window.fetch = function(input, init) {
+      const startTime = performance.now();
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const method = ((init && init.method) || (isRequest ? input.method : 'GET')).toUpperCase();
+      const url = isRequest ? input.url : String(input);
+      const stack = new Error().stack;
+      
+      return originalFetch.apply(this, arguments).then(response => {
+        self.notifyRequestHandlers({
+          initiatorType: 'fetch',
+          method: method,
+          url: response.url || url,
+          status: response.status,
+          duration: performance.now() - startTime
+        });
+        
+        // Opaque responses hide their status, so they cannot be judged
+        if (!response.ok && response.type !== 'opaque') {
+          self.readResponseSnippet(response).then(responseSnippet => {
+            self.handleNetworkError({
+              initiatorType: 'fetch',
+              method: method,
+              url: response.url || url,
+              status: response.status,
+              statusText: response.statusText,
+              duration: performance.now() - startTime,
+              responseSnippet: responseSnippet,
+              stack: stack
+            });
+          });
+        }
+        
+        return response;
+      }, error => {
+        // Aborted requests were cancelled on purpose
+        if (!error || error.name !== 'AbortError') {
+          self.notifyRequestHandlers({
+            initiatorType: 'fetch',
+            method: method,
+            url: url,
+            status: 0,
+            duration: performance.now() - startTime
+          });
+          
+          self.handleNetworkError({
+            initiatorType: 'fetch',
+            method: method,
+            url: url,
+            status: 0,
+            failureReason: error ? error.message : null,
+            duration: performance.now() - startTime,
+            stack: stack
+          });
+        }
+        
+        throw error;
+      });
+    };
+  }
+
+  /**
+   * Wrap XMLHttpRequest to capture requests that fail or return a non-2xx status
+   */
+  overrideXMLHttpRequest() {
+    if (typeof XMLHttpRequest === 'undefined') return;
+    
+    const proto = XMLHttpRequest.prototype;
+    const originalOpen = proto.open;
+    const originalSend = proto.send;
+    const requests = new WeakMap(); // Map of XHR to request details
+    const self = this;
+    
+    proto.open = function(method, url) {
+      requests.set(this, {
+        method: String(method || 'GET').toUpperCase(),
+        url: String(url)
+      });
+      
+      return originalOpen.apply(this, arguments);
+    };
+    
+    proto.send = function() {
+      const request = requests.get(this);
+      
+      if (request) {
+        const xhr = this;
+        const startTime = performance.now();
+        const stack = new Error().stack;
+        let isAborted = false;
+        
+        xhr.addEventListener('abort', () => {
+          isAborted = true;
+        });
+        
+        xhr.addEventListener('loadend', () => {
+          if (isAborted) return;
+          
+          self.notifyRequestHandlers({
+            initiatorType: 'xmlhttprequest',
+            method: request.method,
+            url: xhr.responseURL || request.url,
+            status: xhr.status,
+            duration: performance.now() - startTime
+          });
+          
+          if (xhr.status >= 200 && xhr.status < 300) return;
+          
+          const isText = xhr.responseType === '' || xhr.responseType === 'text';
+          
+          self.handleNetworkError({
+            initiatorType: 'xmlhttprequest',
+            method: request.method,
+            url: xhr.responseURL || request.url,
+            status: xhr.status,
+            statusText: xhr.statusText,
+            failureReason: xhr.status === 0 ? 'Network error' : null,
+            duration: performance.now() - startTime,
+            responseSnippet: isText && xhr.responseText
+              ? truncateString(xhr.responseText, MAX_RESPONSE_SNIPPET_LENGTH)
+              : null,
+            stack: stack
+          });
+        });
+      }
+      
+      return originalSend.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Wrap the Worker and SharedWorker constructors and the service worker
+   * registration to capture the errors workers report to the page
+   */
+  overrideWorkers() {
+    if (this.isWorkersOverridden) return;
+    this.isWorkersOverridden = true;
+    
+    this.overrideWorkerConstructor('Worker', 'worker');
+    this.overrideWorkerConstructor('SharedWorker', 'sharedworker');
+    this.overrideServiceWorkerRegistration();
+  }
+
+  /**
+   * Wrap a worker constructor to listen for the errors of each new worker
+   * @param {string} name - The constructor's global name
+   * @param {string} kind - The kind of worker it creates
+   */
+  overrideWorkerConstructor(name, kind) {
+    const OriginalWorker = window[name];
+    if (typeof OriginalWorker !== 'function') return;
+    
+    const self = this;
+    
+    // A subclass keeps instanceof checks and the prototype working
+    const WrappedWorker = class extends OriginalWorker {
+      constructor(...args) {
+        super(...args);
+        self.watchWorker(this, kind, args[0]);
+      }
+    };
+    Object.defineProperty(WrappedWorker, 'name', { value: name });
+    
+    window[name] = WrappedWorker;
+  }
+
+  /**
+   * Listen for the errors of a worker, attributing them to the code and the
+   * element that created or last messaged it
+   * @param {Worker|SharedWorker} worker - The worker
+   * @param {string} kind - 'worker' or 'sharedworker'
+   * @param {string|URL} scriptURL - The worker's script URL
+   */
+  watchWorker(worker, kind, scriptURL) {
+    const url = toAbsoluteUrl(scriptURL);
+    const initiator = getWorkerInitiator();
+    const label = kind === 'sharedworker' ? 'Shared worker' : 'Worker';
+    
+    // Messages to a worker are sent through its port for shared workers
+    const target = kind === 'sharedworker' ? worker.port : worker;
+    const originalPostMessage = target.postMessage;
+    target.postMessage = function() {
+      Object.assign(initiator, getWorkerInitiator());
+      return originalPostMessage.apply(this, arguments);
+    };
+    
+    // Uncaught errors of dedicated workers arrive as ErrorEvents; a worker
+    // whose script fails to load gets a plain Event
+    worker.addEventListener('error', (event) => {
+      this.handleWorkerError({
+        kind,
+        event: 'error',
+        url,
+        message: event.message || `${label} script failed to load: ${url}`,
+        filename: event.filename,
+        lineno: event.lineno,
+        colno: event.colno,
+        ...initiator
+      });
+    });
+    
+    target.addEventListener('messageerror', () => {
+      this.handleWorkerError({
+        kind,
+        event: 'messageerror',
+        url,
+        message: `${label} sent a message that could not be deserialized: ${url}`,
+        ...initiator
+      });
+    });
+  }
+
+  /**
+   * Wrap the service worker registration to capture registrations that fail,
+   * and service workers that fail to install
+   */
+  overrideServiceWorkerRegistration() {
+    if (typeof ServiceWorkerContainer === 'undefined') return;
+    
+    const proto = ServiceWorkerContainer.prototype;
+    const originalRegister = proto.register;
+    const self = this;
+    
+    proto.register = function(scriptURL) {
+      const url = toAbsoluteUrl(scriptURL);
+      const initiator = getWorkerInitiator();
+      
+      return originalRegister.apply(this, arguments).then(registration => {
+        registration.addEventListener('updatefound', () => {
+          self.watchServiceWorkerInstall(registration.installing, url, initiator);
+        });
+        self.watchServiceWorkerInstall(registration.installing, url, initiator);
+        
+        return registration;
+      }, error => {
+        self.handleWorkerError({
+          kind: 'serviceworker',
+          event: 'register',
+          url,
+          message: `Service worker registration failed: ${error && error.message ? error.message : String(error)}`,
+          ...initiator
+        });
+        
+        throw error;
+      });
+    };
+    
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('messageerror', () => {
+        const controller = navigator.serviceWorker.controller;
+        const url = controller ? controller.scriptURL : null;
+        
+        self.handleWorkerError({
+          kind: 'serviceworker',
+          event: 'messageerror',
+          url,
+          message: `Service worker sent a message that could not be deserialized${url ? `: ${url}` : ''}`,
+          stack: null
+        });
+      });
+    }
+  }
+
+  /**
+   * Report a service worker that is discarded while installing, which
+   * happens when its install handler throws or rejects
+   * @param {ServiceWorker} [serviceWorker] - The installing service worker
+   * @param {string} url - The script URL it was registered with
+   * @param {Object} initiator - The stack and element that registered it
+   */
+  watchServiceWorkerInstall(serviceWorker, url, initiator) {
+    if (!serviceWorker || watchedServiceWorkers.has(serviceWorker)) return;
+    watchedServiceWorkers.add(serviceWorker);
+    
+    let hasInstalled = false;
+    
+    serviceWorker.addEventListener('statechange', () => {
+      if (serviceWorker.state !== 'redundant') {
+        hasInstalled = serviceWorker.state !== 'installing';
+        return;
+      }
+      
+      // Workers replaced by a newer one after installing are not failures
+      if (hasInstalled) return;
+      
+      this.handleWorkerError({
+        kind: 'serviceworker',
+        event: 'install',
+        url: serviceWorker.scriptURL || url,
+        message: `Service worker failed to install: ${serviceWorker.scriptURL || url}`,
+        ...initiator
+      });
+    });
+  }
+
+  /**
+   * Read the start of a response body without consuming the response
+   * @param {Response} response - The response
+   * @returns {Promise<string|null>} - The start of the body, or null if it cannot be read
+   */
+  async readResponseSnippet(response) {
+    try {
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !/text|json|xml|javascript|html/i.test(contentType)) {
+        return null;
+      }
+      
+      const body = response.clone().body;
+      if (!body) return null;
+      
+      // Only read the first chunk so large bodies are not buffered
+      const reader = body.getReader();
+      const { value } = await reader.read();
+      reader.cancel().catch(() => {});
+      
+      if (!value) return null;
+      
+      return truncateString(new TextDecoder().decode(value), MAX_RESPONSE_SNIPPET_LENGTH);
+    } catch (e) {
+      return null;
+    }
+  }
+
   /**
    * Check if an error should be ignored based on the ignored patterns
    * @param {Object} error - The error object
@@ -200,12 +898,38 @@ class ErrorCapturer {
     });
   }
 
+  /**
+   * Register a handler for every completed request, failed or not
+   * @param {Function} handler - Called with the request's `initiatorType`,
+   *   `method`, `url`, `status` (0 if there was no response) and `duration`
+   */
+  registerRequestHandler(handler) {
+    if (typeof handler === 'function' && !this.requestHandlers.includes(handler)) {
+      this.requestHandlers.push(handler);
+    }
+  }
+
+  /**
+   * Notify all registered request handlers about a completed request
+   * @param {Object} request - The request, see registerRequestHandler
+   */
+  notifyRequestHandlers(request) {
+    this.requestHandlers.forEach(handler => {
+      try {
+        handler(request);
+      } catch (e) {
+        console.error('Error in request handler:', e);
+      }
+    });
+  }
+
   /**
    * Enable or disable error capturing
    * @param {boolean} enabled - Whether error capturing should be enabled
    */
   setEnabled(enabled) {
     this.isEnabled = enabled;
+    this.sendBridgeConfig();
   }
 
   /**
@@ -217,4 +941,62 @@ class ErrorCapturer {
   }
 }
 
+/**
+ * Describe the code creating or messaging a worker: the current stack and,
+ * when called from an event handler, the element the handler was added to
+ * @returns {Object} - The `stack` and the `element`, or null
+ */
+function getWorkerInitiator() {
+  // window.event is the event whose handlers are running, if any
+  const event = window.event;
+  let element = null;
+  
+  if (event) {
+    if (event.currentTarget instanceof Element) {
+      element = event.currentTarget;
+    } else if (event.target instanceof Element) {
+      element = event.target;
+    }
+  }
+  
+  return { stack: new Error().stack, element };
+}
+
+/**
+ * Resolve a script URL against the document
+ * @param {string|URL} url - The URL
+ * @returns {string} - The absolute URL, or the URL as given if it is invalid
+ */
+function toAbsoluteUrl(url) {
+  try {
+    return new URL(String(url), document.baseURI).href;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+/**
+ * Find a React component stack among console.error arguments. React prints
+ * it as a separate argument in development warnings, and error boundaries
+ * commonly log the error info object holding it.
+ * @param {Array} args - The console.error arguments
+ * @returns {string|null} - The component stack
+ */
+function findComponentStack(args) {
+  for (const arg of args) {
+    if (arg && typeof arg === 'object' && isComponentStack(arg.componentStack)) {
+      return arg.componentStack;
+    }
+  }
+  
+  // Older React versions print it within the message itself
+  const [message] = args;
+  if (typeof message === 'string' && message.includes('The above error occurred in')) {
+    const stackLines = message.split('\n').filter(line => /^\s+in\s+\S/.test(line));
+    if (stackLines.length > 0) return stackLines.join('\n');
+  }
+  
+  return args.slice(1).find(isComponentStack) || null;
+}
+
 export default ErrorCapturer;
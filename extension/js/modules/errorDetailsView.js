@@ -0,0 +1,382 @@
+/**
+ * Error Details View
+ *
+ * Renders the details of an error group as HTML, for the popup and the
+ * DevTools panel. Callers attach their own handlers to the rendered element
+ * links, replay button and source links.
+ */
+
+import { formatTimestamp, truncateString, escapeHtml } from './utils.js';
+import { highlightLine } from './syntaxHighlighter.js';
+
+const WORKER_KIND_LABELS = {
+  worker: 'Dedicated worker',
+  sharedworker: 'Shared worker',
+  serviceworker: 'Service worker'
+};
+
+const WORKER_EVENT_LABELS = {
+  error: 'Uncaught error or failed script load',
+  messageerror: 'Message could not be deserialized',
+  register: 'Registration failed',
+  install: 'Installation failed'
+};
+
+/**
+ * Render the details of an error
+ * @param {Object} error - The serialized error group
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.openInSources] - Whether to list every mapped
+ *   frame of the stack, with links to open them in the Sources panel
+ * @returns {string} - The HTML
+ */
+export function renderErrorDetails(error, { openInSources = false } = {}) {
+  // Create the details content
+  let detailsHtml = `
+    <div class="error-details-section">
+      <h3>Error Message</h3>
+      <div class="error-message-full">${escapeHtml(error.message)}</div>
+    </div>
+  `;
+  
+  // Add the framework components the error happened in
+  if (error.componentPath && error.componentPath.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Component</h3>
+        <div class="component-path">${escapeHtml(error.componentPath.join(' > '))}</div>
+      </div>
+    `;
+  }
+  
+  // Add the frame the error happened in, unless it is the top document
+  if (error.frame && !error.frame.isTop) {
+    const { url, isCrossOrigin, parentChain } = error.frame;
+  
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Frame</h3>
+        <div class="network-details">
+          <div>${escapeHtml(url || 'Unknown frame')}${isCrossOrigin ? ' (cross-origin)' : ''}</div>
+          ${(parentChain || []).map(parent => `<div>in ${escapeHtml(parent.url || 'unknown frame')}</div>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Add the failed request if this is a network or resource error
+  if (error.network) {
+    const { method, url, status, statusText, duration, responseSnippet } = error.network;
+    
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Request</h3>
+        <div class="network-details">
+          <div>${escapeHtml(method || 'GET')} ${escapeHtml(url)}</div>
+          <div>Status: ${status ? `${status}${statusText ? ` ${escapeHtml(statusText)}` : ''}` : 'No response'}</div>
+          ${duration !== null && duration !== undefined ? `<div>Duration: ${duration} ms</div>` : ''}
+        </div>
+        ${responseSnippet ? `<div class="stack-trace">${escapeHtml(responseSnippet)}</div>` : ''}
+      </div>
+    `;
+  }
+  
+  // Add the violated policy if this is a CSP violation
+  if (error.csp) {
+    const { effectiveDirective, violatedDirective, blockedURI, disposition, sample } = error.csp;
+    
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Policy Violation</h3>
+        <div class="network-details">
+          <div>Directive: ${escapeHtml(effectiveDirective || violatedDirective)}</div>
+          <div>Blocked: ${escapeHtml(blockedURI || 'inline')}</div>
+          <div>Disposition: ${disposition === 'report' ? 'Report only' : 'Enforced'}</div>
+        </div>
+        ${sample ? `<div class="stack-trace">${escapeHtml(sample)}</div>` : ''}
+      </div>
+    `;
+  }
+  
+  // Add the worker the error came from
+  if (error.worker) {
+    const { kind, event, url } = error.worker;
+  
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Worker</h3>
+        <div class="network-details">
+          <div>${escapeHtml(WORKER_KIND_LABELS[kind] || 'Worker')}: ${escapeHtml(url || 'unknown script')}</div>
+          <div>Failure: ${escapeHtml(WORKER_EVENT_LABELS[event] || event)}</div>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Add the occurrences of this error group
+  if (error.fingerprint) {
+    const elementCount = (error.associatedElements || []).length;
+    
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Occurrences</h3>
+        <div class="error-occurrences">
+          <div>Seen ${error.count} ${error.count === 1 ? 'time' : 'times'} on ${elementCount} ${elementCount === 1 ? 'element' : 'elements'}</div>
+          <div>First seen: ${formatTimestamp(error.firstSeen)}</div>
+          <div>Last seen: ${formatTimestamp(error.lastSeen)}</div>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Add what happened on the page before the error
+  if (error.breadcrumbs && error.breadcrumbs.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Breadcrumbs</h3>
+        <ol class="breadcrumb-timeline">
+          ${error.breadcrumbs.map(breadcrumb => renderBreadcrumb(breadcrumb, error.timestamp)).join('')}
+        </ol>
+      </div>
+    `;
+  }
+  
+  // Link to the recording of the page before the error
+  if (error.replayId) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Session Replay</h3>
+        <button class="replay-btn" data-replay-id="${escapeHtml(error.replayId)}">Replay the page up to this error</button>
+      </div>
+    `;
+  }
+  
+  // Add the original source around each mapped frame
+  const sourceFrames = (error.mappedFrames || []).filter(frame => frame.sourceContext);
+  if (sourceFrames.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Source</h3>
+        ${sourceFrames.map((frame, index) => renderSourceFrame(frame, index === 0, openInSources)).join('')}
+      </div>
+    `;
+  }
+  
+  // Add the debug IDs of the bundles in the stack, to check their maps
+  const bundles = getBundleDebugIds(error.mappedFrames || []);
+  if (bundles.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Debug IDs</h3>
+        <div class="network-details">
+          ${bundles.map(renderBundleDebugId).join('')}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Add every frame of the stack where it can be opened in the original source
+  if (openInSources && error.mappedFrames && error.mappedFrames.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Mapped Stack</h3>
+        <ol class="stack-frames">
+          ${error.mappedFrames.map(renderStackFrame).join('')}
+        </ol>
+      </div>
+    `;
+  }
+  
+  // Add stack trace if available
+  if (error.stack) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Stack Trace</h3>
+        <div class="stack-trace">${escapeHtml(error.stack)}</div>
+      </div>
+    `;
+  }
+  
+  // Add associated elements if available
+  if (error.associatedElements && error.associatedElements.length > 0) {
+    detailsHtml += `
+      <div class="error-details-section">
+        <h3>Associated Elements</h3>
+        <div class="element-links">
+    `;
+    
+    error.associatedElements.forEach(({ errorId, element, stale, screenshot }, index) => {
+      const label = element 
+        ? `<${element.tagName}${element.id ? `#${element.id}` : ''}>` 
+        : `Element ${index + 1}`;
+      const title = stale
+        ? 'This element was removed from the page'
+        : element ? element.selector : '';
+      
+      // Show what the element looked like when the error happened
+      const thumbnail = screenshot && screenshot.dataUrl.startsWith('data:image/')
+        ? `<img class="element-thumbnail" src="${escapeHtml(screenshot.dataUrl).replace(/"/g, '&quot;')}" width="${Number(screenshot.width)}" height="${Number(screenshot.height)}" alt="Screenshot of ${escapeHtml(label)}">`
+        : '';
+      
+      detailsHtml += `
+        <div class="element-item">
+          ${thumbnail}
+          <a class="element-link${stale ? ' stale' : ''}" data-error-id="${errorId}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${escapeHtml(label)}${stale ? ' (stale)' : ''}</a>
+        </div>
+      `;
+    });
+    
+    detailsHtml += `
+        </div>
+      </div>
+    `;
+  }
+  
+  return detailsHtml;
+}
+
+/**
+ * Render the original source around a stack frame
+ * @param {Object} frame - The mapped frame with its `sourceContext`
+ * @param {boolean} isOpen - Whether the frame starts expanded
+ * @param {boolean} [openInSources] - Whether to link to the Sources panel
+ * @returns {string} - The HTML
+ */
+function renderSourceFrame(frame, isOpen, openInSources = false) {
+  const { startLine, lines, line, column, columnOffset } = frame.sourceContext;
+  const lineNumberWidth = String(startLine + lines.length - 1).length;
+  const location = `${frame.url}:${line}${column ? `:${column}` : ''}`;
+  
+  const rows = lines.map((text, index) => {
+    const lineNumber = startLine + index;
+    const isErrorLine = lineNumber === line;
+    
+    let row = `<div class="source-line${isErrorLine ? ' error-line' : ''}">` +
+      `<span class="line-number">${String(lineNumber).padStart(lineNumberWidth)}</span>` +
+      `<span class="line-code">${highlightLine(text)}</span></div>`;
+    
+    // Point at the failing column, keeping tabs so the marker lines up
+    if (isErrorLine && column) {
+      const indent = text.slice(0, Math.max(0, column - 1 - columnOffset)).replace(/[^\t]/g, ' ');
+      row += `<div class="source-line column-marker">` +
+        `<span class="line-number">${' '.repeat(lineNumberWidth)}</span>` +
+        `<span class="line-code">${indent}^</span></div>`;
+    }
+    
+    return row;
+  }).join('');
+  
+  return `
+    <details class="source-frame"${isOpen ? ' open' : ''}>
+      <summary>
+        <span class="source-function">${escapeHtml(frame.functionName || '<anonymous>')}</span>
+        <span class="source-location" title="${escapeHtml(location).replace(/"/g, '&quot;')}">${escapeHtml(location)}</span>
+        ${openInSources ? renderSourceLink(frame) : ''}
+      </summary>
+      <pre class="source-snippet">${rows}</pre>
+    </details>
+  `;
+}
+
+/**
+ * Render a stack frame with its original and generated positions
+ * @param {Object} frame - The mapped frame
+ * @returns {string} - The HTML
+ */
+function renderStackFrame(frame) {
+  const location = `${frame.url || '<unknown>'}:${frame.line || '?'}${frame.column ? `:${frame.column}` : ''}`;
+  const generated = frame.generated
+    ? `${frame.generated.url}:${frame.generated.line}${frame.generated.column ? `:${frame.generated.column}` : ''}`
+    : null;
+  
+  return `
+    <li class="stack-frame${frame.isMapped ? ' mapped' : ''}">
+      <span class="source-function">${escapeHtml(frame.functionName || '<anonymous>')}</span>
+      <span class="source-location" title="${escapeHtml(location).replace(/"/g, '&quot;')}">${escapeHtml(location)}</span>
+      ${frame.isMapped ? renderSourceLink(frame) : ''}
+      ${generated ? `<div class="generated-location">${escapeHtml(generated)}</div>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Render a link that opens a mapped frame's original source in the Sources panel
+ * @param {Object} frame - The mapped frame
+ * @returns {string} - The HTML, or an empty string for unmapped frames
+ */
+function renderSourceLink(frame) {
+  if (!frame.isMapped) return '';
+  
+  // The Sources panel knows original files by the URL in the source map
+  const url = frame.sourceUrl || frame.url;
+  
+  return `<a class="open-source-link" data-url="${escapeHtml(url).replace(/"/g, '&quot;')}" data-line="${Number(frame.line) || 1}" data-column="${Number(frame.column) || 1}">Open in Sources</a>`;
+}
+
+/**
+ * Get the bundles of a stack that have a debug ID or whose map has one
+ * @param {Array<Object>} frames - The mapped frames
+ * @returns {Array<Object>} - One entry per bundle, with its `url`, `debugId`,
+ *   `sourceMapDebugId` and whether any of its frames `isMapped`
+ */
+function getBundleDebugIds(frames) {
+  const bundles = new Map();
+  
+  frames.forEach(frame => {
+    if (!frame.debugId && !frame.sourceMapDebugId) return;
+    
+    const url = frame.generated ? frame.generated.url : frame.url;
+    const bundle = bundles.get(url) || { url, debugId: null, sourceMapDebugId: null, isMapped: false };
+    
+    bundle.debugId = bundle.debugId || frame.debugId || null;
+    bundle.sourceMapDebugId = bundle.sourceMapDebugId || frame.sourceMapDebugId || null;
+    bundle.isMapped = bundle.isMapped || !!frame.isMapped;
+    bundles.set(url, bundle);
+  });
+  
+  return Array.from(bundles.values());
+}
+
+/**
+ * Render a bundle's debug ID and whether its source map matches it
+ * @param {Object} bundle - The bundle, see getBundleDebugIds
+ * @returns {string} - The HTML
+ */
+function renderBundleDebugId(bundle) {
+  let status;
+  
+  if (bundle.debugId && bundle.sourceMapDebugId) {
+    status = 'Source map matches';
+  } else if (!bundle.debugId) {
+    status = 'Bundle has no debug ID';
+  } else if (bundle.isMapped) {
+    status = 'Source map has no debug ID';
+  } else {
+    status = 'No source map found';
+  }
+  
+  return `
+    <div title="${escapeHtml(bundle.url).replace(/"/g, '&quot;')}">${escapeHtml(truncateString(bundle.url, 60))}</div>
+    <div>${escapeHtml(bundle.debugId || bundle.sourceMapDebugId)} &middot; ${status}</div>
+  `;
+}
+
+/**
+ * Render a breadcrumb as a timeline entry
+ * @param {Object} breadcrumb - The breadcrumb
+ * @param {string} errorTimestamp - When the error happened
+ * @returns {string} - The HTML for the entry
+ */
+function renderBreadcrumb(breadcrumb, errorTimestamp) {
+  const offset = (Date.parse(breadcrumb.timestamp) - Date.parse(errorTimestamp)) / 1000;
+  const time = isNaN(offset) ? '' : `${offset.toFixed(1)}s`;
+  const category = String(breadcrumb.category).replace(/[^a-z]/g, '');
+  
+  return `
+    <li class="breadcrumb breadcrumb-${category}" title="${escapeHtml(formatTimestamp(breadcrumb.timestamp)).replace(/"/g, '&quot;')}">
+      <span class="breadcrumb-time">${time}</span>
+      <span class="breadcrumb-category">${escapeHtml(category)}</span>
+      <span class="breadcrumb-message">${escapeHtml(breadcrumb.message)}</span>
+    </li>
+  `;
+}
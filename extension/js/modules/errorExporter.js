@@ -0,0 +1,273 @@
+/**
+ * ErrorExporter Module
+ *
+ * Turns serialized error records into files that can leave the extension:
+ * JSON for tools, Markdown for issue trackers, CSV for spreadsheets, and a
+ * ZIP debug bundle with everything needed to reproduce a bug report.
+ */
+
+import { createZip } from './zipWriter.js';
+
+// Bump whenever the shape of the JSON export changes
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'id', 'type', 'name', 'message', 'file', 'line', 'column', 'count',
+  'firstSeen', 'lastSeen', 'component', 'elements', 'fingerprint'
+];
+
+/**
+ * Export errors as JSON
+ * @param {Array<Object>} errors - The serialized errors
+ * @param {Object} context - Where the errors come from, see createDebugBundle
+ * @returns {string} - The JSON, with the full error records
+ */
+export function exportJson(errors, context = {}) {
+  return JSON.stringify({
+    exportVersion: EXPORT_VERSION,
+    exportedAt: context.exportedAt || new Date().toISOString(),
+    page: context.page || null,
+    errors: errors
+  }, null, 2);
+}
+
+/**
+ * Export errors as Markdown for pasting into an issue
+ * @param {Array<Object>} errors - The serialized errors
+ * @param {Object} context - Where the errors come from, see createDebugBundle
+ * @returns {string} - The Markdown
+ */
+export function exportMarkdown(errors, context = {}) {
+  const page = context.page || {};
+  const lines = [
+    `## JavaScript errors${page.url ? ` on ${page.url}` : ''}`,
+    '',
+    `${errors.length} ${errors.length === 1 ? 'error' : 'errors'}, exported ${context.exportedAt || new Date().toISOString()}` +
+      (page.userAgent ? ` in \`${page.userAgent}\`` : '')
+  ];
+
+  errors.forEach((error, index) => {
+    const location = getLocation(error);
+    const elements = getElementSelectors(error);
+
+    lines.push('', `### ${index + 1}. ${escapeMarkdown(getTitle(error))}`, '');
+    lines.push('| | |', '| --- | --- |');
+    lines.push(`| Type | ${escapeTableCell(error.type || 'unknown')} |`);
+
+    if (location.file) {
+      lines.push(`| Location | \`${escapeTableCell(formatLocation(location))}\` |`);
+    }
+
+    lines.push(`| Occurrences | ${error.count || 1} (first ${error.firstSeen || error.timestamp}, last ${error.lastSeen || error.timestamp}) |`);
+
+    if (error.componentPath && error.componentPath.length > 0) {
+      lines.push(`| Component | ${escapeTableCell(error.componentPath.join(' > '))} |`);
+    }
+
+    if (elements.length > 0) {
+      lines.push(`| Elements | ${elements.map(selector => `\`${escapeTableCell(selector)}\``).join(', ')} |`);
+    }
+
+    if (error.network) {
+      lines.push(`| Request | ${escapeTableCell(`${error.network.method || 'GET'} ${error.network.url} (${error.network.status || 'no response'})`)} |`);
+    }
+
+    if (error.stack) {
+      lines.push('', '<details><summary>Stack trace</summary>', '', fence(error.stack), '', '</details>');
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export errors as CSV, one row per error group
+ * @param {Array<Object>} errors - The serialized errors
+ * @returns {string} - The CSV
+ */
+export function exportCsv(errors) {
+  const rows = errors.map(error => {
+    const location = getLocation(error);
+
+    return [
+      error.id || error.errorId,
+      error.type,
+      error.name,
+      error.message,
+      location.file,
+      location.line,
+      location.column,
+      error.count || 1,
+      error.firstSeen || error.timestamp,
+      error.lastSeen || error.timestamp,
+      (error.componentPath || []).join(' > '),
+      getElementSelectors(error).join('; '),
+      error.fingerprint
+    ];
+  });
+
+  // Spreadsheets expect CRLF line endings
+  return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create a ZIP debug bundle with the errors in every format and the
+ * environment they happened in
+ * @param {Array<Object>} errors - The serialized errors
+ * @param {Object} context - Where the errors come from
+ * @param {Object} [context.page] - The page's `url`, `title`, `userAgent` and
+ *   `viewport` ({ width, height, devicePixelRatio })
+ * @param {Object} [context.settings] - The extension settings
+ * @param {Array<Object>} [context.screenshots] - Screenshots, each with a
+ *   `name` and a PNG or JPEG `dataUrl`
+ * @param {string} [context.exportedAt] - When the export was made
+ * @returns {Uint8Array} - The ZIP archive
+ */
+export function createDebugBundle(errors, context = {}) {
+  const exportedContext = { ...context, exportedAt: context.exportedAt || new Date().toISOString() };
+
+  const files = [
+    { name: 'errors.json', data: exportJson(errors, exportedContext) },
+    { name: 'errors.md', data: exportMarkdown(errors, exportedContext) },
+    { name: 'errors.csv', data: exportCsv(errors) },
+    {
+      name: 'environment.json',
+      data: JSON.stringify({
+        exportedAt: exportedContext.exportedAt,
+        page: context.page || null,
+        extensionVersion: context.extensionVersion || null
+      }, null, 2)
+    },
+    { name: 'settings.json', data: JSON.stringify(context.settings || {}, null, 2) }
+  ];
+
+  (context.screenshots || []).forEach(screenshot => {
+    files.push({ name: `screenshots/${screenshot.name}`, data: dataUrlToBytes(screenshot.dataUrl) });
+  });
+
+  // Element screenshots are named after the highlights they show
+  errors.forEach(error => {
+    (error.associatedElements || [])
+      .filter(({ screenshot }) => screenshot)
+      .forEach(({ errorId, screenshot }) => {
+        files.push({
+          name: `screenshots/elements/${errorId}.${getImageExtension(screenshot.dataUrl)}`,
+          data: dataUrlToBytes(screenshot.dataUrl)
+        });
+      });
+  });
+
+  return createZip(files);
+}
+
+/**
+ * Get a one-line title for an error
+ * @param {Object} error - The serialized error
+ * @returns {string} - The title
+ */
+function getTitle(error) {
+  const message = (error.message || '').split('\n')[0];
+
+  return error.name && !message.startsWith(error.name) ? `${error.name}: ${message}` : message;
+}
+
+/**
+ * Get the (mapped) location of an error
+ * @param {Object} error - The serialized error
+ * @returns {Object} - The `file`, `line` and `column`
+ */
+function getLocation(error) {
+  return {
+    file: error.mappedFilename || error.filename || null,
+    line: error.mappedLineno || error.lineno || null,
+    column: error.mappedColno || error.colno || null
+  };
+}
+
+/**
+ * Format a location as file:line:column
+ * @param {Object} location - The location, see getLocation
+ * @returns {string} - The formatted location
+ */
+function formatLocation({ file, line, column }) {
+  return [file, line, column].filter(part => part !== null && part !== undefined).join(':');
+}
+
+/**
+ * Get the selectors of the elements associated with an error
+ * @param {Object} error - The serialized error
+ * @returns {Array<string>} - The selectors
+ */
+function getElementSelectors(error) {
+  return (error.associatedElements || [])
+    .filter(({ element }) => element)
+    .map(({ element, stale }) => `${element.selector}${stale ? ' (stale)' : ''}`);
+}
+
+/**
+ * Escape text for a Markdown heading or paragraph
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Put text in a fenced code block that its own backticks cannot close
+ * @param {string} text - The text
+ * @returns {string} - The code block
+ */
+function fence(text) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+
+  return `${marker}\n${text}\n${marker}`;
+}
+
+/**
+ * Format a value as a CSV cell
+ * @param {*} value - The value
+ * @returns {string} - The cell
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  // Keep spreadsheets from running text that looks like a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Get the file extension for an image data URL
+ * @param {string} dataUrl - The data URL
+ * @returns {string} - The extension
+ */
+function getImageExtension(dataUrl) {
+  const type = dataUrl.slice(5, dataUrl.search(/[;,]/));
+
+  return { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[type] || 'bin';
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} dataUrl - The data URL
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
@@ -0,0 +1,194 @@
+/**
+ * ErrorSerializer Module
+ *
+ * Turns captured errors into stable, versioned, JSON-safe records that can be
+ * sent between the content script, background script and popup. Live objects
+ * such as the original Error and DOM elements are replaced with descriptors;
+ * the live objects themselves stay in the content script, keyed by error ID.
+ */
+
+import { truncateString } from './utils.js';
+
+// Bump whenever the shape of a serialized record changes
+export const SERIALIZATION_VERSION = 1;
+
+// Plain fields copied from the captured error as they are
+const ERROR_FIELDS = [
+  'id', 'type', 'message', 'filename', 'lineno', 'colno',
+  'mappedFilename', 'mappedLineno', 'mappedColno',
+  'stack', 'originalStack', 'frames', 'mappedFrames',
+  'timestamp', 'count', 'fingerprint', 'firstSeen', 'lastSeen', 'network', 'csp', 'worker',
+  'componentStack', 'componentPath', 'breadcrumbs', 'replayId', 'frame'
+];
+
+const MAX_HTML_SNIPPET_LENGTH = 300;
+
+/**
+ * Serialize a captured error
+ * @param {Object} error - The captured error, possibly holding live objects
+ * @returns {Object} - The JSON-safe error record
+ */
+export function serializeError(error) {
+  const record = { schemaVersion: SERIALIZATION_VERSION };
+
+  ERROR_FIELDS.forEach(field => {
+    record[field] = error[field] !== undefined ? toJsonSafe(error[field]) : null;
+  });
+
+  record.name = error.name || (error.error && error.error.name) || null;
+  record.eventTarget = error.eventTarget instanceof Element
+    ? describeElement(error.eventTarget)
+    : null;
+  record.associatedElements = (error.associatedElements || []).map(({ element, errorId, stale, screenshot }) => ({
+    errorId: errorId,
+    element: element instanceof Element ? describeElement(element) : null,
+    // The element left the page and no replacement was found
+    stale: !!stale,
+    // A thumbnail of the element as it looked when the error happened
+    screenshot: screenshot || null
+  }));
+
+  return record;
+}
+
+/**
+ * Describe a DOM element so it can be found and shown again later
+ * @param {Element} element - The element
+ * @returns {Object} - The element descriptor
+ */
+export function describeElement(element) {
+  const rect = element.getBoundingClientRect();
+
+  return {
+    selector: getUniqueSelector(element),
+    xpath: getXPath(element),
+    tagName: element.tagName.toLowerCase(),
+    id: element.id || null,
+    classes: Array.from(element.classList).filter(className => !className.startsWith('jev-')),
+    outerHTML: truncateString(element.outerHTML, MAX_HTML_SNIPPET_LENGTH),
+    rect: {
+      top: rect.top,
+      left: rect.left,
+      width: rect.width,
+      height: rect.height
+    }
+  };
+}
+
+/**
+ * Get a CSS selector that matches only the given element
+ * @param {Element} element - The element
+ * @returns {string} - The selector
+ */
+export function getUniqueSelector(element) {
+  const root = element.getRootNode ? element.getRootNode() : document;
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    // An ID that is unique in the document ends the path
+    if (current.id && isUnique(root, `#${escapeCss(current.id)}`)) {
+      parts.unshift(`#${escapeCss(current.id)}`);
+      break;
+    }
+
+    parts.unshift(getSelectorStep(current));
+
+    if (isUnique(root, parts.join(' > '))) {
+      break;
+    }
+
+    current = current.parentElement;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Get an absolute XPath for an element
+ * @param {Element} element - The element
+ * @returns {string} - The XPath
+ */
+export function getXPath(element) {
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    const tagName = current.tagName.toLowerCase();
+    let index = 1;
+    let sibling = current.previousElementSibling;
+
+    while (sibling) {
+      if (sibling.tagName === current.tagName) index++;
+      sibling = sibling.previousElementSibling;
+    }
+
+    parts.unshift(`${tagName}[${index}]`);
+    current = current.parentElement;
+  }
+
+  return `/${parts.join('/')}`;
+}
+
+/**
+ * Get the selector step for an element within its parent
+ * @param {Element} element - The element
+ * @returns {string} - The selector step, e.g. "li:nth-of-type(3)"
+ */
+function getSelectorStep(element) {
+  const tagName = element.tagName.toLowerCase();
+  const parent = element.parentElement;
+
+  if (!parent) return tagName;
+
+  const sameTagSiblings = Array.from(parent.children)
+    .filter(child => child.tagName === element.tagName);
+
+  if (sameTagSiblings.length === 1) return tagName;
+
+  return `${tagName}:nth-of-type(${sameTagSiblings.indexOf(element) + 1})`;
+}
+
+/**
+ * Check whether a selector matches exactly one element
+ * @param {Document|ShadowRoot} root - The root to search in
+ * @param {string} selector - The selector
+ * @returns {boolean} - Whether the selector is unique
+ */
+function isUnique(root, selector) {
+  try {
+    return root.querySelectorAll(selector).length === 1;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Escape an identifier for use in a CSS selector
+ * @param {string} value - The identifier
+ * @returns {string} - The escaped identifier
+ */
+function escapeCss(value) {
+  if (typeof CSS !== 'undefined' && CSS.escape) {
+    return CSS.escape(value);
+  }
+
+  return value.replace(/([^a-zA-Z0-9_\u00A0-\uFFFF-])/g, '\\$1').replace(/^(\d)/, '\\3$1 ');
+}
+
+/**
+ * Copy a value, dropping anything that cannot be represented in JSON
+ * @param {*} value - The value
+ * @returns {*} - The JSON-safe copy
+ */
+function toJsonSafe(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * ErrorStore Module
+ *
+ * Responsible for persisting captured errors in IndexedDB so the error history
+ * of each tab survives service worker restarts and page reloads.
+ */
+
+import { runRequest, getAllFromIndex } from './indexedDb.js';
+import { getErrorFrameId } from './frameInfo.js';
+
+const DB_NAME = 'jev-error-history';
+const DB_VERSION = 1;
+
+const ERRORS_STORE = 'errors';
+const NAVIGATIONS_STORE = 'navigations';
+const REPLAYS_STORE = 'replays';
+
+// Oldest records are pruned beyond these limits
+const MAX_STORED_ERRORS = 5000;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Replays hold whole pages, so far fewer of them are kept
+const MAX_STORED_REPLAYS = 50;
+
+class ErrorStore {
+  constructor() {
+    this.dbPromise = null;
+    this.currentNavigations = new Map(); // Map of tab ID to navigation record promise
+  }
+
+  /**
+   * Open the database, creating it if needed
+   * @returns {Promise<IDBDatabase>} - The database
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const errors = db.createObjectStore(ERRORS_STORE, { keyPath: 'id', autoIncrement: true });
+          errors.createIndex('tabId', 'tabId');
+          errors.createIndex('navigationId', 'navigationId');
+          errors.createIndex('origin', 'origin');
+          errors.createIndex('storedAt', 'storedAt');
+          // One record per error group, frame and page load
+          errors.createIndex('navigationFrameFingerprint', ['navigationId', 'frameId', 'fingerprint']);
+
+          const navigations = db.createObjectStore(NAVIGATIONS_STORE, { keyPath: 'id' });
+          navigations.createIndex('tabId', 'tabId');
+          navigations.createIndex('startedAt', 'startedAt');
+
+          // Session replays, kept apart so listing errors does not load them
+          const replays = db.createObjectStore(REPLAYS_STORE, { keyPath: 'id' });
+          replays.createIndex('navigationId', 'navigationId');
+          replays.createIndex('storedAt', 'storedAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Record the start of a new navigation in a tab
+   * @param {number} tabId - The tab ID
+   * @param {string} url - The URL being loaded
+   * @returns {Promise<Object>} - The navigation record
+   */
+  startNavigation(tabId, url) {
+    const navigation = {
+      id: `${tabId}-${Date.now()}-${Math.floor(Math.random() * 10000)}`,
+      tabId: tabId,
+      url: url || '',
+      origin: getOrigin(url),
+      startedAt: new Date().toISOString()
+    };
+
+    const navigationPromise = this.open()
+      .then(db => runRequest(db, NAVIGATIONS_STORE, 'readwrite', store => store.put(navigation)))
+      .then(() => navigation);
+
+    this.currentNavigations.set(tabId, navigationPromise);
+
+    return navigationPromise;
+  }
+
+  /**
+   * Get the current navigation of a tab, recovering it from the database
+   * after a service worker restart or starting one if there is none
+   * @param {number} tabId - The tab ID
+   * @param {string} url - The URL the tab is showing
+   * @returns {Promise<Object>} - The navigation record
+   */
+  getCurrentNavigation(tabId, url) {
+    if (this.currentNavigations.has(tabId)) {
+      return this.currentNavigations.get(tabId);
+    }
+
+    // Share the lookup between errors that arrive while it is pending
+    const navigationPromise = this.getNavigations(tabId)
+      .then(navigations => navigations[0] || this.startNavigation(tabId, url));
+
+    this.currentNavigations.set(tabId, navigationPromise);
+
+    return navigationPromise;
+  }
+
+  /**
+   * Store a captured error. Errors are stored per group, so a new occurrence
+   * of a group replaces the group's record for the current page load and
+   * frame.
+   * @param {number} tabId - The ID of the tab the error happened in
+   * @param {string} url - The URL of the page the error happened on
+   * @param {Object} error - The serialized error
+   * @returns {Promise<Object>} - The stored record
+   */
+  async addError(tabId, url, error) {
+    const navigation = await this.getCurrentNavigation(tabId, url);
+    const record = toStoredRecord(error);
+
+    record.tabId = tabId;
+    record.navigationId = navigation.id;
+    record.frameId = getErrorFrameId(error);
+    record.url = url || navigation.url;
+    record.origin = getOrigin(record.url);
+    record.storedAt = new Date().toISOString();
+
+    const db = await this.open();
+
+    record.id = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(ERRORS_STORE, 'readwrite');
+      const store = transaction.objectStore(ERRORS_STORE);
+      let request;
+
+      if (record.fingerprint) {
+        // Look up and write in one transaction so concurrent occurrences
+        // cannot both create a record
+        const lookup = store.index('navigationFrameFingerprint')
+          .getKey([record.navigationId, record.frameId, record.fingerprint]);
+
+        lookup.onsuccess = () => {
+          if (lookup.result !== undefined) {
+            record.id = lookup.result;
+          }
+          request = store.put(record);
+        };
+      } else {
+        request = store.add(record);
+      }
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return record;
+  }
+
+  /**
+   * Store the session replay of an error
+   * @param {number} tabId - The ID of the tab the error happened in
+   * @param {string} url - The URL of the page the error happened on
+   * @param {Object} replay - The replay, with the `id` its error refers to it by
+   * @returns {Promise<void>}
+   */
+  async addReplay(tabId, url, replay) {
+    const navigation = await this.getCurrentNavigation(tabId, url);
+    const record = {
+      ...replay,
+      tabId: tabId,
+      navigationId: navigation.id,
+      storedAt: new Date().toISOString()
+    };
+
+    const db = await this.open();
+    await runRequest(db, REPLAYS_STORE, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Get a stored session replay
+   * @param {string} id - The replay ID
+   * @returns {Promise<Object|null>} - The replay, or null if it was deleted
+   */
+  async getReplay(id) {
+    const db = await this.open();
+    const replay = await runRequest(db, REPLAYS_STORE, 'readonly', store => store.get(id));
+
+    return replay || null;
+  }
+
+  /**
+   * Get stored errors, newest first
+   * @param {Object} query - The query
+   * @param {number} [query.tabId] - Only errors from this tab
+   * @param {string} [query.navigationId] - Only errors from this navigation
+   * @param {string} [query.origin] - Only errors from this origin
+   * @param {number} [query.limit] - The maximum number of errors to return
+   * @returns {Promise<Array<Object>>} - The stored errors
+   */
+  async getErrors({ tabId, navigationId, origin, limit } = {}) {
+    const db = await this.open();
+
+    let errors;
+    if (navigationId) {
+      errors = await getAllFromIndex(db, ERRORS_STORE, 'navigationId', navigationId);
+    } else if (tabId !== undefined) {
+      errors = await getAllFromIndex(db, ERRORS_STORE, 'tabId', tabId);
+    } else if (origin) {
+      errors = await getAllFromIndex(db, ERRORS_STORE, 'origin', origin);
+    } else {
+      errors = await runRequest(db, ERRORS_STORE, 'readonly', store => store.getAll());
+    }
+
+    errors = errors.filter(error =>
+      (tabId === undefined || error.tabId === tabId) &&
+      (!origin || error.origin === origin)
+    );
+
+    errors.sort((a, b) => b.id - a.id);
+
+    return limit ? errors.slice(0, limit) : errors;
+  }
+
+  /**
+   * Get the navigations recorded for a tab, newest first
+   * @param {number} tabId - The tab ID
+   * @returns {Promise<Array<Object>>} - The navigation records
+   */
+  async getNavigations(tabId) {
+    const db = await this.open();
+    const navigations = await getAllFromIndex(db, NAVIGATIONS_STORE, 'tabId', tabId);
+
+    return navigations.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Delete the stored errors and replays of a navigation
+   * @param {string} navigationId - The navigation ID
+   * @returns {Promise<void>}
+   */
+  async clearNavigation(navigationId) {
+    const db = await this.open();
+    const errors = await getAllFromIndex(db, ERRORS_STORE, 'navigationId', navigationId);
+
+    await runRequest(db, ERRORS_STORE, 'readwrite', store => {
+      errors.forEach(error => store.delete(error.id));
+    });
+
+    const replayIds = await runRequest(db, REPLAYS_STORE, 'readonly', store =>
+      store.index('navigationId').getAllKeys(navigationId)
+    );
+
+    await runRequest(db, REPLAYS_STORE, 'readwrite', store => {
+      replayIds.forEach(id => store.delete(id));
+    });
+  }
+
+  /**
+   * Forget the current navigation of a closed tab. Its history is kept until
+   * it is pruned.
+   * @param {number} tabId - The tab ID
+   */
+  forgetTab(tabId) {
+    this.currentNavigations.delete(tabId);
+  }
+
+  /**
+   * Delete errors and replays that are too old or beyond their storage
+   * limits, along with navigations older than the retention period
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const db = await this.open();
+    const cutoff = new Date(Date.now() - MAX_AGE_MS).toISOString();
+
+    const keys = await runRequest(db, ERRORS_STORE, 'readonly', store => store.getAllKeys());
+    const excess = Math.max(0, keys.length - MAX_STORED_ERRORS);
+    const expired = await runRequest(db, ERRORS_STORE, 'readonly', store =>
+      store.index('storedAt').getAllKeys(IDBKeyRange.upperBound(cutoff))
+    );
+
+    // Keys are assigned in insertion order, so the first ones are the oldest
+    const toDelete = new Set([...keys.slice(0, excess), ...expired]);
+
+    if (toDelete.size > 0) {
+      await runRequest(db, ERRORS_STORE, 'readwrite', store => {
+        toDelete.forEach(key => store.delete(key));
+      });
+    }
+
+    // Replays are keyed by ID, so find the oldest by the time they were stored
+    const replays = await runRequest(db, REPLAYS_STORE, 'readonly', store =>
+      store.index('storedAt').getAllKeys()
+    );
+    const expiredReplays = await runRequest(db, REPLAYS_STORE, 'readonly', store =>
+      store.index('storedAt').getAllKeys(IDBKeyRange.upperBound(cutoff))
+    );
+    const replaysToDelete = new Set([
+      ...replays.slice(0, Math.max(0, replays.length - MAX_STORED_REPLAYS)),
+      ...expiredReplays
+    ]);
+
+    if (replaysToDelete.size > 0) {
+      await runRequest(db, REPLAYS_STORE, 'readwrite', store => {
+        replaysToDelete.forEach(key => store.delete(key));
+      });
+    }
+
+    const oldNavigations = await runRequest(db, NAVIGATIONS_STORE, 'readonly', store =>
+      store.index('startedAt').getAll(IDBKeyRange.upperBound(cutoff))
+    );
+
+    await runRequest(db, NAVIGATIONS_STORE, 'readwrite', store => {
+      oldNavigations.forEach(navigation => store.delete(navigation.id));
+    });
+  }
+}
+
+/**
+ * Create a stored record from a serialized error
+ * @param {Object} error - The serialized error
+ * @returns {Object} - A copy of the error without its ID, which becomes `errorId`
+ *   so the store can assign its own keys
+ */
+function toStoredRecord(error) {
+  const { id, ...record } = JSON.parse(JSON.stringify(error || {}));
+  record.errorId = id || null;
+
+  return record;
+}
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - The URL
+ * @returns {string} - The origin, or an empty string if the URL is invalid
+ */
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return '';
+  }
+}
+
+export default ErrorStore;
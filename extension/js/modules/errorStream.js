@@ -0,0 +1,337 @@
+/**
+ * Error Stream Module
+ *
+ * Streams changes to a tab's error groups from its content script, through
+ * the background script, to every open popup, DevTools panel and side panel
+ * over long-lived ports.
+ *
+ * Every frame of a tab streams its own errors. The background script stamps
+ * each event with the `frameId` of the frame it came from, so a snapshot or a
+ * clear without an error ID only replaces that frame's errors.
+ *
+ * Pages can throw hundreds of errors per second, so events are batched and
+ * coalesced: pending updates to a group collapse into its latest state. A
+ * viewer acknowledges each batch once it has rendered it, and the background
+ * script holds back the next batch, coalescing it further, until then.
+ */
+
+import { getErrorFrameId } from './frameInfo.js';
+
+// Port names, telling the background script who connected
+export const PAGE_PORT_NAME = 'jev-page';
+export const VIEWER_PORT_NAME = 'jev-viewer';
+
+export const StreamEvent = {
+  SNAPSHOT: 'snapshot', // { errors }: every error group of the frame, replacing what the viewer has
+  ERROR_ADDED: 'errorAdded', // { error }: a new error group
+  ERROR_UPDATED: 'errorUpdated', // { error }: a group changed, e.g. its count went up
+  ERROR_CLEARED: 'errorCleared', // { errorId }: a group was cleared, or all of the frame's without an ID
+  HIGHLIGHT_STALE: 'highlightStale' // { errorId, elementId }: an associated element is gone
+};
+
+export const StreamMessage = {
+  EVENTS: 'events', // { events }: a batch of stream events
+  ACK: 'ack', // The viewer has rendered the last batch
+  SUBSCRIBE: 'subscribe', // { tabId }: the viewer wants the events of a tab
+  REQUEST_SNAPSHOT: 'requestSnapshot' // A viewer needs the page's current errors
+};
+
+const DEFAULT_FLUSH_INTERVAL_MS = 100;
+const DEFAULT_MAX_BATCH_SIZE = 200;
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Collects stream events and sends them in batches, coalescing the events
+ * that are still waiting to be sent
+ */
+export class EventBatcher {
+  /**
+   * @param {Function} send - Called with each batch of events
+   * @param {Object} [options] - Batcher options
+   * @param {number} [options.interval] - The time to collect events for, in milliseconds
+   * @param {number} [options.maxBatchSize] - The most events to send at once
+   * @param {boolean} [options.requiresAck] - Whether to wait for acknowledge()
+   *   after each batch before sending the next
+   */
+  constructor(send, {
+    interval = DEFAULT_FLUSH_INTERVAL_MS,
+    maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+    requiresAck = false
+  } = {}) {
+    this.send = send;
+    this.interval = interval;
+    this.maxBatchSize = maxBatchSize;
+    this.requiresAck = requiresAck;
+    this.pending = [];
+    this.pendingByErrorId = new Map(); // Map of error ID to its pending added or updated event
+    this.isWaitingForAck = false;
+    this.timer = null;
+  }
+
+  /**
+   * The number of events waiting to be sent
+   * @returns {number} - The number of events
+   */
+  get size() {
+    return this.pending.length;
+  }
+
+  /**
+   * Queue an event, folding it into the pending events where possible
+   * @param {Object} event - The stream event
+   */
+  push(event) {
+    switch (event.type) {
+      case StreamEvent.SNAPSHOT:
+        // The snapshot already reflects everything pending from its frame
+        this.replaceFrameEvents(event);
+        break;
+
+      case StreamEvent.ERROR_ADDED:
+      case StreamEvent.ERROR_UPDATED: {
+        const pendingEvent = this.pendingByErrorId.get(event.error.id);
+
+        if (pendingEvent) {
+          // Only the latest state matters; a pending add stays an add
+          pendingEvent.error = event.error;
+        } else {
+          const queued = { ...event };
+          this.pending.push(queued);
+          this.pendingByErrorId.set(event.error.id, queued);
+        }
+        break;
+      }
+
+      case StreamEvent.ERROR_CLEARED: {
+        if (!event.errorId) {
+          this.replaceFrameEvents(event);
+          break;
+        }
+
+        const pendingEvent = this.pendingByErrorId.get(event.errorId);
+        this.pending = this.pending.filter(queued =>
+          queued !== pendingEvent &&
+          !(queued.type === StreamEvent.HIGHLIGHT_STALE && queued.errorId === event.errorId)
+        );
+        this.pendingByErrorId.delete(event.errorId);
+
+        // Viewers never heard of a group whose add had not been sent yet
+        if (!pendingEvent || pendingEvent.type !== StreamEvent.ERROR_ADDED) {
+          this.pending.push(event);
+        }
+        break;
+      }
+
+      case StreamEvent.HIGHLIGHT_STALE: {
+        const isPending = this.pending.some(queued =>
+          queued.type === StreamEvent.HIGHLIGHT_STALE &&
+          queued.errorId === event.errorId &&
+          queued.elementId === event.elementId
+        );
+
+        if (!isPending) {
+          this.pending.push(event);
+        }
+        break;
+      }
+
+      default:
+        this.pending.push(event);
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Send the next batch now, unless the last one is still unacknowledged
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.isWaitingForAck || this.pending.length === 0) return;
+
+    const batch = this.pending.splice(0, this.maxBatchSize);
+    batch.forEach(event => {
+      if (event.error && this.pendingByErrorId.get(event.error.id) === event) {
+        this.pendingByErrorId.delete(event.error.id);
+      }
+    });
+
+    this.isWaitingForAck = this.requiresAck;
+    this.send(batch);
+
+    if (this.pending.length > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Let the next batch through after the receiver has handled the last one
+   */
+  acknowledge() {
+    this.isWaitingForAck = false;
+    this.schedule();
+  }
+
+  /**
+   * Drop the pending events and stop sending
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.reset([]);
+  }
+
+  /**
+   * Replace the pending events of a frame, or of all frames if the event has
+   * no `frameId`, with one event
+   * @param {Object} event - The snapshot or clear event
+   */
+  replaceFrameEvents(event) {
+    if (event.frameId === undefined) {
+      this.reset([event]);
+      return;
+    }
+
+    this.reset(this.pending.filter(queued => queued.frameId !== event.frameId).concat([event]));
+    this.pending.forEach(queued => {
+      if (queued.error) {
+        this.pendingByErrorId.set(queued.error.id, queued);
+      }
+    });
+  }
+
+  /**
+   * Replace the pending events
+   * @param {Array<Object>} events - The new pending events
+   */
+  reset(events) {
+    this.pending = events;
+    this.pendingByErrorId.clear();
+  }
+
+  /**
+   * Send the pending events after the flush interval
+   */
+  schedule() {
+    if (this.timer || this.isWaitingForAck || this.pending.length === 0) return;
+    this.timer = setTimeout(() => this.flush(), this.interval);
+  }
+}
+
+/**
+ * Apply stream events to a list of error groups
+ * @param {Array<Object>} errors - The error groups, oldest first
+ * @param {Array<Object>} events - The stream events, in order
+ * @returns {Array<Object>} - The updated error groups
+ */
+export function applyStreamEvents(errors, events) {
+  return events.reduce((current, event) => {
+    switch (event.type) {
+      case StreamEvent.SNAPSHOT:
+        return event.frameId === undefined
+          ? event.errors.slice()
+          : current.filter(error => getErrorFrameId(error) !== event.frameId).concat(event.errors);
+
+      case StreamEvent.ERROR_ADDED:
+      case StreamEvent.ERROR_UPDATED: {
+        const index = current.findIndex(error => error.id === event.error.id);
+        if (index === -1) {
+          return current.concat([event.error]);
+        }
+
+        const updated = current.slice();
+        updated[index] = event.error;
+        return updated;
+      }
+
+      case StreamEvent.ERROR_CLEARED:
+        if (event.errorId) {
+          return current.filter(error => error.id !== event.errorId);
+        }
+        return event.frameId === undefined
+          ? []
+          : current.filter(error => getErrorFrameId(error) !== event.frameId);
+
+      case StreamEvent.HIGHLIGHT_STALE:
+        return current.map(error => {
+          if (error.id !== event.errorId) return error;
+
+          return {
+            ...error,
+            associatedElements: (error.associatedElements || []).map(association =>
+              association.errorId === event.elementId ? { ...association, stale: true } : association
+            )
+          };
+        });
+
+      default:
+        return current;
+    }
+  }, errors);
+}
+
+/**
+ * Check whether stream events change an error group
+ * @param {Array<Object>} events - The stream events
+ * @param {*} errorId - The ID of the error group
+ * @returns {boolean} - Whether the group was changed, replaced or cleared
+ */
+export function affectsError(events, errorId) {
+  return events.some(event =>
+    event.type === StreamEvent.SNAPSHOT ||
+    (event.type === StreamEvent.ERROR_CLEARED && !event.errorId) ||
+    event.errorId === errorId ||
+    (event.error && event.error.id === errorId)
+  );
+}
+
+/**
+ * Receive the stream events of a tab, starting with a snapshot of its errors.
+ * Each batch is acknowledged after the next frame, once the viewer has
+ * rendered it. The connection is restored when the background script restarts.
+ * @param {number} tabId - The ID of the tab
+ * @param {Function} onEvents - Called with each batch of events
+ * @returns {Function} - Stops receiving events
+ */
+export function subscribeToErrors(tabId, onEvents) {
+  let port = null;
+  let isClosed = false;
+
+  const connect = () => {
+    const currentPort = chrome.runtime.connect({ name: VIEWER_PORT_NAME });
+    port = currentPort;
+
+    currentPort.onMessage.addListener((message) => {
+      if (message.type !== StreamMessage.EVENTS) return;
+
+      onEvents(message.events);
+
+      requestAnimationFrame(() => {
+        if (port === currentPort) {
+          currentPort.postMessage({ type: StreamMessage.ACK });
+        }
+      });
+    });
+
+    currentPort.onDisconnect.addListener(() => {
+      port = null;
+      if (!isClosed) {
+        setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    });
+
+    currentPort.postMessage({ type: StreamMessage.SUBSCRIBE, tabId: tabId });
+  };
+
+  connect();
+
+  return () => {
+    isClosed = true;
+    if (port) {
+      port.disconnect();
+      port = null;
+    }
+  };
+}
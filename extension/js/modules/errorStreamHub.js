@@ -0,0 +1,165 @@
+/**
+ * ErrorStreamHub Module
+ *
+ * Relays the error stream in the background script: the content script of
+ * each frame of a tab streams its events over a page port, and every viewer
+ * port subscribed to that tab gets them, stamped with their frame, through its
+ * own batcher, so a slow viewer only holds back itself.
+ */
+
+import {
+  EventBatcher,
+  PAGE_PORT_NAME,
+  VIEWER_PORT_NAME,
+  StreamEvent,
+  StreamMessage
+} from './errorStream.js';
+
+class ErrorStreamHub {
+  constructor() {
+    this.pagePorts = new Map(); // Map of tab ID to a map of frame ID to the port of its content script
+    this.viewers = new Map(); // Map of tab ID to the set of its viewers
+  }
+
+  /**
+   * Handle a port connecting to the background script
+   * @param {chrome.runtime.Port} port - The port
+   */
+  handleConnect(port) {
+    if (port.name === PAGE_PORT_NAME) {
+      this.handlePagePort(port);
+    } else if (port.name === VIEWER_PORT_NAME) {
+      this.handleViewerPort(port);
+    }
+  }
+
+  /**
+   * Relay the events of a frame's content script
+   * @param {chrome.runtime.Port} port - The content script's port
+   */
+  handlePagePort(port) {
+    const tab = port.sender && port.sender.tab;
+    if (!tab) {
+      port.disconnect();
+      return;
+    }
+
+    const tabId = tab.id;
+    const frameId = port.sender.frameId || 0;
+    if (!this.pagePorts.has(tabId)) {
+      this.pagePorts.set(tabId, new Map());
+    }
+    this.pagePorts.get(tabId).set(frameId, port);
+
+    port.onMessage.addListener((message) => {
+      if (message.type === StreamMessage.EVENTS && Array.isArray(message.events)) {
+        this.broadcast(tabId, message.events.map(event => ({ ...event, frameId })));
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      const framePorts = this.pagePorts.get(tabId);
+      if (!framePorts || framePorts.get(frameId) !== port) return;
+
+      // The frame's document is gone, and its errors with it
+      framePorts.delete(frameId);
+      if (framePorts.size === 0) {
+        this.pagePorts.delete(tabId);
+      }
+      this.broadcast(tabId, [{ type: StreamEvent.SNAPSHOT, frameId, errors: [] }]);
+    });
+
+    // Viewers that are already open need the new frame's errors
+    if (this.viewers.has(tabId)) {
+      port.postMessage({ type: StreamMessage.REQUEST_SNAPSHOT });
+    }
+  }
+
+  /**
+   * Stream a tab's events to a viewer once it subscribes
+   * @param {chrome.runtime.Port} port - The viewer's port
+   */
+  handleViewerPort(port) {
+    const viewer = {
+      tabId: null,
+      batcher: new EventBatcher(
+        events => port.postMessage({ type: StreamMessage.EVENTS, events }),
+        { requiresAck: true }
+      )
+    };
+
+    port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case StreamMessage.SUBSCRIBE:
+          this.removeViewer(viewer);
+          viewer.tabId = message.tabId;
+          this.addViewer(viewer);
+          break;
+
+        case StreamMessage.ACK:
+          viewer.batcher.acknowledge();
+          break;
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      this.removeViewer(viewer);
+      viewer.batcher.clear();
+    });
+  }
+
+  /**
+   * Start streaming a tab's events to a viewer, beginning with its errors so far
+   * @param {Object} viewer - The viewer
+   */
+  addViewer(viewer) {
+    if (!this.viewers.has(viewer.tabId)) {
+      this.viewers.set(viewer.tabId, new Set());
+    }
+    this.viewers.get(viewer.tabId).add(viewer);
+
+    const framePorts = this.pagePorts.get(viewer.tabId);
+    if (framePorts) {
+      // The snapshots reach every viewer of the tab, which is harmless
+      framePorts.forEach(pagePort => pagePort.postMessage({ type: StreamMessage.REQUEST_SNAPSHOT }));
+    } else {
+      // The content scripts' ports close whenever the service worker stops,
+      // so ask them to connect again; they are sent snapshot requests then
+      chrome.tabs.sendMessage(viewer.tabId, { action: 'connectStream' }).catch(() => {
+        // No content script is running in the tab
+        viewer.batcher.push({ type: StreamEvent.SNAPSHOT, errors: [] });
+        viewer.batcher.flush();
+      });
+    }
+  }
+
+  /**
+   * Stop streaming to a viewer
+   * @param {Object} viewer - The viewer
+   */
+  removeViewer(viewer) {
+    const viewers = this.viewers.get(viewer.tabId);
+    if (!viewers) return;
+
+    viewers.delete(viewer);
+    if (viewers.size === 0) {
+      this.viewers.delete(viewer.tabId);
+    }
+  }
+
+  /**
+   * Send events to every viewer of a tab
+   * @param {number} tabId - The ID of the tab
+   * @param {Array<Object>} events - The stream events
+   */
+  broadcast(tabId, events) {
+    const viewers = this.viewers.get(tabId);
+    if (!viewers) return;
+
+    viewers.forEach(viewer => {
+      events.forEach(event => viewer.batcher.push(event));
+    });
+  }
+}
+
+export default ErrorStreamHub;
@@ -0,0 +1,100 @@
+/**
+ * Fingerprint Module
+ *
+ * Computes stable fingerprints for errors so that repeated occurrences of the
+ * same problem are grouped together, even when their messages contain
+ * dynamic values such as IDs or URLs.
+ */
+
+// Number of in-app frames that identify where an error comes from
+const FINGERPRINT_FRAME_COUNT = 3;
+
+// Applied in order; URLs and UUIDs go first so their digits are not
+// replaced piecemeal by the number pattern
+const MESSAGE_NORMALIZERS = [
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, '<url>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/"[^"]*"/g, '"<value>"'],
+  // Apostrophes, as in "can't", neither open nor close a quoted value
+  [/(?<!\w)'(?:[^']|(?<=\w)'(?=\w))*'(?!\w)/g, "'<value>'"],
+  [/`[^`]*`/g, '`<value>`'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\d+(\.\d+)?/g, '<n>']
+];
+
+// Sources that belong to libraries or tooling rather than the app itself
+const NON_APP_SOURCE = /(^|\/)(node_modules|bower_components|vendor)\/|^webpack\/(bootstrap|runtime)|^(chrome|moz|safari-web)-extension:/;
+
+/**
+ * Normalize an error message by replacing dynamic values with placeholders
+ * @param {string} message - The error message
+ * @returns {string} - The normalized message
+ */
+export function normalizeMessage(message) {
+  if (!message) return '';
+
+  return MESSAGE_NORMALIZERS
+    .reduce((normalized, [pattern, replacement]) => normalized.replace(pattern, replacement), String(message))
+    .trim();
+}
+
+/**
+ * Check whether a frame belongs to the app rather than a library or the browser
+ * @param {Object} frame - The (mapped) stack frame
+ * @returns {boolean} - Whether the frame is in-app
+ */
+export function isInAppFrame(frame) {
+  return !!(frame && frame.url && !frame.isNative && !NON_APP_SOURCE.test(frame.url));
+}
+
+/**
+ * Compute the fingerprint of an error
+ * @param {Object} error - The processed error, with `mappedFrames` if available
+ * @returns {string} - The fingerprint
+ */
+export function getFingerprint(error) {
+  const frames = error.mappedFrames || error.frames || [];
+  const inAppFrames = frames.filter(isInAppFrame).slice(0, FINGERPRINT_FRAME_COUNT);
+
+  // Without any in-app frame, the top frame is the best location we have
+  const locationFrames = inAppFrames.length > 0 ? inAppFrames : frames.slice(0, 1);
+
+  const parts = [
+    error.type || '',
+    error.name || '',
+    normalizeMessage(error.message)
+  ];
+
+  if (locationFrames.length > 0) {
+    locationFrames.forEach(frame => {
+      parts.push(`${frame.url || ''}:${frame.functionName || ''}:${frame.line || ''}`);
+    });
+  } else {
+    // Errors without a stack, such as console errors with only a message
+    parts.push(`${error.mappedFilename || error.filename || ''}:${error.mappedLineno || error.lineno || ''}`);
+  }
+
+  return hashString(parts.join('\n'));
+}
+
+/**
+ * Hash a string into a 53-bit hexadecimal value (cyrb53)
+ * @param {string} str - The string to hash
+ * @returns {string} - The hash
+ */
+export function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
@@ -0,0 +1,89 @@
+/**
+ * FrameInfo Module
+ *
+ * Describes the frame a content script runs in, so errors from every frame of
+ * a tab can be told apart and traced back to the top document. Frame IDs are
+ * the extension frame IDs the background script sees as `sender.frameId`.
+ */
+
+export const TOP_FRAME_ID = 0;
+
+/**
+ * Describe a frame
+ * @param {Window} [win] - The frame's window
+ * @returns {Object} - The frame's `id`, `url`, whether it `isTop`, whether it
+ *   `isCrossOrigin` to the top document, and its `parentChain` of ancestors,
+ *   nearest first, each with an `id` and a `url` (only the origin for
+ *   cross-origin ancestors)
+ */
+export function getFrameInfo(win = window) {
+  const isTop = win === win.top;
+  const ancestorOrigins = win.location.ancestorOrigins || [];
+  const parentChain = [];
+
+  let current = win;
+  while (current !== current.top) {
+    current = current.parent;
+    parentChain.push({
+      id: getFrameId(current),
+      url: getFrameUrl(current) || ancestorOrigins[parentChain.length] || null
+    });
+  }
+
+  return {
+    id: isTop ? TOP_FRAME_ID : getFrameId(win),
+    url: win.location.href,
+    isTop: isTop,
+    isCrossOrigin: !isTop && getFrameUrl(win.top) === null,
+    parentChain: parentChain
+  };
+}
+
+/**
+ * Get the ID of the frame an error group happened in
+ * @param {Object} error - The serialized error group
+ * @returns {number} - The frame ID; errors from before frames were recorded
+ *   belong to the top frame
+ */
+export function getErrorFrameId(error) {
+  return error && error.frame && error.frame.id !== null ? error.frame.id : TOP_FRAME_ID;
+}
+
+/**
+ * Find the frame element of this document that holds a child frame
+ * @param {number} frameId - The child frame's ID
+ * @param {Document} [doc] - The document to search
+ * @returns {Element|null} - The iframe or frame element, if any
+ */
+export function findFrameElement(frameId, doc = document) {
+  return Array.from(doc.querySelectorAll('iframe, frame'))
+    .find(element => getFrameId(element) === frameId) || null;
+}
+
+/**
+ * Get the extension frame ID of a window or frame element
+ * @param {Window|Element} target - The window or frame element
+ * @returns {number|null} - The frame ID, or null if it is unknown
+ */
+function getFrameId(target) {
+  try {
+    const frameId = chrome.runtime.getFrameId(target);
+    return frameId >= 0 ? frameId : null;
+  } catch (e) {
+    // Older browsers have no getFrameId
+    return null;
+  }
+}
+
+/**
+ * Get the URL of a frame's window, if this frame may read it
+ * @param {Window} win - The frame's window
+ * @returns {string|null} - The URL, or null for cross-origin frames
+ */
+function getFrameUrl(win) {
+  try {
+    return win.location.href;
+  } catch (e) {
+    return null;
+  }
+}
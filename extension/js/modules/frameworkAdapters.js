@@ -0,0 +1,360 @@
+/**
+ * FrameworkAdapters Module
+ *
+ * Reads the component trees that React, Vue and Angular attach to DOM nodes
+ * so errors can be attributed to the elements a component rendered. The
+ * framework internals are expando properties set by the page's own scripts,
+ * so these functions only work in the page's main world.
+ */
+
+import { isExtensionNode } from './shadowHost.js';
+
+// Upper bound on the elements reported for one component
+const MAX_COMPONENT_ELEMENTS = 50;
+
+const reactAdapter = {
+  name: 'react',
+
+  getComponentPath(element) {
+    const fiber = getReactFiber(element);
+    const names = [];
+
+    for (let current = fiber && fiber.return; current; current = current.return) {
+      const name = getReactComponentName(current);
+      if (name) names.unshift(name);
+    }
+
+    return names;
+  },
+
+  getRootComponents(element) {
+    const fiber = getReactFiber(element);
+    const names = [];
+
+    // Components between this element and the next host element above it
+    // render this element as (one of) their root nodes
+    for (let current = fiber && fiber.return; current && !isReactHostFiber(current); current = current.return) {
+      const name = getReactComponentName(current);
+      if (name) names.push(name);
+    }
+
+    return names;
+  }
+};
+
+const vueAdapter = {
+  name: 'vue',
+
+  getComponentPath(element) {
+    const names = [];
+
+    for (let node = element; node; node = node.parentElement) {
+      if (node.__vueParentComponent) {
+        for (let instance = node.__vueParentComponent; instance; instance = instance.parent) {
+          const name = getVueComponentName(instance.type);
+          if (name) names.unshift(name);
+        }
+        break;
+      }
+
+      // Vue 2
+      if (node.__vue__) {
+        for (let vm = node.__vue__; vm; vm = vm.$parent) {
+          const name = getVueComponentName(vm.$options);
+          if (name) names.unshift(name);
+        }
+        break;
+      }
+    }
+
+    return names;
+  },
+
+  getRootComponents(element) {
+    const names = [];
+
+    for (let instance = element.__vueParentComponent; instance && instance.subTree && instance.subTree.el === element; instance = instance.parent) {
+      const name = getVueComponentName(instance.type);
+      if (name) names.push(name);
+    }
+
+    for (let vm = element.__vue__; vm && vm.$el === element; vm = vm.$parent) {
+      const name = getVueComponentName(vm.$options);
+      if (name) names.push(name);
+    }
+
+    return names;
+  }
+};
+
+const angularAdapter = {
+  name: 'angular',
+
+  getComponentPath(element) {
+    const ng = getAngularDebugApi();
+    if (!ng) return [];
+
+    const names = [];
+
+    for (let node = element; node; node = getParentElement(node)) {
+      const name = getAngularComponentName(ng, node);
+      if (name) names.unshift(name);
+    }
+
+    return names;
+  },
+
+  getRootComponents(element) {
+    const ng = getAngularDebugApi();
+    const name = ng ? getAngularComponentName(ng, element) : null;
+
+    return name ? [name] : [];
+  }
+};
+
+const adapters = [reactAdapter, vueAdapter, angularAdapter];
+
+// Root elements by component name, kept until the DOM changes so that the
+// errors of one burst share a single walk of the document
+let componentIndex = null;
+let componentIndexObserver = null;
+
+/**
+ * Register an adapter for another framework
+ * @param {Object} adapter - The adapter
+ * @param {string} adapter.name - The framework name
+ * @param {Function} adapter.getComponentPath - Returns the names of the
+ *   components an element is rendered by, outermost first
+ * @param {Function} adapter.getRootComponents - Returns the names of the
+ *   components that render an element as their root node, innermost first
+ */
+export function registerAdapter(adapter) {
+  if (adapter && !adapters.some(existing => existing.name === adapter.name)) {
+    adapters.push(adapter);
+    componentIndex = null;
+  }
+}
+
+/**
+ * Get the path of components an element is rendered by
+ * @param {Element} element - The element
+ * @returns {Array<string>} - The component names, outermost first
+ */
+export function getComponentPath(element) {
+  if (!element) return [];
+
+  for (const adapter of adapters) {
+    const path = safely(() => adapter.getComponentPath(element), []);
+    if (path.length > 0) return path;
+  }
+
+  return [];
+}
+
+/**
+ * Find the elements rendered by the first of the given components that is
+ * on the page
+ * @param {Array<string>} names - Component names, most specific first
+ * @returns {Array<Element>} - The root elements of that component
+ */
+export function findComponentElements(names) {
+  if (!names || names.length === 0) return [];
+
+  const index = getComponentIndex();
+  const name = names.find(candidate => index.has(candidate));
+
+  return name ? index.get(name).slice() : [];
+}
+
+/**
+ * Parse a React component stack, as passed to error boundaries and printed
+ * in development warnings
+ * @param {string} componentStack - The component stack
+ * @returns {Array<string>} - The component names, innermost first
+ */
+export function parseComponentStack(componentStack) {
+  if (!componentStack) return [];
+
+  return String(componentStack).split('\n')
+    .map(line => line.match(/^\s*(?:in|at)\s+([\w$.]+)/))
+    .filter(Boolean)
+    .map(match => match[1])
+    // Host components such as "div" are not components
+    .filter(name => /^[A-Z$_]/.test(name));
+}
+
+/**
+ * Check whether a string looks like a React component stack
+ * @param {*} value - The value
+ * @returns {boolean} - Whether it is a component stack
+ */
+export function isComponentStack(value) {
+  if (typeof value !== 'string') return false;
+
+  const lines = value.split('\n').filter(line => line.trim());
+
+  return lines.length > 0 && lines.every(line => /^\s+(?:in|at)\s+\S/.test(line));
+}
+
+/**
+ * Get the root elements of every component on the page, walking the
+ * document only if it changed since the last walk
+ * @returns {Map<string, Array<Element>>} - The root elements by component name
+ */
+function getComponentIndex() {
+  if (componentIndex && !componentIndexObserver.takeRecords().some(isPageMutation)) {
+    return componentIndex;
+  }
+
+  componentIndex = new Map();
+
+  document.querySelectorAll('*').forEach(element => {
+    adapters.forEach(adapter => {
+      safely(() => adapter.getRootComponents(element), []).forEach(name => {
+        const elements = componentIndex.get(name) || [];
+
+        if (!elements.includes(element) && elements.length < MAX_COMPONENT_ELEMENTS) {
+          elements.push(element);
+        }
+
+        componentIndex.set(name, elements);
+      });
+    });
+  });
+
+  // The first change drops the index; no need to keep watching after that
+  if (!componentIndexObserver) {
+    componentIndexObserver = new MutationObserver(records => {
+      if (records.some(isPageMutation)) {
+        componentIndex = null;
+        componentIndexObserver.disconnect();
+      }
+    });
+  }
+  componentIndexObserver.observe(document, { childList: true, subtree: true });
+
+  return componentIndex;
+}
+
+/**
+ * Check whether a mutation changed the page's own content, rather than only
+ * the nodes the extension adds to it
+ * @param {MutationRecord} record - The mutation
+ * @returns {boolean} - Whether the page changed
+ */
+function isPageMutation(record) {
+  if (isExtensionNode(record.target)) return false;
+
+  return Array.from(record.addedNodes).concat(Array.from(record.removedNodes))
+    .some(node => !isExtensionNode(node));
+}
+
+/**
+ * Get the React fiber attached to a DOM element
+ * @param {Element} element - The element
+ * @returns {Object|null} - The fiber
+ */
+function getReactFiber(element) {
+  const key = Object.keys(element).find(name =>
+    name.startsWith('__reactFiber$') || name.startsWith('__reactInternalInstance$'));
+
+  return key ? element[key] : null;
+}
+
+/**
+ * Check whether a fiber renders a DOM node or is the root of the tree
+ * @param {Object} fiber - The fiber
+ * @returns {boolean} - Whether it is a host fiber
+ */
+function isReactHostFiber(fiber) {
+  // 3 is the HostRoot tag
+  return fiber.tag === 3 || (typeof Node !== 'undefined' && fiber.stateNode instanceof Node);
+}
+
+/**
+ * Get the name of the component a fiber belongs to
+ * @param {Object} fiber - The fiber
+ * @returns {string|null} - The name, or null for host and anonymous fibers
+ */
+function getReactComponentName(fiber) {
+  const type = fiber.type;
+
+  if (!type || typeof type === 'string') return null;
+
+  if (typeof type === 'function') {
+    return type.displayName || type.name || null;
+  }
+
+  // forwardRef and memo wrappers
+  const inner = type.render || type.type;
+
+  return type.displayName ||
+    (inner && typeof inner === 'function' ? inner.displayName || inner.name : null) ||
+    null;
+}
+
+/**
+ * Get the name of a Vue component
+ * @param {Object} options - The component definition (Vue 3) or options (Vue 2)
+ * @returns {string|null} - The name
+ */
+function getVueComponentName(options) {
+  if (!options) return null;
+
+  const file = options.__file && options.__file.match(/([^/\\]+)\.vue$/);
+
+  return options.name || options.__name || options._componentTag || (file && file[1]) || null;
+}
+
+/**
+ * Get Angular's global debugging API, available in development builds
+ * @returns {Object|null} - The `ng` global
+ */
+function getAngularDebugApi() {
+  const ng = window.ng;
+
+  return ng && typeof ng.getComponent === 'function' ? ng : null;
+}
+
+/**
+ * Get the name of the Angular component hosted by an element
+ * @param {Object} ng - Angular's debugging API
+ * @param {Element} element - The element
+ * @returns {string|null} - The component name
+ */
+function getAngularComponentName(ng, element) {
+  const component = safely(() => ng.getComponent(element), null);
+
+  // Bundlers may prefix class names with underscores
+  return component && component.constructor
+    ? component.constructor.name.replace(/^_+/, '') || null
+    : null;
+}
+
+/**
+ * Get the parent of an element, crossing shadow root boundaries
+ * @param {Element} element - The element
+ * @returns {Element|null} - The parent element
+ */
+function getParentElement(element) {
+  if (element.parentElement) return element.parentElement;
+
+  const root = element.getRootNode ? element.getRootNode() : null;
+
+  return root && root.host ? root.host : null;
+}
+
+/**
+ * Run a function, falling back to a value if it throws. Framework internals
+ * are not a public API and may change shape between versions.
+ * @param {Function} fn - The function
+ * @param {*} fallback - The fallback value
+ * @returns {*} - The result of the function, or the fallback
+ */
+function safely(fn, fallback) {
+  try {
+    return fn() || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
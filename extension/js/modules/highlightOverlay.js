@@ -0,0 +1,267 @@
+/**
+ * HighlightOverlay Module
+ *
+ * Draws highlight boxes over page elements in a fixed-position layer inside
+ * the extension's shadow root, so highlighting never changes the page's own
+ * elements or styles. Boxes follow their elements through scrolling, resizing
+ * and layout changes, including content the page inserts around them.
+ */
+
+class HighlightOverlay {
+  /**
+   * @param {ShadowHost} shadowHost - The host of the extension's page UI
+   */
+  constructor(shadowHost) {
+    this.shadowHost = shadowHost;
+    this.layer = null;
+    this.sheet = null;
+    this.style = {};
+    this.boxes = new Map(); // Map of element to { box, isIntersecting }
+    this.frameRequest = null;
+    this.resizeObserver = null;
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.boundScheduleUpdate = this.scheduleUpdate.bind(this);
+  }
+
+  /**
+   * Create the overlay layer and start tracking layout changes
+   */
+  attach() {
+    if (this.layer) return;
+
+    this.layer = document.createElement('div');
+    this.layer.className = 'highlight-layer';
+    this.shadowHost.appendChild(this.layer);
+    this.sheet = this.shadowHost.addStyles(this.getCss());
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.boundScheduleUpdate);
+    }
+
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(this.handleIntersection.bind(this));
+    }
+
+    // Content inserted or restyled elsewhere on the page can move elements
+    // without resizing them or scrolling anything
+    if (typeof MutationObserver !== 'undefined') {
+      this.mutationObserver = new MutationObserver(this.boundScheduleUpdate);
+    }
+
+    // Scroll events do not bubble, but every one of them passes the
+    // window in the capture phase
+    window.addEventListener('scroll', this.boundScheduleUpdate, { capture: true, passive: true });
+    window.addEventListener('resize', this.boundScheduleUpdate, { passive: true });
+  }
+
+  /**
+   * Remove the overlay layer and stop tracking layout changes
+   */
+  detach() {
+    if (!this.layer) return;
+
+    this.clear();
+
+    window.removeEventListener('scroll', this.boundScheduleUpdate, { capture: true });
+    window.removeEventListener('resize', this.boundScheduleUpdate);
+
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    if (this.mutationObserver) this.mutationObserver.disconnect();
+
+    this.layer.remove();
+    this.sheet.replace('');
+    this.layer = null;
+    this.sheet = null;
+    this.resizeObserver = null;
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+  }
+
+  /**
+   * Set the style of the highlight boxes
+   * @param {Object} style - The highlight style
+   */
+  setStyle(style) {
+    this.style = style;
+
+    if (this.sheet) {
+      this.sheet.replace(this.getCss());
+    }
+  }
+
+  /**
+   * Show or update the box for an element
+   * @param {Element} element - The highlighted element
+   * @param {boolean} isMultiple - Whether several errors are associated with it
+   */
+  showBox(element, isMultiple) {
+    this.attach();
+
+    let entry = this.boxes.get(element);
+
+    if (!entry) {
+      const box = document.createElement('div');
+      box.className = 'highlight-box';
+      this.layer.appendChild(box);
+
+      // Assume the element is visible until the observer says otherwise
+      entry = { box, isIntersecting: true };
+      this.boxes.set(element, entry);
+
+      // Only watch the page while there are boxes to keep in place
+      if (this.boxes.size === 1 && this.mutationObserver) {
+        this.mutationObserver.observe(document, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true
+        });
+      }
+
+      if (this.resizeObserver) this.resizeObserver.observe(element);
+      if (this.intersectionObserver) this.intersectionObserver.observe(element);
+    }
+
+    entry.box.classList.toggle('multiple', isMultiple);
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Remove the box for an element
+   * @param {Element} element - The highlighted element
+   */
+  removeBox(element) {
+    const entry = this.boxes.get(element);
+    if (!entry) return;
+
+    entry.box.remove();
+    this.boxes.delete(element);
+
+    if (this.resizeObserver) this.resizeObserver.unobserve(element);
+    if (this.intersectionObserver) this.intersectionObserver.unobserve(element);
+    if (this.boxes.size === 0 && this.mutationObserver) this.mutationObserver.disconnect();
+  }
+
+  /**
+   * Remove all boxes
+   */
+  clear() {
+    Array.from(this.boxes.keys()).forEach(element => this.removeBox(element));
+  }
+
+  /**
+   * Flash the box for an element to draw attention to it
+   * @param {Element} element - The highlighted element
+   */
+  flash(element) {
+    const entry = this.boxes.get(element);
+    if (!entry) return;
+
+    entry.box.classList.remove('flash');
+    // Restart the animation if it is already running
+    void entry.box.offsetWidth;
+    entry.box.classList.add('flash');
+
+    setTimeout(() => {
+      entry.box.classList.remove('flash');
+    }, 1500);
+  }
+
+  /**
+   * Track which elements are in the viewport
+   * @param {Array<IntersectionObserverEntry>} entries - The observer entries
+   */
+  handleIntersection(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+      const entry = this.boxes.get(target);
+      if (entry) entry.isIntersecting = isIntersecting;
+    });
+
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Update the box positions before the next paint
+   */
+  scheduleUpdate() {
+    if (this.frameRequest) return;
+
+    this.frameRequest = requestAnimationFrame(() => {
+      this.frameRequest = null;
+      this.updatePositions();
+    });
+  }
+
+  /**
+   * Move every box over its element
+   */
+  updatePositions() {
+    const borderWidth = this.style.borderWidth || 0;
+
+    this.boxes.forEach(({ box, isIntersecting }, element) => {
+      if (!isIntersecting || !element.isConnected) {
+        box.hidden = true;
+        return;
+      }
+
+      const rect = element.getBoundingClientRect();
+
+      // Elements that are not rendered have an empty rect
+      if (rect.width === 0 && rect.height === 0) {
+        box.hidden = true;
+        return;
+      }
+
+      box.hidden = false;
+      box.style.transform = `translate(${rect.left - borderWidth}px, ${rect.top - borderWidth}px)`;
+      box.style.width = `${rect.width + borderWidth * 2}px`;
+      box.style.height = `${rect.height + borderWidth * 2}px`;
+    });
+  }
+
+  /**
+   * Get the CSS for the overlay layer and boxes
+   * @returns {string} - The CSS
+   */
+  getCss() {
+    const { color = '#ff0000', borderStyle = 'dashed', borderWidth = 2, background = null } = this.style;
+
+    return `
+      .highlight-layer {
+        position: fixed;
+        inset: 0;
+        pointer-events: none;
+      }
+
+      .highlight-box {
+        position: absolute;
+        top: 0;
+        left: 0;
+        box-sizing: border-box;
+        border: ${borderWidth}px ${borderStyle} ${color};
+        ${background ? `background-color: ${background};` : ''}
+      }
+
+      .highlight-box.multiple {
+        border-width: ${borderWidth + 1}px;
+      }
+
+      .highlight-box[hidden] {
+        display: none;
+      }
+
+      .highlight-box.flash {
+        animation: highlight-flash 0.5s ease-in-out 3;
+      }
+
+      @keyframes highlight-flash {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.3; }
+      }
+    `;
+  }
+}
+
+export default HighlightOverlay;
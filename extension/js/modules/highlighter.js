@@ -3,15 +3,32 @@
  * 
  * Responsible for visually highlighting DOM elements associated with JavaScript errors
  * and managing tooltips.
+ *
+ * Highlights are drawn in one of two modes: 'overlay' draws boxes in a separate
+ * layer and leaves the page's elements untouched, 'inline' styles the
+ * highlighted elements themselves.
  */
 
+import ShadowHost from './shadowHost.js';
+import HighlightOverlay from './highlightOverlay.js';
+import ElementTracker from './elementTracker.js';
+
 class Highlighter {
   constructor(settings = {}) {
     this.settings = settings;
     this.highlights = new Map(); // Map of element to highlight info
     this.tooltipElement = null;
     this.tooltipTimeout = null;
+    this.tooltipStylesPromise = null;
     this.styleElement = null;
+    this.shadowHost = new ShadowHost();
+    this.overlay = new HighlightOverlay(this.shadowHost);
+    this.tracker = new ElementTracker({
+      onReplaced: this.handleElementReplaced.bind(this),
+      onLost: this.handleElementLost.bind(this)
+    });
+    this.changeHandlers = [];
+    this.mode = settings.highlightMode || 'overlay';
     
     // Default highlight style
     this.defaultStyle = {
@@ -39,20 +56,44 @@ class Highlighter {
         useBackground: settings.useBackground || this.defaultStyle.useBackground,
         backgroundOpacity: settings.backgroundOpacity || this.defaultStyle.backgroundOpacity
       };
+      this.mode = settings.highlightMode || 'overlay';
     }
     
-    this.injectStyles();
+    this.applyStyles();
+    this.loadTooltipStyles();
     this.createTooltip();
     this.setupTooltipListeners();
   }
 
   /**
-   * Inject the necessary styles for highlights and tooltips
+   * Apply the highlight style in the current mode
+   */
+  applyStyles() {
+    this.overlay.setStyle({
+      color: this.style.color,
+      borderStyle: this.style.borderStyle,
+      borderWidth: this.style.borderWidth,
+      background: this.style.useBackground
+        ? this.hexToRgba(this.style.color, this.style.backgroundOpacity)
+        : null
+    });
+    
+    if (this.mode === 'inline') {
+      this.injectStyles();
+    } else if (this.styleElement) {
+      this.styleElement.remove();
+      this.styleElement = null;
+    }
+  }
+
+  /**
+   * Inject the styles for inline highlights
    */
   injectStyles() {
     // Remove existing style element if it exists
     if (this.styleElement) {
-      document.head.removeChild(this.styleElement);
+      this.styleElement.remove();
+      this.styleElement = null;
     }
     
     // Create a new style element
@@ -77,34 +118,31 @@ class Highlighter {
     
     this.styleElement.textContent = css;
     document.head.appendChild(this.styleElement);
-    
-    // Load tooltip styles from the extension
-    this.loadTooltipStyles();
   }
 
   /**
-   * Load tooltip styles from the extension's CSS file
+   * Load tooltip styles from the extension's CSS file into the shadow root
    */
   loadTooltipStyles() {
-    const link = document.createElement('link');
-    link.rel = 'stylesheet';
-    link.href = chrome.runtime.getURL('assets/css/tooltip.css');
-    document.head.appendChild(link);
+    if (this.tooltipStylesPromise) return;
+    
+    this.tooltipStylesPromise = this.shadowHost.loadStyles('assets/css/tooltip.css')
+      .catch(e => console.error('Error loading tooltip styles:', e));
   }
 
   /**
-   * Create the tooltip element
+   * Create the tooltip element in the shadow root
    */
   createTooltip() {
     // Remove existing tooltip if it exists
     if (this.tooltipElement) {
-      document.body.removeChild(this.tooltipElement);
+      this.tooltipElement.remove();
     }
     
     // Create a new tooltip element
     this.tooltipElement = document.createElement('div');
     this.tooltipElement.className = 'jev-error-tooltip';
-    document.body.appendChild(this.tooltipElement);
+    this.shadowHost.appendChild(this.tooltipElement);
   }
 
   /**
@@ -113,19 +151,7 @@ class Highlighter {
   setupTooltipListeners() {
     // Global mouseover event to show tooltips
     document.addEventListener('mouseover', (event) => {
-      const target = event.target;
-      
-      // Check if the target or any of its parents has the highlight class
-      let highlightElement = null;
-      let currentElement = target;
-      
-      while (currentElement && currentElement !== document.body) {
-        if (currentElement.classList.contains('jev-error-highlight')) {
-          highlightElement = currentElement;
-          break;
-        }
-        currentElement = currentElement.parentElement;
-      }
+      const highlightElement = this.findHighlightedElement(event.target);
       
       if (highlightElement) {
         this.showTooltip(highlightElement, event);
@@ -140,46 +166,64 @@ class Highlighter {
       const relatedTarget = event.relatedTarget;
       
       // Check if we're moving from a highlighted element to a non-highlighted element
-      let leavingHighlight = false;
-      
-      if (target.classList.contains('jev-error-highlight')) {
-        // Check if we're moving to an element that's not a child of the highlight
-        if (!relatedTarget || !target.contains(relatedTarget)) {
-          leavingHighlight = true;
-        }
-      }
-      
-      if (leavingHighlight) {
+      if (this.highlights.has(target) && (!relatedTarget || !target.contains(relatedTarget))) {
         this.hideTooltip();
       }
     });
     
     // Click event to open the extension panel
     document.addEventListener('click', (event) => {
-      const target = event.target;
-      
-      // Check if the target or any of its parents has the highlight class
-      let highlightElement = null;
-      let currentElement = target;
-      
-      while (currentElement && currentElement !== document.body) {
-        if (currentElement.classList.contains('jev-error-highlight')) {
-          highlightElement = currentElement;
-          break;
-        }
-        currentElement = currentElement.parentElement;
-      }
+      const highlightElement = this.findHighlightedElement(event.target);
       
       if (highlightElement) {
         // Send a message to the background script to open the extension panel
         chrome.runtime.sendMessage({
           action: 'openPanel',
-          elementId: highlightElement.dataset.jevErrorId
+          elementId: this.getErrorIds(highlightElement).join(',')
         });
       }
     });
   }
 
+  /**
+   * Find the highlighted element an event target is in. The overlay boxes
+   * let events through, so the target is always a page element.
+   * @param {EventTarget} target - The event target
+   * @returns {Element|null} - The highlighted element
+   */
+  findHighlightedElement(target) {
+    let currentElement = target;
+    
+    while (currentElement && currentElement !== document.body) {
+      if (this.highlights.has(currentElement)) {
+        return currentElement;
+      }
+      currentElement = currentElement.parentElement;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the IDs of the highlights on an element
+   * @param {Element} element - The highlighted element
+   * @returns {Array<string>} - The highlight IDs
+   */
+  getErrorIds(element) {
+    const highlightInfo = this.highlights.get(element);
+    return highlightInfo ? highlightInfo.errors.map(e => e.id) : [];
+  }
+
+  /**
+   * Get the elements highlighted with a highlight ID
+   * @param {string} errorId - The highlight ID
+   * @returns {Array<Element>} - The highlighted elements
+   */
+  getElementsForError(errorId) {
+    return Array.from(this.highlights.keys())
+      .filter(element => this.getErrorIds(element).includes(errorId));
+  }
+
   /**
    * Highlight a DOM element associated with an error
    * @param {Element} element - The DOM element to highlight
@@ -194,56 +238,127 @@ class Highlighter {
     // Generate a unique ID for this error
     const errorId = this.generateErrorId(error);
     
-    // Check if this element is already highlighted
-    if (this.highlights.has(element)) {
-      const highlightInfo = this.highlights.get(element);
-      
-      // Check if this error is already associated with this element
-      if (!highlightInfo.errors.some(e => e.id === errorId)) {
-        highlightInfo.errors.push({
-          id: errorId,
-          error: error
-        });
-        
-        // Update the element's data attribute
-        element.dataset.jevErrorId = highlightInfo.errors.map(e => e.id).join(',');
-        
-        // Add the multiple errors class if there are multiple errors
-        if (highlightInfo.errors.length > 1) {
-          element.classList.add('jev-error-highlight-multiple');
-        }
-      }
-      
-      return errorId;
+    if (!this.highlights.has(element)) {
+      this.highlights.set(element, { errors: [], isStale: false });
+      this.tracker.track(element);
     }
     
-    // Add the highlight class
-    element.classList.add('jev-error-highlight');
-    
-    // Store the original styles
-    const originalStyles = {
-      boxShadow: element.style.boxShadow,
-      border: element.style.border,
-      backgroundColor: element.style.backgroundColor,
-      position: element.style.position,
-      zIndex: element.style.zIndex
-    };
+    const highlightInfo = this.highlights.get(element);
     
-    // Store the highlight info
-    this.highlights.set(element, {
-      originalStyles: originalStyles,
-      errors: [{
+    // Check if this error is already associated with this element
+    if (!highlightInfo.errors.some(e => e.id === errorId)) {
+      highlightInfo.errors.push({
         id: errorId,
         error: error
-      }]
-    });
+      });
+    }
     
-    // Set the data attribute
-    element.dataset.jevErrorId = errorId;
+    this.renderHighlight(element);
     
     return errorId;
   }
 
+  /**
+   * Draw the highlight of an element in the current mode
+   * @param {Element} element - The highlighted element
+   */
+  renderHighlight(element) {
+    const highlightInfo = this.highlights.get(element);
+    const isMultiple = highlightInfo.errors.length > 1;
+    
+    if (this.mode === 'inline') {
+      element.classList.add('jev-error-highlight');
+      element.classList.toggle('jev-error-highlight-multiple', isMultiple);
+      element.dataset.jevErrorId = this.getErrorIds(element).join(',');
+    } else {
+      this.overlay.showBox(element, isMultiple);
+    }
+  }
+
+  /**
+   * Remove whatever the current mode drew for an element's highlight
+   * @param {Element} element - The highlighted element
+   */
+  unrenderHighlight(element) {
+    if (this.mode === 'inline') {
+      element.classList.remove('jev-error-highlight');
+      element.classList.remove('jev-error-highlight-multiple');
+      delete element.dataset.jevErrorId;
+    } else {
+      this.overlay.removeBox(element);
+    }
+  }
+
+  /**
+   * Move a highlight to the element that replaced its element in a re-render
+   * @param {Element} oldElement - The element that left the document
+   * @param {Element} newElement - The element that replaced it
+   */
+  handleElementReplaced(oldElement, newElement) {
+    const highlightInfo = this.highlights.get(oldElement);
+    if (!highlightInfo) return;
+    
+    this.unrenderHighlight(oldElement);
+    this.highlights.delete(oldElement);
+    
+    highlightInfo.isStale = false;
+    this.highlights.set(newElement, highlightInfo);
+    this.renderHighlight(newElement);
+    
+    this.notifyChangeHandlers({ type: 'replaced', element: oldElement, newElement: newElement });
+  }
+
+  /**
+   * Mark a highlight as stale when its element is gone for good
+   * @param {Element} element - The element that left the document
+   */
+  handleElementLost(element) {
+    const highlightInfo = this.highlights.get(element);
+    if (!highlightInfo) return;
+    
+    highlightInfo.isStale = true;
+    
+    this.notifyChangeHandlers({ type: 'stale', element: element });
+  }
+
+  /**
+   * Register a handler for highlights that moved to a new element or became stale
+   * @param {Function} handler - Called with a change `{ type, element, newElement }`,
+   *   where type is 'replaced' or 'stale'
+   */
+  registerChangeHandler(handler) {
+    if (typeof handler === 'function') {
+      this.changeHandlers.push(handler);
+    }
+  }
+
+  /**
+   * Notify the change handlers
+   * @param {Object} change - The change
+   */
+  notifyChangeHandlers(change) {
+    this.changeHandlers.forEach(handler => {
+      try {
+        handler(change);
+      } catch (e) {
+        console.error('Error in highlight change handler:', e);
+      }
+    });
+  }
+
+  /**
+   * Switch the highlight mode, redrawing existing highlights
+   * @param {string} mode - 'overlay' or 'inline'
+   */
+  setMode(mode) {
+    if (!mode || mode === this.mode) return;
+    
+    this.highlights.forEach((info, element) => this.unrenderHighlight(element));
+    this.mode = mode;
+    this.applyStyles();
+    this.highlights.forEach((info, element) => this.renderHighlight(element));
+  }
+
   /**
    * Remove the highlight from a DOM element
    * @param {Element} element - The DOM element to remove the highlight from
@@ -264,13 +379,7 @@ class Highlighter {
         // No more errors, remove the highlight completely
         this.removeAllHighlights(element);
       } else {
-        // Update the data attribute
-        element.dataset.jevErrorId = highlightInfo.errors.map(e => e.id).join(',');
-        
-        // Remove the multiple errors class if there's only one error left
-        if (highlightInfo.errors.length === 1) {
-          element.classList.remove('jev-error-highlight-multiple');
-        }
+        this.renderHighlight(element);
       }
     } else {
       // Remove all highlights
@@ -287,21 +396,8 @@ class Highlighter {
       return;
     }
     
-    const highlightInfo = this.highlights.get(element);
-    
-    // Restore original styles
-    element.style.boxShadow = highlightInfo.originalStyles.boxShadow;
-    element.style.border = highlightInfo.originalStyles.border;
-    element.style.backgroundColor = highlightInfo.originalStyles.backgroundColor;
-    element.style.position = highlightInfo.originalStyles.position;
-    element.style.zIndex = highlightInfo.originalStyles.zIndex;
-    
-    // Remove classes
-    element.classList.remove('jev-error-highlight');
-    element.classList.remove('jev-error-highlight-multiple');
-    
-    // Remove data attribute
-    delete element.dataset.jevErrorId;
+    this.unrenderHighlight(element);
+    this.tracker.untrack(element);
     
     // Remove from highlights map
     this.highlights.delete(element);
@@ -311,13 +407,12 @@ class Highlighter {
    * Remove all highlights from all elements
    */
   removeAllHighlightsFromPage() {
-    for (const element of this.highlights.keys()) {
-      if (document.contains(element)) {
-        this.removeAllHighlights(element);
-      }
+    for (const element of Array.from(this.highlights.keys())) {
+      this.removeAllHighlights(element);
     }
     
     this.highlights.clear();
+    this.tracker.clear();
   }
 
   /**
@@ -335,6 +430,11 @@ class Highlighter {
       block: 'center'
     });
     
+    if (this.mode !== 'inline') {
+      this.overlay.flash(element);
+      return;
+    }
+    
     // Add a temporary flash class
     const flashClass = 'jev-error-highlight-flash';
     
@@ -392,6 +492,7 @@ class Highlighter {
         <div class="jev-error-tooltip-header">JavaScript Error</div>
         <div class="jev-error-tooltip-message">${this.escapeHtml(error.message)}</div>
         <div class="jev-error-tooltip-location">${error.mappedFilename || error.filename || 'Unknown location'}:${error.mappedLineno || error.lineno || '?'}</div>
+        ${error.componentPath && error.componentPath.length > 0 ? `<div class="jev-error-tooltip-component">${this.escapeHtml(error.componentPath.join(' > '))}</div>` : ''}
         <div class="jev-error-tooltip-prompt">Click for more details</div>
       `;
     } else {
@@ -508,8 +609,11 @@ class Highlighter {
    * @param {Object} style - The new style object
    */
   updateStyle(style) {
-    this.style = { ...this.style, ...style };
-    this.injectStyles();
+    const { mode, ...highlightStyle } = style;
+    
+    this.style = { ...this.style, ...highlightStyle };
+    this.applyStyles();
+    this.setMode(mode);
   }
 
   /**
@@ -0,0 +1,37 @@
+/**
+ * IndexedDB Helpers
+ *
+ * Promise wrappers around IndexedDB requests, shared by the modules that
+ * persist data in the extension's databases.
+ */
+
+/**
+ * Run a request in a transaction and wait for the transaction to complete
+ * @param {IDBDatabase} db - The database
+ * @param {string} storeName - The object store name
+ * @param {string} mode - The transaction mode
+ * @param {Function} callback - Called with the object store, may return a request
+ * @returns {Promise<*>} - The result of the returned request
+ */
+export function runRequest(db, storeName, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get all records matching a key in an index
+ * @param {IDBDatabase} db - The database
+ * @param {string} storeName - The object store name
+ * @param {string} indexName - The index name
+ * @param {*} key - The key to match
+ * @returns {Promise<Array<Object>>} - The matching records
+ */
+export function getAllFromIndex(db, storeName, indexName, key) {
+  return runRequest(db, storeName, 'readonly', store => store.index(indexName).getAll(key));
+}
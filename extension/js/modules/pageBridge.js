@@ -0,0 +1,193 @@
+/**
+ * PageBridge Module
+ *
+ * Content-script end of the bridge to the main-world page script. Receives
+ * errors and listener registrations captured in the page context, sends
+ * configuration back and looks up framework components, which only the page
+ * context can see.
+ */
+
+import {
+  PAGE_EVENT,
+  CONTENT_EVENT,
+  MessageType,
+  encodeMessage,
+  decodeMessage
+} from './bridgeProtocol.js';
+
+class PageBridge {
+  constructor() {
+    this.handlers = new Map(); // Map of message type to handler functions
+    this.isConnected = false;
+    this.resolvedElement = null;
+    this.componentElements = null;
+    this.componentPath = null;
+    this.boundHandlePageEvent = this.handlePageEvent.bind(this);
+  }
+
+  /**
+   * Start listening for page messages and announce ourselves to the page
+   */
+  connect() {
+    window.addEventListener(PAGE_EVENT, this.boundHandlePageEvent, true);
+    this.send(MessageType.CONNECT);
+  }
+
+  /**
+   * Stop listening for page messages
+   */
+  disconnect() {
+    window.removeEventListener(PAGE_EVENT, this.boundHandlePageEvent, true);
+    this.isConnected = false;
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - One of MessageType
+   * @param {Function} handler - Called with the message payload and the event target
+   */
+  on(type, handler) {
+    if (typeof handler !== 'function') return;
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+
+    this.handlers.get(type).push(handler);
+  }
+
+  /**
+   * Send a message to the page script
+   * @param {string} type - One of MessageType
+   * @param {Object} [payload] - JSON-safe payload
+   * @param {EventTarget} [target] - Where to dispatch the event, for messages
+   *   about an element; defaults to the document
+   */
+  send(type, payload, target = document) {
+    target.dispatchEvent(new CustomEvent(CONTENT_EVENT, {
+      detail: encodeMessage(type, payload),
+      composed: true
+    }));
+  }
+
+  /**
+   * Resolve an element handle issued by the page script to the live element.
+   * The page answers synchronously by dispatching an event on the element
+   * itself, which is the only way to pass a DOM reference between worlds.
+   * @param {number} handle - The element handle
+   * @returns {Element|null} - The element, or null if it is gone or detached
+   */
+  resolveElement(handle) {
+    if (!handle) return null;
+
+    this.resolvedElement = null;
+    this.send(MessageType.RESOLVE_ELEMENT, { handle });
+
+    const element = this.resolvedElement;
+    this.resolvedElement = null;
+
+    return element;
+  }
+
+  /**
+   * Find the elements rendered by the first of the given framework
+   * components that is on the page. The page answers synchronously with an
+   * event on each element.
+   * @param {Array<string>} names - Component names, most specific first
+   * @returns {Array<Element>} - The root elements of that component
+   */
+  findComponentElements(names) {
+    if (!names || names.length === 0) return [];
+
+    this.componentElements = [];
+    this.send(MessageType.FIND_COMPONENTS, { names });
+
+    const elements = this.componentElements;
+    this.componentElements = null;
+
+    return elements;
+  }
+
+  /**
+   * Get the path of framework components an element is rendered by
+   * @param {Element} element - The element
+   * @returns {Array<string>} - The component names, outermost first
+   */
+  getComponentPath(element) {
+    if (!element) return [];
+
+    this.componentPath = [];
+    this.send(MessageType.GET_COMPONENT_PATH, {}, element);
+
+    const path = this.componentPath;
+    this.componentPath = null;
+
+    return path;
+  }
+
+  /**
+   * Handle an event dispatched by the page script
+   * @param {CustomEvent} event - The bridge event
+   */
+  handlePageEvent(event) {
+    const message = decodeMessage(event.detail);
+    if (!message) return;
+
+    // The event target is the element the page is pointing at, if any
+    const path = event.composedPath ? event.composedPath() : [];
+    const target = path[0] instanceof Element ? path[0] : null;
+
+    switch (message.type) {
+      case MessageType.HELLO:
+        // The page script loaded after we connected, so connect again
+        if (!this.isConnected) {
+          this.isConnected = true;
+          this.send(MessageType.CONNECT);
+        }
+
+        // Let handlers send the page script what it missed
+        this.notifyHandlers(message.type, message.payload, target);
+        break;
+
+      case MessageType.ELEMENT:
+        this.resolvedElement = target;
+        break;
+
+      case MessageType.COMPONENT_ELEMENT:
+        if (this.componentElements && target) {
+          this.componentElements.push(target);
+        }
+        break;
+
+      case MessageType.COMPONENT_PATH:
+        if (this.componentPath) {
+          this.componentPath = message.payload.path || [];
+        }
+        break;
+
+      default:
+        this.isConnected = true;
+        this.notifyHandlers(message.type, message.payload, target);
+    }
+  }
+
+  /**
+   * Notify the handlers registered for a message type
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   * @param {Element|null} target - The element the event was dispatched on
+   */
+  notifyHandlers(type, payload, target) {
+    const handlers = this.handlers.get(type) || [];
+
+    handlers.forEach(handler => {
+      try {
+        handler(payload, target);
+      } catch (e) {
+        console.error('Error in bridge handler:', e);
+      }
+    });
+  }
+}
+
+export default PageBridge;
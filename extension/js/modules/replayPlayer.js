@@ -0,0 +1,270 @@
+/**
+ * ReplayPlayer Module
+ *
+ * Rebuilds a page recorded by the DomRecorder inside another document, such
+ * as a sandboxed frame of the replay viewer, and plays its events. Moving
+ * forward applies the events since the current position; moving back
+ * rebuilds the page from the snapshot.
+ */
+
+import { WINDOW_NODE_ID } from './domRecorder.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Marks the elements the error was attributed to
+export const HIGHLIGHT_ATTRIBUTE = 'data-jev-replay-highlight';
+
+const HIGHLIGHT_STYLES = `
+  [${HIGHLIGHT_ATTRIBUTE}] {
+    outline: 3px solid #e74c3c !important;
+    outline-offset: 2px !important;
+  }
+`;
+
+class ReplayPlayer {
+  /**
+   * @param {Document} doc - The document to rebuild the page in
+   * @param {Object} recording - The recording, see DomRecorder.freeze
+   * @param {Object} [options] - Player options
+   * @param {Array<number>} [options.highlightedNodeIds] - The IDs of the
+   *   nodes to outline
+   * @param {Function} [options.onViewportChange] - Called with the recorded
+   *   `width` and `height` whenever the viewport size changes
+   */
+  constructor(doc, recording, { highlightedNodeIds = [], onViewportChange = () => {} } = {}) {
+    this.doc = doc;
+    this.recording = recording;
+    this.highlightedNodeIds = highlightedNodeIds;
+    this.onViewportChange = onViewportChange;
+    this.nodes = new Map(); // Map of node ID to rebuilt node
+    this.eventIndex = 0; // Index of the next event to apply
+    this.currentTime = recording.startedAt;
+  }
+
+  /**
+   * The time of the first frame of the replay
+   * @returns {number} - The time, in milliseconds since the epoch
+   */
+  get startTime() {
+    return this.recording.startedAt;
+  }
+
+  /**
+   * The time of the last frame of the replay, when the error happened
+   * @returns {number} - The time, in milliseconds since the epoch
+   */
+  get endTime() {
+    return this.recording.frozenAt;
+  }
+
+  /**
+   * Show the page as it was at a point in time
+   * @param {number} time - The time, in milliseconds since the epoch
+   */
+  seek(time) {
+    if (time < this.currentTime || this.nodes.size === 0) {
+      this.rebuild();
+    }
+
+    const { events } = this.recording;
+    while (this.eventIndex < events.length && events[this.eventIndex].t <= time) {
+      this.applyEvent(events[this.eventIndex]);
+      this.eventIndex++;
+    }
+
+    this.currentTime = time;
+    this.applyHighlights();
+  }
+
+  /**
+   * Rebuild the page from the snapshot
+   */
+  rebuild() {
+    const { snapshot } = this.recording;
+
+    this.nodes.clear();
+    this.eventIndex = 0;
+    this.currentTime = this.startTime;
+
+    const root = this.buildNode(snapshot.root);
+    if (this.doc.documentElement) {
+      this.doc.replaceChild(root, this.doc.documentElement);
+    } else {
+      this.doc.appendChild(root);
+    }
+
+    const style = this.doc.createElement('style');
+    style.textContent = HIGHLIGHT_STYLES;
+    (this.doc.head || root).appendChild(style);
+
+    this.onViewportChange(snapshot.viewport);
+    this.scroll(WINDOW_NODE_ID, snapshot.scroll.x, snapshot.scroll.y);
+  }
+
+  /**
+   * Apply a recorded event
+   * @param {Object} event - The event
+   */
+  applyEvent(event) {
+    switch (event.type) {
+      case 'mutation':
+        event.operations.forEach(operation => this.applyOperation(operation));
+        break;
+
+      case 'scroll':
+        this.scroll(event.id, event.x, event.y);
+        break;
+
+      case 'input': {
+        const node = this.nodes.get(event.id);
+        if (node) applyFieldState(node, event);
+        break;
+      }
+
+      case 'viewport':
+        this.onViewportChange({ width: event.width, height: event.height });
+        break;
+    }
+  }
+
+  /**
+   * Apply one change of a mutation event
+   * @param {Object} operation - The change
+   */
+  applyOperation(operation) {
+    switch (operation.op) {
+      case 'add': {
+        const parent = this.nodes.get(operation.parentId);
+        if (!parent) return;
+
+        const next = operation.nextId ? this.nodes.get(operation.nextId) : null;
+        const node = this.buildNode(operation.node);
+        parent.insertBefore(node, next && next.parentNode === parent ? next : null);
+        break;
+      }
+
+      case 'remove': {
+        const node = this.nodes.get(operation.id);
+        if (node && node.parentNode) {
+          node.parentNode.removeChild(node);
+        }
+        break;
+      }
+
+      case 'attribute': {
+        const node = this.nodes.get(operation.id);
+        if (!node || node.nodeType !== 1) return;
+
+        if (operation.value === null) {
+          node.removeAttribute(operation.name);
+        } else {
+          setAttribute(node, operation.name, operation.value);
+        }
+        break;
+      }
+
+      case 'text': {
+        const node = this.nodes.get(operation.id);
+        if (node) node.textContent = operation.text;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Build a node and its descendants from their recorded form
+   * @param {Object} data - The serialized node
+   * @param {boolean} [isSvg] - Whether the node is inside an SVG element
+   * @returns {Node} - The node
+   */
+  buildNode(data, isSvg = false) {
+    let node;
+
+    if (data.type === 'text') {
+      node = this.doc.createTextNode(data.text);
+    } else {
+      const inSvg = isSvg || !!data.isSvg;
+      node = inSvg
+        ? this.doc.createElementNS(SVG_NAMESPACE, data.tagName)
+        : this.doc.createElement(data.tagName);
+
+      Object.entries(data.attributes).forEach(([name, value]) => setAttribute(node, name, value));
+
+      if (data.cssText) {
+        node.textContent = data.cssText;
+      }
+
+      (data.children || []).forEach(child => {
+        node.appendChild(this.buildNode(child, inSvg && data.tagName !== 'foreignObject'));
+      });
+
+      if (data.state) {
+        applyFieldState(node, data.state);
+      }
+    }
+
+    this.nodes.set(data.id, node);
+
+    return node;
+  }
+
+  /**
+   * Scroll the window or an element
+   * @param {number} id - The element's node ID, or WINDOW_NODE_ID
+   * @param {number} x - The horizontal scroll position
+   * @param {number} y - The vertical scroll position
+   */
+  scroll(id, x, y) {
+    if (id === WINDOW_NODE_ID) {
+      if (this.doc.defaultView) {
+        this.doc.defaultView.scrollTo(x, y);
+      }
+      return;
+    }
+
+    const node = this.nodes.get(id);
+    if (node) {
+      node.scrollLeft = x;
+      node.scrollTop = y;
+    }
+  }
+
+  /**
+   * Outline the elements the error was attributed to
+   */
+  applyHighlights() {
+    this.highlightedNodeIds.forEach(id => {
+      const node = this.nodes.get(id);
+      if (node && node.nodeType === 1) {
+        node.setAttribute(HIGHLIGHT_ATTRIBUTE, '');
+      }
+    });
+  }
+}
+
+/**
+ * Set an attribute, ignoring names the document does not accept
+ * @param {Element} element - The element
+ * @param {string} name - The attribute name
+ * @param {string} value - The attribute value
+ */
+function setAttribute(element, name, value) {
+  try {
+    element.setAttribute(name, value);
+  } catch (e) {
+    // Frameworks can set attributes that markup could never contain
+  }
+}
+
+/**
+ * Restore the state of a form field
+ * @param {Element} element - The element
+ * @param {Object} state - The recorded `value`, `checked` or `selectedIndex`
+ */
+function applyFieldState(element, state) {
+  if (state.value !== undefined) element.value = state.value;
+  if (state.checked !== undefined) element.checked = state.checked;
+  if (state.selectedIndex !== undefined) element.selectedIndex = state.selectedIndex;
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,161 @@
+/**
+ * ScreenshotCapturer Module
+ *
+ * Captures the visible part of a tab and crops it to the elements an error
+ * was attributed to, so the error record shows what the user saw. Runs in the
+ * background script, which is the only place that can capture tabs.
+ */
+
+// Chrome allows only two captures per second
+const MIN_CAPTURE_INTERVAL_MS = 500;
+
+// Crops are scaled down to fit, to keep error records small
+const MAX_THUMBNAIL_WIDTH = 400;
+const MAX_THUMBNAIL_HEIGHT = 300;
+const THUMBNAIL_TYPE = 'image/jpeg';
+const THUMBNAIL_QUALITY = 0.8;
+
+class ScreenshotCapturer {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.lastCaptureAt = 0;
+  }
+
+  /**
+   * Capture a tab and crop the capture to element rects. Captures are made
+   * one at a time, at most as often as the browser allows.
+   * @param {Object} tab - The tab the elements are in
+   * @param {Array<Object>} rects - The elements' bounding rects in CSS pixels,
+   *   relative to the viewport
+   * @param {Object} viewport - The tab's viewport `width`, `height` and `devicePixelRatio`
+   * @returns {Promise<Array<Object|null>>} - A thumbnail for each rect, with
+   *   its `dataUrl`, `width` and `height`, or null if the element is not visible
+   */
+  captureElements(tab, rects, viewport) {
+    const capture = this.queue.then(() => this.capture(tab, rects, viewport));
+
+    // A failed capture must not stop the ones after it
+    this.queue = capture.catch(() => {});
+
+    return capture;
+  }
+
+  /**
+   * Capture a tab and crop the capture to element rects
+   * @param {Object} tab - The tab the elements are in
+   * @param {Array<Object>} rects - The elements' bounding rects
+   * @param {Object} viewport - The tab's viewport
+   * @returns {Promise<Array<Object|null>>} - The thumbnails, see captureElements
+   */
+  async capture(tab, rects, viewport) {
+    const wait = this.lastCaptureAt + MIN_CAPTURE_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    // Only the active tab of a window can be captured, and capturing
+    // another tab would show the wrong page
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+    if (!activeTab || activeTab.id !== tab.id) {
+      throw new Error('The tab is not visible');
+    }
+
+    this.lastCaptureAt = Date.now();
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+
+    try {
+      // Measure the scale rather than trusting devicePixelRatio, which does
+      // not always match the capture when the page is zoomed
+      const scale = viewport.width ? bitmap.width / viewport.width : viewport.devicePixelRatio || 1;
+
+      return await Promise.all(rects.map(rect => cropImage(bitmap, rect, scale)));
+    } finally {
+      bitmap.close();
+    }
+  }
+}
+
+/**
+ * Crop an image to an element and scale it down to a thumbnail
+ * @param {ImageBitmap} bitmap - The captured image
+ * @param {Object} rect - The element's rect in CSS pixels
+ * @param {number} scale - Image pixels per CSS pixel
+ * @returns {Promise<Object|null>} - The thumbnail, see captureElements
+ */
+async function cropImage(bitmap, rect, scale) {
+  const area = getCropArea(rect, scale, bitmap.width, bitmap.height);
+  if (!area) return null;
+
+  const size = getThumbnailSize(area.width, area.height);
+  const canvas = new OffscreenCanvas(size.width, size.height);
+  canvas.getContext('2d').drawImage(
+    bitmap,
+    area.x, area.y, area.width, area.height,
+    0, 0, size.width, size.height
+  );
+
+  const blob = await canvas.convertToBlob({ type: THUMBNAIL_TYPE, quality: THUMBNAIL_QUALITY });
+
+  return {
+    dataUrl: await blobToDataUrl(blob),
+    width: size.width,
+    height: size.height
+  };
+}
+
+/**
+ * Get the part of a capture that shows an element
+ * @param {Object} rect - The element's rect in CSS pixels, relative to the viewport
+ * @param {number} scale - Image pixels per CSS pixel
+ * @param {number} imageWidth - The width of the capture
+ * @param {number} imageHeight - The height of the capture
+ * @returns {Object|null} - The `x`, `y`, `width` and `height` in image
+ *   pixels, clipped to the capture, or null if no part of the element is in it
+ */
+export function getCropArea(rect, scale, imageWidth, imageHeight) {
+  const left = Math.max(0, Math.floor(rect.left * scale));
+  const top = Math.max(0, Math.floor(rect.top * scale));
+  const right = Math.min(imageWidth, Math.ceil((rect.left + rect.width) * scale));
+  const bottom = Math.min(imageHeight, Math.ceil((rect.top + rect.height) * scale));
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Get the size of a thumbnail, scaled down to fit the maximum size
+ * @param {number} width - The width of the crop
+ * @param {number} height - The height of the crop
+ * @returns {Object} - The thumbnail `width` and `height`
+ */
+export function getThumbnailSize(width, height) {
+  const ratio = Math.min(1, MAX_THUMBNAIL_WIDTH / width, MAX_THUMBNAIL_HEIGHT / height);
+
+  return {
+    width: Math.max(1, Math.round(width * ratio)),
+    height: Math.max(1, Math.round(height * ratio))
+  };
+}
+
+/**
+ * Encode a blob as a data URL
+ * @param {Blob} blob - The blob
+ * @returns {Promise<string>} - The data URL
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+
+  // Convert in chunks, since spreading a large array overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+export default ScreenshotCapturer;
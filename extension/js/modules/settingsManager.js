@@ -12,9 +12,16 @@ class SettingsManager {
       globalEnabled: true,
       autoClearOnReload: true,
       captureConsoleErrors: false,
+      captureNetworkErrors: true,
+      captureCspViolations: true,
+      captureWorkerErrors: true,
+      captureScreenshots: true,
+      captureBreadcrumbs: true,
+      recordSessionReplay: true,
       badgeType: 'total', // 'total' or 'new'
       
       // Highlight settings
+      highlightMode: 'overlay', // 'overlay' or 'inline'
       highlightColor: '#ff0000',
       borderStyle: 'dashed', // 'dashed', 'solid', or 'dotted'
       borderWidth: 2,
@@ -30,7 +37,8 @@ class SettingsManager {
       
       // Advanced settings
       sourcemapTimeout: 5000,
-      sourcemapRetries: 2
+      sourcemapRetries: 2,
+      sourcemapRules: [] // { pattern, target } pairs of script and source map URLs
     };
     
     // Current settings
@@ -0,0 +1,140 @@
+/**
+ * ShadowHost Module
+ *
+ * Hosts all of the extension's in-page UI (highlight overlay, tooltip and
+ * anything added later) in a single closed shadow root, so page CSS cannot
+ * restyle it and page scripts cannot reach into it. The host puts itself back
+ * if the page removes it, for example when a framework re-renders the document.
+ */
+
+const HOST_TAG_NAME = 'jev-page-ui';
+
+// Keeps the host out of the page's layout whatever the page's CSS says.
+// The host has no size; its children are positioned against the viewport.
+const HOST_STYLES = {
+  all: 'initial',
+  display: 'block',
+  position: 'fixed',
+  top: '0',
+  left: '0',
+  width: '0',
+  height: '0',
+  overflow: 'visible',
+  'pointer-events': 'none',
+  'z-index': '2147483647'
+};
+
+class ShadowHost {
+  constructor() {
+    this.host = null;
+    this.shadowRoot = null;
+    this.observer = null;
+    this.boundReattach = this.reattach.bind(this);
+  }
+
+  /**
+   * Create the host and add it to the page if it is not there
+   * @returns {ShadowRoot} - The shadow root to render into
+   */
+  attach() {
+    if (!this.host) {
+      // A custom element name allows a shadow root without defining the
+      // element, which content scripts cannot do
+      this.host = document.createElement(HOST_TAG_NAME);
+      Object.entries(HOST_STYLES).forEach(([name, value]) => {
+        this.host.style.setProperty(name, value, 'important');
+      });
+
+      this.shadowRoot = this.host.attachShadow({ mode: 'closed' });
+      this.observer = new MutationObserver(this.boundReattach);
+    }
+
+    this.reattach();
+
+    return this.shadowRoot;
+  }
+
+  /**
+   * Put the host back at the end of the document if it was removed, and
+   * watch for it being removed again
+   */
+  reattach() {
+    if (!this.host || !document.documentElement) return;
+
+    if (this.host.parentNode !== document.documentElement) {
+      document.documentElement.appendChild(this.host);
+    }
+
+    // Re-observe in case the document element itself was replaced
+    this.observer.disconnect();
+    this.observer.observe(document, { childList: true });
+    this.observer.observe(document.documentElement, { childList: true });
+  }
+
+  /**
+   * Remove the host from the page
+   */
+  detach() {
+    if (!this.host) return;
+
+    this.observer.disconnect();
+    this.host.remove();
+  }
+
+  /**
+   * Add a node to the shadow root
+   * @param {Node} node - The node
+   */
+  appendChild(node) {
+    this.attach().appendChild(node);
+  }
+
+  /**
+   * Add a stylesheet to the shadow root
+   * @param {string} css - The CSS text
+   * @returns {Object} - The sheet, with a `replace(css)` method to update it
+   */
+  addStyles(css) {
+    const shadowRoot = this.attach();
+
+    try {
+      const styleSheet = new CSSStyleSheet();
+      styleSheet.replaceSync(css);
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, styleSheet];
+
+      return { replace: text => styleSheet.replaceSync(text) };
+    } catch (e) {
+      // Constructable stylesheets are unavailable in some browsers and
+      // content script worlds
+      const style = document.createElement('style');
+      style.textContent = css;
+      shadowRoot.prepend(style);
+
+      return { replace: text => { style.textContent = text; } };
+    }
+  }
+
+  /**
+   * Add a stylesheet from the extension's files to the shadow root
+   * @param {string} path - The path of the CSS file in the extension
+   * @returns {Promise<Object>} - The sheet, see addStyles
+   */
+  async loadStyles(path) {
+    const response = await fetch(chrome.runtime.getURL(path));
+
+    return this.addStyles(await response.text());
+  }
+}
+
+/**
+ * Check whether a node is one the extension adds to the page itself: the
+ * host, or the styles of inline highlights, whose IDs start with "jev-"
+ * @param {Node} node - The node
+ * @returns {boolean} - Whether the extension owns the node
+ */
+export function isExtensionNode(node) {
+  return node.nodeType === Node.ELEMENT_NODE &&
+    (node.localName === HOST_TAG_NAME || node.id.startsWith('jev-'));
+}
+
+export default ShadowHost;
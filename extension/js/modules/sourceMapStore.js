@@ -0,0 +1,205 @@
+/**
+ * SourceMapStore Module
+ *
+ * Keeps source maps that were uploaded in the settings page in IndexedDB, so
+ * errors from builds that do not publish their maps can still be mapped
+ * without the maps ever being served publicly.
+ */
+
+import { runRequest, getAllFromIndex } from './indexedDb.js';
+import { parseSourceMap, getSourceMapDebugId } from './sourceMapper.js';
+
+const DB_NAME = 'jev-source-maps';
+const DB_VERSION = 1;
+
+// Map contents are kept apart from their metadata, so listing the uploaded
+// maps does not load every map into memory
+const MAPS_STORE = 'maps';
+const CONTENTS_STORE = 'contents';
+
+class SourceMapStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating it if needed
+   * @returns {Promise<IDBDatabase>} - The database
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const maps = db.createObjectStore(MAPS_STORE, { keyPath: 'id', autoIncrement: true });
+          maps.createIndex('file', 'file');
+          maps.createIndex('debugId', 'debugId');
+          maps.createIndex('buildId', 'buildId');
+
+          db.createObjectStore(CONTENTS_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Store an uploaded source map
+   * @param {string} name - The name of the uploaded file
+   * @param {string} content - The source map JSON
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.buildId] - The build the map belongs to
+   * @returns {Promise<Object>} - The stored map's metadata
+   * @throws {Error} - If the content is not a source map
+   */
+  async addSourceMap(name, content, { buildId = null } = {}) {
+    const record = { ...getSourceMapInfo(content), name, buildId: buildId || null };
+    record.size = content.length;
+    record.uploadedAt = new Date().toISOString();
+
+    const db = await this.open();
+
+    record.id = await new Promise((resolve, reject) => {
+      const transaction = db.transaction([MAPS_STORE, CONTENTS_STORE], 'readwrite');
+      const request = transaction.objectStore(MAPS_STORE).add(record);
+
+      request.onsuccess = () => {
+        transaction.objectStore(CONTENTS_STORE).put({ id: request.result, content });
+      };
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return record;
+  }
+
+  /**
+   * Get the metadata of all stored maps, newest first
+   * @returns {Promise<Array<Object>>} - The stored maps' metadata
+   */
+  async getSourceMaps() {
+    const db = await this.open();
+    const maps = await runRequest(db, MAPS_STORE, 'readonly', store => store.getAll());
+
+    return maps.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Get the content of a stored map
+   * @param {number} id - The map's ID
+   * @returns {Promise<string|null>} - The source map JSON, or null if there is no such map
+   */
+  async getContent(id) {
+    const db = await this.open();
+    const record = await runRequest(db, CONTENTS_STORE, 'readonly', store => store.get(id));
+
+    return record ? record.content : null;
+  }
+
+  /**
+   * Find the newest stored map for a JavaScript file, by the file name the
+   * map was generated for or else the name it was uploaded under
+   * @param {string} jsUrl - The URL of the JavaScript file
+   * @returns {Promise<Object|null>} - The map's metadata, or null if there is none
+   */
+  async findSourceMap(jsUrl) {
+    const fileName = getFileName(jsUrl);
+    if (!fileName) return null;
+
+    const db = await this.open();
+    const byFile = await getAllFromIndex(db, MAPS_STORE, 'file', fileName);
+    const matches = byFile.length > 0
+      ? byFile
+      : (await this.getSourceMaps()).filter(map => map.name === `${fileName}.map`);
+
+    return matches.sort((a, b) => b.id - a.id)[0] || null;
+  }
+
+  /**
+   * Find the newest stored map with a debug ID
+   * @param {string} debugId - The debug ID of the JavaScript file, in lower case
+   * @returns {Promise<Object|null>} - The map's metadata, or null if there is none
+   */
+  async findByDebugId(debugId) {
+    const db = await this.open();
+    const matches = await getAllFromIndex(db, MAPS_STORE, 'debugId', debugId);
+
+    return matches.sort((a, b) => b.id - a.id)[0] || null;
+  }
+
+  /**
+   * Delete a stored map
+   * @param {number} id - The map's ID
+   * @returns {Promise<void>}
+   */
+  async deleteSourceMap(id) {
+    const db = await this.open();
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([MAPS_STORE, CONTENTS_STORE], 'readwrite');
+      transaction.objectStore(MAPS_STORE).delete(id);
+      transaction.objectStore(CONTENTS_STORE).delete(id);
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Read the metadata of a source map
+ * @param {string} content - The source map JSON
+ * @returns {Object} - The map's generated `file` name, `debugId` and `sourceCount`
+ * @throws {Error} - If the content is not a source map
+ */
+export function getSourceMapInfo(content) {
+  let sourceMapData;
+
+  try {
+    sourceMapData = parseSourceMap(content);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!sourceMapData || Number(sourceMapData.version) !== 3 || (!sourceMapData.mappings && !sourceMapData.sections)) {
+    throw new Error('The file is not a version 3 source map');
+  }
+
+  const sources = sourceMapData.sections
+    ? sourceMapData.sections.flatMap(section => (section.map && section.map.sources) || [])
+    : sourceMapData.sources || [];
+
+  return {
+    file: sourceMapData.file ? getFileName(sourceMapData.file) : null,
+    debugId: getSourceMapDebugId(sourceMapData),
+    sourceCount: sources.length
+  };
+}
+
+/**
+ * Get the file name at the end of a URL or path
+ * @param {string} url - The URL or path
+ * @returns {string} - The file name, without any query or hash
+ */
+function getFileName(url) {
+  return url.split(/[?#]/)[0].split('/').pop();
+}
+
+export default SourceMapStore;
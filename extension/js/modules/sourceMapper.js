@@ -3,14 +3,33 @@
  * 
  * Responsible for fetching and parsing source maps and translating
  * stack traces from minified/transpiled code back to the original source.
+ * Parsing large maps is expensive, so this runs in the background script
+ * rather than in the page.
  */
 
 import { SourceMapConsumer } from 'source-map';
+import { parseStack, parseStackLine, formatFrame } from './stackParser.js';
+import ConsumerPool from './consumerPool.js';
+
+// Lines of original source shown before and after a frame's line
+const SOURCE_CONTEXT_LINES = 5;
+
+// Longer source lines are cut down to a window around the frame's column
+const MAX_SOURCE_LINE_LENGTH = 200;
+
+// Only the top frames get source context, to keep error records small
+const MAX_SOURCE_CONTEXT_FRAMES = 10;
 
 class SourceMapper {
   constructor(settings = {}) {
     this.settings = settings;
-    this.sourceMapCache = new Map();
+    this.missingSourceMaps = new Set(); // JS URLs without a usable source map
+    this.consumerPool = new ConsumerPool();
+    this.pendingConsumers = new Map(); // Map of JS URL to consumer entry promise
+    this.sourceMapUrls = new Map(); // Map of JS URL to the URL its map was loaded from
+    this.sourceContentCache = new Map(); // Map of original source URL to content promise
+    this.localSourceMaps = null;
+    this.debugIds = new Map(); // Map of JS URL to the debug ID in the file
     this.fetchTimeout = settings.sourcemapTimeout || 5000;
     this.fetchRetries = settings.sourcemapRetries || 2;
   }
@@ -24,13 +43,26 @@ class SourceMapper {
       this.settings = settings;
       this.fetchTimeout = settings.sourcemapTimeout || 5000;
       this.fetchRetries = settings.sourcemapRetries || 2;
+      
+      // Changed mapping rules can give files a different map
+      this.clearCache();
     }
   }
 
+  /**
+   * Set the store of uploaded source maps, which are preferred over maps
+   * found on the web
+   * @param {SourceMapStore} localSourceMaps - The store
+   */
+  setLocalSourceMaps(localSourceMaps) {
+    this.localSourceMaps = localSourceMaps;
+  }
+
   /**
    * Process an error object to translate its stack trace using source maps
    * @param {Object} error - The error object to process
-   * @returns {Promise<Object>} - The processed error object with source-mapped stack trace
+   * @returns {Promise<Object>} - The processed error object with parsed
+   *   `frames`, source-mapped `mappedFrames` and a rewritten `stack`
    */
   async processError(error) {
     if (!error || !error.stack) {
@@ -38,25 +70,22 @@ class SourceMapper {
     }
 
     try {
-      const stackLines = error.stack.split('\n');
-      const processedLines = [];
-
-      for (const line of stackLines) {
-        const mappedLine = await this.processStackLine(line);
-        processedLines.push(mappedLine);
-      }
+      const frames = parseStack(error.stack);
+      const mappedFrames = await this.mapFrames(frames);
 
       // Create a new error object with the processed stack
       const processedError = { ...error };
       processedError.originalStack = error.stack;
-      processedError.stack = processedLines.join('\n');
-
-      // Update filename and line numbers if we have them from the first stack frame
-      const firstFrameMatch = processedLines[1]?.match(/at\s+(?:\w+\s+)?\(?([^:]+):(\d+):(\d+)/);
-      if (firstFrameMatch) {
-        processedError.mappedFilename = firstFrameMatch[1];
-        processedError.mappedLineno = parseInt(firstFrameMatch[2], 10);
-        processedError.mappedColno = parseInt(firstFrameMatch[3], 10);
+      processedError.frames = frames;
+      processedError.mappedFrames = mappedFrames;
+      processedError.stack = this.formatStack(error.stack, mappedFrames);
+
+      // Update filename and line numbers from the first frame with a location
+      const firstFrame = mappedFrames.find(frame => frame.url && frame.line !== null);
+      if (firstFrame) {
+        processedError.mappedFilename = firstFrame.url;
+        processedError.mappedLineno = firstFrame.line;
+        processedError.mappedColno = firstFrame.column;
       }
 
       return processedError;
@@ -67,121 +96,389 @@ class SourceMapper {
   }
 
   /**
-   * Process a single line from a stack trace
-   * @param {string} line - The stack trace line
-   * @returns {Promise<string>} - The processed line with source map information
+   * Map the frames of a stack to their original source positions. Frames are
+   * grouped by file so each source map is loaded and parsed only once.
+   * @param {Array<StackFrame>} frames - The frames from the generated code
+   * @returns {Promise<Array<Object>>} - Copies of the frames pointing at the
+   *   original source, in the same order, see mapFrame
    */
-  async processStackLine(line) {
-    // Match the filename, line, and column from the stack trace line
-    const match = line.match(/at\s+(?:\w+\s+)?\(?([^:]+):(\d+):(\d+)/);
-    if (!match) {
-      return line;
+  async mapFrames(frames) {
+    const urls = new Set(frames.filter(isMappable).map(frame => frame.url));
+    const entries = new Map();
+
+    // Load the maps of all files in parallel
+    await Promise.all(Array.from(urls).map(async url => {
+      entries.set(url, await this.checkOutConsumer(url));
+    }));
+
+    try {
+      return await Promise.all(frames.map((frame, index) => this.mapFrame(
+        frame,
+        isMappable(frame) ? entries.get(frame.url) : null,
+        { withSourceContext: index < MAX_SOURCE_CONTEXT_FRAMES }
+      )));
+    } finally {
+      entries.forEach(entry => {
+        if (entry) this.consumerPool.release(entry);
+      });
+    }
+  }
+
+  /**
+   * Map a single stack frame to its original source position
+   * @param {StackFrame} frame - The frame from the generated code
+   * @param {Object|null} entry - The consumer entry for the frame's file
+   * @param {Object} [options] - Mapping options
+   * @param {boolean} [options.withSourceContext] - Whether to include the
+   *   original source lines around the frame
+   * @returns {Promise<Object>} - A copy of the frame pointing at the original
+   *   source, with its full `sourceUrl`, `isMapped`, `originalName`, the
+   *   `generated` position, `sourceContext` if requested and available, and
+   *   the `debugId` of the frame's bundle and `sourceMapDebugId` of its map,
+   *   if they have one
+   */
+  async mapFrame(frame, entry, { withSourceContext = false } = {}) {
+    const debugId = (frame.url && this.debugIds.get(frame.url)) || null;
+    const unmapped = {
+      ...frame,
+      originalName: null,
+      isMapped: false,
+      generated: null,
+      sourceContext: null,
+      debugId: debugId,
+      sourceMapDebugId: null
+    };
+
+    if (!entry) {
+      return unmapped;
     }
 
-    const [, filename, lineNo, colNo] = match;
-    
-    // Try to get the source map for this file
     try {
-      const sourceMapData = await this.getSourceMap(filename);
-      if (!sourceMapData) {
-        return line;
+      // Stack columns are 1-based while source maps use 0-based columns
+      const originalPosition = entry.consumer.originalPositionFor({
+        line: frame.line,
+        column: frame.column ? frame.column - 1 : 0
+      });
+
+      if (!originalPosition.source) {
+        return unmapped;
       }
 
-      // Create a source map consumer
-      const consumer = await new SourceMapConsumer(sourceMapData);
-      
-      // Get the original position
-      const originalPosition = consumer.originalPositionFor({
-        line: parseInt(lineNo, 10),
-        column: parseInt(colNo, 10)
-      });
-      
-      consumer.destroy();
-      
-      if (originalPosition.source) {
-        // Replace the minified position with the original position
-        const originalSource = originalPosition.source.replace(/^webpack:\/\/\//, '');
-        const originalLine = originalPosition.line || lineNo;
-        const originalColumn = originalPosition.column || colNo;
-        const originalName = originalPosition.name ? ` (${originalPosition.name})` : '';
-        
-        return line.replace(
-          `${filename}:${lineNo}:${colNo}`,
-          `${originalSource}:${originalLine}:${originalColumn}${originalName}`
+      let sourceContext = null;
+
+      if (withSourceContext) {
+        // The map's own copy of the original source, if it has one
+        const sourceContent = entry.consumer.sourceContentFor(originalPosition.source, true);
+        const content = sourceContent !== null
+          ? sourceContent
+          // The consumer has already joined the source to the map's sourceRoot
+          : await this.fetchOriginalSource(originalPosition.source, {}, frame.url);
+
+        sourceContext = getSourceContext(
+          content,
+          originalPosition.line,
+          originalPosition.column !== null ? originalPosition.column + 1 : null
         );
       }
+
+      return {
+        ...frame,
+        // Drop the webpack:// scheme and the project namespace that follows it
+        url: originalPosition.source.replace(/^webpack:\/\/[^/]*\//, ''),
+        // The source's URL as DevTools lists it in the Sources panel
+        sourceUrl: originalPosition.source,
+        line: originalPosition.line || frame.line,
+        column: originalPosition.column !== null ? originalPosition.column + 1 : frame.column,
+        // The identifier at the error position, not the enclosing function
+        originalName: originalPosition.name || null,
+        isMapped: true,
+        generated: {
+          url: frame.url,
+          line: frame.line,
+          column: frame.column
+        },
+        sourceContext: sourceContext,
+        // Lets the error details show whether the map belongs to the bundle
+        debugId: debugId,
+        sourceMapDebugId: entry.sourceMapDebugId
+      };
+    } catch (e) {
+      console.error('Error mapping stack frame:', e);
+    }
+
+    return unmapped;
+  }
+
+  /**
+   * Get the parsed source map consumer for a JavaScript file, retained in the
+   * consumer pool until the caller releases it
+   * @param {string} jsUrl - The URL of the JavaScript file
+   * @returns {Promise<Object|null>} - The pool entry with the `consumer`, or
+   *   null if the file has no usable source map
+   */
+  async checkOutConsumer(jsUrl) {
+    const pooled = this.consumerPool.get(jsUrl);
+    if (pooled) {
+      this.consumerPool.retain(pooled);
+      return pooled;
+    }
+
+    // Share the work between frames and errors that need the same map
+    if (!this.pendingConsumers.has(jsUrl)) {
+      const pending = this.getSourceMap(jsUrl)
+        .then(async sourceMapData => {
+          if (!sourceMapData) return null;
+
+          const entry = {
+            consumer: await new SourceMapConsumer(sourceMapData),
+            sourceMapDebugId: getSourceMapDebugId(sourceMapData),
+            size: estimateSize(sourceMapData)
+          };
+          this.consumerPool.set(jsUrl, entry);
+
+          // Parsing another map may evict this one before the callers
+          // waiting for it get to retain it
+          this.consumerPool.retain(entry);
+          setTimeout(() => this.consumerPool.release(entry), 0);
+
+          return entry;
+        })
+        .catch(e => {
+          console.error('Error parsing source map:', e);
+          return null;
+        })
+        .finally(() => this.pendingConsumers.delete(jsUrl));
+
+      this.pendingConsumers.set(jsUrl, pending);
+    }
+
+    const entry = await this.pendingConsumers.get(jsUrl);
+    if (entry) {
+      this.consumerPool.retain(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Fetch an original source file listed in a source map that does not
+   * include its content
+   * @param {string} source - The source as listed in the map
+   * @param {Object} sourceMapData - The source map, for its `sourceRoot`
+   * @param {string} jsUrl - The URL of the generated file the map belongs to
+   * @returns {Promise<string|null>} - The source content, or null if it cannot be fetched
+   */
+  fetchOriginalSource(source, sourceMapData, jsUrl) {
+    let sourceUrl;
+    
+    try {
+      const sourceRoot = sourceMapData.sourceRoot ? sourceMapData.sourceRoot.replace(/\/?$/, '/') : '';
+      sourceUrl = new URL(sourceRoot + source, this.sourceMapUrls.get(jsUrl) || jsUrl);
     } catch (e) {
-      console.error('Error mapping stack trace line:', e);
+      return Promise.resolve(null);
+    }
+    
+    // Bundler URLs such as webpack:// cannot be fetched
+    if (!/^https?:$/.test(sourceUrl.protocol)) {
+      return Promise.resolve(null);
     }
     
-    return line;
+    if (!this.sourceContentCache.has(sourceUrl.href)) {
+      this.sourceContentCache.set(
+        sourceUrl.href,
+        this.fetchWithRetry(sourceUrl.href).catch(() => null)
+      );
+    }
+    
+    return this.sourceContentCache.get(sourceUrl.href);
   }
 
   /**
-   * Get the source map for a JavaScript file
+   * Rebuild a stack trace string from mapped frames, keeping the message line
+   * @param {string} stack - The original stack trace
+   * @param {Array<Object>} mappedFrames - The mapped frames
+   * @returns {string} - The rewritten stack trace
+   */
+  formatStack(stack, mappedFrames) {
+    // V8 stacks start with the error message; other engines only list frames
+    const firstLine = stack.split('\n')[0];
+    const header = parseStackLine(firstLine) ? [] : [firstLine];
+
+    return header.concat(mappedFrames.map(frame => formatFrame(frame))).join('\n');
+  }
+
+  /**
+   * Get the source map for a JavaScript file. A map with the file's debug ID
+   * is used first, then an uploaded map or one from a matching mapping rule.
+   * Otherwise the map is found from the file's `SourceMap` (or older
+   * `X-SourceMap`) response header, or else its last `sourceMappingURL`
+   * comment, as the source map spec describes. Maps whose debug ID differs
+   * from the file's belong to another build and are never used.
    * @param {string} jsUrl - The URL of the JavaScript file
    * @returns {Promise<Object|null>} - The source map data or null if not found
    */
   async getSourceMap(jsUrl) {
-    // Check if we already have this source map in cache
-    if (this.sourceMapCache.has(jsUrl)) {
-      return this.sourceMapCache.get(jsUrl);
+    // Parsed maps live in the consumer pool, so only misses are remembered
+    if (this.missingSourceMaps.has(jsUrl)) {
+      return null;
     }
     
-    // Try to fetch the source map
+    let response = null;
+    let content = '';
+    
     try {
-      // First, try to fetch the JavaScript file to find the sourceMappingURL
-      const jsContent = await this.fetchWithRetry(jsUrl);
-      
-      // Extract the sourceMappingURL comment
-      const sourceMappingURLMatch = jsContent.match(/\/\/[#@]\s*sourceMappingURL=([^\s]+)/);
-      if (!sourceMappingURLMatch) {
-        this.sourceMapCache.set(jsUrl, null);
+      response = await this.fetchResponse(jsUrl);
+      content = await response.text();
+    } catch (e) {
+      // Uploaded maps and mapping rules may still apply
+      console.error('Error fetching script:', e);
+    }
+    
+    const debugId = getDebugId(content);
+    if (debugId) {
+      this.debugIds.set(jsUrl, debugId);
+    }
+    
+    const localSourceMap = await this.getLocalSourceMap(jsUrl, debugId);
+    if (localSourceMap) {
+      return localSourceMap;
+    }
+    
+    try {
+      const reference = response ? getSourceMapReference(response.headers, content) : null;
+      if (!reference) {
+        this.missingSourceMaps.add(jsUrl);
         return null;
       }
       
-      const sourceMappingURL = sourceMappingURLMatch[1];
       let sourceMapUrl;
+      let sourceMapData;
       
-      // Handle different types of sourceMappingURL
-      if (sourceMappingURL.startsWith('data:application/json;base64,')) {
-        // Inline source map
-        const base64Data = sourceMappingURL.replace('data:application/json;base64,', '');
-        const jsonString = atob(base64Data);
-        const sourceMapData = JSON.parse(jsonString);
-        this.sourceMapCache.set(jsUrl, sourceMapData);
-        return sourceMapData;
-      } else if (sourceMappingURL.startsWith('http')) {
-        // Absolute URL
-        sourceMapUrl = sourceMappingURL;
+      if (/^data:/i.test(reference)) {
+        // Inline source map, whose sources are relative to the file itself
+        sourceMapUrl = jsUrl;
+        sourceMapData = parseSourceMap(decodeDataUrl(reference));
       } else {
-        // Relative URL
-        const jsUrlObj = new URL(jsUrl);
-        const jsPath = jsUrlObj.pathname.substring(0, jsUrlObj.pathname.lastIndexOf('/') + 1);
-        sourceMapUrl = `${jsUrlObj.origin}${jsPath}${sourceMappingURL}`;
+        // Absolute, protocol-relative and relative references all resolve
+        // against the JavaScript file's URL
+        sourceMapUrl = new URL(reference, jsUrl).href;
+        sourceMapData = parseSourceMap(await this.fetchWithRetry(sourceMapUrl));
       }
       
-      // Fetch the source map
-      const sourceMapContent = await this.fetchWithRetry(sourceMapUrl);
-      const sourceMapData = JSON.parse(sourceMapContent);
+      if (!matchesDebugId(getSourceMapDebugId(sourceMapData), debugId)) {
+        console.warn(`The source map ${sourceMapUrl} was built for a different version of ${jsUrl}`);
+        this.missingSourceMaps.add(jsUrl);
+        return null;
+      }
       
-      // Cache the source map
-      this.sourceMapCache.set(jsUrl, sourceMapData);
+      sourceMapData = await this.resolveSections(sourceMapData, sourceMapUrl);
+      this.sourceMapUrls.set(jsUrl, sourceMapUrl);
       
       return sourceMapData;
     } catch (e) {
       console.error('Error fetching source map:', e);
-      this.sourceMapCache.set(jsUrl, null);
+      this.missingSourceMaps.add(jsUrl);
       return null;
     }
   }
 
+  /**
+   * Get the source map for a JavaScript file from the uploaded maps or the
+   * mapping rules in the settings
+   * @param {string} jsUrl - The URL of the JavaScript file
+   * @param {string|null} debugId - The file's debug ID, if it has one
+   * @returns {Promise<Object|null>} - The source map data or null if there is none
+   */
+  async getLocalSourceMap(jsUrl, debugId) {
+    try {
+      let storedMap = null;
+      
+      if (this.localSourceMaps) {
+        // The debug ID identifies the build wherever it is served from
+        storedMap = debugId ? await this.localSourceMaps.findByDebugId(debugId) : null;
+        
+        if (!storedMap) {
+          const namedMap = await this.localSourceMaps.findSourceMap(jsUrl);
+          storedMap = namedMap && matchesDebugId(namedMap.debugId, debugId) ? namedMap : null;
+        }
+      }
+      
+      if (storedMap) {
+        const content = await this.localSourceMaps.getContent(storedMap.id);
+        
+        // Sources without content are looked up next to the script
+        this.sourceMapUrls.set(jsUrl, jsUrl);
+        return this.resolveSections(parseSourceMap(content), jsUrl);
+      }
+    } catch (e) {
+      console.error('Error loading uploaded source map:', e);
+    }
+    
+    const sourceMapUrl = applySourceMapRules(this.settings.sourcemapRules, jsUrl);
+    if (!sourceMapUrl) {
+      return null;
+    }
+    
+    try {
+      const sourceMapData = parseSourceMap(await this.fetchWithRetry(sourceMapUrl));
+      
+      if (!matchesDebugId(getSourceMapDebugId(sourceMapData), debugId)) {
+        console.warn(`The source map ${sourceMapUrl} was built for a different version of ${jsUrl}`);
+        return null;
+      }
+      
+      this.sourceMapUrls.set(jsUrl, sourceMapUrl);
+      return this.resolveSections(sourceMapData, sourceMapUrl);
+    } catch (e) {
+      // Fall back to the map the script itself points to
+      console.error('Error fetching source map from mapping rule:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Load the sections of an index map that refer to their map by URL, which
+   * the source map consumer cannot do itself
+   * @param {Object} sourceMapData - The source map
+   * @param {string} sourceMapUrl - The URL the map was loaded from
+   * @returns {Promise<Object>} - The source map with every section's map inline
+   */
+  async resolveSections(sourceMapData, sourceMapUrl) {
+    if (!Array.isArray(sourceMapData.sections)) {
+      return sourceMapData;
+    }
+    
+    const sections = await Promise.all(sourceMapData.sections.map(async section => {
+      if (section.map || !section.url) {
+        return section;
+      }
+      
+      const sectionMap = parseSourceMap(await this.fetchWithRetry(new URL(section.url, sourceMapUrl).href));
+      const { url, ...rest } = section;
+      
+      return { ...rest, map: sectionMap };
+    }));
+    
+    return { ...sourceMapData, sections };
+  }
+
   /**
    * Fetch a URL with retry logic
    * @param {string} url - The URL to fetch
    * @returns {Promise<string>} - The response text
    */
   async fetchWithRetry(url) {
+    const response = await this.fetchResponse(url);
+    
+    return response.text();
+  }
+
+  /**
+   * Fetch a URL with retry logic
+   * @param {string} url - The URL to fetch
+   * @returns {Promise<Response>} - The successful response
+   */
+  async fetchResponse(url) {
     let retries = this.fetchRetries;
     let lastError;
     
@@ -197,7 +494,7 @@ class SourceMapper {
           throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        return await response.text();
+        return response;
       } catch (e) {
         lastError = e;
         retries--;
@@ -218,8 +515,209 @@ class SourceMapper {
    * Clear the source map cache
    */
   clearCache() {
-    this.sourceMapCache.clear();
+    this.missingSourceMaps.clear();
+    this.debugIds.clear();
+    this.consumerPool.clear();
+    this.sourceMapUrls.clear();
+    this.sourceContentCache.clear();
   }
 }
 
+/**
+ * Find the source map URL for a JavaScript file from mapping rules. A `*` in
+ * a rule's script pattern matches any text, which replaces the `*` at the
+ * same position in the rule's map URL, so the rule
+ * `https://app.example.com/static/js/*.js -> http://localhost:9000/maps/*.js.map`
+ * maps `static/js/main.js` to `maps/main.js.map`. Query strings and hashes
+ * of the script URL are ignored.
+ * @param {Array<Object>} rules - The rules, each with a `pattern` and a `target`
+ * @param {string} jsUrl - The URL of the JavaScript file
+ * @returns {string|null} - The source map URL of the first matching rule, or
+ *   null if no rule matches
+ */
+export function applySourceMapRules(rules, jsUrl) {
+  for (const { pattern, target } of rules || []) {
+    if (!pattern || !target) continue;
+    
+    const expression = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('(.*?)');
+    const match = jsUrl.split(/[?#]/)[0].match(new RegExp(`^${expression}$`));
+    
+    if (match) {
+      let index = 1;
+      return target.replace(/\*/g, () => (index < match.length ? match[index++] : ''));
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find the debug ID of a JavaScript file, from its last `//# debugId=` comment
+ * @param {string} content - The file's content
+ * @returns {string|null} - The debug ID in lower case, or null if there is none
+ */
+export function getDebugId(content) {
+  const pattern = /^[ \t]*\/\/[#@][ \t]*debugId=([0-9a-f-]+)[ \t]*$/gim;
+  let debugId = null;
+  let match;
+  
+  while ((match = pattern.exec(content || '')) !== null) {
+    debugId = match[1];
+  }
+  
+  return debugId ? debugId.toLowerCase() : null;
+}
+
+/**
+ * Get the debug ID of a source map
+ * @param {Object} sourceMapData - The source map
+ * @returns {string|null} - The debug ID in lower case, or null if there is none
+ */
+export function getSourceMapDebugId(sourceMapData) {
+  // Older tools write the debug ID in snake case
+  const debugId = sourceMapData.debugId || sourceMapData.debug_id;
+  
+  return typeof debugId === 'string' ? debugId.toLowerCase() : null;
+}
+
+/**
+ * Check whether a source map can belong to a file. Debug IDs only rule a map
+ * out when both the file and the map have one.
+ * @param {string|null} sourceMapDebugId - The map's debug ID
+ * @param {string|null} debugId - The file's debug ID
+ * @returns {boolean} - Whether the debug IDs match or cannot be compared
+ */
+function matchesDebugId(sourceMapDebugId, debugId) {
+  return !sourceMapDebugId || !debugId || sourceMapDebugId.toLowerCase() === debugId;
+}
+
+/**
+ * Find the source map reference of a JavaScript file
+ * @param {Headers} headers - The response headers of the file
+ * @param {string} content - The file's content
+ * @returns {string|null} - The unresolved source map URL, or null if there is none
+ */
+export function getSourceMapReference(headers, content) {
+  const header = headers && (headers.get('SourceMap') || headers.get('X-SourceMap'));
+  if (header) {
+    return header.trim();
+  }
+  
+  // Only the last comment counts; `//@` is the deprecated form of `//#`
+  const pattern = /^[ \t]*\/\/[#@][ \t]*sourceMappingURL=([^\s'"]+)[ \t]*$/gm;
+  let reference = null;
+  let match;
+  
+  while ((match = pattern.exec(content)) !== null) {
+    reference = match[1];
+  }
+  
+  return reference;
+}
+
+/**
+ * Decode the content of a data URL
+ * @param {string} dataUrl - The data URL, such as
+ *   `data:application/json;charset=utf-8;base64,...`
+ * @returns {string} - The decoded content
+ */
+export function decodeDataUrl(dataUrl) {
+  const commaIndex = dataUrl.indexOf(',');
+  if (commaIndex === -1) {
+    throw new Error('Malformed data URL');
+  }
+  
+  const parameters = dataUrl.slice(5, commaIndex).split(';').map(part => part.trim().toLowerCase());
+  const data = dataUrl.slice(commaIndex + 1);
+  
+  if (!parameters.includes('base64')) {
+    return decodeURIComponent(data);
+  }
+  
+  // atob decodes to one character per byte, so multi-byte UTF-8 characters
+  // have to be decoded again
+  const binary = atob(decodeURIComponent(data));
+  const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+  
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Parse source map JSON
+ * @param {string} text - The source map text
+ * @returns {Object} - The source map data
+ */
+export function parseSourceMap(text) {
+  // Maps may start with a line that keeps them from being run as a script
+  return JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+}
+
+/**
+ * Check whether a frame has a position in a file that may have a source map
+ * @param {StackFrame} frame - The frame
+ * @returns {boolean} - Whether the frame can be mapped
+ */
+function isMappable(frame) {
+  return !!frame.url && !frame.isNative && frame.line !== null;
+}
+
+/**
+ * Estimate the memory a parsed source map takes from the size of its data
+ * @param {Object} sourceMapData - The raw source map
+ * @returns {number} - The estimated size in bytes
+ */
+function estimateSize(sourceMapData) {
+  // Index maps keep their mappings in the maps of their sections
+  if (Array.isArray(sourceMapData.sections)) {
+    return sourceMapData.sections.reduce(
+      (total, section) => total + (section.map ? estimateSize(section.map) : 0),
+      0
+    );
+  }
+
+  const mappingsSize = (sourceMapData.mappings || '').length;
+  const contentSize = (sourceMapData.sourcesContent || [])
+    .reduce((total, content) => total + (content ? content.length : 0), 0);
+
+  // Decoded mappings take several times the room of their encoded form
+  return mappingsSize * 4 + contentSize * 2;
+}
+
+/**
+ * Get the source lines around a position
+ * @param {string|null} content - The source content
+ * @param {number} line - The 1-based line
+ * @param {number|null} column - The 1-based column
+ * @returns {Object|null} - The context: `lines` starting at `startLine`, the
+ *   `line` and `column` of the position and the `columnOffset` of the shown
+ *   part of each line, or null without content
+ */
+export function getSourceContext(content, line, column) {
+  if (typeof content !== 'string' || !line) return null;
+  
+  const allLines = content.split(/\r?\n/);
+  if (line > allLines.length) return null;
+  
+  const startLine = Math.max(1, line - SOURCE_CONTEXT_LINES);
+  const endLine = Math.min(allLines.length, line + SOURCE_CONTEXT_LINES);
+  
+  // Keep the column in view on long lines
+  const columnOffset = column && column > MAX_SOURCE_LINE_LENGTH / 2
+    ? column - Math.floor(MAX_SOURCE_LINE_LENGTH / 2)
+    : 0;
+  
+  return {
+    startLine: startLine,
+    lines: allLines
+      .slice(startLine - 1, endLine)
+      .map(text => text.slice(columnOffset, columnOffset + MAX_SOURCE_LINE_LENGTH)),
+    line: line,
+    column: column,
+    columnOffset: columnOffset
+  };
+}
+
 export default SourceMapper;
@@ -0,0 +1,251 @@
+/**
+ * StackParser Module
+ *
+ * Parses stack traces from V8 (Chrome, Edge), SpiderMonkey (Firefox) and
+ * JavaScriptCore (Safari) into structured frames shared by every module that
+ * needs to look at a stack.
+ */
+
+// "    at [async] [new] fn (location)" or "    at [async] location"
+const V8_FRAME = /^\s*at\s+(?:(async)\s+)?(?:(new)\s+)?(?:(.*?)\s+\((.*)\)|(.*?))\s*$/;
+
+// "eval at fn (url:line:col), <anonymous>:1:1"
+const V8_EVAL_LOCATION = /^eval at\s+(?:.*?)\s+\((.*?)\)(?:,\s*.*)?$/;
+
+// "[async*]fn@location" or "@location"
+const GECKO_FRAME = /^\s*(?:(async)\*)?([^@]*)@(.*?)\s*$/;
+
+// "url line 12 > eval:1:1" or "url line 12 > Function:1:1"
+const GECKO_EVAL_LOCATION = /^(.*?) line (\d+)(?: > (?:eval|Function))+(?::\d+:\d+)?$/;
+
+// "url:line[:col]"
+const LOCATION = /^(.*?):(\d+)(?::(\d+))?$/;
+
+/**
+ * @typedef {Object} StackFrame
+ * @property {string|null} functionName - The function name, or null if anonymous
+ * @property {string|null} url - The script URL, or null if unknown
+ * @property {number|null} line - The 1-based line number
+ * @property {number|null} column - The 1-based column number
+ * @property {boolean} isNative - Whether the frame is in native (browser) code
+ * @property {boolean} isEval - Whether the frame is in eval'd code. The location
+ *   is then the place eval was called from.
+ * @property {boolean} isAsync - Whether the frame was resumed asynchronously
+ * @property {boolean} isConstructor - Whether the function was called with new
+ * @property {string} raw - The original stack line
+ */
+
+/**
+ * Parse a stack trace into frames. Lines that are not frames, such as the
+ * leading "Error: message" line in V8 stacks, are skipped.
+ * @param {string} stack - The stack trace
+ * @returns {Array<StackFrame>} - The parsed frames, innermost first
+ */
+export function parseStack(stack) {
+  if (!stack || typeof stack !== 'string') return [];
+
+  return stack.split('\n')
+    .map(line => parseStackLine(line))
+    .filter(frame => frame !== null);
+}
+
+/**
+ * Parse a single stack trace line
+ * @param {string} line - The stack trace line
+ * @returns {StackFrame|null} - The frame, or null if the line is not a frame
+ */
+export function parseStackLine(line) {
+  if (!line || !line.trim()) return null;
+
+  return parseV8Line(line) || parseGeckoLine(line);
+}
+
+/**
+ * Parse a V8 stack line
+ * @param {string} line - The stack trace line
+ * @returns {StackFrame|null} - The frame, or null if the line is not a V8 frame
+ */
+function parseV8Line(line) {
+  const match = line.match(V8_FRAME);
+  if (!match) return null;
+
+  const [, asyncKeyword, newKeyword, fnName, parenLocation, bareLocation] = match;
+  let location = parenLocation !== undefined ? parenLocation : bareLocation;
+  let functionName = parenLocation !== undefined ? fnName : null;
+  let isEval = false;
+
+  // "at eval (eval at fn (url:1:2), <anonymous>:1:1)"
+  const evalMatch = location.match(V8_EVAL_LOCATION);
+  if (evalMatch) {
+    isEval = true;
+    location = unwrapEvalLocation(evalMatch[1]);
+  }
+
+  // "at native" or "at Array.forEach (native)"
+  const isNative = location === 'native' || location.startsWith('native ');
+
+  const frame = createFrame(line, functionName, location);
+  frame.isNative = isNative;
+  frame.isEval = isEval || functionName === 'eval';
+  frame.isAsync = !!asyncKeyword;
+  frame.isConstructor = !!newKeyword;
+
+  if (isNative) {
+    frame.url = null;
+  }
+
+  return frame;
+}
+
+/**
+ * Parse a SpiderMonkey or JavaScriptCore stack line
+ * @param {string} line - The stack trace line
+ * @returns {StackFrame|null} - The frame, or null if the line is not a frame
+ */
+function parseGeckoLine(line) {
+  const match = line.match(GECKO_FRAME);
+  if (!match) return null;
+
+  const [, asyncKeyword, fnName, location] = match;
+  let functionName = fnName;
+  let isEval = false;
+
+  // Safari labels top-level and eval'd code instead of naming a function
+  if (functionName === 'global code' || functionName === 'module code') {
+    functionName = null;
+  } else if (functionName === 'eval code') {
+    functionName = null;
+    isEval = true;
+  }
+
+  const isNative = location === '[native code]';
+  const evalMatch = location.match(GECKO_EVAL_LOCATION);
+
+  // Guard against messages that merely contain an "@"
+  if (!isNative && !evalMatch && !LOCATION.test(location)) {
+    return null;
+  }
+
+  // "url line 12 > eval:1:1"
+  let frame;
+
+  if (evalMatch) {
+    isEval = true;
+    frame = createFrame(line, functionName, '');
+    frame.url = evalMatch[1];
+    frame.line = parseInt(evalMatch[2], 10);
+  } else {
+    frame = createFrame(line, functionName, isNative ? '' : location);
+  }
+
+  frame.isNative = isNative;
+  frame.isEval = isEval;
+  frame.isAsync = !!asyncKeyword;
+
+  return frame;
+}
+
+/**
+ * Follow nested "eval at" locations down to the outermost real script
+ * @param {string} location - The location inside "eval at fn (...)"
+ * @returns {string} - The location of the eval call
+ */
+function unwrapEvalLocation(location) {
+  let current = location;
+  let match;
+
+  while ((match = current.match(V8_EVAL_LOCATION))) {
+    current = match[1];
+  }
+
+  return current;
+}
+
+/**
+ * Create a frame from a function name and a "url:line:col" location
+ * @param {string} raw - The original stack line
+ * @param {string|null} functionName - The function name
+ * @param {string} location - The location
+ * @returns {StackFrame} - The frame
+ */
+function createFrame(raw, functionName, location) {
+  const locationMatch = location.match(LOCATION);
+  const url = locationMatch ? locationMatch[1] : null;
+
+  return {
+    functionName: normalizeFunctionName(functionName),
+    url: url && url !== '<anonymous>' ? url : null,
+    line: locationMatch ? parseInt(locationMatch[2], 10) : null,
+    column: locationMatch && locationMatch[3] ? parseInt(locationMatch[3], 10) : null,
+    isNative: false,
+    isEval: false,
+    isAsync: false,
+    isConstructor: false,
+    raw: raw.trim()
+  };
+}
+
+/**
+ * Normalize a function name, mapping anonymous markers to null
+ * @param {string|null} name - The function name
+ * @returns {string|null} - The normalized name
+ */
+function normalizeFunctionName(name) {
+  if (!name) return null;
+
+  const trimmed = name.trim();
+  if (!trimmed || trimmed === '<anonymous>' || trimmed === 'Anonymous function') {
+    return null;
+  }
+
+  return trimmed;
+}
+
+/**
+ * Get the names a frame's function may be known by. V8 prefixes methods with
+ * the receiver type (e.g. "HTMLButtonElement.handleClick") and Firefox marks
+ * nested functions with "/<", so the bare name is included as well.
+ * @param {StackFrame} frame - The frame
+ * @returns {Array<string>} - The function names, most specific first
+ */
+export function getFrameFunctionNames(frame) {
+  if (!frame || !frame.functionName) return [];
+
+  const names = [frame.functionName];
+  const bareName = frame.functionName
+    .replace(/\s*\[as .*\]$/, '')
+    .replace(/[/<]+$/, '')
+    .replace(/^.*[./]/, '');
+
+  if (bareName && bareName !== frame.functionName) {
+    names.push(bareName);
+  }
+
+  return names;
+}
+
+/**
+ * Format a frame as a V8-style stack line
+ * @param {StackFrame} frame - The frame
+ * @returns {string} - The formatted stack line
+ */
+export function formatFrame(frame) {
+  if (!frame) return '';
+
+  let location;
+  if (frame.isNative) {
+    location = 'native';
+  } else if (frame.url) {
+    location = frame.url;
+    if (frame.line !== null && frame.line !== undefined) location += `:${frame.line}`;
+    if (frame.column !== null && frame.column !== undefined) location += `:${frame.column}`;
+  } else {
+    location = '<anonymous>';
+  }
+
+  const prefix = `${frame.isAsync ? 'async ' : ''}${frame.isConstructor ? 'new ' : ''}`;
+
+  return frame.functionName
+    ? `    at ${prefix}${frame.functionName} (${location})`
+    : `    at ${prefix}${location}`;
+}
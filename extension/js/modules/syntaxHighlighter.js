@@ -0,0 +1,58 @@
+/**
+ * SyntaxHighlighter Module
+ *
+ * Minimal JavaScript/TypeScript syntax highlighting for source snippets.
+ * Lines are highlighted one at a time, so comments and template literals
+ * spanning several lines are only recognized on the line they start.
+ */
+
+import { escapeHtml } from './utils.js';
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'false',
+  'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof',
+  'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super',
+  'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined',
+  'var', 'void', 'while', 'yield'
+]);
+
+// Alternatives are tried in order at each position
+const TOKEN_PATTERN = new RegExp([
+  '(\\/\\/.*$|\\/\\*.*?(?:\\*\\/|$))', // comment
+  '("(?:[^"\\\\]|\\\\.)*"?|\'(?:[^\'\\\\]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?)', // string
+  '(\\b(?:0[xob][\\da-f_]+|\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?n?)\\b)', // number
+  '([A-Za-z_$][\\w$]*)' // identifier or keyword
+].join('|'), 'gi');
+
+/**
+ * Highlight a line of JavaScript
+ * @param {string} line - The source line
+ * @returns {string} - HTML with tokens wrapped in `<span class="token-*">`
+ */
+export function highlightLine(line) {
+  let html = '';
+  let lastIndex = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(line)) !== null) {
+    const [token, comment, string, number, word] = match;
+    let tokenClass = null;
+
+    if (comment) tokenClass = 'comment';
+    else if (string) tokenClass = 'string';
+    else if (number) tokenClass = 'number';
+    else if (word && KEYWORDS.has(word)) tokenClass = 'keyword';
+
+    html += escapeHtml(line.slice(lastIndex, match.index));
+    html += tokenClass
+      ? `<span class="token-${tokenClass}">${escapeHtml(token)}</span>`
+      : escapeHtml(token);
+
+    lastIndex = match.index + token.length;
+  }
+
+  return html + escapeHtml(line.slice(lastIndex));
+}
@@ -4,6 +4,8 @@
  * Utility functions used across the extension.
  */
 
+import { parseStack } from './stackParser.js';
+
 /**
  * Format a timestamp into a human-readable string
  * @param {string} timestamp - ISO timestamp string
@@ -174,24 +176,15 @@ export function areObjectsEqual(obj1, obj2) {
 export function simplifyStackTrace(stack) {
   if (!stack) return '';
   
-  // Split the stack trace into lines
-  const lines = stack.split('\n');
-  
-  // Remove the first line (error message)
-  const stackLines = lines.slice(1);
-  
-  // Simplify each line
-  return stackLines.map(line => {
-    // Extract the function name, file, and line number
-    const match = line.match(/at\s+(?:(.+?)\s+\()?(?:(.+?):(\d+):(\d+))?/);
-    if (!match) return line.trim();
-    
-    const [, fnName, file, lineNo, colNo] = match;
+  return parseStack(stack).map(frame => {
+    if (frame.isNative) {
+      return `${frame.functionName ? frame.functionName + ' ' : ''}(native)`;
+    }
     
     // Get the file name without the path
-    const fileName = file ? file.split('/').pop() : 'unknown';
+    const fileName = frame.url ? frame.url.split('/').pop() : 'unknown';
     
-    return `${fnName ? fnName + ' ' : ''}(${fileName}:${lineNo}:${colNo})`.trim();
+    return `${frame.functionName ? frame.functionName + ' ' : ''}(${fileName}:${frame.line}:${frame.column})`;
   }).join('\n');
 }
 
@@ -213,25 +206,3 @@ export function getErrorType(error) {
   
   return 'Unknown';
 }
-
-/**
- * Check if two errors are similar
- * @param {Object} error1 - First error
- * @param {Object} error2 - Second error
- * @returns {boolean} - Whether the errors are similar
- */
-export function areSimilarErrors(error1, error2) {
-  // If the messages are the same, they're similar
-  if (error1.message === error2.message) {
-    return true;
-  }
-  
-  // If the file and line number are the same, they might be similar
-  if (error1.filename === error2.filename && 
-      error1.lineno === error2.lineno && 
-      error1.colno === error2.colno) {
-    return true;
-  }
-  
-  return false;
-}
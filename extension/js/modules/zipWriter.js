@@ -0,0 +1,140 @@
+/**
+ * ZipWriter Module
+ *
+ * Writes uncompressed ZIP archives. Exports are small and mostly text or
+ * already compressed images, so storing the files keeps this simple without
+ * making the archives much larger.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0, the first to support folders
+const ZIP_VERSION = 20;
+
+// General purpose flag marking file names as UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Create a ZIP archive
+ * @param {Array<Object>} files - The files, each with a `name` (which may
+ *   contain folders, separated by `/`) and `data` as a string or Uint8Array
+ * @param {Date} [date] - The modification date of the files
+ * @returns {Uint8Array} - The archive
+ */
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+    localHeader.setUint16(4, ZIP_VERSION, true);
+    localHeader.setUint16(6, UTF8_FLAG, true);
+    localHeader.setUint16(8, 0, true); // Stored, not compressed
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, day, true);
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, name.length, true);
+    localHeader.setUint16(28, 0, true);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+    centralHeader.setUint16(4, ZIP_VERSION, true);
+    centralHeader.setUint16(6, ZIP_VERSION, true);
+    centralHeader.setUint16(8, UTF8_FLAG, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, day, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes are all empty
+    centralHeader.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(localHeader.buffer), name, data);
+    centralParts.push(new Uint8Array(centralHeader.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Compute the CRC-32 checksum of some data
+ * @param {Uint8Array} data - The data
+ * @returns {number} - The checksum
+ */
+export function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS format ZIP archives use
+ * @param {Date} date - The date
+ * @returns {Object} - The DOS `time` and `day`
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    // DOS dates start in 1980
+    day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - The arrays
+ * @returns {Uint8Array} - The joined array
+ */
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+
+  return result;
+}
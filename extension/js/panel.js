@@ -0,0 +1,304 @@
+/**
+ * DevTools Panel Script
+ *
+ * Lists the errors of the inspected tab as they happen, next to the details
+ * of the selected error. Associated elements are revealed in the Elements
+ * panel and mapped frames open in the Sources panel.
+ */
+
+import { formatTimestamp, truncateString, escapeHtml } from './modules/utils.js';
+import { renderErrorDetails } from './modules/errorDetailsView.js';
+import { subscribeToErrors, applyStreamEvents, affectsError } from './modules/errorStream.js';
+import { getErrorFrameId } from './modules/frameInfo.js';
+
+// DOM Elements
+const searchInput = document.getElementById('search-input');
+const filterType = document.getElementById('filter-type');
+const errorSummary = document.getElementById('error-summary');
+const clearAllBtn = document.getElementById('clear-all-btn');
+const listPane = document.getElementById('list-pane');
+const errorList = document.getElementById('error-list');
+const noErrorsMessage = document.getElementById('no-errors-message');
+const splitter = document.getElementById('splitter');
+const noSelectionMessage = document.getElementById('no-selection-message');
+const errorDetailsContent = document.getElementById('error-details-content');
+
+// The width of the error list is kept across panel openings
+const LIST_WIDTH_STORAGE_KEY = 'jev-panel-list-width';
+const MIN_PANE_WIDTH = 160;
+
+// State
+const inspectedTabId = chrome.devtools.inspectedWindow.tabId;
+let errors = [];
+let selectedErrorId = null;
+
+// Initialize the panel
+function init() {
+  if (chrome.devtools.panels.themeName === 'dark') {
+    document.body.classList.add('theme-dark');
+  }
+  
+  restoreListWidth();
+  
+  // Set up event listeners
+  setupEventListeners();
+  
+  // Receive the page's errors, and new ones as they happen
+  subscribeToErrors(inspectedTabId, handleStreamEvents);
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  searchInput.addEventListener('input', renderErrorList);
+  filterType.addEventListener('change', renderErrorList);
+  clearAllBtn.addEventListener('click', clearAllErrors);
+  
+  setupSplitter();
+}
+
+/**
+ * Apply a batch of changes to the inspected tab's errors
+ * @param {Array<Object>} events - The stream events
+ */
+function handleStreamEvents(events) {
+  errors = applyStreamEvents(errors, events);
+  renderErrorList();
+  
+  if (selectedErrorId !== null && affectsError(events, selectedErrorId)) {
+    renderSelectedError();
+  }
+}
+
+/**
+ * Render the error list
+ */
+function renderErrorList() {
+  const filteredErrors = filterErrorsList();
+  const total = errors.reduce((sum, error) => sum + (error.count || 1), 0);
+  
+  errorSummary.textContent = errors.length > 0
+    ? `${errors.length} ${errors.length === 1 ? 'error' : 'errors'}, ${total} ${total === 1 ? 'occurrence' : 'occurrences'}`
+    : '';
+  
+  errorList.innerHTML = '';
+  noErrorsMessage.style.display = filteredErrors.length === 0 ? 'block' : 'none';
+  
+  filteredErrors.forEach(error => {
+    const errorItem = document.createElement('li');
+    errorItem.className = 'error-item';
+    errorItem.dataset.errorId = error.id;
+    
+    if (error.id === selectedErrorId) {
+      errorItem.classList.add('selected');
+    }
+    
+    errorItem.innerHTML = `
+      <div class="error-item-header">
+        <div class="error-message" title="${escapeHtml(error.message).replace(/"/g, '&quot;')}">${escapeHtml(truncateString(error.message, 200))}</div>
+        ${error.count > 1 ? `<div class="error-count">${error.count}</div>` : ''}
+      </div>
+      <div class="error-info">
+        <div class="error-location">
+          ${error.associatedElements && error.associatedElements.length > 0 
+            ? '<span class="has-element-indicator"></span>' 
+            : ''}
+          ${escapeHtml(error.mappedFilename || error.filename || 'Unknown')}:${error.mappedLineno || error.lineno || '?'}
+        </div>
+        <div class="error-timestamp">${formatTimestamp(error.lastSeen || error.timestamp)}</div>
+      </div>
+    `;
+    
+    errorItem.addEventListener('click', () => selectError(error.id));
+    errorList.appendChild(errorItem);
+  });
+}
+
+/**
+ * Filter the errors list based on search and filter type
+ * @returns {Array} - Filtered errors
+ */
+function filterErrorsList() {
+  const searchTerm = searchInput.value.toLowerCase();
+  const filterValue = filterType.value;
+  
+  return errors.filter(error => {
+    if (filterValue !== 'all' && error.type !== filterValue) {
+      return false;
+    }
+    
+    if (searchTerm) {
+      const message = error.message.toLowerCase();
+      const filename = (error.mappedFilename || error.filename || '').toLowerCase();
+      
+      return message.includes(searchTerm) || filename.includes(searchTerm);
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Select an error to show its details
+ * @param {string} errorId - The ID of the error group
+ */
+function selectError(errorId) {
+  selectedErrorId = errorId;
+  
+  errorList.querySelectorAll('.error-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.errorId === errorId);
+  });
+  
+  renderSelectedError();
+}
+
+/**
+ * Show the details of the selected error
+ */
+function renderSelectedError() {
+  const error = errors.find(candidate => candidate.id === selectedErrorId);
+  
+  if (!error) {
+    selectedErrorId = null;
+    errorDetailsContent.innerHTML = '';
+    noSelectionMessage.style.display = 'block';
+    return;
+  }
+  
+  // Keep the reader's place when an update re-renders the same error
+  const scrollTop = errorDetailsContent.parentElement.scrollTop;
+  
+  noSelectionMessage.style.display = 'none';
+  errorDetailsContent.innerHTML = renderErrorDetails(error, { openInSources: true });
+  errorDetailsContent.parentElement.scrollTop = scrollTop;
+  
+  const replayButton = errorDetailsContent.querySelector('.replay-btn');
+  if (replayButton) {
+    replayButton.addEventListener('click', () => {
+      window.open(chrome.runtime.getURL(`html/replay.html?id=${encodeURIComponent(replayButton.dataset.replayId)}`));
+    });
+  }
+  
+  errorDetailsContent.querySelectorAll('.element-link:not(.stale)').forEach(link => {
+    link.addEventListener('click', () => inspectElement(link.dataset.errorId, error.frame));
+  });
+  
+  errorDetailsContent.querySelectorAll('.open-source-link').forEach(link => {
+    link.addEventListener('click', (event) => {
+      // Links inside a source frame's summary would also toggle it
+      event.preventDefault();
+      openInSources(link.dataset.url, Number(link.dataset.line), Number(link.dataset.column));
+    });
+  });
+}
+
+/**
+ * Reveal a highlighted element in the Elements panel
+ * @param {string} elementId - The highlight ID of the element
+ * @param {Object} [frame] - The frame the element is in
+ */
+function inspectElement(elementId, frame) {
+  const isSubframe = Boolean(frame && !frame.isTop && frame.url);
+  
+  chrome.runtime.sendMessage({ 
+    action: 'selectInspectTarget', 
+    tabId: inspectedTabId, 
+    frameId: getErrorFrameId({ frame }), 
+    elementId: elementId 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      return;
+    }
+    
+    // The content script left the element where its own world can reach it
+    chrome.devtools.inspectedWindow.eval(
+      'inspect(window.__JEV_INSPECT_TARGET__)',
+      isSubframe
+        ? { useContentScriptContext: true, frameURL: frame.url }
+        : { useContentScriptContext: true }
+    );
+  });
+}
+
+/**
+ * Open an original source file in the Sources panel
+ * @param {string} url - The source's URL
+ * @param {number} line - The 1-based line number
+ * @param {number} column - The 1-based column number
+ */
+function openInSources(url, line, column) {
+  // The Sources panel counts lines and columns from 0
+  chrome.devtools.panels.openResource(url, Math.max(0, line - 1), Math.max(0, column - 1), () => {});
+}
+
+/**
+ * Clear all errors of the inspected tab
+ */
+function clearAllErrors() {
+  chrome.runtime.sendMessage({ action: 'clearTabErrors', tabId: inspectedTabId });
+  
+  errors = [];
+  selectedErrorId = null;
+  renderErrorList();
+  renderSelectedError();
+}
+
+/**
+ * Let the splitter resize the error list, by dragging or with the arrow keys
+ */
+function setupSplitter() {
+  splitter.addEventListener('pointerdown', (event) => {
+    splitter.setPointerCapture(event.pointerId);
+    splitter.classList.add('dragging');
+  });
+  
+  splitter.addEventListener('pointermove', (event) => {
+    if (!splitter.hasPointerCapture(event.pointerId)) return;
+    setListWidth(event.clientX - listPane.getBoundingClientRect().left);
+  });
+  
+  splitter.addEventListener('pointerup', (event) => {
+    splitter.releasePointerCapture(event.pointerId);
+    splitter.classList.remove('dragging');
+    saveListWidth();
+  });
+  
+  splitter.addEventListener('keydown', (event) => {
+    const step = event.key === 'ArrowLeft' ? -20 : event.key === 'ArrowRight' ? 20 : 0;
+    if (!step) return;
+    
+    event.preventDefault();
+    setListWidth(listPane.getBoundingClientRect().width + step);
+    saveListWidth();
+  });
+}
+
+/**
+ * Set the width of the error list, leaving room for the details
+ * @param {number} width - The width in pixels
+ */
+function setListWidth(width) {
+  const maxWidth = Math.max(MIN_PANE_WIDTH, document.body.clientWidth - MIN_PANE_WIDTH);
+  listPane.style.flexBasis = `${Math.round(Math.min(maxWidth, Math.max(MIN_PANE_WIDTH, width)))}px`;
+}
+
+/**
+ * Restore the error list width the panel was last left with
+ */
+function restoreListWidth() {
+  const width = Number(localStorage.getItem(LIST_WIDTH_STORAGE_KEY));
+  if (width > 0) {
+    setListWidth(width);
+  }
+}
+
+/**
+ * Remember the current error list width
+ */
+function saveListWidth() {
+  localStorage.setItem(LIST_WIDTH_STORAGE_KEY, String(Math.round(listPane.getBoundingClientRect().width)));
+}
+
+// Initialize the panel when the DOM is loaded
+document.addEventListener('DOMContentLoaded', init);
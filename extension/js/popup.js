@@ -1,14 +1,21 @@
 /**
  * Popup Script
  * 
- * Manages the extension popup UI and interactions.
+ * Manages the extension popup UI and interactions. The side panel runs the
+ * same script; there it follows the active tab and can be switched to a
+ * compact view of the error counts.
  */
 
 import { formatTimestamp, truncateString, escapeHtml } from './modules/utils.js';
+import { renderErrorDetails } from './modules/errorDetailsView.js';
+import { subscribeToErrors, applyStreamEvents, affectsError } from './modules/errorStream.js';
+import { TOP_FRAME_ID, getErrorFrameId } from './modules/frameInfo.js';
+import { exportJson, exportMarkdown, exportCsv, createDebugBundle } from './modules/errorExporter.js';
 
 // DOM Elements
 const extensionToggle = document.getElementById('extension-toggle');
 const toggleStatus = document.getElementById('toggle-status');
+const historySelect = document.getElementById('history-select');
 const searchInput = document.getElementById('search-input');
 const filterType = document.getElementById('filter-type');
 const errorList = document.getElementById('error-list');
@@ -17,12 +24,27 @@ const errorDetails = document.getElementById('error-details');
 const errorDetailsContent = document.getElementById('error-details-content');
 const clearAllBtn = document.getElementById('clear-all-btn');
 const settingsBtn = document.getElementById('settings-btn');
+const exportBtn = document.getElementById('export-btn');
+const exportOptions = document.getElementById('export-options');
+const sidePanelBtn = document.getElementById('side-panel-btn');
+const compactToggle = document.getElementById('compact-toggle');
+const errorTypeCounts = document.getElementById('error-type-counts');
+
+const isSidePanel = document.body.classList.contains('side-panel');
+
+// The side panel remembers whether it was left in compact mode
+const COMPACT_STORAGE_KEY = 'jev-side-panel-compact';
 
 // State
 let settings = null;
-let errors = [];
+let errors = []; // The errors shown, live or from the history
+let liveErrors = []; // The errors of the page that is open now
 let activeTabId = null;
+let activeWindowId = null;
 let selectedErrorId = null;
+let historyNavigationId = null; // null while showing the live page
+let unsubscribeFromErrors = null;
+let isCompact = false;
 
 // Initialize the popup
 async function init() {
@@ -30,16 +52,20 @@ async function init() {
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tabs.length === 0) return;
   
-  activeTabId = tabs[0].id;
-  
   // Load settings
   await loadSettings();
   
   // Set up event listeners
   setupEventListeners();
   
-  // Load errors from the content script
-  await loadErrors();
+  // Show the tab's errors, and new ones as they happen
+  activeWindowId = tabs[0].windowId;
+  showTab(tabs[0].id);
+  
+  if (isSidePanel) {
+    setCompact(localStorage.getItem(COMPACT_STORAGE_KEY) === 'true');
+    followActiveTab();
+  }
   
   // Notify the background script that the panel is open
   chrome.runtime.sendMessage({ action: 'panelOpened' });
@@ -53,6 +79,62 @@ async function init() {
   });
 }
 
+/**
+ * Show the errors of a tab
+ * @param {number} tabId - The ID of the tab
+ */
+function showTab(tabId) {
+  if (unsubscribeFromErrors) {
+    unsubscribeFromErrors();
+  }
+  
+  activeTabId = tabId;
+  errors = liveErrors = [];
+  selectedErrorId = null;
+  historyNavigationId = null;
+  historySelect.value = 'live';
+  errorDetails.style.display = 'none';
+  renderErrorList();
+  
+  // Receive the page's errors, and new ones as they happen
+  unsubscribeFromErrors = subscribeToErrors(tabId, handleStreamEvents);
+  
+  // Load earlier page loads of this tab
+  loadHistory();
+}
+
+/**
+ * Keep the side panel on the active tab of its window
+ */
+function followActiveTab() {
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId === activeWindowId && activeInfo.tabId !== activeTabId) {
+      showTab(activeInfo.tabId);
+    }
+  });
+  
+  // The page that was open becomes part of the history after a navigation
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === activeTabId && changeInfo.status === 'complete') {
+      loadHistory();
+    }
+  });
+}
+
+/**
+ * Switch the side panel between the full view and the error counts
+ * @param {boolean} compact - Whether to show only the counts
+ */
+function setCompact(compact) {
+  isCompact = compact;
+  document.body.classList.toggle('compact', compact);
+  compactToggle.setAttribute('aria-pressed', String(compact));
+  errorTypeCounts.hidden = !compact;
+  localStorage.setItem(COMPACT_STORAGE_KEY, String(compact));
+  
+  renderErrorList();
+}
+
 /**
  * Load settings from the background script
  */
@@ -89,6 +171,20 @@ function setupEventListeners() {
     });
   });
   
+  // History select
+  historySelect.addEventListener('change', () => {
+    historyNavigationId = historySelect.value === 'live' ? null : historySelect.value;
+    selectedErrorId = null;
+    errorDetails.style.display = 'none';
+    
+    if (historyNavigationId) {
+      loadHistoryErrors(historyNavigationId);
+    } else {
+      errors = liveErrors;
+      renderErrorList();
+    }
+  });
+  
   // Search input
   searchInput.addEventListener('input', filterErrors);
   
@@ -101,6 +197,29 @@ function setupEventListeners() {
   // Settings button
   settingsBtn.addEventListener('click', openSettings);
   
+  // Side panel, where the browser supports one
+  if (sidePanelBtn && chrome.sidePanel) {
+    sidePanelBtn.addEventListener('click', openSidePanel);
+  } else if (sidePanelBtn) {
+    sidePanelBtn.hidden = true;
+  }
+  
+  if (compactToggle) {
+    compactToggle.addEventListener('click', () => setCompact(!isCompact));
+  }
+  
+  // Export menu
+  exportBtn.addEventListener('click', () => {
+    setExportMenuOpen(exportOptions.hidden);
+  });
+  
+  exportOptions.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => {
+      setExportMenuOpen(false);
+      exportErrors(button.dataset.format);
+    });
+  });
+  
   // Listen for tab close
   window.addEventListener('beforeunload', () => {
     chrome.runtime.sendMessage({ action: 'panelClosed' });
@@ -108,36 +227,95 @@ function setupEventListeners() {
 }
 
 /**
- * Load errors from the content script
+ * Apply a batch of changes to the errors of the page that is open now
+ * @param {Array<Object>} events - The stream events
  */
-async function loadErrors() {
-  try {
-    // Send a message to the content script to get the errors
-    chrome.tabs.sendMessage(activeTabId, { action: 'getErrors' }, (response) => {
-      if (chrome.runtime.lastError) {
-        // Content script might not be loaded
-        console.error('Error getting errors:', chrome.runtime.lastError);
-        showNoErrorsMessage();
-        return;
-      }
-      
-      if (response && response.errors) {
-        errors = response.errors;
-        renderErrorList();
-      } else {
-        showNoErrorsMessage();
-      }
-    });
-  } catch (e) {
-    console.error('Error loading errors:', e);
-    showNoErrorsMessage();
+function handleStreamEvents(events) {
+  liveErrors = applyStreamEvents(liveErrors, events);
+  
+  // The history is showing instead
+  if (historyNavigationId) return;
+  
+  errors = liveErrors;
+  renderErrorList();
+  
+  if (selectedErrorId !== null && affectsError(events, selectedErrorId)) {
+    const selectedError = errors.find(error => error.id === selectedErrorId);
+    
+    if (selectedError) {
+      // Keep the reader's place in the details
+      const scrollTop = errorDetails.scrollTop;
+      showErrorDetails(selectedError);
+      errorDetails.scrollTop = scrollTop;
+    } else {
+      selectedErrorId = null;
+      errorDetails.style.display = 'none';
+    }
   }
 }
 
+/**
+ * Load the earlier page loads of the active tab that had errors
+ */
+function loadHistory() {
+  chrome.runtime.sendMessage({ action: 'getErrorHistory', tabId: activeTabId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      return;
+    }
+    
+    // Count the stored errors of each page load
+    const errorCounts = new Map();
+    response.errors.forEach(error => {
+      errorCounts.set(error.navigationId, (errorCounts.get(error.navigationId) || 0) + 1);
+    });
+    
+    // The newest navigation is the page that is open now
+    const earlierNavigations = response.navigations
+      .slice(1)
+      .filter(navigation => errorCounts.has(navigation.id));
+    
+    // Keep only the "Current page" option
+    historySelect.length = 1;
+    
+    earlierNavigations.forEach(navigation => {
+      const option = document.createElement('option');
+      const count = errorCounts.get(navigation.id);
+      option.value = navigation.id;
+      option.textContent = `${formatTimestamp(navigation.startedAt)} – ${truncateString(navigation.url, 40)} (${count} ${count === 1 ? 'error' : 'errors'})`;
+      historySelect.appendChild(option);
+    });
+  });
+}
+
+/**
+ * Load the stored errors of an earlier page load
+ * @param {string} navigationId - The ID of the page load
+ */
+function loadHistoryErrors(navigationId) {
+  chrome.runtime.sendMessage({ 
+    action: 'getErrorHistory', 
+    tabId: activeTabId, 
+    navigationId: navigationId 
+  }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      showNoErrorsMessage();
+      return;
+    }
+    
+    // Stored errors are newest first, the live list is oldest first
+    errors = response.errors.slice().reverse();
+    renderErrorList();
+  });
+}
+
 /**
  * Render the error list
  */
 function renderErrorList() {
+  if (isCompact) {
+    renderErrorTypeCounts();
+  }
+  
   // Clear the list
   errorList.innerHTML = '';
   
@@ -152,14 +330,24 @@ function renderErrorList() {
   // Hide the no errors message
   noErrorsMessage.style.display = 'none';
   
+  // Errors are grouped under their frame once any frame besides the top one has some
+  const groupedErrors = groupErrorsByFrame(filteredErrors);
+  const showFrameHeaders = groupedErrors.some(error => getErrorFrameId(error) !== TOP_FRAME_ID);
+  let currentFrameId = null;
+  
   // Render each error
-  filteredErrors.forEach((error, index) => {
+  groupedErrors.forEach(error => {
+    const frameId = getErrorFrameId(error);
+    if (showFrameHeaders && frameId !== currentFrameId) {
+      currentFrameId = frameId;
+      errorList.appendChild(createFrameHeader(error.frame));
+    }
+    
     const errorItem = document.createElement('li');
     errorItem.className = 'error-item';
-    errorItem.dataset.errorIndex = index;
     
     // Check if this error is selected
-    if (selectedErrorId === index) {
+    if (error.id === selectedErrorId) {
       errorItem.classList.add('selected');
     }
     
@@ -176,13 +364,13 @@ function renderErrorList() {
             : ''}
           ${escapeHtml(error.mappedFilename || error.filename || 'Unknown')}:${error.mappedLineno || error.lineno || '?'}
         </div>
-        <div class="error-timestamp">${formatTimestamp(error.timestamp)}</div>
+        <div class="error-timestamp">${formatTimestamp(error.lastSeen || error.timestamp)}</div>
       </div>
     `;
     
     // Add click event
     errorItem.addEventListener('click', () => {
-      selectError(index);
+      selectError(error.id);
     });
     
     errorList.appendChild(errorItem);
@@ -192,6 +380,85 @@ function renderErrorList() {
   errorList.style.display = 'block';
 }
 
+/**
+ * Order errors by the frame they happened in, the top frame first and the
+ * others in the order their first error happened
+ * @param {Array<Object>} errorsToGroup - The errors, in display order
+ * @returns {Array<Object>} - The errors, each frame's errors together
+ */
+function groupErrorsByFrame(errorsToGroup) {
+  const frames = new Map([[TOP_FRAME_ID, []]]);
+  errorsToGroup.forEach(error => {
+    const frameId = getErrorFrameId(error);
+    if (!frames.has(frameId)) {
+      frames.set(frameId, []);
+    }
+    frames.get(frameId).push(error);
+  });
+  
+  return Array.from(frames.values()).flat();
+}
+
+/**
+ * Create the header of a frame's errors in the error list
+ * @param {Object} [frame] - The frame the errors happened in
+ * @returns {HTMLElement} - The header
+ */
+function createFrameHeader(frame) {
+  const header = document.createElement('li');
+  header.className = 'frame-group-header';
+  
+  if (!frame || frame.isTop) {
+    header.textContent = 'Top frame';
+    return header;
+  }
+  
+  const parents = (frame.parentChain || []).map(parent => parent.url || 'unknown frame');
+  header.title = [frame.url].concat(parents).join('\n  in ');
+  header.innerHTML = `
+    <span class="frame-group-url">${escapeHtml(frame.url || 'Unknown frame')}</span>
+    ${frame.isCrossOrigin ? '<span class="frame-group-badge">cross-origin</span>' : ''}
+  `;
+  
+  return header;
+}
+
+/**
+ * Render the number of errors of each type, for the compact side panel
+ */
+function renderErrorTypeCounts() {
+  const counts = new Map();
+  errors.forEach(error => {
+    counts.set(error.type, (counts.get(error.type) || 0) + (error.count || 1));
+  });
+  
+  // The filter's options name the types, in the order they are listed
+  const types = Array.from(filterType.options)
+    .filter(option => option.value !== 'all' && counts.has(option.value));
+  const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+  
+  errorTypeCounts.innerHTML = `
+    <div class="error-type-count total">
+      <span>All Errors</span>
+      <span class="error-type-number">${total}</span>
+    </div>
+    ${types.map(option => `
+      <button class="error-type-count" data-type="${escapeHtml(option.value)}">
+        <span>${escapeHtml(option.textContent)}</span>
+        <span class="error-type-number">${counts.get(option.value)}</span>
+      </button>
+    `).join('')}
+  `;
+  
+  // Open the full view filtered to a type
+  errorTypeCounts.querySelectorAll('button.error-type-count').forEach(button => {
+    button.addEventListener('click', () => {
+      filterType.value = button.dataset.type;
+      setCompact(false);
+    });
+  });
+}
+
 /**
  * Filter the errors list based on search and filter type
  * @returns {Array} - Filtered errors
@@ -236,23 +503,17 @@ function showNoErrorsMessage() {
 
 /**
  * Select an error to show its details
- * @param {number} index - The index of the error in the filtered list
+ * @param {string|number} errorId - The ID of the error
  */
-function selectError(index) {
+function selectError(errorId) {
   // Update selected error
-  selectedErrorId = index;
+  selectedErrorId = errorId;
   
   // Update the UI
-  const errorItems = document.querySelectorAll('.error-item');
-  errorItems.forEach(item => {
-    item.classList.remove('selected');
-    if (parseInt(item.dataset.errorIndex) === index) {
-      item.classList.add('selected');
-    }
-  });
+  renderErrorList();
   
   // Show error details
-  showErrorDetails(errors[index]);
+  showErrorDetails(errors.find(error => error.id === errorId));
 }
 
 /**
@@ -261,13 +522,13 @@ function selectError(index) {
  */
 function focusErrorByElementId(elementId) {
   // Find the error with this element ID
-  const errorIndex = errors.findIndex(error => 
-    error.associatedElements && 
-    error.associatedElements.some(el => el.errorId === elementId)
+  const error = errors.find(candidate => 
+    candidate.associatedElements && 
+    candidate.associatedElements.some(el => el.errorId === elementId)
   );
   
-  if (errorIndex !== -1) {
-    selectError(errorIndex);
+  if (error) {
+    selectError(error.id);
   }
 }
 
@@ -278,49 +539,20 @@ function focusErrorByElementId(elementId) {
 function showErrorDetails(error) {
   if (!error) return;
   
-  // Create the details content
-  let detailsHtml = `
-    <div class="error-details-section">
-      <h3>Error Message</h3>
-      <div class="error-message-full">${escapeHtml(error.message)}</div>
-    </div>
-  `;
-  
-  // Add stack trace if available
-  if (error.stack) {
-    detailsHtml += `
-      <div class="error-details-section">
-        <h3>Stack Trace</h3>
-        <div class="stack-trace">${escapeHtml(error.stack)}</div>
-      </div>
-    `;
-  }
+  // Set the details content
+  errorDetailsContent.innerHTML = renderErrorDetails(error);
   
-  // Add associated elements if available
-  if (error.associatedElements && error.associatedElements.length > 0) {
-    detailsHtml += `
-      <div class="error-details-section">
-        <h3>Associated Elements</h3>
-        <div class="element-links">
-    `;
-    
-    error.associatedElements.forEach(({ errorId }, index) => {
-      detailsHtml += `
-        <a class="element-link" data-error-id="${errorId}">Element ${index + 1}</a>
-      `;
+  // Add click events for element links
+  const replayButton = errorDetailsContent.querySelector('.replay-btn');
+  if (replayButton) {
+    replayButton.addEventListener('click', () => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL(`html/replay.html?id=${encodeURIComponent(replayButton.dataset.replayId)}`)
+      });
     });
-    
-    detailsHtml += `
-        </div>
-      </div>
-    `;
   }
   
-  // Set the details content
-  errorDetailsContent.innerHTML = detailsHtml;
-  
-  // Add click events for element links
-  const elementLinks = errorDetailsContent.querySelectorAll('.element-link');
+  const elementLinks = errorDetailsContent.querySelectorAll('.element-link:not(.stale)');
   elementLinks.forEach(link => {
     link.addEventListener('click', () => {
       const errorId = link.dataset.errorId;
@@ -338,15 +570,151 @@ function showErrorDetails(error) {
   errorDetails.style.display = 'block';
 }
 
+/**
+ * Open or close the export menu
+ * @param {boolean} isOpen - Whether the menu should be open
+ */
+function setExportMenuOpen(isOpen) {
+  exportOptions.hidden = !isOpen;
+  exportBtn.setAttribute('aria-expanded', String(isOpen));
+}
+
+/**
+ * Export the errors shown in the popup
+ * @param {string} format - 'json', 'markdown', 'csv' or 'bundle'
+ */
+async function exportErrors(format) {
+  if (errors.length === 0) {
+    alert('There are no errors to export.');
+    return;
+  }
+  
+  try {
+    const context = await getExportContext(format === 'bundle');
+    const baseName = `js-errors-${context.exportedAt.replace(/[:.]/g, '-')}`;
+    
+    switch (format) {
+      case 'json':
+        downloadFile(`${baseName}.json`, exportJson(errors, context), 'application/json');
+        break;
+        
+      case 'markdown':
+        downloadFile(`${baseName}.md`, exportMarkdown(errors, context), 'text/markdown');
+        break;
+        
+      case 'csv':
+        downloadFile(`${baseName}.csv`, exportCsv(errors), 'text/csv');
+        break;
+        
+      case 'bundle':
+        downloadFile(`${baseName}.zip`, createDebugBundle(errors, context), 'application/zip');
+        break;
+    }
+  } catch (e) {
+    console.error('Error exporting errors:', e);
+    alert('Error exporting errors.');
+  }
+}
+
+/**
+ * Collect what an export needs to know about where the errors happened
+ * @param {boolean} isDebugBundle - Whether to include the settings and screenshots
+ * @returns {Promise<Object>} - The export context, see createDebugBundle
+ */
+async function getExportContext(isDebugBundle) {
+  const context = {
+    exportedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version
+  };
+  
+  // Errors from an earlier page load only know the URL they happened on
+  if (historyNavigationId) {
+    const navigation = Array.from(historySelect.options).find(option => option.value === historyNavigationId);
+    context.page = { url: errors[0].url || null, title: navigation ? navigation.textContent : null };
+  } else {
+    context.page = await getPageInfo();
+  }
+  
+  if (isDebugBundle) {
+    context.settings = settings;
+    context.screenshots = [];
+    
+    // Only the live page can be captured
+    if (!historyNavigationId) {
+      try {
+        const dataUrl = await chrome.tabs.captureVisibleTab({ format: 'png' });
+        context.screenshots.push({ name: 'page.png', dataUrl });
+      } catch (e) {
+        console.error('Error capturing screenshot:', e);
+      }
+    }
+  }
+  
+  return context;
+}
+
+/**
+ * Get the page and browser details from the content script
+ * @returns {Promise<Object|null>} - The page info, or null if it is unavailable
+ */
+function getPageInfo() {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(activeTabId, { action: 'getPageInfo' }, { frameId: TOP_FRAME_ID }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        resolve(null);
+        return;
+      }
+      
+      resolve(response.page);
+    });
+  });
+}
+
+/**
+ * Download a file from the popup
+ * @param {string} filename - The file name
+ * @param {string|Uint8Array} content - The file content
+ * @param {string} type - The MIME type
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  // Give the download a moment to start before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Clear all errors
  */
 function clearAllErrors() {
+  // Earlier page loads only exist in the history
+  if (historyNavigationId) {
+    chrome.runtime.sendMessage({ 
+      action: 'clearErrorHistory', 
+      navigationId: historyNavigationId 
+    }, () => {
+      historyNavigationId = null;
+      historySelect.value = 'live';
+      loadHistory();
+      errors = liveErrors;
+      renderErrorList();
+    });
+    
+    selectedErrorId = null;
+    errorDetails.style.display = 'none';
+    return;
+  }
+  
   // Send a message to the content script to clear all errors
   chrome.tabs.sendMessage(activeTabId, { action: 'clearErrors' });
   
   // Clear the errors list
-  errors = [];
+  errors = liveErrors = [];
+  selectedErrorId = null;
   renderErrorList();
   
   // Hide the details
@@ -356,6 +724,16 @@ function clearAllErrors() {
   chrome.runtime.sendMessage({ action: 'clearErrors' });
 }
 
+/**
+ * Move from the popup to the side panel, which stays open while the page is used
+ */
+function openSidePanel() {
+  // Opening the side panel needs the click's user gesture, so nothing is awaited first
+  chrome.sidePanel.open({ windowId: activeWindowId })
+    .then(() => window.close())
+    .catch(error => console.error('Error opening the side panel:', error));
+}
+
 /**
  * Open the settings page
  */
@@ -0,0 +1,201 @@
+/**
+ * Replay Script
+ *
+ * Plays back the session replay of an error: the page is rebuilt in a
+ * sandboxed frame and played up to the moment of failure, with the elements
+ * the error was attributed to outlined.
+ */
+
+import ErrorStore from './modules/errorStore.js';
+import ReplayPlayer from './modules/replayPlayer.js';
+import { formatTimestamp } from './modules/utils.js';
+
+const errorStore = new ErrorStore();
+
+// DOM Elements
+const replayTitle = document.getElementById('replay-title');
+const replayMeta = document.getElementById('replay-meta');
+const replayMessage = document.getElementById('replay-message');
+const replayControls = document.getElementById('replay-controls');
+const replayStage = document.getElementById('replay-stage');
+const replayViewport = document.getElementById('replay-viewport');
+const replayFrame = document.getElementById('replay-frame');
+const playButton = document.getElementById('play-btn');
+const replayTimeline = document.getElementById('replay-timeline');
+const replayTime = document.getElementById('replay-time');
+const jumpToErrorButton = document.getElementById('jump-to-error-btn');
+
+let player = null;
+let viewport = { width: 1280, height: 720 };
+
+// Playback state
+let isPlaying = false;
+let playStartedAt = 0; // performance.now() when playback started
+let playStartTime = 0; // Replay time when playback started
+let animationFrame = null;
+
+// Initialize the replay page
+async function init() {
+  const replayId = new URLSearchParams(window.location.search).get('id');
+  if (!replayId) {
+    showMessage('No replay was selected.');
+    return;
+  }
+
+  let replay;
+  try {
+    replay = await errorStore.getReplay(replayId);
+  } catch (error) {
+    console.error('Error loading replay:', error);
+  }
+
+  if (!replay) {
+    showMessage('This replay is no longer available. Replays are deleted along with the error history of their page load.');
+    return;
+  }
+
+  renderHeader(replay);
+  await waitForFrame();
+
+  player = new ReplayPlayer(replayFrame.contentDocument, replay, {
+    highlightedNodeIds: replay.highlightedNodeIds || [],
+    onViewportChange: setViewport
+  });
+
+  replayTimeline.max = String(player.endTime - player.startTime);
+  replayControls.classList.remove('hidden');
+  replayStage.classList.remove('hidden');
+
+  // Set up event listeners
+  playButton.addEventListener('click', () => (isPlaying ? pause() : play()));
+  jumpToErrorButton.addEventListener('click', () => {
+    pause();
+    seek(player.endTime);
+  });
+  replayTimeline.addEventListener('input', () => {
+    pause();
+    seek(player.startTime + Number(replayTimeline.value));
+  });
+  window.addEventListener('resize', updateScale);
+
+  // Play from the start of the recording up to the moment of failure
+  seek(player.startTime);
+  play();
+}
+
+/**
+ * Show what the replay is of
+ * @param {Object} replay - The replay
+ */
+function renderHeader(replay) {
+  const error = replay.error || {};
+  const duration = Math.round((replay.frozenAt - replay.startedAt) / 1000);
+
+  document.title = `Session Replay - ${error.message || 'Error'}`;
+  replayTitle.textContent = error.message || 'Session Replay';
+  replayMeta.textContent = `${replay.url} · ${formatTimestamp(error.timestamp || new Date(replay.frozenAt).toISOString())} · ${duration} s before the error`;
+}
+
+/**
+ * Show a message instead of the player
+ * @param {string} message - The message
+ */
+function showMessage(message) {
+  replayMessage.textContent = message;
+  replayMessage.classList.remove('hidden');
+}
+
+/**
+ * Wait for the empty frame document to be ready
+ * @returns {Promise<void>}
+ */
+function waitForFrame() {
+  // The frame shows an initial about:blank document until srcdoc loads
+  const doc = replayFrame.contentDocument;
+  if (doc && doc.URL === 'about:srcdoc' && doc.readyState === 'complete') {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => replayFrame.addEventListener('load', () => resolve(), { once: true }));
+}
+
+/**
+ * Show the page at a point in time
+ * @param {number} time - The replay time, in milliseconds since the epoch
+ */
+function seek(time) {
+  player.seek(time);
+  replayTimeline.value = String(time - player.startTime);
+
+  const secondsBefore = (player.endTime - time) / 1000;
+  replayTime.textContent = secondsBefore > 0
+    ? `${secondsBefore.toFixed(1)} s before the error`
+    : 'Moment of the error';
+}
+
+/**
+ * Play from the current position to the moment of failure
+ */
+function play() {
+  if (isPlaying) return;
+
+  // Start over when the end has been reached
+  if (player.currentTime >= player.endTime) {
+    seek(player.startTime);
+  }
+
+  isPlaying = true;
+  playStartedAt = performance.now();
+  playStartTime = player.currentTime;
+  playButton.textContent = 'Pause';
+  animationFrame = requestAnimationFrame(tick);
+}
+
+/**
+ * Pause playback
+ */
+function pause() {
+  isPlaying = false;
+  cancelAnimationFrame(animationFrame);
+  playButton.textContent = 'Play';
+}
+
+/**
+ * Advance playback by the time since the last frame
+ */
+function tick() {
+  const time = Math.min(player.endTime, playStartTime + (performance.now() - playStartedAt));
+  seek(time);
+
+  if (time >= player.endTime) {
+    pause();
+    return;
+  }
+
+  animationFrame = requestAnimationFrame(tick);
+}
+
+/**
+ * Size the frame like the recorded viewport
+ * @param {Object} size - The viewport `width` and `height`
+ */
+function setViewport(size) {
+  viewport = size;
+  replayFrame.style.width = `${size.width}px`;
+  replayFrame.style.height = `${size.height}px`;
+  updateScale();
+}
+
+/**
+ * Scale the recorded viewport down to fit the page
+ */
+function updateScale() {
+  const scale = Math.min(1, replayStage.clientWidth / viewport.width);
+
+  replayFrame.style.transform = `scale(${scale})`;
+  replayViewport.style.width = `${viewport.width * scale}px`;
+  replayViewport.style.height = `${viewport.height * scale}px`;
+}
+
+// Initialize the replay page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', init);
@@ -4,13 +4,23 @@
  * Manages the extension settings page UI and interactions.
  */
 
+import SourceMapStore from './modules/sourceMapStore.js';
+import { escapeHtml, formatTimestamp } from './modules/utils.js';
+
 // DOM Elements - General Settings
 const globalToggle = document.getElementById('global-toggle');
 const autoClear = document.getElementById('auto-clear');
 const captureConsoleErrors = document.getElementById('capture-console-errors');
+const captureNetworkErrors = document.getElementById('capture-network-errors');
+const captureCspViolations = document.getElementById('capture-csp-violations');
+const captureWorkerErrors = document.getElementById('capture-worker-errors');
+const captureScreenshots = document.getElementById('capture-screenshots');
+const captureBreadcrumbs = document.getElementById('capture-breadcrumbs');
+const recordSessionReplay = document.getElementById('record-session-replay');
 const badgeType = document.getElementById('badge-type');
 
 // DOM Elements - Highlight Customization
+const highlightMode = document.getElementById('highlight-mode');
 const highlightColor = document.getElementById('highlight-color');
 const borderStyle = document.getElementById('border-style');
 const borderWidth = document.getElementById('border-width');
@@ -33,6 +43,18 @@ const addIgnoredPatternBtn = document.getElementById('add-ignored-pattern-btn');
 const ignoredPatternsList = document.getElementById('ignored-patterns-list');
 const noPatternsMessage = document.getElementById('no-patterns-message');
 
+// DOM Elements - Source Maps
+const sourcemapRulePattern = document.getElementById('sourcemap-rule-pattern');
+const sourcemapRuleTarget = document.getElementById('sourcemap-rule-target');
+const addSourcemapRuleBtn = document.getElementById('add-sourcemap-rule-btn');
+const sourcemapRulesList = document.getElementById('sourcemap-rules-list');
+const noSourcemapRulesMessage = document.getElementById('no-sourcemap-rules-message');
+const sourcemapBuildId = document.getElementById('sourcemap-build-id');
+const sourcemapDropZone = document.getElementById('sourcemap-drop-zone');
+const sourcemapFileInput = document.getElementById('sourcemap-file-input');
+const sourcemapUploadsList = document.getElementById('sourcemap-uploads-list');
+const noSourcemapUploadsMessage = document.getElementById('no-sourcemap-uploads-message');
+
 // DOM Elements - Advanced Settings
 const sourcemapTimeout = document.getElementById('sourcemap-timeout');
 const sourcemapRetries = document.getElementById('sourcemap-retries');
@@ -41,6 +63,9 @@ const sourcemapRetries = document.getElementById('sourcemap-retries');
 const resetDefaultsBtn = document.getElementById('reset-defaults-btn');
 const saveSettingsBtn = document.getElementById('save-settings-btn');
 
+// Uploaded source maps are saved as soon as they are added, not with the settings
+const sourceMapStore = new SourceMapStore();
+
 // State
 let settings = null;
 let hasUnsavedChanges = false;
@@ -55,6 +80,9 @@ async function init() {
   
   // Populate the UI with settings
   populateSettings();
+  
+  // List the uploaded source maps
+  renderSourceMapUploads();
 }
 
 /**
@@ -92,6 +120,36 @@ function setupEventListeners() {
     hasUnsavedChanges = true;
   });
   
+  captureNetworkErrors.addEventListener('change', () => {
+    settings.captureNetworkErrors = captureNetworkErrors.checked;
+    hasUnsavedChanges = true;
+  });
+  
+  captureCspViolations.addEventListener('change', () => {
+    settings.captureCspViolations = captureCspViolations.checked;
+    hasUnsavedChanges = true;
+  });
+  
+  captureWorkerErrors.addEventListener('change', () => {
+    settings.captureWorkerErrors = captureWorkerErrors.checked;
+    hasUnsavedChanges = true;
+  });
+  
+  captureScreenshots.addEventListener('change', () => {
+    settings.captureScreenshots = captureScreenshots.checked;
+    hasUnsavedChanges = true;
+  });
+  
+  captureBreadcrumbs.addEventListener('change', () => {
+    settings.captureBreadcrumbs = captureBreadcrumbs.checked;
+    hasUnsavedChanges = true;
+  });
+  
+  recordSessionReplay.addEventListener('change', () => {
+    settings.recordSessionReplay = recordSessionReplay.checked;
+    hasUnsavedChanges = true;
+  });
+  
   badgeType.addEventListener('change', () => {
     settings.badgeType = badgeType.value;
     hasUnsavedChanges = true;
@@ -103,6 +161,11 @@ function setupEventListeners() {
     hasUnsavedChanges = true;
   });
   
+  highlightMode.addEventListener('change', () => {
+    settings.highlightMode = highlightMode.value;
+    hasUnsavedChanges = true;
+  });
+  
   borderStyle.addEventListener('change', () => {
     settings.borderStyle = borderStyle.value;
     hasUnsavedChanges = true;
@@ -137,6 +200,29 @@ function setupEventListeners() {
   // Ignored Errors
   addIgnoredPatternBtn.addEventListener('click', addIgnoredPattern);
   
+  // Source Maps
+  addSourcemapRuleBtn.addEventListener('click', addSourcemapRule);
+  
+  sourcemapFileInput.addEventListener('change', () => {
+    uploadSourceMaps(sourcemapFileInput.files);
+    sourcemapFileInput.value = '';
+  });
+  
+  sourcemapDropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    sourcemapDropZone.classList.add('drag-over');
+  });
+  
+  sourcemapDropZone.addEventListener('dragleave', () => {
+    sourcemapDropZone.classList.remove('drag-over');
+  });
+  
+  sourcemapDropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    sourcemapDropZone.classList.remove('drag-over');
+    uploadSourceMaps(event.dataTransfer.files);
+  });
+  
   // Advanced Settings
   sourcemapTimeout.addEventListener('change', () => {
     settings.sourcemapTimeout = parseInt(sourcemapTimeout.value);
@@ -171,9 +257,16 @@ function populateSettings() {
   globalToggle.checked = settings.globalEnabled;
   autoClear.checked = settings.autoClearOnReload;
   captureConsoleErrors.checked = settings.captureConsoleErrors;
+  captureNetworkErrors.checked = settings.captureNetworkErrors;
+  captureCspViolations.checked = settings.captureCspViolations;
+  captureWorkerErrors.checked = settings.captureWorkerErrors;
+  captureScreenshots.checked = settings.captureScreenshots;
+  captureBreadcrumbs.checked = settings.captureBreadcrumbs;
+  recordSessionReplay.checked = settings.recordSessionReplay;
   badgeType.value = settings.badgeType;
   
   // Highlight Customization
+  highlightMode.value = settings.highlightMode;
   highlightColor.value = settings.highlightColor;
   borderStyle.value = settings.borderStyle;
   borderWidth.value = settings.borderWidth;
@@ -190,6 +283,9 @@ function populateSettings() {
   // Ignored Errors
   renderIgnoredPatternsList();
   
+  // Source Maps
+  renderSourcemapRulesList();
+  
   // Advanced Settings
   sourcemapTimeout.value = settings.sourcemapTimeout;
   sourcemapRetries.value = settings.sourcemapRetries;
@@ -374,6 +470,199 @@ function removeIgnoredPattern(pattern) {
   hasUnsavedChanges = true;
 }
 
+/**
+ * Render the source map mapping rules list
+ */
+function renderSourcemapRulesList() {
+  // Clear the list
+  sourcemapRulesList.innerHTML = '';
+  
+  const rules = settings.sourcemapRules || [];
+  
+  if (rules.length === 0) {
+    noSourcemapRulesMessage.style.display = 'block';
+    return;
+  }
+  
+  noSourcemapRulesMessage.style.display = 'none';
+  
+  // Render each rule
+  rules.forEach((rule, index) => {
+    const ruleItem = document.createElement('li');
+    ruleItem.className = 'sourcemap-rule-item';
+    
+    ruleItem.innerHTML = `
+      <span>${escapeHtml(rule.pattern)} &rarr; ${escapeHtml(rule.target)}</span>
+      <button class="remove-btn" data-index="${index}">Remove</button>
+    `;
+    
+    sourcemapRulesList.appendChild(ruleItem);
+  });
+  
+  // Add click events for remove buttons
+  const removeButtons = sourcemapRulesList.querySelectorAll('.remove-btn');
+  removeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      removeSourcemapRule(parseInt(button.dataset.index));
+    });
+  });
+}
+
+/**
+ * Add a source map mapping rule
+ */
+function addSourcemapRule() {
+  const pattern = sourcemapRulePattern.value.trim();
+  const target = sourcemapRuleTarget.value.trim();
+  
+  if (!pattern || !target) {
+    alert('Please enter a script URL pattern and a source map URL.');
+    return;
+  }
+  
+  // The map URL must be a valid URL once its wildcards are filled in
+  try {
+    new URL(target.replace(/\*/g, 'x'));
+  } catch (e) {
+    alert('Invalid source map URL. Please enter a full URL, such as http://localhost:9000/maps/*.js.map.');
+    return;
+  }
+  
+  settings.sourcemapRules = settings.sourcemapRules || [];
+  
+  // Check if the rule is already in the list
+  if (settings.sourcemapRules.some(rule => rule.pattern === pattern)) {
+    alert('There is already a rule for this pattern.');
+    return;
+  }
+  
+  // Add the rule to the list
+  settings.sourcemapRules.push({ pattern, target });
+  
+  // Clear the inputs
+  sourcemapRulePattern.value = '';
+  sourcemapRuleTarget.value = '';
+  
+  // Render the updated list
+  renderSourcemapRulesList();
+  
+  hasUnsavedChanges = true;
+}
+
+/**
+ * Remove a source map mapping rule
+ * @param {number} index - The index of the rule to remove
+ */
+function removeSourcemapRule(index) {
+  settings.sourcemapRules = settings.sourcemapRules.filter((rule, i) => i !== index);
+  renderSourcemapRulesList();
+  hasUnsavedChanges = true;
+}
+
+/**
+ * Render the list of uploaded source maps
+ */
+async function renderSourceMapUploads() {
+  let sourceMaps = [];
+  
+  try {
+    sourceMaps = await sourceMapStore.getSourceMaps();
+  } catch (error) {
+    console.error('Error loading uploaded source maps:', error);
+  }
+  
+  // Clear the list
+  sourcemapUploadsList.innerHTML = '';
+  
+  if (sourceMaps.length === 0) {
+    noSourcemapUploadsMessage.style.display = 'block';
+    return;
+  }
+  
+  noSourcemapUploadsMessage.style.display = 'none';
+  
+  // Render each map
+  sourceMaps.forEach(sourceMap => {
+    const details = [
+      sourceMap.file ? `for ${sourceMap.file}` : null,
+      sourceMap.buildId ? `build ${sourceMap.buildId}` : null,
+      sourceMap.debugId ? `debug ID ${sourceMap.debugId}` : null,
+      `${sourceMap.sourceCount} sources`,
+      `${Math.ceil(sourceMap.size / 1024)} KB`,
+      `uploaded ${formatTimestamp(sourceMap.uploadedAt)}`
+    ].filter(Boolean).join(' · ');
+    
+    const uploadItem = document.createElement('li');
+    uploadItem.className = 'sourcemap-upload-item';
+    
+    uploadItem.innerHTML = `
+      <div>
+        <div>${escapeHtml(sourceMap.name)}</div>
+        <div class="sourcemap-upload-details">${escapeHtml(details)}</div>
+      </div>
+      <button class="remove-btn" data-id="${sourceMap.id}">Delete</button>
+    `;
+    
+    sourcemapUploadsList.appendChild(uploadItem);
+  });
+  
+  // Add click events for delete buttons
+  const removeButtons = sourcemapUploadsList.querySelectorAll('.remove-btn');
+  removeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      deleteSourceMap(parseInt(button.dataset.id));
+    });
+  });
+}
+
+/**
+ * Store uploaded source map files
+ * @param {FileList} files - The uploaded files
+ */
+async function uploadSourceMaps(files) {
+  const buildId = sourcemapBuildId.value.trim();
+  const failures = [];
+  
+  for (const file of Array.from(files)) {
+    try {
+      await sourceMapStore.addSourceMap(file.name, await file.text(), { buildId });
+    } catch (error) {
+      failures.push(`${file.name}: ${error.message}`);
+    }
+  }
+  
+  notifySourceMapsChanged();
+  await renderSourceMapUploads();
+  
+  if (failures.length > 0) {
+    alert(`Some files could not be added:\n${failures.join('\n')}`);
+  }
+}
+
+/**
+ * Delete an uploaded source map
+ * @param {number} id - The ID of the source map
+ */
+async function deleteSourceMap(id) {
+  try {
+    await sourceMapStore.deleteSourceMap(id);
+  } catch (error) {
+    console.error('Error deleting source map:', error);
+    alert('Error deleting source map.');
+  }
+  
+  notifySourceMapsChanged();
+  await renderSourceMapUploads();
+}
+
+/**
+ * Let the background script know the uploaded source maps changed, so it
+ * stops using cached maps
+ */
+function notifySourceMapsChanged() {
+  chrome.runtime.sendMessage({ action: 'sourceMapsChanged' });
+}
+
 /**
  * Reset settings to defaults
  */
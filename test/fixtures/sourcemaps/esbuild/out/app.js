@@ -0,0 +1,16 @@
+// src/cart.js
+function addItem(cart, item) {
+  if (!item.price) {
+    throw new TypeError("Item has no price");
+  }
+  cart.items.push(item);
+}
+
+window.checkout = function checkout() {
+  addItem({
+    items: []
+  }, {
+    name: "Pear"
+  });
+};
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJuYW1lcyI6WyJhZGRJdGVtIiwiY2FydCIsIml0ZW0iLCJwcmljZSIsIlR5cGVFcnJvciIsIml0ZW1zIiwicHVzaCIsIndpbmRvdyIsImNoZWNrb3V0IiwibmFtZSJdLCJzb3VyY2VzIjpbIi4uL3NyYy9jYXJ0LmpzIiwiLi4vc3JjL2luZGV4LmpzIl0sInNvdXJjZXNDb250ZW50IjpbImV4cG9ydCBmdW5jdGlvbiBhZGRJdGVtKGNhcnQsIGl0ZW0pIHtcbiAgaWYgKCFpdGVtLnByaWNlKSB7XG4gICAgdGhyb3cgbmV3IFR5cGVFcnJvcignSXRlbSBoYXMgbm8gcHJpY2UnKTtcbiAgfVxuXG4gIGNhcnQuaXRlbXMucHVzaChpdGVtKTtcbn1cbiIsImltcG9ydCB7IGFkZEl0ZW0gfSBmcm9tICcuL2NhcnQuanMnO1xuXG53aW5kb3cuY2hlY2tvdXQgPSBmdW5jdGlvbiBjaGVja291dCgpIHtcbiAgYWRkSXRlbSh7IGl0ZW1zOiBbXSB9LCB7IG5hbWU6ICdQZWFyJyB9KTtcbn07XG4iXSwibWFwcGluZ3MiOiI7QUFBTyxTQUFTQSxRQUFRQyxNQUFNQztFQUM1QixLQUFLQSxLQUFLQyxPQUFPO0lBQ2YsTUFBTSxJQUFJQyxVQUFVO0FBQ3RCO0VBRUFILEtBQUtJLE1BQU1DLEtBQUtKO0FBQ2xCOztBQ0pBSyxPQUFPQyxXQUFXLFNBQVNBO0VBQ3pCUixRQUFRO0lBQUVLLE9BQU87S0FBTTtJQUFFSSxNQUFNOztBQUNqQyJ9
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the BreadcrumbRecorder module
+ */
+
+import BreadcrumbRecorder, {
+  BreadcrumbCategory,
+  REDACTED_VALUE,
+  createBreadcrumb
+} from '../../extension/js/modules/breadcrumbRecorder';
+
+describe('BreadcrumbRecorder', () => {
+  let recorder;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input id="password" type="password">
+        <button id="submit" type="button">Log in</button>
+      </form>
+      <ul id="cart"><li>Socks</li></ul>
+    `;
+    recorder = new BreadcrumbRecorder({ capacity: 3 });
+  });
+  
+  afterEach(() => {
+    recorder.stop();
+  });
+  
+  test('should keep only the most recent breadcrumbs, oldest first', () => {
+    ['a', 'b', 'c', 'd', 'e'].forEach(message => {
+      recorder.add(createBreadcrumb(BreadcrumbCategory.CONSOLE, message));
+    });
+    
+    expect(recorder.getBreadcrumbs().map(({ message }) => message)).toEqual(['c', 'd', 'e']);
+    expect(recorder.getBreadcrumbs({ limit: 2 }).map(({ message }) => message)).toEqual(['d', 'e']);
+  });
+  
+  test('should only return breadcrumbs recorded before a time', () => {
+    recorder.add(createBreadcrumb(BreadcrumbCategory.CONSOLE, 'before', {}, '2024-01-01T00:00:00.000Z'));
+    recorder.add(createBreadcrumb(BreadcrumbCategory.CONSOLE, 'at', {}, '2024-01-01T00:00:01.000Z'));
+    recorder.add(createBreadcrumb(BreadcrumbCategory.CONSOLE, 'after', {}, '2024-01-01T00:00:02.000Z'));
+    
+    const breadcrumbs = recorder.getBreadcrumbs({ before: '2024-01-01T00:00:01.000Z' });
+    
+    expect(breadcrumbs.map(({ message }) => message)).toEqual(['before', 'at']);
+  });
+  
+  test('should record clicks with a selector for the clicked element', () => {
+    recorder.start();
+    
+    document.getElementById('submit').click();
+    
+    const [click] = recorder.getBreadcrumbs();
+    expect(click.category).toBe(BreadcrumbCategory.CLICK);
+    expect(click.data.selector).toBe('#submit');
+    expect(click.message).toBe('Clicked #submit');
+  });
+  
+  test('should record input changes without their values', () => {
+    recorder.start();
+    
+    const input = document.getElementById('password');
+    input.value = 'hunter2';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    
+    const [change] = recorder.getBreadcrumbs();
+    expect(change.category).toBe(BreadcrumbCategory.INPUT);
+    expect(change.data).toEqual({ selector: '#password', inputType: 'password', value: REDACTED_VALUE });
+    expect(JSON.stringify(change)).not.toContain('hunter2');
+  });
+  
+  test('should record fragment navigations once', () => {
+    recorder.start();
+    
+    window.location.hash = 'details';
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+    
+    const breadcrumbs = recorder.getBreadcrumbs();
+    expect(breadcrumbs).toHaveLength(1);
+    expect(breadcrumbs[0].category).toBe(BreadcrumbCategory.NAVIGATION);
+    expect(breadcrumbs[0].data.to).toMatch(/#details$/);
+  });
+  
+  test('should record changes to observed elements but not highlight classes', async () => {
+    const cart = document.getElementById('cart');
+    recorder.observe(cart);
+    
+    cart.classList.add('jev-error-highlight');
+    await Promise.resolve();
+    expect(recorder.getBreadcrumbs()).toHaveLength(0);
+    
+    cart.appendChild(document.createElement('li'));
+    cart.setAttribute('data-state', 'loading');
+    await Promise.resolve();
+    
+    const [mutation] = recorder.getBreadcrumbs();
+    expect(mutation.category).toBe(BreadcrumbCategory.MUTATION);
+    expect(mutation.data).toMatchObject({ selector: '#cart', added: 1, removed: 0, attributes: ['data-state'] });
+    expect(mutation.message).toBe('Changed #cart: 1 node added, data-state changed');
+  });
+  
+  test('should drop breadcrumbs and stop recording when disabled', () => {
+    recorder.start();
+    recorder.add(createBreadcrumb(BreadcrumbCategory.CONSOLE, 'warning'));
+    
+    recorder.setEnabled(false);
+    document.getElementById('submit').click();
+    
+    expect(recorder.getBreadcrumbs()).toEqual([]);
+  });
+});
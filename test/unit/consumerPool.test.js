@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the ConsumerPool module
+ */
+
+import ConsumerPool from '../../extension/js/modules/consumerPool';
+
+describe('ConsumerPool', () => {
+  const createEntry = (size = 1) => ({ consumer: { destroy: jest.fn() }, size });
+  
+  test('should evict the least recently used consumer when full', () => {
+    const pool = new ConsumerPool({ maxEntries: 2 });
+    const first = createEntry();
+    const second = createEntry();
+    
+    pool.set('a.js', first);
+    pool.set('b.js', second);
+    pool.get('a.js');
+    pool.set('c.js', createEntry());
+    
+    expect(pool.get('a.js')).toBe(first);
+    expect(pool.get('b.js')).toBeUndefined();
+    expect(second.consumer.destroy).toHaveBeenCalled();
+  });
+  
+  test('should evict consumers until the maps fit the size limit', () => {
+    const pool = new ConsumerPool({ maxSize: 100 });
+    const first = createEntry(40);
+    const second = createEntry(40);
+    
+    pool.set('a.js', first);
+    pool.set('b.js', second);
+    pool.set('c.js', createEntry(50));
+    
+    expect(pool.get('a.js')).toBeUndefined();
+    expect(pool.get('b.js')).toBe(second);
+    expect(pool.totalSize).toBe(90);
+  });
+  
+  test('should keep a consumer that is over the size limit by itself', () => {
+    const pool = new ConsumerPool({ maxSize: 100 });
+    const large = createEntry(500);
+    
+    pool.set('a.js', createEntry(10));
+    pool.set('large.js', large);
+    
+    expect(pool.get('large.js')).toBe(large);
+    expect(pool.entries.size).toBe(1);
+  });
+  
+  test('should destroy replaced and cleared consumers', () => {
+    const pool = new ConsumerPool();
+    const first = createEntry();
+    const second = createEntry();
+    
+    pool.set('a.js', first);
+    pool.set('a.js', second);
+    expect(first.consumer.destroy).toHaveBeenCalled();
+    
+    pool.clear();
+    expect(second.consumer.destroy).toHaveBeenCalled();
+    expect(pool.totalSize).toBe(0);
+  });
+  
+  test('should only destroy evicted consumers once they are released', () => {
+    const pool = new ConsumerPool({ maxEntries: 1 });
+    const first = createEntry();
+    
+    pool.set('a.js', first);
+    pool.retain(first);
+    pool.retain(first);
+    pool.set('b.js', createEntry());
+    
+    expect(pool.get('a.js')).toBeUndefined();
+    expect(first.consumer.destroy).not.toHaveBeenCalled();
+    
+    pool.release(first);
+    expect(first.consumer.destroy).not.toHaveBeenCalled();
+    
+    pool.release(first);
+    expect(first.consumer.destroy).toHaveBeenCalledTimes(1);
+    
+    // Released entries that are still pooled stay usable
+    const second = pool.get('b.js');
+    pool.retain(second);
+    pool.release(second);
+    expect(second.consumer.destroy).not.toHaveBeenCalled();
+  });
+});
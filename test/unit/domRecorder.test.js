@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the DomRecorder and ReplayPlayer modules
+ */
+
+import DomRecorder, { RECORDING_VERSION } from '../../extension/js/modules/domRecorder';
+import ReplayPlayer, { HIGHLIGHT_ATTRIBUTE } from '../../extension/js/modules/replayPlayer';
+
+/**
+ * Wait for pending mutation observer callbacks
+ * @returns {Promise<void>}
+ */
+function flushMutations() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('DomRecorder', () => {
+  let recorder;
+  
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app" onclick="track()">
+        <h1>Cart</h1>
+        <ul id="items"><li>Socks</li></ul>
+        <input id="card" value="4242 4242">
+        <textarea id="notes">Leave at door</textarea>
+        <img src="/logo.png" srcset="/logo@2x.png 2x">
+        <script>window.secret = 1;</script>
+        <noscript>Enable JavaScript</noscript>
+      </div>
+    `;
+    recorder = new DomRecorder();
+  });
+  
+  afterEach(() => {
+    recorder.stop();
+  });
+  
+  test('should snapshot the document without scripts, handlers or typed text', () => {
+    recorder.start();
+    const recording = recorder.freeze();
+    
+    expect(recording.version).toBe(RECORDING_VERSION);
+    expect(recording.events).toEqual([]);
+    
+    const html = JSON.stringify(recording.snapshot.root);
+    expect(html).not.toContain('window.secret');
+    expect(html).not.toContain('Enable JavaScript');
+    expect(html).not.toContain('track()');
+    expect(html).not.toContain('4242');
+    expect(html).not.toContain('Leave at door');
+    expect(html).not.toContain('srcset');
+    expect(html).toContain('"value":"**** ****"');
+    expect(html).toContain(`"src":"${new URL('/logo.png', document.baseURI).href}"`);
+  });
+  
+  test('should record mutations and masked input after the snapshot', async () => {
+    recorder.start();
+    
+    const item = document.createElement('li');
+    item.textContent = 'Shoes';
+    document.getElementById('items').appendChild(item);
+    document.getElementById('app').setAttribute('data-state', 'loading');
+    await flushMutations();
+    
+    const card = document.getElementById('card');
+    card.value = '1234';
+    card.dispatchEvent(new Event('input', { bubbles: true }));
+    
+    const { events } = recorder.freeze();
+    const [mutation, input] = events;
+    
+    expect(mutation.type).toBe('mutation');
+    expect(mutation.operations).toEqual([
+      expect.objectContaining({ op: 'add', parentId: recorder.getNodeId(document.getElementById('items')) }),
+      { op: 'attribute', id: recorder.getNodeId(document.getElementById('app')), name: 'data-state', value: 'loading' }
+    ]);
+    expect(mutation.operations[0].node.children[0].text).toBe('Shoes');
+    expect(input).toMatchObject({ type: 'input', id: recorder.getNodeId(card), value: '****' });
+  });
+  
+  test('should only keep the segments covering the rolling window', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    
+    try {
+      recorder.start();
+      
+      now.mockReturnValue(31000);
+      document.getElementById('app').setAttribute('data-step', '1');
+      await flushMutations();
+      
+      now.mockReturnValue(62000);
+      document.getElementById('app').setAttribute('data-step', '2');
+      await flushMutations();
+      
+      const recording = recorder.freeze();
+      
+      // The snapshot at 31s covers the last 30s; the one at 1s is dropped
+      expect(recording.startedAt).toBe(31000);
+      expect(recording.events.map(event => event.t)).toEqual([31000, 62000]);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe('ReplayPlayer', () => {
+  let recorder;
+  
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="app"><button id="buy">Buy</button><ul id="items"></ul></div>';
+    recorder = new DomRecorder();
+  });
+  
+  afterEach(() => {
+    recorder.stop();
+  });
+  
+  test('should rebuild the page and play it to the moment of failure', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    let recording;
+    
+    try {
+      recorder.start();
+      
+      now.mockReturnValue(2000);
+      const item = document.createElement('li');
+      item.textContent = 'Socks';
+      document.getElementById('items').appendChild(item);
+      await flushMutations();
+      
+      now.mockReturnValue(3000);
+      document.getElementById('buy').remove();
+      await flushMutations();
+      
+      recording = recorder.freeze();
+    } finally {
+      now.mockRestore();
+    }
+    
+    const doc = document.implementation.createHTMLDocument('');
+    const onViewportChange = jest.fn();
+    const player = new ReplayPlayer(doc, recording, {
+      highlightedNodeIds: [recorder.getNodeId(document.getElementById('items'))],
+      onViewportChange
+    });
+    
+    player.seek(player.startTime);
+    expect(doc.getElementById('buy')).not.toBeNull();
+    expect(doc.querySelectorAll('#items li')).toHaveLength(0);
+    expect(onViewportChange).toHaveBeenCalledWith(recording.snapshot.viewport);
+    
+    player.seek(2500);
+    expect(doc.querySelector('#items li').textContent).toBe('Socks');
+    expect(doc.getElementById('buy')).not.toBeNull();
+    
+    player.seek(player.endTime);
+    expect(doc.getElementById('buy')).toBeNull();
+    expect(doc.getElementById('items').hasAttribute(HIGHLIGHT_ATTRIBUTE)).toBe(true);
+    
+    // Seeking back rebuilds the page from the snapshot
+    player.seek(1500);
+    expect(doc.getElementById('buy')).not.toBeNull();
+    expect(doc.querySelectorAll('#items li')).toHaveLength(0);
+  });
+});
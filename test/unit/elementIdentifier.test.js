@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the ElementIdentifier module
+ */
+
+import ElementIdentifier from '../../extension/js/modules/elementIdentifier';
+
+describe('ElementIdentifier', () => {
+  let elementIdentifier;
+  
+  beforeEach(() => {
+    elementIdentifier = new ElementIdentifier();
+    document.body.innerHTML = `
+      <script>console.log('analytics');</script>
+      <script>loadWidget();</script>
+      <div id="banner" style="color: red">Banner</div>
+      <button id="buy" onclick="buy()">Buy</button>
+      <img id="logo" src="https://cdn.example.com/logo.png">
+      <img id="avatar" src="https://images.example.net/avatar.png">
+    `;
+  });
+  
+  test('should find the inline script matching a CSP violation sample', () => {
+    const elements = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'script-src-elem', blockedURI: 'inline', sample: 'loadWidget();' }
+    });
+    
+    expect(elements).toHaveLength(1);
+    expect(elements[0].textContent).toBe('loadWidget();');
+  });
+  
+  test('should find inline attributes blocked by CSP', () => {
+    const styled = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'style-src-attr', blockedURI: 'inline', sample: null }
+    });
+    const handlers = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'script-src-attr', blockedURI: 'inline', sample: 'buy()' }
+    });
+    
+    expect(styled.map(el => el.id)).toEqual(['banner']);
+    expect(handlers.map(el => el.id)).toEqual(['buy']);
+  });
+  
+  test('should not guess among several inline attributes without a sample', () => {
+    document.body.insertAdjacentHTML('beforeend', '<a id="back" onmouseover="preview(\'back\')">Back</a>');
+    
+    const unknown = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'script-src-attr', blockedURI: 'inline', sample: null }
+    });
+    const sampled = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'script-src-attr', blockedURI: 'inline', sample: 'preview(\'back' }
+    });
+    
+    expect(unknown).toEqual([]);
+    expect(sampled.map(el => el.id)).toEqual(['back']);
+  });
+  
+  test('should find elements loading a URL blocked by CSP', () => {
+    const byUrl = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'img-src', blockedURI: 'https://cdn.example.com/logo.png' }
+    });
+    const byOrigin = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'img-src', blockedURI: 'https://images.example.net' }
+    });
+    const byKeyword = elementIdentifier.identifyElements({
+      type: 'csp',
+      csp: { effectiveDirective: 'script-src', blockedURI: 'eval' }
+    });
+    
+    expect(byUrl.map(el => el.id)).toEqual(['logo']);
+    expect(byOrigin.map(el => el.id)).toEqual(['avatar']);
+    expect(byKeyword).toEqual([]);
+  });
+  
+  test('should resolve component names from the mapped stack to their elements', () => {
+    const resolver = {
+      findComponentElements: jest.fn(() => [document.getElementById('banner')]),
+      getComponentPath: jest.fn(() => ['App', 'Banner'])
+    };
+    elementIdentifier.setComponentResolver(resolver);
+    
+    const error = {
+      type: 'runtime',
+      stack: 'TypeError: boom\n    at a (https://example.com/app.min.js:1:100)',
+      mappedFrames: [
+        { functionName: 'formatPrice', url: 'src/price.js', line: 3 },
+        { functionName: 'Banner', url: 'src/Banner.jsx', line: 12 }
+      ]
+    };
+    const elements = elementIdentifier.identifyElements(error);
+    
+    expect(resolver.findComponentElements).toHaveBeenCalledWith(['Banner']);
+    expect(elements.map(el => el.id)).toEqual(['banner']);
+    expect(elementIdentifier.getComponentPath(error, elements)).toEqual(['App', 'Banner']);
+    expect(elementIdentifier.getComponentPath(
+      { componentStack: '\n    in Banner\n    in App' },
+      elements
+    )).toEqual(['App', 'Banner']);
+  });
+  
+  test('should track a bounded number of elements per listener, capturing stacks lazily', () => {
+    const originalAddEventListener = EventTarget.prototype.addEventListener;
+    const onRegister = jest.fn((listener, element, type, captureStack) => {
+      expect(captureStack()).toContain('Error');
+    });
+    
+    try {
+      elementIdentifier.setupEventListenerTracking(onRegister);
+      
+      function onRowClick() {}
+      for (let i = 0; i < 60; i++) {
+        document.createElement('tr').addEventListener('click', onRowClick);
+      }
+      document.getElementById('buy').addEventListener('click', () => {});
+      window.addEventListener('resize', onRowClick);
+    } finally {
+      EventTarget.prototype.addEventListener = originalAddEventListener;
+    }
+    
+    expect(onRegister).toHaveBeenCalledTimes(51);
+  });
+  
+  test('should keep the registry to the most recent registrations', () => {
+    const rows = Array.from({ length: 60 }, () => document.createElement('tr'));
+    rows.forEach(row => elementIdentifier.recordEventListener({
+      listenerName: 'onRowClick',
+      getElement: () => row,
+      type: 'click',
+      stack: null
+    }));
+    for (let i = 0; i < 5000; i++) {
+      elementIdentifier.recordEventListener({ listenerName: `handler${i}`, getElement: () => null, type: 'click', stack: null });
+    }
+    
+    expect(elementIdentifier.registrationCount).toBe(5000);
+    expect(elementIdentifier.eventListenerRegistry.has('onRowClick')).toBe(false);
+    expect(elementIdentifier.eventListenerRegistry.get('handler4999')).toHaveLength(1);
+    
+    elementIdentifier.clearRegistry();
+    
+    expect(elementIdentifier.registrationCount).toBe(0);
+  });
+});
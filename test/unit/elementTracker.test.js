@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the ElementTracker module
+ */
+
+import ElementTracker, { createLocator, findElement } from '../../extension/js/modules/elementTracker';
+
+describe('ElementTracker', () => {
+  let tracker;
+  let onReplaced;
+  let onLost;
+  
+  beforeEach(() => {
+    onReplaced = jest.fn();
+    onLost = jest.fn();
+    tracker = new ElementTracker({ onReplaced, onLost });
+    
+    document.body.innerHTML = `
+      <main>
+        <section class="cart">
+          <div class="row" data-testid="total-row"><span>Total</span><b>$10</b></div>
+          <ul><li class="item">Apple</li><li class="item">Pear</li></ul>
+        </section>
+      </main>
+    `;
+  });
+  
+  afterEach(() => {
+    tracker.clear();
+  });
+  
+  test('should find the replacement of a re-rendered element', () => {
+    const row = document.querySelector('[data-testid="total-row"]');
+    tracker.track(row);
+    
+    // A framework re-renders the row with a new price
+    const newRow = row.cloneNode(true);
+    newRow.querySelector('b').textContent = '$12';
+    row.replaceWith(newRow);
+    tracker.check();
+    
+    expect(onReplaced).toHaveBeenCalledWith(row, newRow);
+    expect(onLost).not.toHaveBeenCalled();
+    expect(tracker.locators.has(newRow)).toBe(true);
+  });
+  
+  test('should report elements that are really gone as lost, once', () => {
+    const row = document.querySelector('[data-testid="total-row"]');
+    tracker.track(row);
+    
+    row.remove();
+    tracker.check();
+    tracker.check();
+    
+    expect(onLost).toHaveBeenCalledTimes(1);
+    expect(onLost).toHaveBeenCalledWith(row);
+    expect(onReplaced).not.toHaveBeenCalled();
+  });
+  
+  test('should match by text and structure and refuse ambiguous matches', () => {
+    const pear = document.querySelectorAll('li')[1];
+    const locator = createLocator(pear);
+    
+    document.querySelector('ul').innerHTML = '<li class="item">Apple</li><li class="item">Pear</li>';
+    expect(findElement(locator).textContent).toBe('Pear');
+    
+    document.querySelector('ul').innerHTML =
+      '<li class="item">Apple</li><li class="item">Fig</li><li class="item">Pear</li><li class="item">Pear</li>';
+    expect(findElement(locator)).toBeNull();
+  });
+});
@@ -2,8 +2,12 @@
  * Unit tests for the ErrorCapturer module
  */
 
+import { TextEncoder, TextDecoder } from 'util';
 import ErrorCapturer from '../../extension/js/modules/errorCapturer';
 
+// jsdom does not provide the encoding API used to read response snippets
+Object.assign(global, { TextEncoder, TextDecoder });
+
 // Mock window event listeners
 const mockAddEventListener = jest.fn();
 const originalAddEventListener = window.addEventListener;
@@ -184,4 +188,328 @@ describe('ErrorCapturer', () => {
     expect(mockErrorHandler).not.toHaveBeenCalled();
     expect(anotherHandler).toHaveBeenCalledTimes(1);
   });
+  
+  test('should receive errors from the page bridge instead of window listeners', () => {
+    const mockBridge = {
+      on: jest.fn(),
+      send: jest.fn(),
+      resolveElement: jest.fn(() => null)
+    };
+    errorCapturer.setBridge(mockBridge);
+    errorCapturer.init();
+    
+    // Should not listen in the isolated world
+    expect(mockAddEventListener).not.toHaveBeenCalled();
+    expect(mockBridge.on).toHaveBeenCalledWith('error', expect.any(Function));
+    expect(mockBridge.send).toHaveBeenCalledWith('config', {
+      enabled: true,
+      captureConsoleErrors: false,
+      captureNetworkErrors: false,
+      captureCspViolations: false,
+      captureWorkerErrors: false,
+      captureBreadcrumbs: false
+    });
+    
+    const bridgeHandler = mockBridge.on.mock.calls[0][1];
+    bridgeHandler({
+      type: 'runtime',
+      message: 'Page error',
+      filename: 'app.js',
+      lineno: 3,
+      colno: 7,
+      stack: 'Error: Page error\n    at app.js:3:7',
+      targetHandle: 4
+    });
+    
+    expect(mockBridge.resolveElement).toHaveBeenCalledWith(4);
+    expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+    const errorArg = mockErrorHandler.mock.calls[0][0];
+    expect(errorArg.type).toBe('runtime');
+    expect(errorArg.message).toBe('Page error');
+    expect(errorArg.lineno).toBe(3);
+    expect(errorArg.stack).toContain('app.js:3:7');
+  });
+  
+  test('should drop bridged console errors when console capture is disabled', () => {
+    const mockBridge = { on: jest.fn(), send: jest.fn(), resolveElement: jest.fn() };
+    errorCapturer.setBridge(mockBridge);
+    errorCapturer.init();
+    
+    errorCapturer.handleBridgeError({ type: 'console', message: 'Logged error' });
+    expect(mockErrorHandler).not.toHaveBeenCalled();
+    
+    errorCapturer.setCaptureConsoleErrors(true);
+    expect(mockBridge.send).toHaveBeenLastCalledWith('config', expect.objectContaining({ captureConsoleErrors: true }));
+    
+    errorCapturer.handleBridgeError({ type: 'console', message: 'Logged error' });
+    expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should tell the page script which hooks to install, again when it loads late', () => {
+    const mockBridge = { on: jest.fn(), send: jest.fn(), resolveElement: jest.fn() };
+    errorCapturer.setBridge(mockBridge);
+    errorCapturer.init({ globalEnabled: true, captureNetworkErrors: true, captureBreadcrumbs: true, ignoredPatterns: [] });
+    
+    expect(mockBridge.send).toHaveBeenLastCalledWith('config', expect.objectContaining({
+      enabled: true,
+      captureNetworkErrors: true,
+      captureCspViolations: false,
+      captureBreadcrumbs: true
+    }));
+    
+    errorCapturer.setEnabled(false);
+    expect(mockBridge.send).toHaveBeenLastCalledWith('config', expect.objectContaining({ enabled: false }));
+    
+    errorCapturer.setCaptureCspViolations(true);
+    mockBridge.send.mockClear();
+    const [, helloHandler] = mockBridge.on.mock.calls.find(([type]) => type === 'hello');
+    helloHandler();
+    expect(mockBridge.send).toHaveBeenCalledWith('config', expect.objectContaining({
+      enabled: false,
+      captureCspViolations: true
+    }));
+  });
+  
+  test('should report resource load failures against the failing element', () => {
+    const image = document.createElement('img');
+    image.src = 'https://example.com/missing.png';
+    
+    errorCapturer.handleRuntimeError({ target: image });
+    
+    expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+    const errorArg = mockErrorHandler.mock.calls[0][0];
+    expect(errorArg.type).toBe('resource');
+    expect(errorArg.message).toBe('Failed to load <img> https://example.com/missing.png');
+    expect(errorArg.eventTarget).toBe(image);
+    expect(errorArg.network.initiatorType).toBe('img');
+  });
+  
+  test('should report fetch requests that fail or return an error status', async () => {
+    const originalFetch = window.fetch;
+    const headers = { get: () => 'text/plain' };
+    const body = {
+      getReader: () => ({
+        read: () => Promise.resolve({ value: new TextEncoder().encode('Server exploded') }),
+        cancel: () => Promise.resolve()
+      })
+    };
+    window.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, status: 200, type: 'basic' })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        type: 'basic',
+        url: 'https://api.example.com/orders',
+        headers: headers,
+        clone: () => ({ body })
+      })
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    
+    try {
+      errorCapturer.overrideNetworkRequests();
+      
+      await window.fetch('https://api.example.com/ok');
+      await window.fetch('https://api.example.com/orders', { method: 'post' });
+      await expect(window.fetch('https://api.example.com/down')).rejects.toThrow('Failed to fetch');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      
+      expect(mockErrorHandler).toHaveBeenCalledTimes(2);
+      const [serverError] = mockErrorHandler.mock.calls.find(([error]) => error.network.status === 500);
+      expect(serverError.type).toBe('network');
+      expect(serverError.message).toBe('POST https://api.example.com/orders 500 (Internal Server Error)');
+      expect(serverError.network.responseSnippet).toBe('Server exploded');
+      
+      const [failedError] = mockErrorHandler.mock.calls.find(([error]) => error.network.status === 0);
+      expect(failedError.message).toBe('GET https://api.example.com/down failed: Failed to fetch');
+    } finally {
+      window.fetch = originalFetch;
+    }
+  });
+  
+  test('should report every completed fetch request to request handlers', async () => {
+    const originalFetch = window.fetch;
+    const requestHandler = jest.fn();
+    window.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, status: 200, type: 'basic', url: 'https://api.example.com/ok' })
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    
+    try {
+      errorCapturer.registerRequestHandler(requestHandler);
+      errorCapturer.overrideNetworkRequests();
+      
+      await window.fetch('https://api.example.com/ok');
+      await expect(window.fetch('https://api.example.com/down', { method: 'put' })).rejects.toThrow('Failed to fetch');
+      
+      expect(requestHandler).toHaveBeenCalledTimes(2);
+      expect(requestHandler.mock.calls[0][0]).toMatchObject({
+        initiatorType: 'fetch',
+        method: 'GET',
+        url: 'https://api.example.com/ok',
+        status: 200
+      });
+      expect(requestHandler.mock.calls[1][0]).toMatchObject({ method: 'PUT', status: 0 });
+      expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+    } finally {
+      window.fetch = originalFetch;
+    }
+  });
+  
+  test('should report Content Security Policy violations', () => {
+    const script = document.createElement('script');
+    
+    errorCapturer.handleCspViolation({
+      target: script,
+      violatedDirective: 'script-src-elem',
+      effectiveDirective: 'script-src-elem',
+      blockedURI: 'inline',
+      sourceFile: 'https://example.com/page',
+      lineNumber: 12,
+      columnNumber: 5,
+      disposition: 'enforce',
+      sample: 'loadWidget()'
+    });
+    
+    expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+    const errorArg = mockErrorHandler.mock.calls[0][0];
+    expect(errorArg.type).toBe('csp');
+    expect(errorArg.message).toBe('Content Security Policy blocked inline (script-src-elem)');
+    expect(errorArg.eventTarget).toBe(script);
+    expect(errorArg.lineno).toBe(12);
+    expect(errorArg.csp).toMatchObject({
+      violatedDirective: 'script-src-elem',
+      blockedURI: 'inline',
+      disposition: 'enforce',
+      sample: 'loadWidget()'
+    });
+  });
+  
+  test('should report worker errors against the element whose handler used the worker', () => {
+    const originalWorker = window.Worker;
+    class FakeWorker extends EventTarget {
+      constructor(url) {
+        super();
+        this.url = url;
+      }
+      
+      postMessage() {}
+    }
+    window.Worker = FakeWorker;
+    
+    try {
+      errorCapturer.init({ globalEnabled: true, captureWorkerErrors: true, ignoredPatterns: [] });
+      
+      const startButton = document.createElement('button');
+      const sendButton = document.createElement('button');
+      let worker = null;
+      startButton.addEventListener('click', () => {
+        worker = new window.Worker('/workers/resize.js');
+      });
+      sendButton.addEventListener('click', () => worker.postMessage({ width: 100 }));
+      
+      startButton.click();
+      expect(worker).toBeInstanceOf(FakeWorker);
+      expect(window.Worker.name).toBe('Worker');
+      
+      worker.dispatchEvent(new ErrorEvent('error', {
+        message: 'Uncaught TypeError: image is undefined',
+        filename: 'http://localhost/workers/resize.js',
+        lineno: 4,
+        colno: 9
+      }));
+      
+      expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+      const errorArg = mockErrorHandler.mock.calls[0][0];
+      expect(errorArg).toMatchObject({
+        type: 'worker',
+        message: 'Uncaught TypeError: image is undefined',
+        filename: 'http://localhost/workers/resize.js',
+        lineno: 4,
+        worker: { kind: 'worker', event: 'error', url: 'http://localhost/workers/resize.js' }
+      });
+      expect(errorArg.eventTarget).toBe(startButton);
+      expect(errorArg.stack).toEqual(expect.any(String));
+      
+      // Later errors are attributed to whatever last messaged the worker
+      sendButton.click();
+      worker.dispatchEvent(new Event('messageerror'));
+      
+      const messageError = mockErrorHandler.mock.calls[1][0];
+      expect(messageError.message).toBe('Worker sent a message that could not be deserialized: http://localhost/workers/resize.js');
+      expect(messageError.eventTarget).toBe(sendButton);
+      expect(messageError.worker.event).toBe('messageerror');
+    } finally {
+      window.Worker = originalWorker;
+    }
+  });
+  
+  test('should report failed service worker registrations and installs', async () => {
+    class FakeServiceWorker extends EventTarget {
+      constructor(scriptURL) {
+        super();
+        this.scriptURL = scriptURL;
+        this.state = 'installing';
+      }
+      
+      setState(state) {
+        this.state = state;
+        this.dispatchEvent(new Event('statechange'));
+      }
+    }
+    
+    const installing = new FakeServiceWorker('http://localhost/sw.js');
+    const replaced = new FakeServiceWorker('http://localhost/sw.js');
+    const registration = Object.assign(new EventTarget(), { installing });
+    const register = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to register a ServiceWorker: A bad HTTP response code (404) was received'))
+      .mockResolvedValueOnce(registration);
+    global.ServiceWorkerContainer = class {};
+    global.ServiceWorkerContainer.prototype.register = register;
+    
+    try {
+      errorCapturer.init({ globalEnabled: true, captureWorkerErrors: true, ignoredPatterns: [] });
+      const container = new ServiceWorkerContainer();
+      
+      await expect(container.register('/missing-sw.js')).rejects.toThrow('404');
+      expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+      expect(mockErrorHandler.mock.calls[0][0]).toMatchObject({
+        type: 'worker',
+        message: 'Service worker registration failed: Failed to register a ServiceWorker: A bad HTTP response code (404) was received',
+        worker: { kind: 'serviceworker', event: 'register', url: 'http://localhost/missing-sw.js' }
+      });
+      
+      await expect(container.register('/sw.js')).resolves.toBe(registration);
+      
+      // A worker replaced after installing did not fail
+      registration.installing = replaced;
+      registration.dispatchEvent(new Event('updatefound'));
+      replaced.setState('installed');
+      replaced.setState('redundant');
+      expect(mockErrorHandler).toHaveBeenCalledTimes(1);
+      
+      installing.setState('redundant');
+      expect(mockErrorHandler).toHaveBeenCalledTimes(2);
+      expect(mockErrorHandler.mock.calls[1][0]).toMatchObject({
+        message: 'Service worker failed to install: http://localhost/sw.js',
+        worker: { kind: 'serviceworker', event: 'install' }
+      });
+    } finally {
+      delete global.ServiceWorkerContainer;
+    }
+  });
+  
+  test('should drop bridged worker errors when worker capture is disabled', () => {
+    const mockBridge = { on: jest.fn(), send: jest.fn(), resolveElement: jest.fn() };
+    errorCapturer.setBridge(mockBridge);
+    errorCapturer.init();
+    
+    const record = { type: 'worker', message: 'Worker failed', worker: { kind: 'worker', event: 'error', url: 'w.js' } };
+    errorCapturer.handleBridgeError(record);
+    expect(mockErrorHandler).not.toHaveBeenCalled();
+    
+    errorCapturer.setCaptureWorkerErrors(true);
+    expect(mockBridge.send).toHaveBeenLastCalledWith('config', expect.objectContaining({ captureWorkerErrors: true }));
+    errorCapturer.handleBridgeError(record);
+    expect(mockErrorHandler.mock.calls[0][0].worker).toEqual(record.worker);
+  });
 });
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for the ErrorDetailsView module
+ */
+
+import { renderErrorDetails } from '../../extension/js/modules/errorDetailsView';
+
+describe('ErrorDetailsView', () => {
+  const error = {
+    id: 'error-1',
+    type: 'runtime',
+    message: 'Cannot read properties of undefined <reading "price">',
+    stack: 'TypeError: boom\n    at addItem (https://shop.example/app.min.js:1:11)',
+    mappedFrames: [
+      {
+        functionName: 'addItem',
+        url: 'src/cart.js',
+        sourceUrl: 'webpack://shop/src/cart.js',
+        line: 3,
+        column: 5,
+        isMapped: true,
+        generated: { url: 'https://shop.example/app.min.js', line: 1, column: 11 },
+        sourceContext: { startLine: 2, lines: ['function addItem(item) {', '  item.price;', '}'], line: 3, column: 5, columnOffset: 0 }
+      },
+      {
+        functionName: 'track',
+        url: 'https://cdn.example/analytics.js',
+        line: 8,
+        column: 2,
+        isMapped: false,
+        generated: null,
+        sourceContext: null
+      }
+    ],
+    associatedElements: [
+      { errorId: 'highlight-1', element: { tagName: 'button', id: 'buy', selector: '#buy' }, stale: false }
+    ]
+  };
+  
+  test('should escape the error and link its elements', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderErrorDetails(error);
+    
+    expect(container.querySelector('.error-message-full').textContent).toBe(error.message);
+    expect(container.querySelector('.element-link').dataset.errorId).toBe('highlight-1');
+    expect(container.querySelector('.open-source-link')).toBeNull();
+    expect(container.textContent).not.toContain('Mapped Stack');
+  });
+  
+  test('should list the mapped stack with Sources links for mapped frames', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderErrorDetails(error, { openInSources: true });
+    
+    const frames = container.querySelectorAll('.stack-frame');
+    expect(frames).toHaveLength(2);
+    expect(frames[0].querySelector('.generated-location').textContent).toBe('https://shop.example/app.min.js:1:11');
+    expect(frames[1].querySelector('.open-source-link')).toBeNull();
+    
+    const link = frames[0].querySelector('.open-source-link');
+    expect(link.dataset).toMatchObject({ url: 'webpack://shop/src/cart.js', line: '3', column: '5' });
+    
+    // The source snippet of the mapped frame links there too
+    expect(container.querySelector('.source-frame summary .open-source-link')).not.toBeNull();
+  });
+  
+  test('should show the frame of errors from inside an iframe', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderErrorDetails(error);
+    expect(container.textContent).not.toContain('Frame');
+    
+    container.innerHTML = renderErrorDetails({
+      ...error,
+      frame: {
+        id: 3,
+        url: 'https://widgets.example/chat',
+        isTop: false,
+        isCrossOrigin: true,
+        parentChain: [{ id: 0, url: 'https://shop.example/' }]
+      }
+    });
+    
+    expect(container.textContent).toContain('https://widgets.example/chat (cross-origin)');
+    expect(container.textContent).toContain('in https://shop.example/');
+  });
+  
+  test('should show the worker of worker errors', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderErrorDetails({
+      ...error,
+      type: 'worker',
+      worker: { kind: 'serviceworker', event: 'register', url: 'https://shop.example/sw.js' }
+    });
+    
+    expect(container.textContent).toContain('Service worker: https://shop.example/sw.js');
+    expect(container.textContent).toContain('Failure: Registration failed');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the ErrorExporter module
+ */
+
+import { TextEncoder } from 'util';
+import {
+  exportJson,
+  exportMarkdown,
+  exportCsv,
+  createDebugBundle
+} from '../../extension/js/modules/errorExporter';
+
+// jsdom does not provide TextEncoder, which browsers do
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+describe('ErrorExporter', () => {
+  const context = {
+    exportedAt: '2024-05-17T10:30:00.000Z',
+    page: {
+      url: 'https://shop.example/checkout',
+      title: 'Checkout',
+      userAgent: 'Mozilla/5.0 Test',
+      viewport: { width: 1280, height: 720, devicePixelRatio: 2 }
+    },
+    settings: { highlightColor: '#ff0000' }
+  };
+  
+  const errors = [
+    {
+      id: 'e1',
+      type: 'runtime',
+      name: 'TypeError',
+      message: "Cannot read properties of undefined (reading 'price')",
+      filename: 'https://shop.example/main.js',
+      lineno: 1,
+      colno: 80,
+      mappedFilename: 'src/cart.js',
+      mappedLineno: 3,
+      mappedColno: 11,
+      stack: 'TypeError: boom\n    at addItem (src/cart.js:3:11)\n    at `tagged` (src/a|b.js:1:1)',
+      count: 3,
+      firstSeen: '2024-05-17T10:00:00.000Z',
+      lastSeen: '2024-05-17T10:05:00.000Z',
+      componentPath: ['App', 'Cart'],
+      fingerprint: 'abc123',
+      associatedElements: [
+        { errorId: 'h1', element: { selector: '#checkout' }, stale: false },
+        { errorId: 'h2', element: { selector: 'ul > li:nth-of-type(2)' }, stale: true }
+      ]
+    },
+    {
+      id: 'e2',
+      type: 'console',
+      message: '=HYPERLINK("https://evil.example"), "quoted"\nsecond line',
+      count: 1,
+      timestamp: '2024-05-17T10:06:00.000Z'
+    }
+  ];
+  
+  test('should export the full records as JSON', () => {
+    const exported = JSON.parse(exportJson(errors, context));
+    
+    expect(exported.exportVersion).toBe(1);
+    expect(exported.page.url).toBe('https://shop.example/checkout');
+    expect(exported.errors).toEqual(errors);
+  });
+  
+  test('should export Markdown for an issue', () => {
+    const markdown = exportMarkdown(errors, context);
+    
+    expect(markdown).toContain('## JavaScript errors on https://shop.example/checkout');
+    expect(markdown).toContain("### 1. TypeError: Cannot read properties of undefined (reading 'price')");
+    expect(markdown).toContain('| Location | `src/cart.js:3:11` |');
+    expect(markdown).toContain('| Occurrences | 3 (first 2024-05-17T10:00:00.000Z, last 2024-05-17T10:05:00.000Z) |');
+    expect(markdown).toContain('| Elements | `#checkout`, `ul > li:nth-of-type(2) (stale)` |');
+    
+    // The stack contains a backtick, so the fence must be longer
+    expect(markdown).toContain('```\nTypeError: boom');
+    expect(markdown).toContain('### 2. =HYPERLINK');
+  });
+  
+  test('should export CSV with escaped cells', () => {
+    const rows = exportCsv(errors).split('\r\n');
+    
+    expect(rows[0]).toBe('id,type,name,message,file,line,column,count,firstSeen,lastSeen,component,elements,fingerprint');
+    expect(rows[1]).toBe(
+      'e1,runtime,TypeError,Cannot read properties of undefined (reading \'price\'),src/cart.js,3,11,3,' +
+      '2024-05-17T10:00:00.000Z,2024-05-17T10:05:00.000Z,App > Cart,#checkout; ul > li:nth-of-type(2) (stale),abc123'
+    );
+    
+    // Formulas are neutralized and quotes and line breaks are quoted
+    expect(exportCsv([errors[1]])).toContain('"\'=HYPERLINK(""https://evil.example""), ""quoted""\nsecond line"');
+  });
+  
+  test('should bundle every format with the environment', () => {
+    const zip = createDebugBundle(errors, {
+      ...context,
+      screenshots: [{ name: 'page.png', dataUrl: 'data:image/png;base64,iVBORw==' }]
+    });
+    const text = Buffer.from(zip).toString('latin1');
+    
+    ['errors.json', 'errors.md', 'errors.csv', 'environment.json', 'settings.json', 'screenshots/page.png']
+      .forEach(name => expect(text).toContain(name));
+    expect(text).toContain('"devicePixelRatio": 2');
+    expect(text).toContain('"highlightColor": "#ff0000"');
+    expect(text).toContain('\x89PNG');
+  });
+  
+  test('should bundle element screenshots under their highlight IDs', () => {
+    const withScreenshot = {
+      ...errors[0],
+      associatedElements: [{
+        errorId: 'jev-error-7',
+        element: { selector: '#checkout' },
+        stale: false,
+        screenshot: { dataUrl: 'data:image/jpeg;base64,/9j/4A==', width: 40, height: 20 }
+      }]
+    };
+    
+    const text = Buffer.from(createDebugBundle([withScreenshot], context)).toString('latin1');
+    
+    expect(text).toContain('screenshots/elements/jev-error-7.jpg');
+    expect(text).toContain('\xff\xd8\xff\xe0');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the ErrorSerializer module
+ */
+
+import {
+  serializeError,
+  describeElement,
+  getUniqueSelector,
+  getXPath,
+  SERIALIZATION_VERSION
+} from '../../extension/js/modules/errorSerializer';
+
+describe('ErrorSerializer', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app">
+        <ul class="items">
+          <li>One</li>
+          <li class="item selected">Two</li>
+        </ul>
+      </div>
+      <section><button>Buy</button></section>
+      <section><button>Sell</button></section>
+    `;
+  });
+
+  test('should build selectors that match only the element', () => {
+    const item = document.querySelector('.selected');
+    const sell = document.querySelectorAll('button')[1];
+
+    expect(getUniqueSelector(document.getElementById('app'))).toBe('#app');
+    expect(document.querySelectorAll(getUniqueSelector(item))).toHaveLength(1);
+    expect(document.querySelector(getUniqueSelector(item))).toBe(item);
+    expect(document.querySelector(getUniqueSelector(sell))).toBe(sell);
+  });
+
+  test('should build absolute XPaths', () => {
+    const item = document.querySelector('.selected');
+
+    expect(getXPath(item)).toBe('/html[1]/body[1]/div[1]/ul[1]/li[2]');
+  });
+
+  test('should describe elements without live references', () => {
+    const item = document.querySelector('.selected');
+    item.classList.add('jev-error-highlight');
+
+    const descriptor = describeElement(item);
+
+    expect(descriptor).toMatchObject({
+      tagName: 'li',
+      id: null,
+      classes: ['item', 'selected'],
+      rect: { top: 0, left: 0, width: 0, height: 0 }
+    });
+    expect(descriptor.outerHTML).toContain('Two');
+    expect(JSON.parse(JSON.stringify(descriptor))).toEqual(descriptor);
+  });
+
+  test('should serialize errors into versioned JSON-safe records', () => {
+    const button = document.querySelector('button');
+    const error = {
+      id: 'id-1',
+      type: 'runtime',
+      message: 'Boom',
+      filename: 'app.js',
+      lineno: 1,
+      colno: 2,
+      error: new TypeError('Boom'),
+      stack: 'TypeError: Boom',
+      timestamp: '2024-01-01T00:00:00.000Z',
+      count: 3,
+      eventTarget: button,
+      frame: { id: 4, url: 'https://widgets.example/', isTop: false, isCrossOrigin: true, parentChain: [{ id: 0, url: 'https://app.example/' }] },
+      associatedElements: [
+        { element: button, errorId: 'error-1' },
+        { element: button, errorId: 'error-2', screenshot: { dataUrl: 'data:image/jpeg;base64,AA==', width: 1, height: 1 } }
+      ]
+    };
+
+    const record = serializeError(error);
+
+    expect(record.schemaVersion).toBe(SERIALIZATION_VERSION);
+    expect(record).toMatchObject({
+      id: 'id-1',
+      type: 'runtime',
+      name: 'TypeError',
+      message: 'Boom',
+      count: 3,
+      mappedFrames: null
+    });
+    expect(record.error).toBeUndefined();
+    expect(record.eventTarget.tagName).toBe('button');
+    expect(record.frame).toEqual(error.frame);
+    expect(record.associatedElements[0].errorId).toBe('error-1');
+    expect(record.associatedElements[0].screenshot).toBeNull();
+    expect(record.associatedElements[1].screenshot.width).toBe(1);
+    expect(document.querySelector(record.associatedElements[0].element.selector)).toBe(button);
+    expect(JSON.parse(JSON.stringify(record))).toEqual(record);
+  });
+});
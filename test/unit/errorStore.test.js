@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the ErrorStore module
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { serialize, deserialize } from 'v8';
+import ErrorStore from '../../extension/js/modules/errorStore';
+
+// jsdom does not provide the structured clone IndexedDB stores records with
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = value => deserialize(serialize(value));
+}
+
+/**
+ * Create a serialized error group
+ * @param {string} fingerprint - The group's fingerprint
+ * @param {number} [count] - The number of occurrences
+ * @returns {Object} - The error group
+ */
+function createError(fingerprint, count = 1) {
+  return { id: `error-${fingerprint}`, type: 'runtime', message: `Error ${fingerprint}`, fingerprint, count };
+}
+
+/**
+ * Write records straight into a store of the database
+ * @param {ErrorStore} store - The error store
+ * @param {string} storeName - The object store name
+ * @param {Array<Object>} records - The records
+ * @returns {Promise<void>}
+ */
+async function putRecords(store, storeName, records) {
+  const db = await store.open();
+
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    records.forEach(record => transaction.objectStore(storeName).put(record));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+describe('ErrorStore', () => {
+  let errorStore;
+
+  beforeEach(() => {
+    // Every test starts from an empty database
+    global.indexedDB = new IDBFactory();
+    errorStore = new ErrorStore();
+  });
+
+  test('should keep one record per error group, updated by each occurrence', async () => {
+    await errorStore.startNavigation(1, 'https://shop.example/cart');
+
+    const first = await errorStore.addError(1, 'https://shop.example/cart', createError('a'));
+    await errorStore.addError(1, 'https://shop.example/cart', createError('b'));
+    const repeated = await errorStore.addError(1, 'https://shop.example/cart', createError('a', 5));
+
+    expect(repeated.id).toBe(first.id);
+
+    const errors = await errorStore.getErrors({ tabId: 1 });
+    expect(errors.map(error => [error.fingerprint, error.count])).toEqual([['b', 1], ['a', 5]]);
+    expect(errors[1]).toMatchObject({ errorId: 'error-a', origin: 'https://shop.example', frameId: 0 });
+  });
+
+  test('should keep the groups of each frame and page load apart', async () => {
+    const navigation = await errorStore.startNavigation(1, 'https://shop.example/');
+    await errorStore.addError(1, 'https://shop.example/', createError('a'));
+    await errorStore.addError(1, 'https://shop.example/', { ...createError('a'), frame: { id: 4, isTop: false } });
+
+    expect(await errorStore.getErrors({ navigationId: navigation.id })).toHaveLength(2);
+
+    const next = await errorStore.startNavigation(1, 'https://shop.example/');
+    await errorStore.addError(1, 'https://shop.example/', createError('a'));
+
+    expect(await errorStore.getErrors({ navigationId: next.id })).toHaveLength(1);
+    expect(await errorStore.getErrors({ tabId: 1 })).toHaveLength(3);
+  });
+
+  test('should recover the current navigation after a service worker restart', async () => {
+    await errorStore.startNavigation(1, 'https://shop.example/old');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const navigation = await errorStore.startNavigation(1, 'https://shop.example/new');
+    await errorStore.addError(1, 'https://shop.example/new', createError('a'));
+
+    // A restarted service worker only has the database
+    const restarted = new ErrorStore();
+    const record = await restarted.addError(1, 'https://shop.example/new', createError('a', 2));
+
+    expect(record.navigationId).toBe(navigation.id);
+    expect(await restarted.getErrors({ tabId: 1 })).toHaveLength(1);
+
+    // Tabs without a recorded navigation get a new one
+    const other = await restarted.addError(2, 'https://blog.example/', createError('b'));
+    const [otherNavigation] = await restarted.getNavigations(2);
+    expect(other.navigationId).toBe(otherNavigation.id);
+  });
+
+  test('should delete the errors and replays of a navigation', async () => {
+    const old = await errorStore.startNavigation(1, 'https://shop.example/');
+    await errorStore.addError(1, 'https://shop.example/', createError('a'));
+    await errorStore.addReplay(1, 'https://shop.example/', { id: 'replay-1', events: [] });
+
+    const current = await errorStore.startNavigation(1, 'https://shop.example/');
+    await errorStore.addError(1, 'https://shop.example/', createError('b'));
+
+    await errorStore.clearNavigation(old.id);
+
+    expect(await errorStore.getErrors({ navigationId: old.id })).toEqual([]);
+    expect(await errorStore.getReplay('replay-1')).toBeNull();
+    expect(await errorStore.getErrors({ navigationId: current.id })).toHaveLength(1);
+  });
+
+  test('should prune expired records and the oldest beyond the limits', async () => {
+    const expired = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    const recent = new Date().toISOString();
+
+    await putRecords(errorStore, 'navigations', [
+      { id: 'old', tabId: 1, url: '', origin: '', startedAt: expired },
+      { id: 'new', tabId: 1, url: '', origin: '', startedAt: recent }
+    ]);
+    await putRecords(errorStore, 'errors', [
+      { tabId: 1, navigationId: 'old', message: 'expired', storedAt: expired },
+      ...Array.from({ length: 5001 }, (_, index) => ({
+        tabId: 1,
+        navigationId: 'new',
+        message: `Error ${index}`,
+        storedAt: recent
+      }))
+    ]);
+    await putRecords(errorStore, 'replays', Array.from({ length: 51 }, (_, index) => ({
+      id: `replay-${index}`,
+      navigationId: 'new',
+      storedAt: new Date(Date.now() + index).toISOString()
+    })));
+
+    await errorStore.prune();
+
+    const errors = await errorStore.getErrors();
+    expect(errors).toHaveLength(5000);
+    expect(errors.some(error => ['expired', 'Error 0'].includes(error.message))).toBe(false);
+    expect(await errorStore.getReplay('replay-0')).toBeNull();
+    expect(await errorStore.getReplay('replay-1')).not.toBeNull();
+    expect((await errorStore.getNavigations(1)).map(navigation => navigation.id)).toEqual(['new']);
+  });
+});
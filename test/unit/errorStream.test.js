@@ -0,0 +1,160 @@
+/**
+ * Unit tests for the ErrorStream module
+ */
+
+import {
+  EventBatcher,
+  StreamEvent,
+  applyStreamEvents,
+  affectsError
+} from '../../extension/js/modules/errorStream';
+
+/**
+ * Create a serialized error group
+ * @param {string} id - The group's ID
+ * @param {number} [count] - The number of occurrences
+ * @returns {Object} - The error group
+ */
+function createError(id, count = 1) {
+  return { id, message: `Error ${id}`, count, associatedElements: [{ errorId: `${id}-el`, stale: false }] };
+}
+
+describe('EventBatcher', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  test('should send the events of an interval as one batch', () => {
+    const send = jest.fn();
+    const batcher = new EventBatcher(send, { interval: 100 });
+    
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('a') });
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('b') });
+    expect(send).not.toHaveBeenCalled();
+    
+    jest.advanceTimersByTime(100);
+    
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].map(event => event.error.id)).toEqual(['a', 'b']);
+  });
+  
+  test('should coalesce a burst of updates into the latest state', () => {
+    const send = jest.fn();
+    const batcher = new EventBatcher(send);
+    
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('a') });
+    for (let count = 2; count <= 500; count++) {
+      batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('a', count) });
+    }
+    batcher.flush();
+    
+    expect(send).toHaveBeenCalledWith([{ type: StreamEvent.ERROR_ADDED, error: createError('a', 500) }]);
+  });
+  
+  test('should drop the pending events of cleared groups', () => {
+    const send = jest.fn();
+    const batcher = new EventBatcher(send);
+    
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('a') });
+    batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('b', 2) });
+    batcher.push({ type: StreamEvent.HIGHLIGHT_STALE, errorId: 'b', elementId: 'b-el' });
+    batcher.push({ type: StreamEvent.ERROR_CLEARED, errorId: 'a' });
+    batcher.push({ type: StreamEvent.ERROR_CLEARED, errorId: 'b' });
+    batcher.flush();
+    
+    // The add of "a" was never sent, so its clear is not needed either
+    expect(send).toHaveBeenCalledWith([{ type: StreamEvent.ERROR_CLEARED, errorId: 'b' }]);
+    
+    batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('c', 2) });
+    batcher.push({ type: StreamEvent.ERROR_CLEARED });
+    batcher.flush();
+    
+    expect(send).toHaveBeenLastCalledWith([{ type: StreamEvent.ERROR_CLEARED }]);
+  });
+  
+  test('should only replace the pending events of a snapshot\'s frame', () => {
+    const send = jest.fn();
+    const batcher = new EventBatcher(send);
+    
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('a'), frameId: 0 });
+    batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError('b'), frameId: 3 });
+    batcher.push({ type: StreamEvent.SNAPSHOT, errors: [createError('c')], frameId: 3 });
+    batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('a', 2), frameId: 0 });
+    batcher.flush();
+    
+    expect(send).toHaveBeenCalledWith([
+      { type: StreamEvent.ERROR_ADDED, error: createError('a', 2), frameId: 0 },
+      { type: StreamEvent.SNAPSHOT, errors: [createError('c')], frameId: 3 }
+    ]);
+  });
+  
+  test('should hold back batches until the last one is acknowledged', () => {
+    const send = jest.fn();
+    const batcher = new EventBatcher(send, { interval: 100, maxBatchSize: 2, requiresAck: true });
+    
+    ['a', 'b', 'c'].forEach(id => batcher.push({ type: StreamEvent.ERROR_ADDED, error: createError(id) }));
+    jest.advanceTimersByTime(100);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toHaveLength(2);
+    
+    // Updates keep coalescing while the receiver is busy
+    batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('c', 3) });
+    batcher.push({ type: StreamEvent.ERROR_UPDATED, error: createError('a', 2) });
+    jest.advanceTimersByTime(1000);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(batcher.size).toBe(2);
+    
+    batcher.acknowledge();
+    jest.advanceTimersByTime(100);
+    
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0]).toEqual([
+      { type: StreamEvent.ERROR_ADDED, error: createError('c', 3) },
+      { type: StreamEvent.ERROR_UPDATED, error: createError('a', 2) }
+    ]);
+  });
+});
+
+describe('applyStreamEvents', () => {
+  test('should add, update, mark stale and clear error groups', () => {
+    let errors = applyStreamEvents([], [
+      { type: StreamEvent.SNAPSHOT, errors: [createError('a')] },
+      { type: StreamEvent.ERROR_ADDED, error: createError('b') },
+      { type: StreamEvent.ERROR_UPDATED, error: createError('a', 3) }
+    ]);
+    
+    expect(errors.map(error => [error.id, error.count])).toEqual([['a', 3], ['b', 1]]);
+    
+    errors = applyStreamEvents(errors, [
+      { type: StreamEvent.HIGHLIGHT_STALE, errorId: 'b', elementId: 'b-el' },
+      { type: StreamEvent.ERROR_CLEARED, errorId: 'a' }
+    ]);
+    
+    expect(errors).toEqual([{ ...createError('b'), associatedElements: [{ errorId: 'b-el', stale: true }] }]);
+    expect(applyStreamEvents(errors, [{ type: StreamEvent.ERROR_CLEARED }])).toEqual([]);
+  });
+  
+  test('should only replace or clear the errors of an event\'s frame', () => {
+    const top = createError('a');
+    const framed = { ...createError('b'), frame: { id: 3, isTop: false } };
+    
+    let errors = applyStreamEvents([top, framed], [
+      { type: StreamEvent.SNAPSHOT, errors: [{ ...createError('c'), frame: { id: 3, isTop: false } }], frameId: 3 }
+    ]);
+    expect(errors.map(error => error.id)).toEqual(['a', 'c']);
+    
+    errors = applyStreamEvents(errors, [{ type: StreamEvent.ERROR_CLEARED, frameId: 0 }]);
+    expect(errors.map(error => error.id)).toEqual(['c']);
+  });
+  
+  test('should tell whether events change an error group', () => {
+    expect(affectsError([{ type: StreamEvent.ERROR_UPDATED, error: createError('a') }], 'a')).toBe(true);
+    expect(affectsError([{ type: StreamEvent.ERROR_UPDATED, error: createError('a') }], 'b')).toBe(false);
+    expect(affectsError([{ type: StreamEvent.HIGHLIGHT_STALE, errorId: 'b', elementId: 'b-el' }], 'b')).toBe(true);
+    expect(affectsError([{ type: StreamEvent.SNAPSHOT, errors: [] }], 'b')).toBe(true);
+  });
+});
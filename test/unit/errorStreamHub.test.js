@@ -0,0 +1,174 @@
+/**
+ * Unit tests for the ErrorStreamHub module
+ */
+
+import ErrorStreamHub from '../../extension/js/modules/errorStreamHub';
+import {
+  PAGE_PORT_NAME,
+  VIEWER_PORT_NAME,
+  StreamEvent,
+  StreamMessage
+} from '../../extension/js/modules/errorStream';
+
+/**
+ * Create a fake runtime port
+ * @param {string} name - The port name
+ * @param {Object} [sender] - The port's sender
+ * @returns {Object} - The port, with `receive()` and `close()` to drive it
+ */
+function createPort(name, sender = {}) {
+  const messageListeners = [];
+  const disconnectListeners = [];
+  
+  return {
+    name,
+    sender,
+    postMessage: jest.fn(),
+    disconnect: jest.fn(),
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+    receive: message => messageListeners.forEach(listener => listener(message)),
+    close: () => disconnectListeners.forEach(listener => listener())
+  };
+}
+
+describe('ErrorStreamHub', () => {
+  const error = { id: 'a', message: 'boom', count: 1 };
+  let hub;
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    global.chrome = { tabs: { sendMessage: jest.fn().mockResolvedValue({ success: true }) } };
+    hub = new ErrorStreamHub();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.chrome;
+  });
+  
+  test('should relay a page\'s events to the viewers of its tab', () => {
+    const page = createPort(PAGE_PORT_NAME, { tab: { id: 1 } });
+    const viewer = createPort(VIEWER_PORT_NAME);
+    const otherViewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(page);
+    hub.handleConnect(viewer);
+    hub.handleConnect(otherViewer);
+    
+    viewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 1 });
+    otherViewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 2 });
+    expect(page.postMessage).toHaveBeenCalledWith({ type: StreamMessage.REQUEST_SNAPSHOT });
+    
+    page.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_ADDED, error }] });
+    jest.runOnlyPendingTimers();
+    
+    expect(viewer.postMessage).toHaveBeenCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [{ type: StreamEvent.ERROR_ADDED, error, frameId: 0 }]
+    });
+    expect(otherViewer.postMessage).not.toHaveBeenCalled();
+  });
+  
+  test('should wait for a viewer to acknowledge a batch before sending the next', () => {
+    const page = createPort(PAGE_PORT_NAME, { tab: { id: 1 } });
+    const viewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(page);
+    hub.handleConnect(viewer);
+    viewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 1 });
+    
+    page.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_ADDED, error }] });
+    jest.runOnlyPendingTimers();
+    page.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_UPDATED, error: { ...error, count: 2 } }] });
+    page.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_UPDATED, error: { ...error, count: 3 } }] });
+    jest.runOnlyPendingTimers();
+    expect(viewer.postMessage).toHaveBeenCalledTimes(1);
+    
+    viewer.receive({ type: StreamMessage.ACK });
+    jest.runOnlyPendingTimers();
+    
+    expect(viewer.postMessage).toHaveBeenCalledTimes(2);
+    expect(viewer.postMessage).toHaveBeenLastCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [{ type: StreamEvent.ERROR_UPDATED, error: { ...error, count: 3 }, frameId: 0 }]
+    });
+  });
+  
+  test('should empty the viewers when the page goes away', () => {
+    const page = createPort(PAGE_PORT_NAME, { tab: { id: 1 } });
+    const viewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(page);
+    hub.handleConnect(viewer);
+    viewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 1 });
+    
+    page.close();
+    jest.runOnlyPendingTimers();
+    
+    expect(viewer.postMessage).toHaveBeenCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [{ type: StreamEvent.SNAPSHOT, frameId: 0, errors: [] }]
+    });
+    
+    // A new page is asked for its errors straight away
+    const nextPage = createPort(PAGE_PORT_NAME, { tab: { id: 1 } });
+    hub.handleConnect(nextPage);
+    expect(nextPage.postMessage).toHaveBeenCalledWith({ type: StreamMessage.REQUEST_SNAPSHOT });
+  });
+  
+  test('should relay every frame of a tab, stamped with its frame', () => {
+    const top = createPort(PAGE_PORT_NAME, { tab: { id: 1 }, frameId: 0 });
+    const frame = createPort(PAGE_PORT_NAME, { tab: { id: 1 }, frameId: 7 });
+    const viewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(top);
+    hub.handleConnect(frame);
+    hub.handleConnect(viewer);
+    viewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 1 });
+    
+    expect(top.postMessage).toHaveBeenCalledWith({ type: StreamMessage.REQUEST_SNAPSHOT });
+    expect(frame.postMessage).toHaveBeenCalledWith({ type: StreamMessage.REQUEST_SNAPSHOT });
+    
+    top.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_ADDED, error }] });
+    frame.receive({ type: StreamMessage.EVENTS, events: [{ type: StreamEvent.ERROR_ADDED, error: { ...error, id: 'b' } }] });
+    jest.runOnlyPendingTimers();
+    
+    expect(viewer.postMessage).toHaveBeenCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [
+        { type: StreamEvent.ERROR_ADDED, error, frameId: 0 },
+        { type: StreamEvent.ERROR_ADDED, error: { ...error, id: 'b' }, frameId: 7 }
+      ]
+    });
+    
+    // Only the errors of a frame that goes away are emptied
+    viewer.receive({ type: StreamMessage.ACK });
+    frame.close();
+    jest.runOnlyPendingTimers();
+    
+    expect(viewer.postMessage).toHaveBeenLastCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [{ type: StreamEvent.SNAPSHOT, frameId: 7, errors: [] }]
+    });
+    expect(hub.pagePorts.get(1).has(0)).toBe(true);
+  });
+  
+  test('should ask the content script to reconnect when its port is gone', async () => {
+    const viewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(viewer);
+    viewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 1 });
+    
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(1, { action: 'connectStream' });
+    
+    // Tabs without a content script have no errors
+    chrome.tabs.sendMessage.mockRejectedValueOnce(new Error('Receiving end does not exist'));
+    const otherViewer = createPort(VIEWER_PORT_NAME);
+    hub.handleConnect(otherViewer);
+    otherViewer.receive({ type: StreamMessage.SUBSCRIBE, tabId: 2 });
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(otherViewer.postMessage).toHaveBeenCalledWith({
+      type: StreamMessage.EVENTS,
+      events: [{ type: StreamEvent.SNAPSHOT, errors: [] }]
+    });
+    expect(viewer.postMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the Fingerprint module
+ */
+
+import {
+  normalizeMessage,
+  isInAppFrame,
+  getFingerprint
+} from '../../extension/js/modules/fingerprint';
+
+describe('Fingerprint', () => {
+  const appFrames = [
+    { functionName: 'renderRow', url: 'src/components/PriceRow.js', line: 12, isNative: false },
+    { functionName: 'render', url: 'src/components/Checkout.js', line: 40, isNative: false }
+  ];
+
+  test('should replace dynamic values in messages', () => {
+    expect(normalizeMessage('Order 1234 failed after 2.5s'))
+      .toBe('Order <n> failed after <n>s');
+    expect(normalizeMessage('Not found: 3f2504e0-4f89-11d3-9a0c-0305e82c3301'))
+      .toBe('Not found: <uuid>');
+    expect(normalizeMessage('Failed to load https://cdn.example.com/a.js?v=3'))
+      .toBe('Failed to load <url>');
+    expect(normalizeMessage('Cannot read properties of undefined (reading \'price\')'))
+      .toBe('Cannot read properties of undefined (reading \'<value>\')');
+    expect(normalizeMessage('Unknown session deadbeef42 at 0x1f'))
+      .toBe('Unknown session <hex> at <hex>');
+  });
+
+  test('should not take apostrophes for quotes', () => {
+    expect(normalizeMessage('Can\'t read settings of \'cart\''))
+      .toBe('Can\'t read settings of \'<value>\'');
+    expect(normalizeMessage('Couldn\'t find \'user\'s cart\''))
+      .toBe('Couldn\'t find \'<value>\'');
+    expect(normalizeMessage('Can\'t save \'order\''))
+      .not.toBe(normalizeMessage('Can\'t load \'order\''));
+  });
+
+  test('should tell app frames from library and native frames', () => {
+    expect(isInAppFrame(appFrames[0])).toBe(true);
+    expect(isInAppFrame({ url: 'node_modules/react-dom/cjs/react-dom.js', isNative: false })).toBe(false);
+    expect(isInAppFrame({ url: 'webpack/bootstrap', isNative: false })).toBe(false);
+    expect(isInAppFrame({ url: null, isNative: true })).toBe(false);
+  });
+
+  test('should group errors whose messages differ only in dynamic values', () => {
+    const first = { type: 'runtime', message: 'Item 17 is missing', mappedFrames: appFrames };
+    const second = { type: 'runtime', message: 'Item 42 is missing', mappedFrames: appFrames };
+
+    expect(getFingerprint(first)).toBe(getFingerprint(second));
+  });
+
+  test('should separate errors with the same message from different code', () => {
+    const first = { type: 'runtime', message: 'Script error.', mappedFrames: appFrames };
+    const second = {
+      type: 'runtime',
+      message: 'Script error.',
+      mappedFrames: [{ functionName: 'submit', url: 'src/Form.js', line: 3, isNative: false }]
+    };
+
+    expect(getFingerprint(first)).not.toBe(getFingerprint(second));
+  });
+
+  test('should skip library frames when picking app frames', () => {
+    const libraryFrame = { functionName: 'invoke', url: 'node_modules/lib/index.js', line: 1, isNative: false };
+    const first = { type: 'runtime', message: 'Boom', mappedFrames: [libraryFrame, ...appFrames] };
+    const second = { type: 'runtime', message: 'Boom', mappedFrames: appFrames };
+
+    expect(getFingerprint(first)).toBe(getFingerprint(second));
+  });
+
+  test('should fall back to the error location without frames', () => {
+    const first = { type: 'console', message: 'Boom', filename: 'a.js', lineno: 1 };
+    const second = { type: 'console', message: 'Boom', filename: 'b.js', lineno: 1 };
+
+    expect(getFingerprint(first)).not.toBe(getFingerprint(second));
+    expect(getFingerprint(first)).toMatch(/^[0-9a-f]{14}$/);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the FrameInfo module
+ */
+
+import {
+  TOP_FRAME_ID,
+  getFrameInfo,
+  getErrorFrameId,
+  findFrameElement
+} from '../../extension/js/modules/frameInfo';
+
+/**
+ * Create a fake frame window
+ * @param {string} url - The frame's URL
+ * @param {Object} [options] - Frame options
+ * @param {Object} [options.parent] - The parent window; a top window if omitted
+ * @param {boolean} [options.isCrossOrigin] - Whether reading its location throws
+ * @param {Array<string>} [options.ancestorOrigins] - The origins of its ancestors
+ * @returns {Object} - The window
+ */
+function createWindow(url, { parent = null, isCrossOrigin = false, ancestorOrigins = [] } = {}) {
+  const win = {};
+  const location = { href: url, ancestorOrigins };
+
+  win.parent = parent || win;
+  win.top = parent ? parent.top : win;
+  Object.defineProperty(win, 'location', {
+    get() {
+      if (isCrossOrigin) throw new DOMException('Blocked a frame', 'SecurityError');
+      return location;
+    }
+  });
+
+  return win;
+}
+
+describe('FrameInfo', () => {
+  const frameIds = new Map();
+
+  beforeEach(() => {
+    frameIds.clear();
+    global.chrome = { runtime: { getFrameId: jest.fn(target => (frameIds.has(target) ? frameIds.get(target) : -1)) } };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test('should describe the top frame', () => {
+    const top = createWindow('https://app.example/');
+
+    expect(getFrameInfo(top)).toEqual({
+      id: TOP_FRAME_ID,
+      url: 'https://app.example/',
+      isTop: true,
+      isCrossOrigin: false,
+      parentChain: []
+    });
+  });
+
+  test('should describe a nested frame and its ancestors', () => {
+    const top = createWindow('https://app.example/');
+    const middle = createWindow('https://app.example/embed', { parent: top });
+    const inner = createWindow('https://app.example/embed/widget', { parent: middle });
+    frameIds.set(top, 0).set(middle, 2).set(inner, 5);
+
+    expect(getFrameInfo(inner)).toEqual({
+      id: 5,
+      url: 'https://app.example/embed/widget',
+      isTop: false,
+      isCrossOrigin: false,
+      parentChain: [
+        { id: 2, url: 'https://app.example/embed' },
+        { id: 0, url: 'https://app.example/' }
+      ]
+    });
+  });
+
+  test('should fall back to the origins of cross-origin ancestors', () => {
+    const top = createWindow('https://app.example/', { isCrossOrigin: true });
+    const frame = createWindow('https://widgets.example/chat', {
+      parent: top,
+      ancestorOrigins: ['https://app.example']
+    });
+    frameIds.set(frame, 3);
+
+    const info = getFrameInfo(frame);
+
+    expect(info).toMatchObject({ id: 3, isTop: false, isCrossOrigin: true });
+    expect(info.parentChain).toEqual([{ id: null, url: 'https://app.example' }]);
+  });
+
+  test('should attribute errors without a known frame to the top frame', () => {
+    expect(getErrorFrameId({ frame: { id: 3 } })).toBe(3);
+    expect(getErrorFrameId({ frame: { id: null } })).toBe(TOP_FRAME_ID);
+    expect(getErrorFrameId({})).toBe(TOP_FRAME_ID);
+  });
+
+  test('should find the frame element of a child frame', () => {
+    document.body.innerHTML = '<iframe id="first"></iframe><iframe id="second"></iframe>';
+    const second = document.getElementById('second');
+    frameIds.set(second, 9);
+
+    expect(findFrameElement(9)).toBe(second);
+    expect(findFrameElement(4)).toBeNull();
+
+    // Browsers without getFrameId cannot tell frames apart
+    delete global.chrome.runtime.getFrameId;
+    expect(findFrameElement(9)).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the FrameworkAdapters module
+ */
+
+import {
+  getComponentPath,
+  findComponentElements,
+  registerAdapter,
+  parseComponentStack,
+  isComponentStack
+} from '../../extension/js/modules/frameworkAdapters';
+
+/**
+ * Attach a fake React fiber tree to a host element
+ * @param {Element} element - The host element
+ * @param {Array<Function|string>} ancestors - Fiber types from the element's
+ *   parent fiber up to the root
+ */
+function attachFiber(element, ancestors) {
+  const root = { tag: 3, type: null, stateNode: {}, return: null };
+  const parent = ancestors.reduceRight((returnFiber, type) => ({
+    tag: typeof type === 'string' ? 5 : 0,
+    type: type,
+    stateNode: typeof type === 'string' ? document.createElement(type) : null,
+    return: returnFiber
+  }), root);
+
+  element.__reactFiber$abc123 = { tag: 5, type: element.tagName.toLowerCase(), stateNode: element, return: parent };
+}
+
+describe('FrameworkAdapters', () => {
+  function App() {}
+  function Checkout() {}
+  function PriceRow() {}
+  function Price() {}
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="checkout">
+        <div id="row1"><span id="price1"></span></div>
+        <div id="row2"><span id="price2"></span></div>
+      </div>
+    `;
+
+    attachFiber(document.getElementById('checkout'), [Checkout, App]);
+    attachFiber(document.getElementById('row1'), [PriceRow, 'div', Checkout, App]);
+    attachFiber(document.getElementById('row2'), [PriceRow, 'div', Checkout, App]);
+    attachFiber(document.getElementById('price1'), [Price, 'div', PriceRow, 'div', Checkout, App]);
+  });
+
+  test('should get the React component path of an element', () => {
+    expect(getComponentPath(document.getElementById('price1')))
+      .toEqual(['App', 'Checkout', 'PriceRow', 'Price']);
+  });
+
+  test('should find the root elements of the most specific React component', () => {
+    const elements = findComponentElements(['Missing', 'PriceRow', 'Checkout']);
+
+    expect(elements.map(el => el.id)).toEqual(['row1', 'row2']);
+  });
+
+  test('should walk the document again only once it changes', () => {
+    const adapter = { name: 'counting', getComponentPath: () => [], getRootComponents: jest.fn(() => []) };
+    registerAdapter(adapter);
+
+    findComponentElements(['PriceRow']);
+    findComponentElements(['Price']);
+
+    const walked = adapter.getRootComponents.mock.calls.length;
+    expect(walked).toBe(document.querySelectorAll('*').length);
+
+    // Nodes the extension adds do not change the page's components
+    const host = document.documentElement.appendChild(document.createElement('jev-page-ui'));
+    const style = document.head.appendChild(Object.assign(document.createElement('style'), { id: 'jev-flash-style' }));
+    findComponentElements(['PriceRow']);
+    host.remove();
+    style.remove();
+
+    expect(adapter.getRootComponents).toHaveBeenCalledTimes(walked);
+
+    document.getElementById('row2').remove();
+
+    expect(findComponentElements(['PriceRow']).map(el => el.id)).toEqual(['row1']);
+    expect(adapter.getRootComponents.mock.calls.length).toBeGreaterThan(walked);
+  });
+
+  test('should read Vue 3 component instances', () => {
+    document.body.innerHTML = '<div id="row"></div>';
+    const element = document.getElementById('row');
+    const app = { type: { name: 'App' }, parent: null, subTree: {} };
+    const row = { type: { __file: 'src/components/PriceRow.vue' }, parent: app, subTree: { el: element } };
+    element.__vueParentComponent = row;
+
+    expect(getComponentPath(element)).toEqual(['App', 'PriceRow']);
+    expect(findComponentElements(['PriceRow']).map(el => el.id)).toEqual(['row']);
+  });
+
+  test('should parse React component stacks, skipping host components', () => {
+    const legacy = '\n    in PriceRow (created by Checkout)\n    in div (created by Checkout)\n    in Checkout\n    in App';
+    const modern = '\n    at PriceRow (https://example.com/app.js:10:5)\n    at Checkout (https://example.com/app.js:20:5)';
+
+    expect(parseComponentStack(legacy)).toEqual(['PriceRow', 'Checkout', 'App']);
+    expect(parseComponentStack(modern)).toEqual(['PriceRow', 'Checkout']);
+    expect(isComponentStack(modern)).toBe(true);
+    expect(isComponentStack('TypeError: x is undefined\n    at f (app.js:1:1)')).toBe(false);
+  });
+});
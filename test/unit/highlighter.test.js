@@ -0,0 +1,111 @@
+/**
+ * Unit tests for the Highlighter module
+ */
+
+import Highlighter from '../../extension/js/modules/highlighter';
+
+describe('Highlighter', () => {
+  let element;
+  let highlighters;
+  
+  /**
+   * Create a highlighter that is cleaned up after the test
+   * @param {Object} [settings] - The settings
+   * @returns {Highlighter} - The highlighter
+   */
+  function createHighlighter(settings) {
+    const highlighter = new Highlighter(settings);
+    highlighters.push(highlighter);
+    return highlighter;
+  }
+  
+  beforeEach(() => {
+    highlighters = [];
+    document.body.innerHTML = '<div id="widget" style="position: absolute; border: 1px solid blue">Widget</div>';
+    element = document.getElementById('widget');
+  });
+  
+  afterEach(() => {
+    highlighters.forEach(highlighter => highlighter.shadowHost.detach());
+  });
+  
+  test('should draw overlay highlights without touching the element', () => {
+    const highlighter = createHighlighter();
+    const originalHtml = element.outerHTML;
+    
+    const errorId = highlighter.highlightElement(element, { message: 'Test error' });
+    
+    expect(element.outerHTML).toBe(originalHtml);
+    expect(document.querySelectorAll('jev-page-ui')).toHaveLength(1);
+    expect(highlighter.overlay.boxes.has(element)).toBe(true);
+    expect(highlighter.getElementsForError(errorId)).toEqual([element]);
+    
+    highlighter.removeAllHighlightsFromPage();
+    
+    expect(highlighter.overlay.boxes.size).toBe(0);
+    expect(element.outerHTML).toBe(originalHtml);
+  });
+  
+  test('should move overlay boxes when the page inserts content', async () => {
+    const highlighter = createHighlighter();
+    highlighter.highlightElement(element, { message: 'Test error' });
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    
+    const updatePositions = jest.spyOn(highlighter.overlay, 'updatePositions');
+    document.body.insertAdjacentHTML('afterbegin', '<p>Cookie banner</p>');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(updatePositions).toHaveBeenCalledTimes(1);
+    
+    // Nothing is watched once the last box is gone
+    highlighter.removeAllHighlightsFromPage();
+    updatePositions.mockClear();
+    document.body.insertAdjacentHTML('afterbegin', '<p>Another banner</p>');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(updatePositions).not.toHaveBeenCalled();
+  });
+  
+  test('should leave inline styles alone when removing inline highlights', () => {
+    const highlighter = createHighlighter({ highlightMode: 'inline' });
+    
+    highlighter.highlightElement(element, { message: 'First error' });
+    highlighter.highlightElement(element, { message: 'Second error' });
+    
+    expect(element.classList.contains('jev-error-highlight')).toBe(true);
+    expect(element.classList.contains('jev-error-highlight-multiple')).toBe(true);
+    
+    // The page changes the element's styles while it is highlighted
+    element.style.position = 'fixed';
+    highlighter.removeAllHighlights(element);
+    
+    expect(element.className).toBe('');
+    expect(element.dataset.jevErrorId).toBeUndefined();
+    expect(element.style.position).toBe('fixed');
+    expect(element.style.border).toBe('1px solid blue');
+  });
+  
+  test('should move highlights to the overlay when switching modes', () => {
+    const highlighter = createHighlighter({ highlightMode: 'inline' });
+    highlighter.highlightElement(element, { message: 'Test error' });
+    
+    highlighter.setMode('overlay');
+    
+    expect(element.classList.contains('jev-error-highlight')).toBe(false);
+    expect(highlighter.overlay.boxes.has(element)).toBe(true);
+  });
+  
+  test('should keep the tooltip in the shadow root and re-attach it when removed', async () => {
+    const highlighter = createHighlighter();
+    highlighter.createTooltip();
+    
+    expect(document.querySelector('.jev-error-tooltip')).toBeNull();
+    
+    // A framework replaces the whole document content
+    document.documentElement.innerHTML = '<head></head><body><p>Re-rendered</p></body>';
+    await Promise.resolve();
+    
+    expect(document.querySelectorAll('jev-page-ui')).toHaveLength(1);
+    expect(highlighter.tooltipElement.isConnected).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the ScreenshotCapturer module
+ */
+
+import { getCropArea, getThumbnailSize } from '../../extension/js/modules/screenshotCapturer';
+
+describe('ScreenshotCapturer', () => {
+  describe('getCropArea', () => {
+    test('should scale CSS pixels to image pixels', () => {
+      const rect = { top: 10, left: 20, width: 100, height: 50 };
+      
+      expect(getCropArea(rect, 2, 2560, 1440)).toEqual({ x: 40, y: 20, width: 200, height: 100 });
+    });
+    
+    test('should include partially covered pixels at fractional scales', () => {
+      const rect = { top: 10.4, left: 0, width: 10, height: 10 };
+      
+      expect(getCropArea(rect, 1.5, 1000, 1000)).toEqual({ x: 0, y: 15, width: 15, height: 16 });
+    });
+    
+    test('should clip elements that overflow the viewport', () => {
+      const rect = { top: -20, left: 1200, width: 200, height: 100 };
+      
+      expect(getCropArea(rect, 1, 1280, 720)).toEqual({ x: 1200, y: 0, width: 80, height: 80 });
+    });
+    
+    test('should return null for elements outside the viewport or without size', () => {
+      expect(getCropArea({ top: 800, left: 0, width: 100, height: 100 }, 1, 1280, 720)).toBeNull();
+      expect(getCropArea({ top: 10, left: 10, width: 0, height: 100 }, 1, 1280, 720)).toBeNull();
+    });
+  });
+  
+  describe('getThumbnailSize', () => {
+    test('should keep small crops at their size', () => {
+      expect(getThumbnailSize(120, 40)).toEqual({ width: 120, height: 40 });
+    });
+    
+    test('should scale large crops down to fit, keeping their aspect ratio', () => {
+      expect(getThumbnailSize(1600, 400)).toEqual({ width: 400, height: 100 });
+      expect(getThumbnailSize(300, 900)).toEqual({ width: 100, height: 300 });
+    });
+    
+    test('should never scale a side below one pixel', () => {
+      expect(getThumbnailSize(4000, 1)).toEqual({ width: 400, height: 1 });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for the SourceMapStore module
+ */
+
+import { getSourceMapInfo } from '../../extension/js/modules/sourceMapStore';
+
+describe('SourceMapStore', () => {
+  test('should read the metadata of a source map', () => {
+    const content = JSON.stringify({
+      version: 3,
+      file: 'static/js/main.4f1c.js',
+      sources: ['src/a.js', 'src/b.js'],
+      names: [],
+      mappings: 'AAAA',
+      debugId: '85314830-023f-4cf1-a267-535f4e37bb17'
+    });
+    
+    expect(getSourceMapInfo(content)).toEqual({
+      file: 'main.4f1c.js',
+      debugId: '85314830-023f-4cf1-a267-535f4e37bb17',
+      sourceCount: 2
+    });
+  });
+  
+  test('should count the sources of an index map', () => {
+    const content = JSON.stringify({
+      version: 3,
+      sections: [
+        { offset: { line: 0, column: 0 }, map: { version: 3, sources: ['a.js'], mappings: 'AAAA' } },
+        { offset: { line: 1, column: 0 }, map: { version: 3, sources: ['b.js', 'c.js'], mappings: 'AAAA' } }
+      ]
+    });
+    
+    expect(getSourceMapInfo(content)).toEqual({ file: null, debugId: null, sourceCount: 3 });
+  });
+  
+  test('should reject files that are not source maps', () => {
+    expect(() => getSourceMapInfo('not json')).toThrow('not valid JSON');
+    expect(() => getSourceMapInfo('{"version":2,"mappings":"AAAA"}')).toThrow('version 3');
+    expect(() => getSourceMapInfo('{"version":3}')).toThrow('version 3');
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * Unit tests for the SourceMapper module
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TextDecoder } from 'util';
+import { SourceMapGenerator } from 'source-map';
+import SourceMapper, {
+  getSourceContext,
+  getSourceMapReference,
+  decodeDataUrl,
+  applySourceMapRules,
+  getDebugId
+} from '../../extension/js/modules/sourceMapper';
+
+const FIXTURES_PATH = path.join(__dirname, '../fixtures/sourcemaps');
+
+// jsdom does not provide TextDecoder, which browsers and workers do
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+/**
+ * Create a fetch mock that serves files by URL
+ * @param {Object} files - Map of URL to the body, or to { body, headers }
+ * @returns {Function} - The fetch mock
+ */
+function createFetch(files) {
+  return jest.fn(async url => {
+    const file = typeof files[url] === 'string' ? { body: files[url] } : files[url];
+    const headers = file && file.headers ? file.headers : {};
+    
+    return {
+      ok: !!file,
+      status: file ? 200 : 404,
+      headers: { get: name => headers[name.toLowerCase()] || null },
+      text: async () => file.body
+    };
+  });
+}
+
+/**
+ * Create a fetch mock that serves the bundler fixtures from https://shop.example/
+ * @returns {Function} - The fetch mock
+ */
+function createFixtureFetch() {
+  return jest.fn(async url => {
+    const filePath = path.join(FIXTURES_PATH, new URL(url).pathname);
+    const exists = fs.existsSync(filePath);
+    
+    return {
+      ok: exists,
+      status: exists ? 200 : 404,
+      headers: { get: () => null },
+      text: async () => fs.readFileSync(filePath, 'utf8')
+    };
+  });
+}
+
+describe('SourceMapper', () => {
+  test('should get the source lines around a position', () => {
+    const content = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`).join('\n');
+    const context = getSourceContext(content, 10, 3);
+    
+    expect(context.startLine).toBe(5);
+    expect(context.lines).toHaveLength(11);
+    expect(context.lines[5]).toBe('line 10');
+    expect(context.line).toBe(10);
+    expect(context.column).toBe(3);
+    expect(context.columnOffset).toBe(0);
+    
+    expect(getSourceContext(content, 1, 1).startLine).toBe(1);
+    expect(getSourceContext(null, 1, 1)).toBeNull();
+    expect(getSourceContext(content, 50, 1)).toBeNull();
+  });
+  
+  test('should keep the column in view on long lines', () => {
+    const context = getSourceContext(`${'x'.repeat(500)}boom()`, 1, 501);
+    
+    expect(context.columnOffset).toBe(401);
+    expect(context.lines[0].slice(99)).toMatch(/^boom\(\)/);
+  });
+  
+  test('should fetch original sources relative to the source map', async () => {
+    const sourceMapper = new SourceMapper();
+    sourceMapper.sourceMapUrls.set('https://example.com/js/app.min.js', 'https://example.com/maps/app.js.map');
+    sourceMapper.fetchWithRetry = jest.fn().mockResolvedValue('const a = 1;');
+    
+    const content = await sourceMapper.fetchOriginalSource(
+      'app.js',
+      { sourceRoot: '../src' },
+      'https://example.com/js/app.min.js'
+    );
+    await sourceMapper.fetchOriginalSource('app.js', { sourceRoot: '../src' }, 'https://example.com/js/app.min.js');
+    
+    expect(content).toBe('const a = 1;');
+    expect(sourceMapper.fetchWithRetry).toHaveBeenCalledTimes(1);
+    expect(sourceMapper.fetchWithRetry).toHaveBeenCalledWith('https://example.com/src/app.js');
+    
+    await expect(sourceMapper.fetchOriginalSource('webpack:///src/app.js', {}, 'https://example.com/js/app.min.js'))
+      .resolves.toBeNull();
+  });
+  
+  test('should load each source map once for all frames of a stack', async () => {
+    const sourceMapper = new SourceMapper();
+    const generator = new SourceMapGenerator({ file: 'app.min.js' });
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 3, column: 2 }, source: 'src/cart.js' });
+    generator.addMapping({ generated: { line: 1, column: 40 }, original: { line: 12, column: 4 }, source: 'src/app.js' });
+    sourceMapper.getSourceMap = jest.fn().mockResolvedValue(generator.toJSON());
+    sourceMapper.fetchOriginalSource = jest.fn().mockResolvedValue(null);
+    
+    const processedError = await sourceMapper.processError({
+      stack: [
+        'TypeError: boom',
+        '    at addItem (https://example.com/app.min.js:1:11)',
+        '    at main (https://example.com/app.min.js:1:41)'
+      ].join('\n')
+    });
+    
+    expect(sourceMapper.getSourceMap).toHaveBeenCalledTimes(1);
+    expect(processedError.mappedFrames.map(frame => `${frame.url}:${frame.line}:${frame.column}`))
+      .toEqual(['src/cart.js:3:3', 'src/app.js:12:5']);
+    expect(processedError.mappedFilename).toBe('src/cart.js');
+    expect(sourceMapper.consumerPool.entries.size).toBe(1);
+    
+    sourceMapper.clearCache();
+  });
+  
+  test('should not destroy a consumer that is still mapping a stack', async () => {
+    const sourceMapper = new SourceMapper();
+    const generator = new SourceMapGenerator({ file: 'app.min.js' });
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 3, column: 2 }, source: 'src/cart.js' });
+    sourceMapper.getSourceMap = jest.fn().mockResolvedValue(generator.toJSON());
+    
+    let resolveSource = null;
+    sourceMapper.fetchOriginalSource = jest.fn(() => new Promise(resolve => {
+      resolveSource = resolve;
+    }));
+    
+    const processing = sourceMapper.processError({
+      stack: 'TypeError: boom\n    at addItem (https://example.com/app.min.js:1:11)'
+    });
+    while (!resolveSource) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    const { consumer } = sourceMapper.consumerPool.entries.get('https://example.com/app.min.js');
+    const destroy = jest.spyOn(consumer, 'destroy');
+    sourceMapper.clearCache();
+    
+    expect(destroy).not.toHaveBeenCalled();
+    
+    resolveSource(null);
+    const processedError = await processing;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    expect(processedError.mappedFilename).toBe('src/cart.js');
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+  
+  test('should count the sections of index maps toward the pool size', async () => {
+    const sourceMapper = new SourceMapper();
+    const generator = new SourceMapGenerator({ file: 'app.min.js' });
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 3, column: 2 }, source: 'src/cart.js' });
+    sourceMapper.getSourceMap = jest.fn().mockResolvedValue({
+      version: 3,
+      sections: [{ offset: { line: 0, column: 0 }, map: generator.toJSON() }]
+    });
+    sourceMapper.fetchOriginalSource = jest.fn().mockResolvedValue(null);
+    
+    await sourceMapper.processError({ stack: 'TypeError: boom\n    at addItem (https://example.com/app.min.js:1:11)' });
+    
+    expect(sourceMapper.consumerPool.totalSize).toBe(generator.toJSON().mappings.length * 4);
+    
+    sourceMapper.clearCache();
+  });
+  
+  test('should keep the full source URL of webpack sources for DevTools', async () => {
+    const sourceMapper = new SourceMapper();
+    const generator = new SourceMapGenerator({ file: 'app.min.js' });
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 3, column: 2 }, source: 'webpack://shop/src/cart.js' });
+    sourceMapper.getSourceMap = jest.fn().mockResolvedValue(generator.toJSON());
+    
+    const processedError = await sourceMapper.processError({
+      stack: 'TypeError: boom\n    at addItem (https://example.com/app.min.js:1:11)'
+    });
+    
+    expect(processedError.mappedFrames[0]).toMatchObject({
+      url: 'src/cart.js',
+      sourceUrl: 'webpack://shop/src/cart.js'
+    });
+    
+    sourceMapper.clearCache();
+  });
+  
+  describe('source map discovery', () => {
+    const originalFetch = global.fetch;
+    let sourceMapper;
+    
+    beforeEach(() => {
+      sourceMapper = new SourceMapper({ sourcemapRetries: 0 });
+    });
+    
+    afterEach(() => {
+      sourceMapper.clearCache();
+      global.fetch = originalFetch;
+    });
+    
+    /**
+     * Map a stack with one frame in cart.js and one in index.js
+     * @param {string} url - The URL of the bundle
+     * @param {Array<Array<number>>} positions - The generated line and column of each frame
+     * @returns {Promise<Array<string>>} - The mapped frame locations
+     */
+    async function mapFixtureStack(url, positions) {
+      const processedError = await sourceMapper.processError({
+        stack: [
+          'TypeError: Item has no price',
+          `    at addItem (${url}:${positions[0].join(':')})`,
+          `    at window.checkout (${url}:${positions[1].join(':')})`
+        ].join('\n')
+      });
+      
+      return processedError.mappedFrames.map(frame => `${frame.url}:${frame.line}:${frame.column}`);
+    }
+    
+    test.each([
+      ['webpack', 'https://shop.example/webpack/dist/main.js', [[1, 80], [1, 126]], 'src/'],
+      ['Rollup', 'https://shop.example/rollup/dist/bundle.js', [[3, 11], [9, 3]], '../src/'],
+      ['esbuild', 'https://shop.example/esbuild/out/app.js', [[4, 11], [10, 3]], '../src/'],
+      ['Vite', 'https://shop.example/vite/dist/assets/index-4f1c2a9b.js', [[1, 61], [1, 112]], '../../src/']
+    ])('should map a %s bundle', async (bundler, url, positions, sourcePrefix) => {
+      global.fetch = createFixtureFetch();
+      
+      expect(await mapFixtureStack(url, positions)).toEqual([
+        `${sourcePrefix}cart.js:3:11`,
+        `${sourcePrefix}index.js:4:3`
+      ]);
+    });
+    
+    test('should prefer the SourceMap header over the comment', async () => {
+      const map = fs.readFileSync(path.join(FIXTURES_PATH, 'rollup/dist/bundle.js.map'), 'utf8');
+      global.fetch = createFetch({
+        'https://cdn.example/js/bundle.js': {
+          body: fs.readFileSync(path.join(FIXTURES_PATH, 'rollup/dist/bundle.js'), 'utf8'),
+          headers: { sourcemap: '//maps.example/private/bundle.js.map' }
+        },
+        'https://maps.example/private/bundle.js.map': map
+      });
+      
+      expect(await mapFixtureStack('https://cdn.example/js/bundle.js', [[3, 11], [9, 3]]))
+        .toEqual(['../src/cart.js:3:11', '../src/index.js:4:3']);
+      expect(sourceMapper.sourceMapUrls.get('https://cdn.example/js/bundle.js'))
+        .toBe('https://maps.example/private/bundle.js.map');
+    });
+    
+    test('should load the sections of an index map', async () => {
+      const generator = new SourceMapGenerator({ file: 'app.js' });
+      generator.addMapping({ generated: { line: 1, column: 0 }, original: { line: 7, column: 2 }, source: 'vendor.js' });
+      generator.setSourceContent('vendor.js', 'export {};');
+      
+      global.fetch = createFetch({
+        'https://example.com/js/app.js': 'run();\nboom();\n//@ sourceMappingURL=../maps/app.js.map',
+        'https://example.com/maps/app.js.map': `)]}'\n${JSON.stringify({
+          version: 3,
+          sections: [
+            { offset: { line: 0, column: 0 }, map: { version: 3, sources: ['app.js'], sourcesContent: ['run();'], names: [], mappings: 'AAAA' } },
+            { offset: { line: 1, column: 0 }, url: 'sections/vendor.js.map' }
+          ]
+        })}`,
+        'https://example.com/maps/sections/vendor.js.map': generator.toString()
+      });
+      
+      expect(await mapFixtureStack('https://example.com/js/app.js', [[1, 1], [2, 1]]))
+        .toEqual(['app.js:1:1', 'vendor.js:7:3']);
+    });
+    
+    test('should find the last sourceMappingURL comment', () => {
+      const content = [
+        'const text = "//# sourceMappingURL=fake.map";',
+        '//# sourceMappingURL=first.js.map',
+        '//@ sourceMappingURL=last.js.map  '
+      ].join('\n');
+      
+      expect(getSourceMapReference(null, content)).toBe('last.js.map');
+      expect(getSourceMapReference({ get: name => (name === 'X-SourceMap' ? 'legacy.map' : null) }, content))
+        .toBe('legacy.map');
+      expect(getSourceMapReference(null, 'const a = 1;')).toBeNull();
+    });
+    
+    test('should decode data URL variants', () => {
+      const json = '{"sources":["café.js"]}';
+      const base64 = Buffer.from(json).toString('base64');
+      
+      expect(decodeDataUrl(`data:application/json;base64,${base64}`)).toBe(json);
+      expect(decodeDataUrl(`data:application/json;charset=utf-8;base64,${base64}`)).toBe(json);
+      expect(decodeDataUrl(`data:application/json,${encodeURIComponent(json)}`)).toBe(json);
+    });
+  });
+  
+  describe('local source maps', () => {
+    const originalFetch = global.fetch;
+    const rules = [
+      { pattern: 'https://app.example.com/static/js/*.js', target: 'http://localhost:9000/maps/*.js.map' },
+      { pattern: 'https://*.example.com/*/bundle.js', target: 'http://localhost:9000/*/*.map' }
+    ];
+    
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+    
+    test('should find source map URLs from mapping rules', () => {
+      expect(applySourceMapRules(rules, 'https://app.example.com/static/js/main.4f1c.js?v=2'))
+        .toBe('http://localhost:9000/maps/main.4f1c.js.map');
+      expect(applySourceMapRules(rules, 'https://cdn.example.com/v1.2/bundle.js'))
+        .toBe('http://localhost:9000/cdn/v1.2.map');
+      expect(applySourceMapRules(rules, 'https://app.example.com/static/css/main.css')).toBeNull();
+      expect(applySourceMapRules(undefined, 'https://app.example.com/static/js/main.js')).toBeNull();
+    });
+    
+    test('should prefer an uploaded map over fetching one', async () => {
+      const map = fs.readFileSync(path.join(FIXTURES_PATH, 'webpack/dist/main.js.map'), 'utf8');
+      const localSourceMaps = {
+        findByDebugId: jest.fn().mockResolvedValue(null),
+        findSourceMap: jest.fn().mockResolvedValue({ id: 7 }),
+        getContent: jest.fn().mockResolvedValue(map)
+      };
+      const sourceMapper = new SourceMapper();
+      sourceMapper.setLocalSourceMaps(localSourceMaps);
+      global.fetch = createFetch({ 'https://shop.example/main.js': 'run();\n//# sourceMappingURL=main.js.map' });
+      
+      expect(await sourceMapper.getSourceMap('https://shop.example/main.js')).toEqual(JSON.parse(map));
+      expect(localSourceMaps.getContent).toHaveBeenCalledWith(7);
+      
+      // Only the script is fetched, for its debug ID
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+    
+    test('should fetch the map from a matching rule before the script', async () => {
+      const sourceMapper = new SourceMapper({ sourcemapRules: rules });
+      global.fetch = createFetch({
+        'https://app.example.com/static/js/main.js': 'run();\n//# sourceMappingURL=main.js.map',
+        'http://localhost:9000/maps/main.js.map': '{"version":3,"sources":["a.js"],"names":[],"mappings":"AAAA"}'
+      });
+      
+      expect(await sourceMapper.getSourceMap('https://app.example.com/static/js/main.js'))
+        .toMatchObject({ sources: ['a.js'] });
+      expect(global.fetch).not.toHaveBeenCalledWith('https://app.example.com/static/js/main.js.map', expect.anything());
+      expect(sourceMapper.sourceMapUrls.get('https://app.example.com/static/js/main.js'))
+        .toBe('http://localhost:9000/maps/main.js.map');
+    });
+  });
+  
+  describe('debug IDs', () => {
+    const originalFetch = global.fetch;
+    const DEBUG_ID = '85314830-023f-4cf1-a267-535f4e37bb17';
+    const OTHER_DEBUG_ID = '0aa57f0e-3a3f-4c1a-9a3b-7a6d1f0c6e11';
+    const map = debugId => JSON.stringify({
+      version: 3, sources: ['a.js'], sourcesContent: ['run();'], names: [], mappings: 'AAAA', debugId
+    });
+    
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+    
+    test('should read the last debugId comment', () => {
+      expect(getDebugId(`run();\n//# debugId=${DEBUG_ID.toUpperCase()}\n//# sourceMappingURL=a.js.map`)).toBe(DEBUG_ID);
+      expect(getDebugId('run();')).toBeNull();
+    });
+    
+    test('should match an uploaded map by debug ID wherever the bundle is served', async () => {
+      const localSourceMaps = {
+        findByDebugId: jest.fn().mockResolvedValue({ id: 3, debugId: DEBUG_ID }),
+        findSourceMap: jest.fn().mockResolvedValue(null),
+        getContent: jest.fn().mockResolvedValue(map(DEBUG_ID))
+      };
+      const sourceMapper = new SourceMapper();
+      sourceMapper.setLocalSourceMaps(localSourceMaps);
+      global.fetch = createFetch({ 'https://cdn.example/a1b2c3/x.js': `run();\n//# debugId=${DEBUG_ID}` });
+      
+      const processedError = await sourceMapper.processError({
+        stack: 'Error: boom\n    at run (https://cdn.example/a1b2c3/x.js:1:1)'
+      });
+      
+      expect(localSourceMaps.findByDebugId).toHaveBeenCalledWith(DEBUG_ID);
+      expect(processedError.mappedFrames[0]).toMatchObject({
+        url: 'a.js',
+        isMapped: true,
+        debugId: DEBUG_ID,
+        sourceMapDebugId: DEBUG_ID
+      });
+      
+      sourceMapper.clearCache();
+    });
+    
+    test('should not use maps from another build', async () => {
+      const localSourceMaps = {
+        findByDebugId: jest.fn().mockResolvedValue(null),
+        findSourceMap: jest.fn().mockResolvedValue({ id: 3, debugId: OTHER_DEBUG_ID }),
+        getContent: jest.fn()
+      };
+      const sourceMapper = new SourceMapper({ sourcemapRetries: 0 });
+      sourceMapper.setLocalSourceMaps(localSourceMaps);
+      global.fetch = createFetch({
+        'https://example.com/app.js': `run();\n//# debugId=${DEBUG_ID}\n//# sourceMappingURL=app.js.map`,
+        'https://example.com/app.js.map': map(OTHER_DEBUG_ID)
+      });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      
+      expect(await sourceMapper.getSourceMap('https://example.com/app.js')).toBeNull();
+      expect(localSourceMaps.getContent).not.toHaveBeenCalled();
+      
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the StackParser module
+ */
+
+import {
+  parseStack,
+  parseStackLine,
+  getFrameFunctionNames,
+  formatFrame
+} from '../../extension/js/modules/stackParser';
+
+describe('StackParser', () => {
+  test('should parse V8 stacks and skip the message line', () => {
+    const frames = parseStack([
+      'TypeError: Cannot read properties of undefined',
+      '    at handleClick (https://example.com/app.js:10:15)',
+      '    at https://example.com/vendor.js:1:2000'
+    ].join('\n'));
+
+    expect(frames).toHaveLength(2);
+    expect(frames[0]).toMatchObject({
+      functionName: 'handleClick',
+      url: 'https://example.com/app.js',
+      line: 10,
+      column: 15,
+      isNative: false,
+      isEval: false,
+      isAsync: false
+    });
+    expect(frames[1]).toMatchObject({
+      functionName: null,
+      url: 'https://example.com/vendor.js',
+      line: 1,
+      column: 2000
+    });
+  });
+
+  test('should parse V8 async, constructor and native frames', () => {
+    expect(parseStackLine('    at async loadData (https://example.com/app.js:5:3)')).toMatchObject({
+      functionName: 'loadData',
+      isAsync: true
+    });
+    expect(parseStackLine('    at new Widget (https://example.com/app.js:7:9)')).toMatchObject({
+      functionName: 'Widget',
+      isConstructor: true
+    });
+    expect(parseStackLine('    at Array.forEach (<anonymous>)')).toMatchObject({
+      functionName: 'Array.forEach',
+      url: null,
+      line: null
+    });
+    expect(parseStackLine('    at JSON.parse (native)')).toMatchObject({
+      functionName: 'JSON.parse',
+      url: null,
+      isNative: true
+    });
+  });
+
+  test('should use the eval call site for V8 eval frames', () => {
+    const frame = parseStackLine(
+      '    at eval (eval at run (https://example.com/app.js:20:5), <anonymous>:1:1)'
+    );
+
+    expect(frame).toMatchObject({
+      functionName: 'eval',
+      url: 'https://example.com/app.js',
+      line: 20,
+      column: 5,
+      isEval: true
+    });
+  });
+
+  test('should parse Firefox and Safari frames', () => {
+    const frames = parseStack([
+      'handleClick@https://example.com/app.js:10:15',
+      'async*loadData@https://example.com/app.js:5:3',
+      '@https://example.com/app.js:1:1',
+      'run@https://example.com/app.js line 20 > eval:1:1',
+      'forEach@[native code]',
+      'global code@https://example.com/app.js:30:1'
+    ].join('\n'));
+
+    expect(frames).toHaveLength(6);
+    expect(frames[0]).toMatchObject({ functionName: 'handleClick', line: 10, column: 15 });
+    expect(frames[1]).toMatchObject({ functionName: 'loadData', isAsync: true });
+    expect(frames[2]).toMatchObject({ functionName: null, url: 'https://example.com/app.js' });
+    expect(frames[3]).toMatchObject({
+      functionName: 'run',
+      url: 'https://example.com/app.js',
+      line: 20,
+      column: null,
+      isEval: true
+    });
+    expect(frames[4]).toMatchObject({ functionName: 'forEach', url: null, isNative: true });
+    expect(frames[5]).toMatchObject({ functionName: null, line: 30 });
+  });
+
+  test('should not mistake messages containing "@" for frames', () => {
+    expect(parseStack('Error: invalid address user@example.com')).toEqual([]);
+  });
+
+  test('should return bare names for methods and nested functions', () => {
+    expect(getFrameFunctionNames({ functionName: 'HTMLButtonElement.handleClick' }))
+      .toEqual(['HTMLButtonElement.handleClick', 'handleClick']);
+    expect(getFrameFunctionNames({ functionName: 'init/setup/<' }))
+      .toEqual(['init/setup/<', 'setup']);
+    expect(getFrameFunctionNames({ functionName: null })).toEqual([]);
+  });
+
+  test('should format frames as V8 stack lines', () => {
+    const frame = parseStackLine('handleClick@https://example.com/app.js:10:15');
+
+    expect(formatFrame(frame)).toBe('    at handleClick (https://example.com/app.js:10:15)');
+    expect(formatFrame({ functionName: null, url: null, isNative: false })).toBe('    at <anonymous>');
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Unit tests for the SyntaxHighlighter module
+ */
+
+import { highlightLine } from '../../extension/js/modules/syntaxHighlighter';
+
+describe('SyntaxHighlighter', () => {
+  test('should highlight keywords, strings, numbers and comments', () => {
+    const html = highlightLine('const total = price * 2; // "tax" <b>');
+    
+    expect(html).toBe(
+      '<span class="token-keyword">const</span> total = price * <span class="token-number">2</span>; ' +
+      '<span class="token-comment">// "tax" &lt;b&gt;</span>'
+    );
+  });
+  
+  test('should escape HTML inside strings', () => {
+    expect(highlightLine("el.innerHTML = '<img>';")).toBe(
+      'el.innerHTML = <span class="token-string">\'&lt;img&gt;\'</span>;'
+    );
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for the ZipWriter module
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { createZip, crc32 } from '../../extension/js/modules/zipWriter';
+
+// jsdom does not provide TextEncoder, which browsers do
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+describe('ZipWriter', () => {
+  test('should compute CRC-32 checksums', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+  
+  test('should write a readable archive', () => {
+    const zip = createZip([
+      { name: 'errors.json', data: '{"errors":[]}' },
+      { name: 'screenshots/élément.png', data: new Uint8Array([137, 80, 78, 71]) }
+    ], new Date(2024, 4, 17, 10, 30, 20));
+    const view = new DataView(zip.buffer);
+    const decoder = new TextDecoder();
+    
+    // The end of central directory record points at the file entries
+    const endOffset = zip.length - 22;
+    expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+    expect(view.getUint16(endOffset + 10, true)).toBe(2);
+    
+    let entryOffset = view.getUint32(endOffset + 16, true);
+    const entries = [];
+    
+    for (let i = 0; i < 2; i++) {
+      expect(view.getUint32(entryOffset, true)).toBe(0x02014b50);
+      
+      const size = view.getUint32(entryOffset + 24, true);
+      const nameLength = view.getUint16(entryOffset + 28, true);
+      const localOffset = view.getUint32(entryOffset + 42, true);
+      const name = decoder.decode(zip.slice(entryOffset + 46, entryOffset + 46 + nameLength));
+      
+      // Each local header is followed by the name and the stored data
+      expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+      const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true);
+      const data = zip.slice(dataOffset, dataOffset + size);
+      
+      expect(crc32(data)).toBe(view.getUint32(entryOffset + 16, true));
+      entries.push({ name, data });
+      entryOffset += 46 + nameLength;
+    }
+    
+    expect(entries[0].name).toBe('errors.json');
+    expect(decoder.decode(entries[0].data)).toBe('{"errors":[]}');
+    expect(entries[1].name).toBe('screenshots/élément.png');
+    expect(Array.from(entries[1].data)).toEqual([137, 80, 78, 71]);
+  });
+});
@@ -7,8 +7,12 @@ module.exports = {
     entry: {
         background: "./extension/js/background.js",
         contentScript: "./extension/js/contentScript.js",
+        mainWorld: "./extension/js/mainWorld.js",
         popup: "./extension/js/popup.js",
         settings: "./extension/js/settings.js",
+        replay: "./extension/js/replay.js",
+        devtools: "./extension/js/devtools.js",
+        panel: "./extension/js/panel.js",
     },
     output: {
         path: path.resolve(__dirname, "dist"),
@@ -38,6 +42,10 @@ module.exports = {
             patterns: [
                 { from: "extension/manifest.json", to: "manifest.json" },
                 { from: "extension/assets", to: "assets" },
+                {
+                    from: "node_modules/source-map/lib/mappings.wasm",
+                    to: "assets/wasm/mappings.wasm",
+                },
             ],
         }),
         new HtmlWebpackPlugin({
@@ -45,11 +53,32 @@ module.exports = {
             filename: "html/popup.html",
             chunks: ["popup"],
         }),
+        // The side panel runs the popup's script
+        new HtmlWebpackPlugin({
+            template: "./extension/html/sidepanel.html",
+            filename: "html/sidepanel.html",
+            chunks: ["popup"],
+        }),
         new HtmlWebpackPlugin({
             template: "./extension/html/settings.html",
             filename: "html/settings.html",
             chunks: ["settings"],
         }),
+        new HtmlWebpackPlugin({
+            template: "./extension/html/replay.html",
+            filename: "html/replay.html",
+            chunks: ["replay"],
+        }),
+        new HtmlWebpackPlugin({
+            template: "./extension/html/devtools.html",
+            filename: "html/devtools.html",
+            chunks: ["devtools"],
+        }),
+        new HtmlWebpackPlugin({
+            template: "./extension/html/panel.html",
+            filename: "html/panel.html",
+            chunks: ["panel"],
+        }),
         // Provide polyfills for Node.js core modules
         new webpack.ProvidePlugin({
             process: "process/browser",